@@ -9,6 +9,26 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
 }
 
+/**
+ * Get the secret that signs one kind of link
+ * Every kind has its own, so a leaked secret cannot be used to forge the
+ * others or login tokens. Only development and tests may go without one.
+ *
+ * @param {string} name - Environment variable holding the secret
+ * @returns {string} Secret
+ */
+const linkSecret = (name) => {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+
+  if (['development', 'test'].includes(process.env.NODE_ENV || 'development')) {
+    return `recovery-office-dev-${name.toLowerCase()}`;
+  }
+
+  throw new Error(`${name} environment variable is required`);
+};
+
 // Default configuration for all environments
 const defaultConfig = {
   env: process.env.NODE_ENV || 'development',
@@ -69,6 +89,148 @@ const defaultConfig = {
       connectSrc: ["'self'"]
     }
   },
+  scheduling: {
+    // Zone used for services and consultants that do not set their own
+    defaultTimezone: process.env.OFFICE_TIMEZONE || 'Europe/London',
+    // How long a slot is held while a client finishes booking it
+    holdMinutes: parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10,
+    maxHoldMinutes: parseInt(process.env.SLOT_HOLD_MAX_MINUTES, 10) || 30,
+    holdSweepIntervalSeconds: parseInt(process.env.SLOT_HOLD_SWEEP_SECONDS, 10) || 60,
+    // Most unexpired holds one client (by IP address) can have at once
+    maxHoldsPerRequester: parseInt(process.env.SLOT_HOLD_MAX_PER_CLIENT, 10) || 3,
+    // Hold requests allowed per IP address in each window
+    holdRateLimit: {
+      windowMs: parseInt(process.env.SLOT_HOLD_RATE_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
+      max: parseInt(process.env.SLOT_HOLD_RATE_MAX, 10) || 20
+    },
+    // Clients cannot move a booking that starts sooner than this
+    rescheduleMinNoticeHours: process.env.RESCHEDULE_MIN_NOTICE_HOURS !== undefined
+      ? Number(process.env.RESCHEDULE_MIN_NOTICE_HOURS)
+      : 24,
+    // Most repeats a recurring booking can have after the first one
+    maxRecurrences: parseInt(process.env.RECURRENCE_MAX_OCCURRENCES, 10) || 52
+  },
+  cancellation: {
+    // Policy for services that do not set their own: cancelling at least
+    // this many hours ahead is free, later cancellations and no-shows are
+    // charged these percentages of the service price
+    freeCancelHours: process.env.CANCELLATION_FREE_HOURS !== undefined
+      ? Number(process.env.CANCELLATION_FREE_HOURS)
+      : 24,
+    lateCancelFeePercent: Number(process.env.CANCELLATION_LATE_FEE_PERCENT) || 0,
+    noShowFeePercent: Number(process.env.CANCELLATION_NO_SHOW_FEE_PERCENT) || 0
+  },
+  payments: {
+    // Adapter payments are taken through; 'fake' settles them locally and
+    // is refused in production
+    provider: process.env.PAYMENT_PROVIDER || 'fake',
+    currency: process.env.PAYMENT_CURRENCY || 'GBP',
+    // Signs webhook callbacks from the provider
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || process.env.JWT_SECRET || 'recovery-office-secret-key',
+    // Callbacks signed longer ago than this are rejected as replays
+    webhookToleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+    fake: {
+      // Settle fake payments at once instead of waiting for a webhook
+      autoComplete: process.env.PAYMENT_FAKE_AUTO_COMPLETE !== 'false'
+    }
+  },
+  invoices: {
+    // Who invoices are issued by. VAT is only shown when a VAT number is
+    // set; service prices always include it
+    seller: {
+      name: process.env.INVOICE_SELLER_NAME || 'Recovery Office',
+      address: (process.env.INVOICE_SELLER_ADDRESS || '').split('|').filter(Boolean),
+      email: process.env.INVOICE_SELLER_EMAIL || 'contact@recovery-office.com',
+      vatNumber: process.env.VAT_NUMBER || ''
+    },
+    // Standard rate for services that do not set their own
+    vatRate: process.env.VAT_RATE !== undefined ? Number(process.env.VAT_RATE) : 20
+  },
+  calendar: {
+    // Organiser of the invites attached to booking emails
+    organizerName: process.env.CALENDAR_ORGANIZER_NAME || 'Recovery Office',
+    organizerEmail: process.env.CALENDAR_ORGANIZER_EMAIL || 'contact@recovery-office.com',
+    // Makes event UIDs unique to this system
+    uidDomain: process.env.CALENDAR_UID_DOMAIN || 'recovery-office.com',
+    // Signs the read-only feed links consultants subscribe to
+    feedSecret: linkSecret('CALENDAR_FEED_SECRET'),
+    feedBaseUrl: process.env.CALENDAR_FEED_BASE_URL ||
+      `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/api/calendar/feeds`,
+    // Bookings this far back and ahead are in the feeds
+    feedPastDays: parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30,
+    feedFutureDays: parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 365,
+    // How often subscribed calendar apps are asked to refresh
+    feedRefreshMinutes: parseInt(process.env.CALENDAR_FEED_REFRESH_MINUTES, 10) || 60
+  },
+  meetings: {
+    // Adapter video rooms for remote services are made with
+    provider: process.env.MEETING_PROVIDER || 'builtin',
+    builtin: {
+      // Rooms are made at <baseUrl>/<roomPrefix>-<random id>
+      baseUrl: process.env.MEETING_BASE_URL || 'https://meet.jit.si',
+      roomPrefix: process.env.MEETING_ROOM_PREFIX !== undefined
+        ? process.env.MEETING_ROOM_PREFIX
+        : 'recovery-office'
+    }
+  },
+  manageLinks: {
+    // Signs the links clients use to view, cancel or reschedule a booking
+    secret: linkSecret('MANAGE_LINK_SECRET'),
+    expiresInDays: parseInt(process.env.MANAGE_LINK_EXPIRES_DAYS, 10) || 60,
+    baseUrl: process.env.MANAGE_LINK_BASE_URL ||
+      `${process.env.FRONTEND_URL || 'https://recovery28.netlify.app'}/manage-booking`
+  },
+  jobs: {
+    // How often the worker looks for due jobs
+    pollIntervalSeconds: parseInt(process.env.JOB_POLL_SECONDS, 10) || 30,
+    // Running jobs not finished after this long are treated as crashed and retried
+    lockTimeoutMinutes: parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES, 10) || 10,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+    // How often schedules are checked for runs that are due
+    schedulerIntervalSeconds: parseInt(process.env.JOB_SCHEDULER_SECONDS, 10) || 30
+  },
+  reminders: {
+    // Minutes before a booking that reminders go out, for services without their own
+    defaultOffsets: (process.env.REMINDER_OFFSETS_MINUTES || '2880,120')
+      .split(',')
+      .map(value => parseInt(value, 10))
+      .filter(value => value > 0),
+    // How often bookings are checked for reminders to queue
+    planIntervalSeconds: parseInt(process.env.REMINDER_PLAN_SECONDS, 10) || 300
+  },
+  waitlist: {
+    // How long a freed slot is held for the waitlisted client it is offered to
+    offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 120,
+    // Signs the claim and status links sent to waitlisted clients
+    secret: linkSecret('WAITLIST_LINK_SECRET'),
+    // Page clients open to claim an offered slot; the claim token is appended
+    claimBaseUrl: process.env.WAITLIST_CLAIM_BASE_URL ||
+      `${process.env.FRONTEND_URL || 'https://recovery28.netlify.app'}/waitlist-claim`,
+    // Page clients open to see their place on the waitlist; the token is appended
+    statusBaseUrl: process.env.WAITLIST_STATUS_BASE_URL ||
+      `${process.env.FRONTEND_URL || 'https://recovery28.netlify.app'}/waitlist-status`,
+    // Longest a status link works for; it stops sooner once the entry has expired
+    statusLinkDays: parseInt(process.env.WAITLIST_STATUS_LINK_DAYS, 10) || 60,
+    // Days of past bookings the chance of a slot opening is worked out from
+    historyDays: parseInt(process.env.WAITLIST_HISTORY_DAYS, 10) || 180
+  },
+  reportSubscriptions: {
+    // Signs the pause and unsubscribe links in scheduled report emails
+    secret: linkSecret('REPORT_LINK_SECRET'),
+    linkBaseUrl: process.env.REPORT_LINK_BASE_URL ||
+      `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/api/analytics/subscriptions/links`,
+    // Hour of the day, in the subscription's timezone, that reports go out
+    sendHour: parseInt(process.env.REPORT_SEND_HOUR, 10) || 7
+  },
+  sms: {
+    // 'twilio' sends texts; 'log' only writes them to the log
+    provider: process.env.SMS_PROVIDER || 'log',
+    from: process.env.SMS_FROM,
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN
+    }
+  },
   email: {
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
@@ -0,0 +1,271 @@
+/**
+ * Absence Controller
+ * Handles consultant time-off requests, approvals and the team calendar
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Absence = require('../models/Absence');
+const StaffProfile = require('../models/StaffProfile');
+const absenceService = require('../services/absenceService');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthorizationError
+} = require('../utils/AppError');
+
+/**
+ * Load the absence named in the route
+ *
+ * @param {string} id - Absence ID from the route
+ * @returns {Promise<Object>} Absence document
+ */
+const findAbsence = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid absence ID format', 'INVALID_ABSENCE_ID');
+  }
+
+  const absence = await Absence.findById(id);
+  if (!absence) {
+    throw new NotFoundError('Absence not found', 'ABSENCE_NOT_FOUND');
+  }
+
+  return absence;
+};
+
+/**
+ * Find the logged in user's staff profile
+ *
+ * @param {Object} user - Logged in user
+ * @returns {Promise<Object|null>} Staff profile, or null if the user has none
+ */
+const findOwnProfile = (user) => StaffProfile.findOne({ userId: user._id });
+
+/**
+ * Check that a user may act on an absence
+ * Admins can act on any absence; staff only on their own
+ *
+ * @param {Object} absence - Absence document
+ * @param {Object} user - Logged in user
+ * @returns {Promise<void>}
+ */
+const checkOwnership = async (absence, user) => {
+  if (user.role === 'admin') {
+    return;
+  }
+
+  const profile = await findOwnProfile(user);
+  if (!profile || !profile._id.equals(absence.consultantId)) {
+    throw new AuthorizationError('You can only manage your own absences', 'FORBIDDEN');
+  }
+};
+
+/**
+ * Record an absence
+ * Staff record their own absences; admins can record one for any consultant
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the absence and flagged bookings
+ */
+exports.createAbsence = async (req, res, next) => {
+  try {
+    let { consultantId } = req.body;
+
+    if (req.user.role !== 'admin' || !consultantId) {
+      const profile = await findOwnProfile(req.user);
+      if (!profile) {
+        throw new NotFoundError('You do not have a staff profile', 'CONSULTANT_NOT_FOUND');
+      }
+      consultantId = profile._id;
+    } else if (!(await StaffProfile.exists({ _id: consultantId }))) {
+      throw new NotFoundError('Consultant not found', 'CONSULTANT_NOT_FOUND');
+    }
+
+    const { absence, flaggedBookings } = await absenceService.createAbsence(
+      { ...req.body, consultantId },
+      req.user
+    );
+
+    return res.status(201).json({
+      status: 'success',
+      data: {
+        absence,
+        flaggedBookings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get absences
+ * Admins see everyone's absences; staff see their own
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with absences
+ */
+exports.getAbsences = async (req, res, next) => {
+  try {
+    const { status, consultantId, from, to } = req.query;
+    const filter = {};
+
+    if (req.user.role !== 'admin') {
+      const profile = await findOwnProfile(req.user);
+      filter.consultantId = profile ? profile._id : null;
+    } else if (consultantId) {
+      filter.consultantId = consultantId;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (from) {
+      filter.endsAt = { $gte: moment(from).startOf('day').toDate() };
+    }
+
+    if (to) {
+      filter.startsAt = { $lte: moment(to).endOf('day').toDate() };
+    }
+
+    const absences = await Absence.find(filter)
+      .populate('consultantId', 'displayName title')
+      .sort('startsAt');
+
+    return res.status(200).json({
+      status: 'success',
+      results: absences.length,
+      data: absences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the team absence calendar
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with absences per day
+ */
+exports.getTeamCalendar = async (req, res, next) => {
+  try {
+    const start = req.query.from ? moment(req.query.from) : moment().startOf('week');
+    const end = req.query.to ? moment(req.query.to) : moment(start).add(4, 'weeks');
+
+    if (!start.isValid() || !end.isValid()) {
+      throw new ValidationError('Invalid date format. Use YYYY-MM-DD format.', 'INVALID_DATE');
+    }
+
+    if (end.diff(start, 'days') > 366) {
+      throw new ValidationError('The calendar can show at most one year at a time', 'RANGE_TOO_LARGE');
+    }
+
+    const days = await absenceService.getTeamCalendar(start.toDate(), end.toDate(), {
+      includePending: req.query.includePending === 'true'
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      data: days
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get absence by ID
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with absence
+ */
+exports.getAbsenceById = async (req, res, next) => {
+  try {
+    const absence = await findAbsence(req.params.id);
+    await checkOwnership(absence, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      data: absence
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a pending absence
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the absence and flagged bookings
+ */
+exports.approveAbsence = async (req, res, next) => {
+  try {
+    const absence = await findAbsence(req.params.id);
+    const result = await absenceService.reviewAbsence(absence, 'approved', req.user, req.body.note);
+
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a pending absence
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the absence
+ */
+exports.rejectAbsence = async (req, res, next) => {
+  try {
+    const absence = await findAbsence(req.params.id);
+    const { absence: rejected } = await absenceService.reviewAbsence(absence, 'rejected', req.user, req.body.note);
+
+    return res.status(200).json({
+      status: 'success',
+      data: rejected
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an absence
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the absence
+ */
+exports.cancelAbsence = async (req, res, next) => {
+  try {
+    const absence = await findAbsence(req.params.id);
+    await checkOwnership(absence, req.user);
+
+    const cancelled = await absenceService.cancelAbsence(absence);
+
+    return res.status(200).json({
+      status: 'success',
+      data: cancelled
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -4,6 +4,7 @@
  */
 const analyticsService = require('../services/analyticsService');
 const reportService = require('../services/reportService');
+const reportSubscriptionService = require('../services/reportSubscriptionService');
 const { ValidationError } = require('../utils/AppError');
 
 /**
@@ -260,24 +261,297 @@ exports.scheduleReport = async (req, res, next) => {
       );
     }
     
+    // Repeating reports become subscriptions, delivered on schedule
+    if (frequency !== 'once') {
+      const { subscription, nextRunAt } = await reportSubscriptionService.createSubscription({
+        reportType,
+        format,
+        frequency,
+        recipients: [email],
+        window: req.body.window,
+        filters: { period }
+      }, req.user);
+      
+      return res.status(201).json({
+        status: 'success',
+        message: `Report has been scheduled for delivery to ${email}`,
+        data: {
+          subscription,
+          nextRunAt
+        }
+      });
+    }
+    
     // Prepare filters
     const filters = { startDate, endDate, period };
     
-    // Schedule report
+    // Send report
     const result = await reportService.scheduleReport(
       reportType,
       filters,
       email,
       format,
-      frequency
+      req.user
     );
     
     return res.status(200).json({
       status: 'success',
-      message: `Report has been scheduled for delivery to ${email}`,
+      message: `Report has been sent to ${email}`,
       data: result
     });
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * List report subscriptions
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with subscriptions
+ */
+exports.getSubscriptions = async (req, res, next) => {
+  try {
+    const { status, reportType } = req.query;
+    const subscriptions = await reportSubscriptionService.listSubscriptions({ status, reportType });
+    
+    return res.status(200).json({
+      status: 'success',
+      results: subscriptions.length,
+      data: subscriptions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a report subscription
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the subscription and its first send time
+ */
+exports.createSubscription = async (req, res, next) => {
+  try {
+    const { subscription, nextRunAt } = await reportSubscriptionService.createSubscription(req.body, req.user);
+    
+    return res.status(201).json({
+      status: 'success',
+      data: {
+        subscription,
+        nextRunAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a report subscription and its recent reports
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the subscription and report history
+ */
+exports.getSubscription = async (req, res, next) => {
+  try {
+    const subscription = await reportSubscriptionService.getSubscription(req.params.id);
+    const reports = await reportSubscriptionService.getReportHistory(subscription._id);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        subscription,
+        reports
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a report subscription
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the subscription
+ */
+exports.updateSubscription = async (req, res, next) => {
+  try {
+    const subscription = await reportSubscriptionService.updateSubscription(req.params.id, req.body);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause a report subscription
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the subscription
+ */
+exports.pauseSubscription = async (req, res, next) => {
+  try {
+    const subscription = await reportSubscriptionService.pauseSubscription(req.params.id, req.user);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused report subscription
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the subscription and its next send time
+ */
+exports.resumeSubscription = async (req, res, next) => {
+  try {
+    const { subscription, nextRunAt } = await reportSubscriptionService.resumeSubscription(req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        subscription,
+        nextRunAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End a report subscription; its reports are kept
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the subscription
+ */
+exports.deleteSubscription = async (req, res, next) => {
+  try {
+    const subscription = await reportSubscriptionService.endSubscription(req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'Subscription ended',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a subscription's report now
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the queued job
+ */
+exports.sendSubscription = async (req, res, next) => {
+  try {
+    const job = await reportSubscriptionService.sendNow(req.params.id, req.user);
+    
+    return res.status(202).json({
+      status: 'success',
+      message: 'Report queued for delivery',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause or unsubscribe from a report through a link in its email
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with a confirmation message
+ */
+exports.handleSubscriptionLink = async (req, res, next) => {
+  try {
+    const { message } = await reportSubscriptionService.handleLink(req.params.token, req.params.action);
+    
+    return res.status(200).json({
+      status: 'success',
+      message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List stored reports
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with reports and pagination
+ */
+exports.getReports = async (req, res, next) => {
+  try {
+    const { reportType, source, subscriptionId, page, limit } = req.query;
+    const { reports, pagination } = await reportService.listReports(
+      { reportType, source, subscriptionId },
+      { page, limit }
+    );
+    
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        reports,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a stored report
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Report file download
+ */
+exports.downloadReport = async (req, res, next) => {
+  try {
+    const report = await reportService.getReport(req.params.id);
+    
+    res.setHeader('Content-Type', report.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename=${report.filename}`);
+    
+    return res.send(report.content);
+  } catch (error) {
+    next(error);
+  }
+};
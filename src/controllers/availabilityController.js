@@ -0,0 +1,153 @@
+/**
+ * Availability Controller
+ * Handles the weekly availability template stored on each service
+ */
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/AppError');
+
+/**
+ * Load the service named in the route
+ *
+ * @param {string} id - Service ID from the route
+ * @returns {Promise<Object>} Service document
+ */
+const findService = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid service ID format', 'INVALID_SERVICE_ID');
+  }
+
+  const service = await Service.findById(id);
+  if (!service) {
+    throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+  }
+
+  return service;
+};
+
+/**
+ * Store a template on a service and save it
+ *
+ * @param {Object} service - Service document
+ * @param {Object} template - Validated template fields
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object>} Saved template
+ */
+const saveTemplate = async (service, template, user) => {
+  service.availability = {
+    weeklyHours: template.weeklyHours,
+    slotDuration: template.slotDuration,
+    bufferBefore: template.bufferBefore,
+    bufferAfter: template.bufferAfter,
+    updatedBy: user ? user._id : undefined
+  };
+
+  await service.save();
+  return service.availability;
+};
+
+/**
+ * Get the availability template of a service
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the template
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const service = await findService(req.params.id);
+
+    if (!service.availability) {
+      throw new NotFoundError('This service has no availability template', 'TEMPLATE_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: service.availability
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create the availability template of a service
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the created template
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const service = await findService(req.params.id);
+
+    if (service.availability) {
+      throw new ConflictError(
+        'This service already has an availability template. Use PUT to replace it.',
+        'TEMPLATE_EXISTS'
+      );
+    }
+
+    const template = await saveTemplate(service, req.body, req.user);
+
+    return res.status(201).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the availability template of a service
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the updated template
+ */
+exports.replaceTemplate = async (req, res, next) => {
+  try {
+    const service = await findService(req.params.id);
+    const template = await saveTemplate(service, req.body, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete the availability template of a service
+ * The service falls back to offering its published time slots only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with deleted status
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const service = await findService(req.params.id);
+
+    if (!service.availability) {
+      throw new NotFoundError('This service has no availability template', 'TEMPLATE_NOT_FOUND');
+    }
+
+    service.availability = undefined;
+    await service.save();
+
+    return res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
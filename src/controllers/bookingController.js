@@ -1,13 +1,49 @@
 const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
-const TimeSlot = require('../models/TimeSlot');
 const Service = require('../models/Service');
 const Client = require('../models/Client');
 const emailService = require('../utils/emailService');
 const recurrenceService = require('../services/recurrenceService');
-const { NotFoundError } = require('../utils/AppError');
+const bookingService = require('../services/bookingService');
+const seriesService = require('../services/seriesService');
+const waitlistService = require('../services/waitlistService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const invoiceService = require('../services/invoiceService');
+const calendarService = require('../services/calendarService');
+const intakeService = require('../services/intakeService');
+const availabilityService = require('../services/availabilityService');
+const { isValidTimeSlot, parseTimeSlot } = require('../utils/scheduleUtils');
+const { describeInZone, toDayKey } = require('../utils/timezone');
+const {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  InternalError
+} = require('../utils/AppError');
+const config = require('../config');
 const logger = require('../utils/logger');
 
+/**
+ * Get a booking as it is sent to the requester
+ * Only staff see the client's intake answers and the meeting's host link.
+ * 
+ * @param {Object} booking - Booking document
+ * @param {Object} user - Logged in user, if any
+ * @returns {Object} Booking fields for the response
+ */
+const forViewer = (booking, user) => {
+  const visible = booking.toJSON();
+  
+  if (!user || !['admin', 'staff'].includes(user.role)) {
+    delete visible.intake;
+    if (visible.meeting) {
+      delete visible.meeting.hostUrl;
+    }
+  }
+  
+  return visible;
+};
+
 /**
  * Create a new booking
  * 
@@ -28,14 +64,20 @@ exports.createBooking = async (req, res, _next) => {
       serviceName,
       date,
       timeSlot,
+      consultantId,
+      holdToken,
+      clientTimezone,
       notes,
       urgencyLevel,
       estimatedValue,
       status,
+      intakeAnswers,
       isRecurring,
       recurrencePattern,
       recurrenceEndDate,
-      recurrenceCount
+      recurrenceCount,
+      recurrenceRule,
+      recurrenceExceptions
     } = req.body;
     
     console.log('[Booking Controller] Creating booking with data:', {
@@ -170,35 +212,51 @@ exports.createBooking = async (req, res, _next) => {
       serviceName: serviceName || serviceExists.name,
       date: new Date(date),
       timeSlot,
+      clientTimezone: clientTimezone || undefined,
       notes: notes || '',
       urgencyLevel: urgencyLevel || 'standard',
       estimatedValue: estimatedValue || 0,
       status: status || 'confirmed',
       createdBy: req.user ? req.user._id : undefined,
       // Recurrence fields
-      isRecurring: isRecurring || false,
+      isRecurring: Boolean(isRecurring || recurrenceRule),
       recurrencePattern: recurrencePattern || 'none',
       recurrenceEndDate: recurrenceEndDate ? new Date(recurrenceEndDate) : undefined,
       recurrenceCount: recurrenceCount || 0
     };
 
-    console.log('[Booking Controller] Creating booking with data:', bookingData);
+    // Check intake answers given with the booking against the service's
+    // form; clients can also answer later through their manage link
+    if (intakeAnswers) {
+      const intakeForm = await intakeService.getForm(serviceExists._id);
+      bookingData.intake = intakeService.buildIntake(intakeForm, intakeAnswers);
+    }
 
-    const newBooking = new Booking(bookingData);
-    const savedBooking = await newBooking.save();
+    // Create the booking, reserve its slot and generate any recurring
+    // bookings in one transaction so the slot cannot be double booked
+    const { booking: savedBooking, childBookings } = await bookingService.createBooking(bookingData, {
+      service: serviceExists,
+      consultantId,
+      holdToken,
+      recurrence: {
+        rule: recurrenceRule,
+        pattern: bookingData.recurrencePattern,
+        endDate: bookingData.recurrenceEndDate,
+        count: bookingData.recurrenceCount,
+        exceptions: recurrenceExceptions
+      }
+    });
 
     console.log('[Booking Controller] ✅ Booking created successfully:', {
       bookingId: savedBooking._id,
       bookingReference: savedBooking.reference,
       clientId: savedBooking.clientId,
       serviceId: savedBooking.serviceId,
-      serviceName: savedBooking.serviceName
+      serviceName: savedBooking.serviceName,
+      recurringBookings: childBookings.length
     });
     console.log('[Booking Controller] === BOOKING CREATION DEBUG END ===');
 
-    // For recovery consultations, we'll skip slot management since we don't have a slot system
-    // and focus on the core booking functionality
-    
     // Generate booking reference if not already generated by the model
     if (!savedBooking.reference) {
       savedBooking.reference = `RO-${Date.now()}-${savedBooking._id.toString().slice(-6).toUpperCase()}`;
@@ -219,18 +277,28 @@ exports.createBooking = async (req, res, _next) => {
       notes: notes || ''
     };
 
-    const bookingEmailData = {
-      reference: savedBooking.reference,
-      serviceName: savedBooking.serviceName,
-      date: savedBooking.date,
-      timeSlot: timeSlot || 'To be confirmed',
-      urgencyLevel: savedBooking.urgencyLevel
-    };
+    const bookingEmailData = await bookingService.buildBookingEmailData(savedBooking);
+
+    // Invoice paid bookings and attach the invoice to the confirmation,
+    // with calendar invites for any repeats (the booking's own comes with
+    // its email data)
+    const attachments = childBookings
+      .map(child => calendarService.buildInvite(child, clientExists))
+      .filter(Boolean);
+    try {
+      const invoice = await invoiceService.issueInvoice(savedBooking, req.user);
+      if (invoice) {
+        attachments.push(invoiceService.toAttachment(invoice));
+      }
+    } catch (error) {
+      console.error('[Booking Controller] Error issuing invoice:', error.message);
+      // Don't fail the booking; the invoice is issued when it is next asked for
+    }
 
     // Send professional client confirmation email (non-blocking)
     try {
       console.log('[Booking Controller] Sending professional client confirmation...');
-      const clientEmailResult = await emailService.sendNewBookingConfirmation(clientEmailData, bookingEmailData);
+      const clientEmailResult = await emailService.sendNewBookingConfirmation(clientEmailData, bookingEmailData, attachments);
       
       if (clientEmailResult.success) {
         savedBooking.confirmationSent = true;
@@ -304,7 +372,7 @@ exports.createBooking = async (req, res, _next) => {
       data: {
         _id: savedBooking._id,
         reference: savedBooking.reference,
-        ...savedBooking.toObject()
+        ...forViewer(savedBooking, req.user)
       },
       message: 'Booking created successfully'
     });
@@ -312,6 +380,27 @@ exports.createBooking = async (req, res, _next) => {
     console.error('[Booking Controller] ❌ Error creating booking:', error);
     console.error('[Booking Controller] Error stack:', error.stack);
     
+    // Check if the slot was taken by another booking
+    if (error instanceof ConflictError) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message,
+        code: error.errorCode,
+        details: error.details
+      });
+    }
+    
+    // Check if the time slot is outside opening hours, on a closed day or
+    // with a consultant who cannot take it
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message,
+        code: error.errorCode,
+        details: error.details
+      });
+    }
+    
     // Check if it's a validation error
     if (error.name === 'ValidationError') {
       console.error('[Booking Controller] Mongoose validation error:', error.errors);
@@ -374,7 +463,8 @@ exports.getBookingById = async (req, res, next) => {
     
     const booking = await Booking.findById(id)
       .populate('clientId', 'firstName lastName email phone')
-      .populate('serviceId', 'name duration price');
+      .populate('serviceId', 'name duration price')
+      .populate('consultantId', 'displayName title');
     
     if (!booking) {
       throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
@@ -415,7 +505,7 @@ exports.getBookingById = async (req, res, next) => {
     return res.status(200).json({
       status: 'success',
       data: {
-        booking,
+        booking: forViewer(booking, req.user),
         seriesInfo
       }
     });
@@ -444,26 +534,35 @@ exports.updateBooking = async (req, res, next) => {
       throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
     }
     
+    if (notes) {
+      booking.notes = notes;
+    }
+    
+    // Cancelling takes the same steps as POST /:id/cancel
+    if (status === 'cancelled' && booking.status !== 'cancelled') {
+      await cancellationPolicyService.cancelBooking(booking, { reason: cancellationReason, user: req.user });
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          booking: forViewer(booking, req.user)
+        }
+      });
+    }
+    
     // Update fields
     if (status) {
-      booking.status = status;
-      
-      // If cancelling, add cancellation reason
-      if (status === 'cancelled' && cancellationReason) {
-        booking.cancellationReason = cancellationReason;
+      // Clients can only miss a session that has started
+      if (status === 'no-show' && booking.status !== 'no-show' && !cancellationPolicyService.hasStarted(booking)) {
+        throw new ValidationError('A booking cannot be marked as a no-show before it has started', 'NOT_STARTED');
       }
       
-      // If cancelling, release the slot
-      if (status === 'cancelled') {
-        await TimeSlot.findOneAndUpdate(
-          { bookingId: booking._id },
-          { isAvailable: true, bookingId: null }
-        );
+      // Marking a no-show applies the cancellation policy
+      if (status === 'no-show' && status !== booking.status && availabilityService.ACTIVE_STATUSES.includes(booking.status)) {
+        await cancellationPolicyService.applyNoShow(booking, { user: req.user });
       }
-    }
-    
-    if (notes) {
-      booking.notes = notes;
+      
+      booking.status = status;
     }
     
     // Track who updated the booking
@@ -475,7 +574,7 @@ exports.updateBooking = async (req, res, next) => {
     return res.status(200).json({
       status: 'success',
       data: {
-        booking
+        booking: forViewer(booking, req.user)
       }
     });
   } catch (error) {
@@ -496,9 +595,13 @@ exports.cancelBooking = async (req, res, next) => {
     const { id } = req.params;
     const { 
       cancellationReason, 
-      cancelFutureBookings = false,
-      cancelEntireSeries = false
+      scope,
+      waiveFee,
+      waiverReason
     } = req.body;
+    // scope ('this', 'following' or 'all') replaces the two older flags
+    const cancelFutureBookings = scope ? scope === 'following' : Boolean(req.body.cancelFutureBookings);
+    const cancelEntireSeries = scope ? scope === 'all' : Boolean(req.body.cancelEntireSeries);
     
     // Find booking
     const booking = await Booking.findById(id);
@@ -519,6 +622,22 @@ exports.cancelBooking = async (req, res, next) => {
         !cancelEntireSeries // If cancelEntireSeries is true, cancelFutureOnly is false
       );
       
+      // Apply the cancellation policy to the bookings that were still to
+      // take place, then offer their slots to the waitlist
+      const cancelled = await Booking.find({ _id: { $in: results.upcomingBookingIds } });
+      for (const cancelledBooking of cancelled) {
+        await cancellationPolicyService.applyCancellation(cancelledBooking, {
+          user: req.user,
+          waive: waiveFee,
+          waiverReason
+        });
+        await cancelledBooking.save({ validateBeforeSave: false });
+      }
+      await waitlistService.queueFreedSlots(cancelled);
+      
+      // Take the sessions out of the client's calendar
+      await bookingService.notifyCancellation(cancelled);
+      
       return res.status(200).json({
         status: 'success',
         message: `Successfully cancelled ${results.cancelled} bookings in the series`,
@@ -528,25 +647,19 @@ exports.cancelBooking = async (req, res, next) => {
         }
       });
     } else {
-      // Cancel just this booking
-      booking.status = 'cancelled';
-      booking.cancellationReason = cancellationReason;
-      booking.updatedBy = req.user ? req.user._id : undefined;
-      
-      // Save booking
-      await booking.save();
-      
-      // Release the slot
-      await TimeSlot.findOneAndUpdate(
-        { bookingId: booking._id },
-        { isAvailable: true, bookingId: null }
-      );
+      // Cancel just this booking, charging any fee the policy sets
+      await cancellationPolicyService.cancelBooking(booking, {
+        reason: cancellationReason,
+        user: req.user,
+        waive: waiveFee,
+        waiverReason
+      });
       
       return res.status(200).json({
         status: 'success',
         message: 'Booking cancelled successfully',
         data: {
-          booking
+          booking: forViewer(booking, req.user)
         }
       });
     }
@@ -555,6 +668,419 @@ exports.cancelBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Reschedule a booking to a new date and time
+ * Staff can move any booking; clients move their own through their manage
+ * link, within the notice period
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the rescheduled booking
+ */
+exports.rescheduleBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid booking ID format', 'INVALID_BOOKING_ID');
+    }
+    
+    const existing = await Booking.findById(id).populate('clientId', 'firstName lastName email');
+    
+    if (!existing) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+    }
+    
+    const client = existing.clientId;
+    
+    // Clients come through their manage link; staff are not held to the notice period
+    const { booking, previous } = await bookingService.rescheduleBooking(id, req.body, {
+      user: req.user,
+      byClient: Boolean(req.manageBooking)
+    });
+    
+    // Offer the time the booking moved out of to the waitlist
+    if (previous.fromTimeSlot !== booking.timeSlot || toDayKey(previous.fromDate) !== toDayKey(booking.date)) {
+      await waitlistService.queueFreedSlots([{
+        serviceId: existing.serviceId,
+        date: previous.fromDate,
+        timeSlot: previous.fromTimeSlot,
+        startsAt: previous.fromStartsAt
+      }]);
+    }
+    
+    // Send the updated confirmation (non-blocking)
+    if (client) {
+      try {
+        const bookingEmailData = await bookingService.buildBookingEmailData(booking);
+        
+        if (previous.fromStartsAt && isValidTimeSlot(previous.fromTimeSlot)) {
+          const { start, end } = parseTimeSlot(previous.fromTimeSlot);
+          const fromEndsAt = new Date(previous.fromStartsAt.getTime() + (end - start) * 60000);
+          const previousTime = describeInZone(previous.fromStartsAt, fromEndsAt, bookingEmailData.timezone);
+          bookingEmailData.previousTime = `${previousTime.date} ${previousTime.timeSlot} ${previousTime.abbreviation}`;
+        } else {
+          bookingEmailData.previousTime = `${previous.fromDate.toDateString()} ${previous.fromTimeSlot}`;
+        }
+        
+        const emailResult = await emailService.sendBookingRescheduled(client, bookingEmailData);
+        if (!emailResult.success) {
+          logger.error(`Reschedule confirmation for booking ${booking._id} failed: ${emailResult.error}`);
+        }
+      } catch (error) {
+        logger.error(`Error sending reschedule confirmation for booking ${booking._id}: ${error.message}`);
+      }
+    }
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'Booking rescheduled successfully',
+      data: {
+        booking: forViewer(booking, req.user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the booking a manage link was sent for
+ * Only what the client needs to see their booking is returned
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the booking
+ */
+exports.getManagedBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.manageBooking._id)
+      .populate('clientId', 'firstName lastName')
+      .populate('consultantId', 'displayName title photoUrl');
+    
+    const noticeHours = config.scheduling.rescheduleMinNoticeHours;
+    const isActive = availabilityService.ACTIVE_STATUSES.includes(booking.status);
+    const rescheduleDeadline = booking.startsAt
+      ? new Date(booking.startsAt.getTime() - noticeHours * 60 * 60 * 1000)
+      : null;
+    
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        booking: {
+          _id: booking._id,
+          reference: booking.reference,
+          serviceId: booking.serviceId,
+          serviceName: booking.serviceName,
+          date: booking.date,
+          timeSlot: booking.timeSlot,
+          startsAt: booking.startsAt,
+          endsAt: booking.endsAt,
+          timezone: booking.timezone,
+          clientTimezone: booking.clientTimezone,
+          status: booking.status,
+          client: booking.clientId,
+          consultant: booking.consultantId,
+          meetingUrl: booking.meeting ? booking.meeting.joinUrl : null,
+          intakeSubmittedAt: booking.intake ? booking.intake.submittedAt : null,
+          isRecurring: booking.isRecurring
+        },
+        actions: {
+          canCancel: isActive,
+          canReschedule: isActive && (!rescheduleDeadline || rescheduleDeadline > new Date()),
+          rescheduleDeadline,
+          // What cancelling now would cost under the service's policy
+          cancellation: isActive
+            ? cancellationPolicyService.evaluateCancellation(
+              booking,
+              await Service.findById(booking.serviceId).select('price cancellationPolicy')
+            )
+            : null
+        },
+        policyOutcome: booking.policyOutcome
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send the client a new manage link
+ * Links sent earlier for the booking stop working
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response confirming the link was sent
+ */
+exports.resendManageLink = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('clientId', 'firstName lastName email');
+    
+    if (!booking) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+    }
+    
+    if (!booking.clientId) {
+      throw new ValidationError('The booking has no client to send the link to', 'CLIENT_NOT_FOUND');
+    }
+    
+    booking.manageLinkVersion = (booking.manageLinkVersion || 0) + 1;
+    booking.updatedBy = req.user._id;
+    await booking.save({ validateBeforeSave: false });
+    
+    const bookingEmailData = await bookingService.buildBookingEmailData(booking);
+    const emailResult = await emailService.sendNewBookingConfirmation(booking.clientId, bookingEmailData);
+    
+    if (!emailResult.success) {
+      throw new InternalError('The manage link could not be emailed', 'EMAIL_FAILED');
+    }
+    
+    logger.info(`Manage link for booking ${booking._id} re-sent by ${req.user._id}`);
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'A new manage link has been emailed to the client'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark bookings from a day's sessions as no-shows, charging the no-show fee
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with marked and skipped bookings
+ */
+exports.markNoShows = async (req, res, next) => {
+  try {
+    const { date, bookingIds } = req.body;
+    const { marked, skipped } = await cancellationPolicyService.markNoShows(date, bookingIds, req.user);
+    
+    return res.status(200).json({
+      status: 'success',
+      message: `Marked ${marked.length} bookings as no-shows`,
+      data: {
+        marked,
+        skipped
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Waive the fee a booking's late cancellation or no-show incurred
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the updated booking
+ */
+exports.waiveFee = async (req, res, next) => {
+  try {
+    const booking = await cancellationPolicyService.waiveFee(req.params.id, req.user, req.body.reason);
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'Fee waived successfully',
+      data: {
+        booking
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a booking's invoice as a PDF
+ * Charges posted since the last invoice are billed on a new one first
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Invoice file download
+ */
+exports.getInvoice = async (req, res, next) => {
+  try {
+    const bookingId = req.manageBooking ? req.manageBooking._id : req.params.id;
+    const invoice = await invoiceService.getInvoice(bookingId, req.user);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${invoice.filename}`);
+    
+    return res.send(invoice.pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a booking's invoices, receipts and credit notes
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the documents
+ */
+exports.getInvoiceDocuments = async (req, res, next) => {
+  try {
+    const documents = await invoiceService.listDocuments(req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      results: documents.length,
+      data: {
+        documents
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download one of a booking's invoices, receipts or credit notes
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} Document file download
+ */
+exports.downloadInvoiceDocument = async (req, res, next) => {
+  try {
+    const document = await invoiceService.getDocument(req.params.id, req.params.number);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${document.filename}`);
+    
+    return res.send(document.pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reassign a booking to another consultant
+ * Without a consultantId the suggested replacement is used
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the updated booking
+ */
+exports.reassignBooking = async (req, res, next) => {
+  try {
+    const booking = await bookingService.reassignConsultant(
+      req.params.id,
+      req.body.consultantId,
+      req.user
+    );
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'Booking reassigned successfully',
+      data: {
+        booking
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a recurring booking series from one of its occurrences
+ * The scope picks this occurrence only, this and following occurrences
+ * (split off as a new series) or the whole series
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the edited series
+ */
+exports.updateSeries = async (req, res, next) => {
+  try {
+    const { scope, ...changes } = req.body;
+    
+    const { series, bookings, splitFrom } = await seriesService.updateSeries(req.params.id, changes, {
+      scope,
+      user: req.user
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      message: `Updated ${bookings.length} bookings in the series`,
+      data: {
+        series,
+        bookings,
+        splitFrom
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview the occurrences of a recurring booking
+ * Lists every day the rule gives and whether it can be booked now, so the
+ * client can adjust the rule or exceptions before booking the series
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the occurrences
+ */
+exports.previewRecurrence = async (req, res, next) => {
+  try {
+    const {
+      serviceId,
+      date,
+      timeSlot,
+      consultantId,
+      recurrenceRule,
+      recurrencePattern,
+      recurrenceEndDate,
+      recurrenceCount,
+      recurrenceExceptions
+    } = req.body;
+    
+    const service = await Service.findById(serviceId);
+    
+    if (!service) {
+      throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+    }
+    
+    const preview = await recurrenceService.previewOccurrences(
+      service,
+      { date, timeSlot, consultantId },
+      {
+        rule: recurrenceRule,
+        pattern: recurrencePattern,
+        endDate: recurrenceEndDate,
+        count: recurrenceCount,
+        exceptions: recurrenceExceptions
+      }
+    );
+    
+    return res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all bookings (admin)
  * 
@@ -574,7 +1100,10 @@ exports.getAllBookings = async (req, res, next) => {
       limit = 20,
       sortBy = 'date',
       sortOrder = 'desc',
-      isRecurring
+      isRecurring,
+      consultantId,
+      needsReassignment,
+      caseId
     } = req.query;
     
     // Build query
@@ -607,6 +1136,21 @@ exports.getAllBookings = async (req, res, next) => {
       query.isRecurring = isRecurring === 'true';
     }
     
+    if (consultantId) {
+      query.consultantId = consultantId;
+    }
+    
+    if (needsReassignment !== undefined) {
+      query.needsReassignment = needsReassignment === 'true';
+    }
+    
+    if (caseId) {
+      if (!mongoose.Types.ObjectId.isValid(caseId)) {
+        throw new ValidationError('Invalid case ID format', 'INVALID_CASE_ID');
+      }
+      query.caseId = caseId;
+    }
+    
     // Set up pagination
     const skip = (page - 1) * limit;
     
@@ -628,7 +1172,7 @@ exports.getAllBookings = async (req, res, next) => {
     return res.status(200).json({
       status: 'success',
       data: {
-        bookings,
+        bookings: bookings.map(booking => forViewer(booking, req.user)),
         pagination: {
           total,
           page: parseInt(page),
@@ -683,7 +1227,7 @@ exports.getClientBookings = async (req, res, next) => {
     return res.status(200).json({
       status: 'success',
       data: {
-        bookings
+        bookings: bookings.map(booking => forViewer(booking, req.user))
       }
     });
   } catch (error) {
@@ -705,7 +1249,8 @@ exports.getBookingByReference = async (req, res, next) => {
     
     const booking = await Booking.findOne({ reference })
       .populate('clientId', 'firstName lastName email phone')
-      .populate('serviceId', 'name duration price');
+      .populate('serviceId', 'name duration price')
+      .populate('consultantId', 'displayName title');
     
     if (!booking) {
       throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
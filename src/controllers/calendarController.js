@@ -0,0 +1,97 @@
+/**
+ * Calendar Controller
+ * Read-only iCalendar feeds of consultants' and services' bookings, and the
+ * links staff subscribe to them with
+ */
+const calendarService = require('../services/calendarService');
+const { AuthorizationError } = require('../utils/AppError');
+
+/**
+ * Load the consultant or service named in the route, checking the user may
+ * manage its feed
+ * Staff can only manage their own feed; admins can manage every feed.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Consultant or service
+ */
+const findSubject = async (req) => {
+  const subject = await calendarService.findFeedSubject(req.params.scope, req.params.id);
+
+  if (req.params.scope === 'staff' && req.user.role !== 'admin' &&
+    subject.userId.toString() !== req.user._id.toString()) {
+    throw new AuthorizationError('You can only manage your own calendar feed', 'FORBIDDEN');
+  }
+
+  return subject;
+};
+
+/**
+ * Serve a calendar feed to a calendar app
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} iCalendar file
+ */
+exports.getFeed = async (req, res, next) => {
+  try {
+    const { ics } = await calendarService.buildFeed(req.params.token);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename=bookings.ics');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+
+    return res.send(ics);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the link to subscribe to a consultant's or service's feed
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the feed URL
+ */
+exports.getFeedLink = async (req, res, next) => {
+  try {
+    const subject = await findSubject(req);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        url: subject.getCalendarFeedUrl()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a feed link and make a new one
+ * Calendars subscribed with the old link stop updating
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the new feed URL
+ */
+exports.rotateFeedLink = async (req, res, next) => {
+  try {
+    const subject = await findSubject(req);
+    const url = await calendarService.rotateFeed(subject);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Calendar feed link replaced; the old link no longer works',
+      data: {
+        url
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
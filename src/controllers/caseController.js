@@ -0,0 +1,272 @@
+/**
+ * Case Controller
+ * Handles recovery cases, their status pipeline, timeline and the
+ * bookings linked to them
+ */
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const caseService = require('../services/caseService');
+const { ValidationError, NotFoundError } = require('../utils/AppError');
+
+/**
+ * Load the case named in the route
+ *
+ * @param {string} id - Case ID from the route
+ * @returns {Promise<Object>} Case document
+ */
+const findCase = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid case ID format', 'INVALID_CASE_ID');
+  }
+
+  const caseDoc = await Case.findById(id);
+  if (!caseDoc) {
+    throw new NotFoundError('Case not found', 'CASE_NOT_FOUND');
+  }
+
+  return caseDoc;
+};
+
+/**
+ * Load a case with its client, handler, lead, bookings and timeline authors
+ *
+ * @param {string} id - Case ID
+ * @returns {Promise<Object>} Populated case document
+ */
+const findCaseDetails = (id) => Case.findById(id)
+  .populate('clientId', 'firstName lastName email phone')
+  .populate('handlerId', 'firstName lastName email')
+  .populate('leadId', 'name email referenceNumber leadStatus source')
+  .populate('bookings', 'reference serviceName startsAt endsAt status')
+  .populate('timeline.by', 'firstName lastName');
+
+/**
+ * Open a case
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the created case
+ */
+exports.createCase = async (req, res, next) => {
+  try {
+    const caseDoc = await caseService.createCase(req.body, req.user);
+
+    return res.status(201).json({
+      status: 'success',
+      data: await findCaseDetails(caseDoc._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get cases
+ * Filter by status, open, handlerId, clientId, leadId, caseType,
+ * urgencyLevel, from, to and search, with pagination
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with cases
+ */
+exports.getCases = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, sortBy, sortOrder } = req.query;
+    const filter = caseService.buildCaseFilter(req.query, req.user);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [cases, total] = await Promise.all([
+      Case.find(filter)
+        .select('-timeline')
+        .populate('clientId', 'firstName lastName email')
+        .populate('handlerId', 'firstName lastName')
+        .sort(caseService.buildCaseSort(sortBy, sortOrder))
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Case.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      status: 'success',
+      results: cases.length,
+      data: {
+        cases,
+        pagination: {
+          total,
+          page: pageNumber,
+          limit: pageSize,
+          pages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a case with its bookings and timeline
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the case
+ */
+exports.getCaseById = async (req, res, next) => {
+  try {
+    const caseDoc = await findCase(req.params.id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        case: await findCaseDetails(caseDoc._id),
+        allowedStatuses: caseService.allowedStatuses(caseDoc.status)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a case's details, handler or lead
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the updated case
+ */
+exports.updateCase = async (req, res, next) => {
+  try {
+    const caseDoc = await findCase(req.params.id);
+    await caseService.updateCase(caseDoc, req.body, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      data: await findCaseDetails(caseDoc._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a case to another status in the pipeline
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the updated case
+ */
+exports.changeStatus = async (req, res, next) => {
+  try {
+    const caseDoc = await findCase(req.params.id);
+    const { status, note, amountRecovered } = req.body;
+
+    await caseService.changeStatus(caseDoc, status, { note, amountRecovered }, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Case moved to ${status}`,
+      data: {
+        case: await findCaseDetails(caseDoc._id),
+        allowedStatuses: caseService.allowedStatuses(status)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a note to a case's timeline
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the timeline entry
+ */
+exports.addNote = async (req, res, next) => {
+  try {
+    const caseDoc = await findCase(req.params.id);
+    const entry = await caseService.addNote(caseDoc, req.body.message, req.user);
+
+    return res.status(201).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link one of the client's bookings to a case
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the linked booking
+ */
+exports.linkBooking = async (req, res, next) => {
+  try {
+    const caseDoc = await findCase(req.params.id);
+    const booking = await caseService.linkBooking(caseDoc, req.body.bookingId, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Booking ${booking.reference} linked to case ${caseDoc.reference}`,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a booking from a case
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with deleted status
+ */
+exports.unlinkBooking = async (req, res, next) => {
+  try {
+    const caseDoc = await findCase(req.params.id);
+    await caseService.unlinkBooking(caseDoc, req.params.bookingId, req.user);
+
+    return res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a case
+ * Its bookings and lead are kept
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with deleted status
+ */
+exports.deleteCase = async (req, res, next) => {
+  try {
+    const caseDoc = await findCase(req.params.id);
+    await caseService.deleteCase(caseDoc);
+
+    return res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,215 @@
+/**
+ * Closure Controller
+ * Handles office closures, bank holidays and blackout dates
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Closure = require('../models/Closure');
+const closureService = require('../services/closureService');
+const { ValidationError, NotFoundError } = require('../utils/AppError');
+
+/**
+ * Load the closure named in the route
+ *
+ * @param {string} id - Closure ID from the route
+ * @returns {Promise<Object>} Closure document
+ */
+const findClosure = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid closure ID format', 'INVALID_CLOSURE_ID');
+  }
+
+  const closure = await Closure.findById(id);
+  if (!closure) {
+    throw new NotFoundError('Closure not found', 'CLOSURE_NOT_FOUND');
+  }
+
+  return closure;
+};
+
+/**
+ * Get closures, optionally limited to a date range and service
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with closures
+ */
+exports.getClosures = async (req, res, next) => {
+  try {
+    const { from, to, serviceId } = req.query;
+
+    const start = from ? moment(from) : moment().startOf('day');
+    const end = to ? moment(to) : moment(start).add(1, 'year');
+
+    if (!start.isValid() || !end.isValid()) {
+      throw new ValidationError('Invalid date format. Use YYYY-MM-DD format.', 'INVALID_DATE');
+    }
+
+    if (serviceId && !mongoose.Types.ObjectId.isValid(serviceId)) {
+      throw new ValidationError('Invalid service ID format', 'INVALID_SERVICE_ID');
+    }
+
+    const closures = await Closure.findInRange(start.toDate(), end.toDate(), serviceId || null);
+
+    return res.status(200).json({
+      status: 'success',
+      results: closures.length,
+      data: closures
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get closure by ID
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with closure
+ */
+exports.getClosureById = async (req, res, next) => {
+  try {
+    const closure = await findClosure(req.params.id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: closure
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a closure for a date range
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the closure and clashing bookings
+ */
+exports.createClosure = async (req, res, next) => {
+  try {
+    const { closure, clashingBookings } = await closureService.createClosure(req.body, req.user);
+
+    return res.status(201).json({
+      status: 'success',
+      data: {
+        closure,
+        clashingBookings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a closure
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the closure and clashing bookings
+ */
+exports.updateClosure = async (req, res, next) => {
+  try {
+    const existing = await findClosure(req.params.id);
+    const { closure, clashingBookings } = await closureService.updateClosure(existing, req.body);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        closure,
+        clashingBookings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a closure
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with deleted status
+ */
+exports.deleteClosure = async (req, res, next) => {
+  try {
+    const closure = await findClosure(req.params.id);
+    await closure.deleteOne();
+
+    return res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the active bookings that fall on a closure
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with clashing bookings
+ */
+exports.getClashingBookings = async (req, res, next) => {
+  try {
+    const closure = await findClosure(req.params.id);
+    const clashingBookings = await closureService.findClashingBookings(closure);
+
+    return res.status(200).json({
+      status: 'success',
+      results: clashingBookings.length,
+      data: clashingBookings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import closures from an iCalendar (.ics) file sent as the request body
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with import counts and clashing bookings
+ */
+exports.importClosures = async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      throw new ValidationError(
+        'Send the calendar as the request body with Content-Type text/calendar',
+        'MISSING_CALENDAR'
+      );
+    }
+
+    const source = req.query.source === 'bank-holiday' ? 'bank-holiday' : 'ics';
+    const serviceIds = req.query.serviceIds
+      ? req.query.serviceIds.split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+
+    if (serviceIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ValidationError('Invalid service ID format', 'INVALID_SERVICE_ID');
+    }
+
+    const result = await closureService.importCalendar(req.body, { source, serviceIds }, req.user);
+
+    return res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
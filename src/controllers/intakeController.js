@@ -0,0 +1,156 @@
+/**
+ * Intake Controller
+ * Handles the intake form stored for each service and the answers clients
+ * give through their manage link
+ */
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const bookingService = require('../services/bookingService');
+const intakeService = require('../services/intakeService');
+const { ValidationError, NotFoundError } = require('../utils/AppError');
+
+/**
+ * Load the service named in the route
+ *
+ * @param {string} id - Service ID from the route
+ * @returns {Promise<Object>} Service document
+ */
+const findService = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid service ID format', 'INVALID_SERVICE_ID');
+  }
+
+  const service = await Service.findById(id);
+  if (!service) {
+    throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+  }
+
+  return service;
+};
+
+/**
+ * Get the intake form of a service
+ * Clients only see a form that is switched on; admins see it either way
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the form
+ */
+exports.getForm = async (req, res, next) => {
+  try {
+    const service = await findService(req.params.id);
+    const form = await intakeService.getForm(service._id, {
+      activeOnly: !(req.user && req.user.role === 'admin')
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      data: form
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or replace the intake form of a service
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the saved form
+ */
+exports.saveForm = async (req, res, next) => {
+  try {
+    const service = await findService(req.params.id);
+    const { form, created } = await intakeService.saveForm(service, req.body, req.user);
+
+    return res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: form
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete the intake form of a service
+ * Answers already given stay on their bookings
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with deleted status
+ */
+exports.deleteForm = async (req, res, next) => {
+  try {
+    const service = await findService(req.params.id);
+    await intakeService.deleteForm(service);
+
+    return res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the intake form for a client's booking, with any answers already given
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the form and answers
+ */
+exports.getManagedIntake = async (req, res, next) => {
+  try {
+    const booking = req.manageBooking;
+    const form = await intakeService.getForm(booking.serviceId);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        form: {
+          title: form.title,
+          description: form.description,
+          version: form.version,
+          fields: form.fields
+        },
+        answers: booking.intake ? booking.intake.answers : [],
+        submittedAt: booking.intake ? booking.intake.submittedAt : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit the intake answers for a client's booking
+ * Answers replace any given before, and the team is sent them by email
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the stored answers
+ */
+exports.submitIntake = async (req, res, next) => {
+  try {
+    const booking = req.manageBooking;
+    const intake = await intakeService.submitIntake(booking, req.body.answers);
+
+    await bookingService.notifyIntakeReceived(booking);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Thank you, your answers have been received',
+      data: intake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
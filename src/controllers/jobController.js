@@ -0,0 +1,188 @@
+/**
+ * Job Controller
+ * Admin view of scheduled background work and the jobs it runs
+ */
+const Job = require('../models/Job');
+const jobService = require('../services/jobService');
+const schedulerService = require('../services/schedulerService');
+
+/**
+ * List schedules with their next and last runs
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with schedules
+ */
+exports.getSchedules = async (req, res, next) => {
+  try {
+    const schedules = await schedulerService.listSchedules();
+
+    return res.status(200).json({
+      status: 'success',
+      results: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a schedule and its most recent runs
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the schedule and recent runs
+ */
+exports.getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await schedulerService.getSchedule(req.params.name);
+    const recentRuns = await Job.find({ schedule: schedule.name })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        schedule,
+        recentRuns
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a schedule now
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the queued job
+ */
+exports.triggerSchedule = async (req, res, next) => {
+  try {
+    const job = await schedulerService.triggerSchedule(req.params.name, req.user);
+
+    return res.status(202).json({
+      status: 'success',
+      message: 'Run queued',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause a schedule
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the schedule
+ */
+exports.pauseSchedule = async (req, res, next) => {
+  try {
+    const schedule = await schedulerService.pauseSchedule(req.params.name, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused schedule
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the schedule
+ */
+exports.resumeSchedule = async (req, res, next) => {
+  try {
+    const schedule = await schedulerService.resumeSchedule(req.params.name);
+
+    return res.status(200).json({
+      status: 'success',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List job runs, newest first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with jobs and pagination
+ */
+exports.getRuns = async (req, res, next) => {
+  try {
+    const { type, status, schedule, page, limit } = req.query;
+    const { jobs, pagination } = await jobService.listJobs({ type, status, schedule }, { page, limit });
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        jobs,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a job run, with its result or last error
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the job
+ */
+exports.getRun = async (req, res, next) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a failed or cancelled job again
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the queued job
+ */
+exports.retryRun = async (req, res, next) => {
+  try {
+    const job = await jobService.retryJob(req.params.id);
+
+    return res.status(202).json({
+      status: 'success',
+      message: 'Job queued to run again',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * Payment Controller
+ * Booking payment ledgers, payments, refunds and provider webhooks
+ */
+const paymentService = require('../services/paymentService');
+
+/**
+ * Get a booking's payments ledger and totals
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the ledger
+ */
+exports.getLedger = async (req, res, next) => {
+  try {
+    const { booking, entries, summary } = await paymentService.getLedger(req.params.bookingId);
+
+    return res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: {
+        bookingId: booking._id,
+        paymentStatus: summary.status,
+        summary,
+        entries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Charge a booking an extra amount
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the charge
+ */
+exports.postCharge = async (req, res, next) => {
+  try {
+    const { booking } = await paymentService.getLedger(req.params.bookingId);
+    const charge = await paymentService.postCharge(booking, {
+      amount: req.body.amount,
+      description: req.body.description,
+      user: req.user
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Charge posted successfully',
+      data: {
+        charge,
+        paymentStatus: booking.paymentStatus
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a deposit or payment for a booking
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the payment
+ */
+exports.takePayment = async (req, res, next) => {
+  try {
+    const { payment, receipt, summary } = await paymentService.takePayment(req.params.bookingId, {
+      type: req.body.type,
+      amount: req.body.amount,
+      user: req.user
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      message: payment.status === 'succeeded'
+        ? 'Payment taken successfully'
+        : `Payment ${payment.status}`,
+      data: {
+        payment,
+        receiptNumber: receipt ? receipt.number : null,
+        summary
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund some or all of a deposit or payment
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the refund
+ */
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const { refund, creditNote, summary } = await paymentService.refundPayment(req.params.id, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      user: req.user
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      message: refund.status === 'succeeded'
+        ? 'Refund made successfully'
+        : `Refund ${refund.status}`,
+      data: {
+        refund,
+        creditNoteNumber: creditNote ? creditNote.number : null,
+        summary
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a signed webhook from a payment provider
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response acknowledging the event
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
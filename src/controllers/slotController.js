@@ -2,25 +2,34 @@
  * Slot Controller
  * Handles slot management operations
  */
-const Slot = require('../models/Slot');
+const TimeSlot = require('../models/TimeSlot');
 const Service = require('../models/Service');
+const availabilityService = require('../services/availabilityService');
+const staffService = require('../services/staffService');
+const holdService = require('../services/holdService');
+const mongoose = require('mongoose');
 const moment = require('moment');
+const { parseTimeSlot } = require('../utils/scheduleUtils');
+const { describeInZone, isValidTimezone } = require('../utils/timezone');
 const { ValidationError, NotFoundError } = require('../utils/AppError');
 
 /**
  * Get available slots (filtered by date, service)
+ * Slots are computed from the service's weekly availability template, or
+ * read from published time slots for services without one, and list the
+ * experts free to take each one. Times are given in the office zone and,
+ * when a timezone query is passed, in the client's zone as well
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @param {Function} _next - Express next middleware function (unused but required by Express)
+ * @param {Function} next - Express next middleware function
  * @returns {Object} JSON response with available slots
  */
-// eslint-disable-next-line no-unused-vars
-exports.getAvailableSlots = async (req, res, _next) => {
+exports.getAvailableSlots = async (req, res, next) => {
   try {
-    const { date, serviceId } = req.query;
+    const { date, serviceId, consultantId, timezone: clientTimezone } = req.query;
     
-    console.log('[Slots API] Request received:', { date, serviceId });
+    console.log('[Slots API] Request received:', { date, serviceId, consultantId, clientTimezone });
     
     if (!date) {
       return res.status(400).json({
@@ -48,43 +57,56 @@ exports.getAvailableSlots = async (req, res, _next) => {
       });
     }
     
-    // Check if serviceId is a valid ObjectId
-    const mongoose = require('mongoose');
     if (!mongoose.Types.ObjectId.isValid(serviceId)) {
-      console.log('[Slots API] Invalid serviceId format, generating fallback slots');
-      return generateFallbackSlots(res, date);
+      throw new ValidationError('Invalid service ID format', 'INVALID_SERVICE_ID');
     }
     
-    const startOfDay = selectedDate.startOf('day').toDate();
-    const endOfDay = selectedDate.endOf('day').toDate();
-    
-    // Query for available slots
-    const slots = await Slot.find({
-      serviceId,
-      date: { $gte: startOfDay, $lte: endOfDay },
-      isAvailable: true
-    }).sort('timeSlot');
+    if (clientTimezone && !isValidTimezone(clientTimezone)) {
+      throw new ValidationError('Invalid timezone. Use a name such as Europe/London.', 'INVALID_TIMEZONE');
+    }
     
-    console.log('[Slots API] Found existing slots:', slots.length);
+    const service = await Service.findById(serviceId);
+    if (!service) {
+      throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+    }
     
-    // If no slots exist, generate fallback business hours - ALWAYS generate fallback when empty
-    if (slots.length === 0) {
-      console.log('[Slots API] No slots found, generating fallback slots');
-      return generateFallbackSlots(res, date);
+    // Only slots the chosen expert can take, or any consultant's when none is chosen
+    if (consultantId) {
+      if (!mongoose.Types.ObjectId.isValid(consultantId)) {
+        throw new ValidationError('Invalid consultant ID format', 'INVALID_CONSULTANT_ID');
+      }
+      await staffService.getConsultantForService(consultantId, service);
     }
     
-    // Format existing slots for frontend
-    const formattedSlots = slots.map(slot => ({
-      id: slot._id,
-      startTime: moment(slot.date).hour(parseInt(slot.timeSlot.split(':')[0])).minute(parseInt(slot.timeSlot.split(':')[1])).toISOString(),
-      endTime: moment(slot.date).hour(parseInt(slot.timeSlot.split('-')[1].split(':')[0])).minute(parseInt(slot.timeSlot.split('-')[1].split(':')[1])).toISOString(),
-      isAvailable: slot.isAvailable,
-      serviceId: slot.serviceId,
-      date: date,
-      expertName: 'Dr. Sarah Mitchell',
-      consultationType: 'initial',
-      duration: 60
-    }));
+    const slots = await availabilityService.getAvailableSlots(service, selectedDate.toDate(), {
+      consultantId: consultantId || null
+    });
+    
+    // Format slots for frontend
+    const formattedSlots = slots.map(slot => {
+      const { start, end } = parseTimeSlot(slot.timeSlot);
+      const clientTime = clientTimezone
+        ? describeInZone(slot.startsAt, slot.endsAt, clientTimezone)
+        : null;
+      
+      return {
+        id: slot.id,
+        startTime: slot.startsAt.toISOString(),
+        endTime: slot.endsAt.toISOString(),
+        timeSlot: slot.timeSlot,
+        timezone: slot.timezone,
+        clientTimezone: clientTime ? clientTime.timezone : null,
+        clientDate: clientTime ? clientTime.date : null,
+        clientTimeSlot: clientTime ? clientTime.timeSlot : null,
+        isAvailable: true,
+        serviceId: service._id,
+        date: date,
+        expertName: slot.consultants.length === 1 ? slot.consultants[0].displayName : null,
+        experts: slot.consultants,
+        consultationType: 'initial',
+        duration: end - start
+      };
+    });
     
     console.log('[Slots API] Returning formatted slots:', formattedSlots.length);
     
@@ -93,71 +115,11 @@ exports.getAvailableSlots = async (req, res, _next) => {
       results: formattedSlots.length,
       data: formattedSlots
     });
-    
   } catch (error) {
-    console.error('[Slots API] Error:', error);
-    
-    // Generate fallback slots on any error
-    console.log('[Slots API] Error occurred, generating fallback slots');
-    return generateFallbackSlots(res, req.query.date);
+    next(error);
   }
 };
 
-/**
- * Generate fallback business hours slots
- * Used when no slots exist or when there's an error
- */
-function generateFallbackSlots(res, date) {
-  const selectedDate = moment(date);
-  
-  // Skip weekends
-  if (selectedDate.day() === 0 || selectedDate.day() === 6) {
-    return res.json({
-      status: 'success',
-      results: 0,
-      data: [],
-      message: 'No business hours on weekends'
-    });
-  }
-  
-  // Generate business hours (9 AM - 5 PM, excluding lunch hour 12-1 PM)
-  const businessHours = [
-    '09:00-10:00', '10:00-11:00', '11:00-12:00',
-    '14:00-15:00', '15:00-16:00', '16:00-17:00'
-  ];
-  
-  const fallbackSlots = businessHours.map((timeSlot, index) => {
-    const startHour = parseInt(timeSlot.split(':')[0]);
-    const startMin = parseInt(timeSlot.split(':')[1].split('-')[0]);
-    const endHour = parseInt(timeSlot.split('-')[1].split(':')[0]);
-    const endMin = parseInt(timeSlot.split('-')[1].split(':')[1]);
-    
-    const startTime = selectedDate.clone().hour(startHour).minute(startMin).second(0).millisecond(0);
-    const endTime = selectedDate.clone().hour(endHour).minute(endMin).second(0).millisecond(0);
-    
-    return {
-      id: `fallback-slot-${date}-${index}`,
-      startTime: startTime.toISOString(),
-      endTime: endTime.toISOString(),
-      isAvailable: Math.random() > 0.3, // 70% availability for demo
-      serviceId: 'fallback',
-      date: date,
-      expertName: index % 2 === 0 ? 'Dr. Sarah Mitchell' : 'Dr. Michael Chen',
-      consultationType: 'initial',
-      duration: 60
-    };
-  });
-  
-  console.log('[Slots API] Generated fallback slots:', fallbackSlots.length);
-  
-  return res.json({
-    status: 'success',
-    results: fallbackSlots.length,
-    data: fallbackSlots,
-    message: 'Showing standard business hours'
-  });
-}
-
 /**
  * Get slot by ID
  * 
@@ -168,7 +130,7 @@ function generateFallbackSlots(res, date) {
  */
 exports.getSlotById = async (req, res, next) => {
   try {
-    const slot = await Slot.findById(req.params.id);
+    const slot = await TimeSlot.findById(req.params.id);
     
     if (!slot) {
       throw new NotFoundError('Slot not found', 'SLOT_NOT_FOUND');
@@ -227,34 +189,12 @@ exports.generateSlots = async (req, res, next) => {
     }
     
     // Generate slots
-    const slots = [];
-    let currentDate = start.clone();
-    
-    while (currentDate.isSameOrBefore(end)) {
-      // Skip weekends (optional, based on business requirements)
-      if (currentDate.day() !== 0 && currentDate.day() !== 6) {
-        for (const serviceId of serviceIds) {
-          for (const timeSlot of timeSlots) {
-            slots.push({
-              serviceId,
-              date: currentDate.toDate(),
-              timeSlot,
-              isAvailable: true
-            });
-          }
-        }
-      }
-      
-      currentDate.add(1, 'day');
-    }
-    
-    // Insert slots
-    const result = await Slot.insertMany(slots);
+    const created = await availabilityService.generateSlots(serviceIds, start, end, timeSlots);
     
     return res.status(201).json({
       status: 'success',
-      message: `Generated ${result.length} slots`,
-      results: result.length
+      message: `Generated ${created} slots`,
+      results: created
     });
   } catch (error) {
     next(error);
@@ -290,25 +230,17 @@ exports.clearSlots = async (req, res, next) => {
       throw new ValidationError('End date cannot be before start date', 'INVALID_DATE_RANGE');
     }
     
-    // Prepare delete query
-    const query = {
-      date: { $gte: start.toDate(), $lte: end.toDate() },
-      // Only delete available slots to avoid removing slots with bookings
-      isAvailable: true
-    };
-    
-    // Add service filter if provided
-    if (serviceIds && Array.isArray(serviceIds) && serviceIds.length > 0) {
-      query.serviceId = { $in: serviceIds };
-    }
-    
-    // Delete slots
-    const result = await Slot.deleteMany(query);
+    // Delete unbooked slots, optionally limited to some services
+    const deletedCount = await availabilityService.clearSlots(
+      start,
+      end,
+      Array.isArray(serviceIds) ? serviceIds : []
+    );
     
     return res.status(200).json({
       status: 'success',
-      message: `Deleted ${result.deletedCount} slots`,
-      count: result.deletedCount
+      message: `Deleted ${deletedCount} slots`,
+      count: deletedCount
     });
   } catch (error) {
     next(error);
@@ -316,7 +248,7 @@ exports.clearSlots = async (req, res, next) => {
 };
 
 /**
- * Update slot availability
+ * Update slot availability or blocking
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -325,25 +257,33 @@ exports.clearSlots = async (req, res, next) => {
  */
 exports.updateSlot = async (req, res, next) => {
   try {
-    const { isAvailable } = req.body;
+    const { isAvailable, isBlocked, blockedReason } = req.body;
     
-    if (isAvailable === undefined) {
-      throw new ValidationError('isAvailable is required', 'MISSING_AVAILABILITY');
+    if (isAvailable === undefined && isBlocked === undefined) {
+      throw new ValidationError('isAvailable or isBlocked is required', 'MISSING_AVAILABILITY');
     }
     
     // Find slot and ensure it doesn't have a booking if we're making it unavailable
-    const slot = await Slot.findById(req.params.id);
+    const slot = await TimeSlot.findById(req.params.id);
     
     if (!slot) {
       throw new NotFoundError('Slot not found', 'SLOT_NOT_FOUND');
     }
     
-    if (slot.bookingId && !isAvailable) {
+    if (slot.bookingId && (isAvailable === false || isBlocked === true)) {
       throw new ValidationError('Cannot mark a booked slot as unavailable', 'SLOT_HAS_BOOKING');
     }
     
     // Update slot
-    slot.isAvailable = isAvailable;
+    if (isAvailable !== undefined) {
+      slot.isAvailable = isAvailable;
+    }
+    
+    if (isBlocked !== undefined) {
+      slot.isBlocked = isBlocked;
+      slot.blockedReason = isBlocked ? blockedReason : undefined;
+    }
+    
     await slot.save();
     
     return res.status(200).json({
@@ -353,4 +293,61 @@ exports.updateSlot = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Hold a slot while the client finishes booking it
+ * The returned token is sent back with the booking as holdToken
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the hold token and expiry
+ */
+exports.holdSlot = async (req, res, next) => {
+  try {
+    const hold = await holdService.createHold(req.params.id, {
+      consultantId: req.body.consultantId,
+      minutes: req.body.minutes,
+      user: req.user,
+      requester: holdService.requesterKey(req.ip)
+    });
+    
+    return res.status(201).json({
+      status: 'success',
+      data: {
+        holdToken: hold.token,
+        expiresAt: hold.expiresAt,
+        serviceId: hold.serviceId,
+        date: moment(hold.date).format('YYYY-MM-DD'),
+        timeSlot: hold.timeSlot,
+        startTime: hold.startsAt,
+        endTime: hold.endsAt,
+        consultantId: hold.consultantId
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Release a slot hold before it expires
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response confirming the release
+ */
+exports.releaseHold = async (req, res, next) => {
+  try {
+    await holdService.releaseHoldByToken(req.params.token);
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'Slot hold released'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,314 @@
+/**
+ * Staff Controller
+ * Handles the expert directory and per-consultant calendars
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const StaffProfile = require('../models/StaffProfile');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const staffService = require('../services/staffService');
+const { ACTIVE_STATUSES } = require('../services/availabilityService');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthorizationError
+} = require('../utils/AppError');
+
+// Fields shown in the public directory
+const PUBLIC_FIELDS = 'displayName title bio photoUrl specialisms workingHours';
+
+// Fields staff can change on their own profile
+const SELF_EDITABLE_FIELDS = ['displayName', 'title', 'bio', 'photoUrl', 'workingHours'];
+
+/**
+ * Load the staff profile named in the route
+ *
+ * @param {string} id - Staff profile ID from the route
+ * @returns {Promise<Object>} Staff profile document
+ */
+const findProfile = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid consultant ID format', 'INVALID_CONSULTANT_ID');
+  }
+
+  const profile = await StaffProfile.findById(id);
+  if (!profile) {
+    throw new NotFoundError('Consultant not found', 'CONSULTANT_NOT_FOUND');
+  }
+
+  return profile;
+};
+
+/**
+ * Get the directory of bookable experts
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with staff profiles
+ */
+exports.getDirectory = async (req, res, next) => {
+  try {
+    const { serviceId, specialism } = req.query;
+    const filter = { isBookable: true };
+
+    if (serviceId) {
+      if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+        throw new ValidationError('Invalid service ID format', 'INVALID_SERVICE_ID');
+      }
+
+      const service = await Service.findById(serviceId);
+      if (!service) {
+        throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+      }
+
+      filter.specialisms = service.category;
+    } else if (specialism) {
+      filter.specialisms = specialism;
+    }
+
+    const profiles = await StaffProfile.find(filter).select(PUBLIC_FIELDS).sort('displayName');
+
+    return res.status(200).json({
+      status: 'success',
+      results: profiles.length,
+      data: profiles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an expert's public profile
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with staff profile
+ */
+exports.getProfile = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new ValidationError('Invalid consultant ID format', 'INVALID_CONSULTANT_ID');
+    }
+
+    const profile = await StaffProfile.findOne({ _id: req.params.id, isBookable: true }).select(PUBLIC_FIELDS);
+    if (!profile) {
+      throw new NotFoundError('Consultant not found', 'CONSULTANT_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the logged in user's own staff profile
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with staff profile
+ */
+exports.getMyProfile = async (req, res, next) => {
+  try {
+    const profile = await StaffProfile.findOne({ userId: req.user._id });
+    if (!profile) {
+      throw new NotFoundError('You do not have a staff profile', 'CONSULTANT_NOT_FOUND');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the logged in user's own bio, title and working hours
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated staff profile
+ */
+exports.updateMyProfile = async (req, res, next) => {
+  try {
+    const profile = await StaffProfile.findOne({ userId: req.user._id });
+    if (!profile) {
+      throw new NotFoundError('You do not have a staff profile', 'CONSULTANT_NOT_FOUND');
+    }
+
+    SELF_EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        profile[field] = req.body[field];
+      }
+    });
+
+    await profile.save();
+
+    return res.status(200).json({
+      status: 'success',
+      data: profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a staff profile for a user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created staff profile
+ */
+exports.createProfile = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.body.userId);
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    const existing = await StaffProfile.findOne({ userId: user._id });
+    if (existing) {
+      throw new ConflictError('This user already has a staff profile', 'PROFILE_EXISTS');
+    }
+
+    const profile = await StaffProfile.create({
+      ...req.body,
+      displayName: req.body.displayName || `${user.firstName} ${user.lastName}`
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      data: profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a staff profile
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated staff profile
+ */
+exports.updateProfile = async (req, res, next) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    Object.keys(req.body)
+      .filter(field => field !== 'userId')
+      .forEach(field => {
+        profile[field] = req.body[field];
+      });
+
+    await profile.save();
+
+    return res.status(200).json({
+      status: 'success',
+      data: profile
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a staff profile
+ * Consultants with upcoming bookings must have them reassigned first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with deleted status
+ */
+exports.deleteProfile = async (req, res, next) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    const upcoming = await Booking.countDocuments({
+      consultantId: profile._id,
+      date: { $gte: moment().startOf('day').toDate() },
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (upcoming > 0) {
+      throw new ConflictError(
+        `${profile.displayName} has ${upcoming} upcoming bookings. Reassign them or mark the profile as not bookable.`,
+        'CONSULTANT_HAS_BOOKINGS'
+      );
+    }
+
+    await profile.deleteOne();
+
+    return res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a consultant's calendar of bookings
+ * Staff can only see their own calendar; admins can see everyone's
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with bookings
+ */
+exports.getCalendar = async (req, res, next) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (req.user.role !== 'admin' && profile.userId.toString() !== req.user._id.toString()) {
+      throw new AuthorizationError('You can only view your own calendar', 'FORBIDDEN');
+    }
+
+    const start = req.query.from ? moment(req.query.from) : moment().startOf('day');
+    const end = req.query.to ? moment(req.query.to) : moment(start).add(4, 'weeks');
+
+    if (!start.isValid() || !end.isValid()) {
+      throw new ValidationError('Invalid date format. Use YYYY-MM-DD format.', 'INVALID_DATE');
+    }
+
+    const bookings = await staffService.getCalendar(
+      profile._id,
+      start.startOf('day').toDate(),
+      end.endOf('day').toDate()
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      results: bookings.length,
+      data: {
+        consultant: {
+          id: profile._id,
+          displayName: profile.displayName,
+          workingHours: profile.workingHours
+        },
+        bookings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,8 +5,9 @@
 const Waitlist = require('../models/Waitlist');
 const Client = require('../models/Client');
 const Service = require('../models/Service');
-const Slot = require('../models/Slot');
+const TimeSlot = require('../models/TimeSlot');
 const emailService = require('../services/emailService');
+const waitlistService = require('../services/waitlistService');
 const { 
   ValidationError, 
   NotFoundError, 
@@ -27,6 +28,7 @@ exports.addToWaitlist = async (req, res, next) => {
       clientId,
       serviceId,
       requestedDate,
+      alternativeDates,
       preferredTimeSlots,
       notes,
       priority
@@ -67,6 +69,8 @@ exports.addToWaitlist = async (req, res, next) => {
       createdBy: req.user ? req.user._id : undefined
     });
     
+    waitlistService.addAlternativeDates(waitlistEntry, alternativeDates || []);
+    
     await waitlistEntry.save();
     
     // Send confirmation to client
@@ -76,7 +80,8 @@ exports.addToWaitlist = async (req, res, next) => {
         client.firstName,
         {
           serviceName: service.name,
-          requestedDate: new Date(requestedDate)
+          requestedDate: new Date(requestedDate),
+          statusUrl: waitlistEntry.getStatusUrl()
         }
       );
     } catch (error) {
@@ -188,8 +193,8 @@ exports.notifyWaitlist = async (req, res, next) => {
     const { slotId } = req.params;
     
     // Get the slot
-    const slot = await Slot.findById(slotId).populate('serviceId');
-    if (!slot || !slot.isAvailable) {
+    const slot = await TimeSlot.findById(slotId).populate('serviceId');
+    if (!slot || !slot.canBeBooked()) {
       throw new NotFoundError('Available slot not found', 'SLOT_NOT_FOUND');
     }
     
@@ -226,7 +231,7 @@ exports.notifyWaitlist = async (req, res, next) => {
             serviceName: slot.serviceId.name,
             date: slot.date,
             timeSlot: slot.timeSlot,
-            bookingLink: `${process.env.FRONTEND_URL}/booking?slot=${slot._id}&waitlist=${entry._id}`
+            bookingUrl: `${process.env.FRONTEND_URL}/booking?slot=${slot._id}&waitlist=${entry._id}`
           }
         );
         
@@ -258,30 +263,89 @@ exports.notifyWaitlist = async (req, res, next) => {
 };
 
 /**
- * Process a waitlist entry when a client books from the waitlist
+ * Get where a waitlist entry stands, using the client's status link
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Object} JSON response
  */
-exports.processWaitlistBooking = async (req, res, next) => {
+exports.getEntryStatus = async (req, res, next) => {
   try {
-    const { waitlistId, bookingId } = req.params;
+    const status = await waitlistService.getEntryStatus(req.params.token);
     
-    // Validate waitlist entry
-    const waitlistEntry = await Waitlist.findById(waitlistId);
-    if (!waitlistEntry) {
-      throw new NotFoundError('Waitlist entry not found', 'WAITLIST_NOT_FOUND');
-    }
+    return res.status(200).json({
+      status: 'success',
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add days or time slots to a waitlist entry, using the client's status link
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response
+ */
+exports.widenEntry = async (req, res, next) => {
+  try {
+    await waitlistService.widenEntry(req.params.token, req.body);
+    const status = await waitlistService.getEntryStatus(req.params.token);
     
-    // Mark waitlist entry as booked
-    await waitlistEntry.markAsBooked(bookingId);
+    return res.status(200).json({
+      status: 'success',
+      message: 'Waitlist entry updated successfully',
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the slot a waitlist claim link offers
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response
+ */
+exports.getOffer = async (req, res, next) => {
+  try {
+    const offer = await waitlistService.getOffer(req.params.token);
     
     return res.status(200).json({
       status: 'success',
-      message: 'Waitlist entry processed successfully',
       data: {
+        offer
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Claim an offered slot with a waitlist claim link, booking it for the client
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response
+ */
+exports.claimOffer = async (req, res, next) => {
+  try {
+    const { booking, waitlistEntry } = await waitlistService.claimOffer(req.params.token);
+    
+    return res.status(201).json({
+      status: 'success',
+      message: 'Slot booked successfully',
+      data: {
+        booking,
         waitlistEntry
       }
     });
@@ -308,8 +372,8 @@ exports.cancelWaitlistEntry = async (req, res, next) => {
       throw new NotFoundError('Waitlist entry not found', 'WAITLIST_NOT_FOUND');
     }
     
-    // Cancel waitlist entry
-    await waitlistEntry.markAsCancelled();
+    // Cancel waitlist entry, passing on any slot it was offered
+    await waitlistService.cancelEntry(waitlistEntry);
     
     return res.status(200).json({
       status: 'success',
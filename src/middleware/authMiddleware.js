@@ -4,6 +4,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const RefreshToken = require('../models/RefreshToken');
+const Booking = require('../models/Booking');
+const config = require('../config');
 const { 
   AuthenticationError, 
   AuthorizationError, 
@@ -106,6 +108,23 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional authentication middleware
+ * Logs the user in when a token is sent, so public routes can give staff
+ * more access, but lets anonymous requests through
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.optionalProtect = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return exports.protect(req, res, next);
+  }
+  next();
+};
+
 /**
  * Role-based access restriction middleware
  * 
@@ -235,4 +254,60 @@ exports.adminOnly = (req, res, next) => {
   }
   
   next();
-}; 
\ No newline at end of file
+};
+
+/**
+ * Manage link verification middleware
+ * Lets a client act on one booking with the signed link from their
+ * confirmation email instead of logging in
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.verifyManageLink = async (req, res, next) => {
+  try {
+    // 1) Verify token signature and expiry
+    const decoded = jwt.verify(req.params.token, config.manageLinks.secret);
+    
+    // 2) Check if token type is a manage link
+    if (decoded.type !== 'manage-booking') {
+      throw new AuthenticationError(
+        'Invalid link',
+        'INVALID_MANAGE_LINK'
+      );
+    }
+    
+    // 3) Check if the booking still exists and the link was not revoked
+    const booking = await Booking.findById(decoded.bookingId);
+    
+    if (!booking || (booking.manageLinkVersion || 0) !== decoded.version) {
+      throw new AuthenticationError(
+        'This link is no longer valid. Please use the most recent email we sent you',
+        'MANAGE_LINK_REVOKED'
+      );
+    }
+    
+    // Add booking to request so the booking routes act on it
+    req.manageBooking = booking;
+    req.params.id = booking._id.toString();
+    next();
+  } catch (err) {
+    if (err.name === 'JsonWebTokenError') {
+      return next(new AuthenticationError(
+        'Invalid link',
+        'INVALID_MANAGE_LINK'
+      ));
+    }
+    
+    if (err.name === 'TokenExpiredError') {
+      return next(new AuthenticationError(
+        'This link has expired. Please contact us to manage your booking',
+        'MANAGE_LINK_EXPIRED'
+      ));
+    }
+    
+    next(err);
+  }
+};
@@ -1,4 +1,32 @@
 const Joi = require('joi');
+const config = require('../config');
+const Case = require('../models/Case');
+const IntakeForm = require('../models/IntakeForm');
+const { isValidTimezone } = require('../utils/timezone');
+
+// IANA timezone name such as Europe/London
+const timezoneSchema = Joi.string().custom((value, helpers) => (
+  isValidTimezone(value) ? value : helpers.error('any.invalid')
+)).messages({
+  'any.invalid': '{{#label}} must be a valid timezone such as Europe/London'
+});
+
+// Fields describing how a booking repeats; a recurrenceRule wins over the pattern
+const recurrenceFields = {
+  recurrencePattern: Joi.string().valid('none', 'daily', 'weekly', 'biweekly', 'monthly').default('none'),
+  recurrenceEndDate: Joi.date().iso().allow(null),
+  recurrenceCount: Joi.number().integer().min(0).max(config.scheduling.maxRecurrences).allow(null).messages({
+    'number.max': `Recurring bookings are limited to ${config.scheduling.maxRecurrences} occurrences`
+  }),
+  // RFC 5545 RRULE value, e.g. FREQ=MONTHLY;BYDAY=-1FR;COUNT=6
+  recurrenceRule: Joi.string().max(500).allow(null, ''),
+  // Days to leave out of the series
+  recurrenceExceptions: Joi.array().items(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+      'string.pattern.base': 'Recurrence exceptions must be dates in YYYY-MM-DD format'
+    })
+  ).max(366)
+};
 
 /**
  * Validate booking request
@@ -36,6 +64,19 @@ exports.validateBooking = (req, res, next) => {
       'string.empty': 'Time slot is required',
       'any.required': 'Time slot is required'
     }),
+    // Chosen expert, or 'any' to be assigned whoever is free
+    consultantId: Joi.alternatives().try(
+      Joi.string().hex().length(24),
+      Joi.string().valid('any')
+    ).allow(null, '').messages({
+      'alternatives.match': 'Consultant must be a valid consultant ID or "any"'
+    }),
+    // Token from POST /api/slots/:id/hold
+    holdToken: Joi.string().hex().max(64).allow(null, '').messages({
+      'string.hex': 'Hold token is not valid'
+    }),
+    // Zone the client wants times shown in; defaults to the office zone
+    clientTimezone: timezoneSchema.allow(null, ''),
     notes: Joi.string().max(500).allow('', null).messages({
       'string.max': 'Notes cannot exceed 500 characters'
     }),
@@ -45,7 +86,13 @@ exports.validateBooking = (req, res, next) => {
       'number.min': 'Estimated value cannot be negative',
       'number.max': 'Please contact us directly for amounts over £100M'
     }),
-    status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed').default('confirmed')
+    status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed').default('confirmed'),
+    // Answers to the service's intake form, keyed by field key; checked
+    // against the form when the booking is made
+    intakeAnswers: Joi.object().unknown(true).allow(null),
+    // Recurring booking fields
+    isRecurring: Joi.boolean().default(false),
+    ...recurrenceFields
   });
 
   const { error } = schema.validate(req.body);
@@ -261,7 +308,6 @@ exports.validateBookingUpdate = (req, res, next) => {
     notes: Joi.string().max(500).allow('', null).optional().messages({
       'string.max': 'Notes cannot exceed 500 characters'
     }),
-    paymentStatus: Joi.string().valid('unpaid', 'paid', 'refunded', 'partial').optional(),
     urgencyLevel: Joi.string().valid('standard', 'urgent', 'emergency').optional(),
     estimatedValue: Joi.number().min(0).max(100000000).allow(null).optional().messages({
       'number.min': 'Estimated value cannot be negative',
@@ -279,4 +325,975 @@ exports.validateBookingUpdate = (req, res, next) => {
   }
 
   next();
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Validate service availability template request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateAvailabilityTemplate = (req, res, next) => {
+  const time = Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).messages({
+    'string.pattern.base': 'Times must be in HH:MM format'
+  });
+
+  const schema = Joi.object({
+    weeklyHours: Joi.array().items(Joi.object({
+      day: Joi.number().integer().min(0).max(6).required().messages({
+        'number.min': 'Weekday must be between 0 (Sunday) and 6 (Saturday)',
+        'number.max': 'Weekday must be between 0 (Sunday) and 6 (Saturday)',
+        'any.required': 'Weekday is required'
+      }),
+      intervals: Joi.array().items(Joi.object({
+        start: time.required(),
+        end: time.required()
+      })).required()
+    })).unique('day').required().messages({
+      'array.unique': 'Each weekday can only appear once',
+      'any.required': 'Weekly hours are required'
+    }),
+    slotDuration: Joi.number().integer().min(15).max(480).allow(null).messages({
+      'number.min': 'Slot duration must be at least 15 minutes',
+      'number.max': 'Slot duration cannot exceed 480 minutes (8 hours)'
+    }),
+    bufferBefore: Joi.number().integer().min(0).max(240).default(0),
+    bufferAfter: Joi.number().integer().min(0).max(240).default(0)
+  });
+
+  const { error, value } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate closure request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateClosure = (req, res, next) => {
+  const isUpdate = req.method === 'PATCH';
+
+  const schema = Joi.object({
+    name: isUpdate
+      ? Joi.string().max(200)
+      : Joi.string().max(200).required().messages({
+        'string.empty': 'Closure name is required',
+        'any.required': 'Closure name is required'
+      }),
+    startDate: isUpdate
+      ? Joi.date().iso()
+      : Joi.date().iso().required().messages({
+        'any.required': 'Start date is required'
+      }),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).allow(null).messages({
+      'date.min': 'End date cannot be before the start date'
+    }),
+    serviceIds: Joi.array().items(Joi.string().hex().length(24)).messages({
+      'string.hex': 'Service IDs must be valid IDs',
+      'string.length': 'Service IDs must be valid IDs'
+    }),
+    notes: Joi.string().max(500).allow('', null).messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate staff profile request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateStaffProfile = (req, res, next) => {
+  const isCreate = req.method === 'POST';
+  const time = Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).messages({
+    'string.pattern.base': 'Times must be in HH:MM format'
+  });
+
+  const schema = Joi.object({
+    userId: isCreate
+      ? Joi.string().hex().length(24).required().messages({
+        'any.required': 'User ID is required',
+        'string.hex': 'User ID must be a valid ID',
+        'string.length': 'User ID must be a valid ID'
+      })
+      : Joi.forbidden(),
+    displayName: Joi.string().max(100),
+    title: Joi.string().max(100).allow('', null),
+    bio: Joi.string().max(2000).allow('', null).messages({
+      'string.max': 'Bio cannot exceed 2000 characters'
+    }),
+    photoUrl: Joi.string().uri().allow('', null),
+    specialisms: Joi.array().items(
+      Joi.string().valid('recovery', 'consultation', 'investigation', 'legal', 'compliance')
+    ),
+    workingHours: Joi.array().items(Joi.object({
+      day: Joi.number().integer().min(0).max(6).required(),
+      intervals: Joi.array().items(Joi.object({
+        start: time.required(),
+        end: time.required()
+      })).required()
+    })).unique('day').messages({
+      'array.unique': 'Each weekday can only appear once'
+    }),
+    timezone: timezoneSchema.allow(null),
+    isBookable: Joi.boolean()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate absence request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateAbsence = (req, res, next) => {
+  const schema = Joi.object({
+    consultantId: Joi.string().hex().length(24).messages({
+      'string.hex': 'Consultant ID must be a valid ID',
+      'string.length': 'Consultant ID must be a valid ID'
+    }),
+    type: Joi.string().valid('holiday', 'sick', 'training', 'other').default('holiday'),
+    startsAt: Joi.date().iso().required().messages({
+      'any.required': 'Start time is required'
+    }),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required().messages({
+      'date.greater': 'Absence must end after it starts',
+      'any.required': 'End time is required'
+    }),
+    reason: Joi.string().max(500).allow('', null).messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+  });
+
+  const { error, value } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate slot hold request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateSlotHold = (req, res, next) => {
+  const schema = Joi.object({
+    consultantId: Joi.alternatives().try(
+      Joi.string().hex().length(24),
+      Joi.string().valid('any')
+    ).allow(null, '').messages({
+      'alternatives.match': 'Consultant must be a valid consultant ID or "any"'
+    }),
+    minutes: Joi.number().integer().min(1).max(60).messages({
+      'number.min': 'A slot must be held for at least 1 minute',
+      'number.max': 'A slot cannot be held for more than 60 minutes'
+    })
+  });
+
+  const { error, value } = schema.validate(req.body || {});
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate reschedule request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateReschedule = (req, res, next) => {
+  const schema = Joi.object({
+    date: Joi.alternatives().try(
+      Joi.date().iso(),
+      Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    ).required().messages({
+      'alternatives.match': 'Date must be a valid date in YYYY-MM-DD format or ISO format',
+      'any.required': 'Date is required'
+    }),
+    timeSlot: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]-([01][0-9]|2[0-3]):[0-5][0-9]$/).required().messages({
+      'string.pattern.base': 'Time slot must be in format HH:MM-HH:MM',
+      'any.required': 'Time slot is required'
+    }),
+    consultantId: Joi.alternatives().try(
+      Joi.string().hex().length(24),
+      Joi.string().valid('any')
+    ).allow(null, '').messages({
+      'alternatives.match': 'Consultant must be a valid consultant ID or "any"'
+    }),
+    holdToken: Joi.string().hex().max(64).allow(null, ''),
+    reason: Joi.string().max(500).allow('', null).messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate a recurring booking preview
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateRecurrencePreview = (req, res, next) => {
+  const schema = Joi.object({
+    serviceId: Joi.string().hex().length(24).required().messages({
+      'string.hex': 'Service ID must be a valid ID',
+      'string.length': 'Service ID must be a valid ID',
+      'any.required': 'Service ID is required'
+    }),
+    date: Joi.alternatives().try(
+      Joi.date().iso(),
+      Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    ).required().messages({
+      'alternatives.match': 'Date must be a valid date in YYYY-MM-DD format or ISO format',
+      'any.required': 'Date is required'
+    }),
+    timeSlot: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]-([01][0-9]|2[0-3]):[0-5][0-9]$/).required().messages({
+      'string.pattern.base': 'Time slot must be in format HH:MM-HH:MM',
+      'any.required': 'Time slot is required'
+    }),
+    consultantId: Joi.alternatives().try(
+      Joi.string().hex().length(24),
+      Joi.string().valid('any')
+    ).allow(null, '').messages({
+      'alternatives.match': 'Consultant must be a valid consultant ID or "any"'
+    }),
+    ...recurrenceFields
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate an edit to a recurring booking series
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateSeriesUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    scope: Joi.string().valid('this', 'following', 'all').required().messages({
+      'any.only': 'Scope must be one of: this, following, all',
+      'any.required': 'Scope is required'
+    }),
+    // Only a single occurrence can move to another day
+    date: Joi.when('scope', {
+      is: 'this',
+      then: Joi.alternatives().try(
+        Joi.date().iso(),
+        Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+      ),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'alternatives.match': 'Date must be a valid date in YYYY-MM-DD format or ISO format',
+      'any.unknown': 'Only a single occurrence can be moved to another day'
+    }),
+    timeSlot: Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]-([01][0-9]|2[0-3]):[0-5][0-9]$/).messages({
+      'string.pattern.base': 'Time slot must be in format HH:MM-HH:MM'
+    }),
+    serviceId: Joi.string().hex().length(24).messages({
+      'string.hex': 'Service ID must be a valid ID',
+      'string.length': 'Service ID must be a valid ID'
+    }),
+    consultantId: Joi.string().hex().length(24).messages({
+      'string.hex': 'Consultant ID must be a valid ID',
+      'string.length': 'Consultant ID must be a valid ID'
+    }),
+    notes: Joi.string().max(500).allow('').messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    }),
+    reason: Joi.string().max(500).allow('', null).messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+  }).or('date', 'timeSlot', 'serviceId', 'consultantId', 'notes').messages({
+    'object.missing': 'Provide a date, timeSlot, serviceId, consultantId or notes to change'
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate report subscription request
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateReportSubscription = (req, res, next) => {
+  const isCreate = req.method === 'POST';
+  const required = (field) => (isCreate ? field.required() : field);
+
+  const schema = Joi.object({
+    name: Joi.string().max(100).allow(''),
+    reportType: required(Joi.string().valid('booking-stats', 'service-popularity', 'client-acquisition', 'waitlist-metrics')).messages({
+      'any.only': 'Report type must be one of: booking-stats, service-popularity, client-acquisition, waitlist-metrics',
+      'any.required': 'Report type is required'
+    }),
+    format: Joi.string().valid('csv', 'excel', 'pdf').messages({
+      'any.only': 'Format must be one of: csv, excel, pdf'
+    }),
+    recipients: required(Joi.array().items(Joi.string().email()).min(1).unique()).messages({
+      'array.min': 'At least one recipient is required',
+      'array.unique': 'Recipients must not repeat',
+      'string.email': 'Recipients must be valid email addresses',
+      'any.required': 'Recipients are required'
+    }),
+    frequency: required(Joi.string().valid('daily', 'weekly', 'monthly')).messages({
+      'any.only': 'Frequency must be one of: daily, weekly, monthly',
+      'any.required': 'Frequency is required'
+    }),
+    window: Joi.object({
+      amount: Joi.number().integer().min(1).max(366).required(),
+      unit: Joi.string().valid('day', 'week', 'month').required()
+    }).messages({
+      'number.min': 'Window must cover at least one day',
+      'any.only': 'Window unit must be one of: day, week, month'
+    }),
+    filters: Joi.object({
+      period: Joi.string().valid('daily', 'weekly', 'monthly'),
+      limit: Joi.number().integer().min(1).max(100)
+    }),
+    timezone: timezoneSchema
+  }).min(1).messages({
+    'object.min': 'Provide at least one field to change'
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate joining the waitlist
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateWaitlist = (req, res, next) => {
+  const schema = Joi.object({
+    clientId: Joi.string().hex().length(24).required().messages({
+      'string.hex': 'Client ID must be a valid ID',
+      'string.length': 'Client ID must be a valid ID',
+      'any.required': 'Client is required'
+    }),
+    serviceId: Joi.string().hex().length(24).required().messages({
+      'string.hex': 'Service ID must be a valid ID',
+      'string.length': 'Service ID must be a valid ID',
+      'any.required': 'Service is required'
+    }),
+    requestedDate: Joi.date().iso().required().messages({
+      'date.format': 'Requested date must be in YYYY-MM-DD format',
+      'any.required': 'Requested date is required'
+    }),
+    alternativeDates: Joi.array().items(Joi.date().iso()).max(14).messages({
+      'date.format': 'Alternative dates must be in YYYY-MM-DD format',
+      'array.max': 'At most 14 alternative dates can be added'
+    }),
+    preferredTimeSlots: Joi.array().items(
+      Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]-([01][0-9]|2[0-3]):[0-5][0-9]$/)
+    ).unique().messages({
+      'string.pattern.base': 'Time slots must be in HH:MM-HH:MM format',
+      'array.unique': 'Time slots must not repeat'
+    }),
+    notes: Joi.string().max(500).allow('', null).messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    }),
+    priority: Joi.number().integer().min(0).max(10).messages({
+      'number.min': 'Priority must be between 0 and 10',
+      'number.max': 'Priority must be between 0 and 10'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate a client widening their waitlist entry
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateWaitlistWiden = (req, res, next) => {
+  const schema = Joi.object({
+    alternativeDates: Joi.array().items(Joi.date().iso()).max(14).messages({
+      'date.format': 'Alternative dates must be in YYYY-MM-DD format',
+      'array.max': 'At most 14 alternative dates can be added'
+    }),
+    preferredTimeSlots: Joi.array().items(
+      Joi.string().pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]-([01][0-9]|2[0-3]):[0-5][0-9]$/)
+    ).unique().messages({
+      'string.pattern.base': 'Time slots must be in HH:MM-HH:MM format',
+      'array.unique': 'Time slots must not repeat'
+    })
+  }).or('alternativeDates', 'preferredTimeSlots').messages({
+    'object.missing': 'Provide alternativeDates or preferredTimeSlots to add'
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate marking bookings as no-shows
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateNoShows = (req, res, next) => {
+  const schema = Joi.object({
+    date: Joi.date().iso().required().messages({
+      'date.format': 'Date must be in YYYY-MM-DD format',
+      'any.required': 'Date is required'
+    }),
+    bookingIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(200).unique().required().messages({
+      'string.hex': 'Booking IDs must be valid IDs',
+      'string.length': 'Booking IDs must be valid IDs',
+      'array.min': 'At least one booking is required',
+      'array.max': 'At most 200 bookings can be marked at once',
+      'array.unique': 'Booking IDs must not repeat',
+      'any.required': 'Booking IDs are required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate waiving a booking's fee
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateFeeWaiver = (req, res, next) => {
+  const schema = Joi.object({
+    reason: Joi.string().trim().min(1).max(200).required().messages({
+      'string.empty': 'A reason for waiving the fee is required',
+      'string.max': 'Reason cannot exceed 200 characters',
+      'any.required': 'A reason for waiving the fee is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate a charge posted to a booking
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateCharge = (req, res, next) => {
+  const schema = Joi.object({
+    amount: Joi.number().precision(2).min(0.01).max(1000000).messages({
+      'number.min': 'Amount must be positive',
+      'number.max': 'Amount cannot exceed 1,000,000',
+      'number.precision': 'Amount cannot have more than 2 decimal places'
+    }).required(),
+    description: Joi.string().trim().min(1).max(200).required().messages({
+      'string.empty': 'Description is required',
+      'any.required': 'Description is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate taking a deposit or payment
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validatePayment = (req, res, next) => {
+  const schema = Joi.object({
+    type: Joi.string().valid('deposit', 'payment').default('payment').messages({
+      'any.only': 'Type must be deposit or payment'
+    }),
+    amount: Joi.number().precision(2).min(0.01).max(1000000).messages({
+      'number.min': 'Amount must be positive',
+      'number.max': 'Amount cannot exceed 1,000,000',
+      'number.precision': 'Amount cannot have more than 2 decimal places'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate a refund
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateRefund = (req, res, next) => {
+  const schema = Joi.object({
+    amount: Joi.number().precision(2).min(0.01).max(1000000).messages({
+      'number.min': 'Amount must be positive',
+      'number.max': 'Amount cannot exceed 1,000,000',
+      'number.precision': 'Amount cannot have more than 2 decimal places'
+    }),
+    reason: Joi.string().trim().min(1).max(200).required().messages({
+      'string.empty': 'A reason for the refund is required',
+      'any.required': 'A reason for the refund is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate an intake form definition
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateIntakeForm = (req, res, next) => {
+  const field = Joi.object({
+    key: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/).required().messages({
+      'string.pattern.base': 'Field keys must start with a letter and use only letters, digits and underscores',
+      'any.required': 'Field key is required'
+    }),
+    label: Joi.string().trim().max(200).required().messages({
+      'string.empty': 'Field label is required',
+      'any.required': 'Field label is required'
+    }),
+    helpText: Joi.string().trim().max(500).allow('', null),
+    type: Joi.string().valid(...IntakeForm.FIELD_TYPES).required().messages({
+      'any.only': `Field type must be one of: ${IntakeForm.FIELD_TYPES.join(', ')}`
+    }),
+    required: Joi.boolean().default(false),
+    options: Joi.when('type', {
+      is: Joi.valid(...IntakeForm.CHOICE_TYPES),
+      then: Joi.array().items(Joi.string().trim().max(200)).min(1).unique().required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Select fields need options to choose from',
+      'any.unknown': 'Only select fields can have options'
+    }),
+    min: Joi.number().allow(null),
+    max: Joi.number().min(Joi.ref('min')).allow(null).messages({
+      'number.min': 'Field max cannot be below its min'
+    }),
+    minLength: Joi.number().integer().min(0).allow(null),
+    maxLength: Joi.number().integer().min(1).max(5000).allow(null),
+    pattern: Joi.string().max(500).custom((value, helpers) => {
+      try {
+        new RegExp(value);
+        return value;
+      } catch (error) {
+        return helpers.message(`${value} is not a valid pattern`);
+      }
+    }).allow('', null),
+    maxItems: Joi.number().integer().min(1).max(100).allow(null)
+  });
+
+  const schema = Joi.object({
+    title: Joi.string().trim().max(200).allow('', null),
+    description: Joi.string().trim().max(2000).allow('', null),
+    isActive: Joi.boolean(),
+    fields: Joi.array().items(field).min(1).unique('key').required().messages({
+      'array.min': 'A form needs at least one field',
+      'array.unique': 'Each field key can only be used once',
+      'any.required': 'Form fields are required'
+    })
+  });
+
+  const { error, value } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate intake answers
+ * Only the shape is checked here; the answers themselves are checked
+ * against the service's form
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateIntakeAnswers = (req, res, next) => {
+  const schema = Joi.object({
+    answers: Joi.object().unknown(true).required().messages({
+      'object.base': 'Answers must be an object keyed by field',
+      'any.required': 'Answers are required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate a case
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateCase = (req, res, next) => {
+  const isUpdate = req.method === 'PATCH';
+  const id = (label) => Joi.string().hex().length(24).messages({
+    'string.hex': `${label} must be a valid ID`,
+    'string.length': `${label} must be a valid ID`
+  });
+
+  const schema = Joi.object({
+    clientId: isUpdate
+      ? Joi.forbidden().messages({ 'any.unknown': 'A case cannot be moved to another client' })
+      : id('Client ID').required().messages({ 'any.required': 'Client ID is required' }),
+    title: isUpdate
+      ? Joi.string().trim().max(200)
+      : Joi.string().trim().max(200).required().messages({
+        'string.empty': 'Case title is required',
+        'any.required': 'Case title is required'
+      }),
+    description: Joi.string().trim().max(5000).allow(''),
+    caseType: Joi.string().valid(...Case.TYPES),
+    urgencyLevel: Joi.string().valid('standard', 'urgent', 'emergency'),
+    estimatedLoss: Joi.number().min(0).max(100000000).messages({
+      'number.min': 'Estimated loss cannot be negative',
+      'number.max': 'Please contact us directly for amounts over £100M'
+    }),
+    amountRecovered: Joi.number().min(0).messages({
+      'number.min': 'Amount recovered cannot be negative'
+    }),
+    currency: Joi.string().length(3),
+    // Staff member handling the case; null to unassign
+    handlerId: id('Handler ID').allow(null),
+    // Google Ads lead the case came from; null to unlink
+    leadId: id('Lead ID').allow(null),
+    // Client bookings to link when the case is opened
+    bookingIds: isUpdate
+      ? Joi.forbidden().messages({ 'any.unknown': 'Link bookings with POST /api/cases/:id/bookings' })
+      : Joi.array().items(id('Booking ID')).unique().max(100),
+    status: Joi.forbidden().messages({
+      'any.unknown': 'Change the status with PATCH /api/cases/:id/status'
+    })
+  }).min(1).messages({
+    'object.min': 'No case details were given'
+  });
+
+  const { error, value } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate a case status change
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateCaseStatus = (req, res, next) => {
+  const schema = Joi.object({
+    status: Joi.string().valid(...Case.STATUSES).required().messages({
+      'any.only': `Status must be one of: ${Case.STATUSES.join(', ')}`,
+      'any.required': 'Status is required'
+    }),
+    note: Joi.string().trim().max(2000).allow('', null),
+    amountRecovered: Joi.number().min(0).messages({
+      'number.min': 'Amount recovered cannot be negative'
+    })
+  });
+
+  const { error, value } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate a case note
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateCaseNote = (req, res, next) => {
+  const schema = Joi.object({
+    message: Joi.string().trim().min(1).max(2000).required().messages({
+      'string.empty': 'Note is required',
+      'any.required': 'Note is required',
+      'string.max': 'Notes cannot exceed 2000 characters'
+    })
+  });
+
+  const { error, value } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate a booking to link to a case
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.validateCaseBooking = (req, res, next) => {
+  const schema = Joi.object({
+    bookingId: Joi.string().hex().length(24).required().messages({
+      'string.hex': 'Booking ID must be a valid ID',
+      'string.length': 'Booking ID must be a valid ID',
+      'any.required': 'Booking ID is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  next();
+};
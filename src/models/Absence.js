@@ -0,0 +1,83 @@
+/**
+ * Absence Model
+ * Consultant holidays, sick days and partial-day absences
+ */
+const mongoose = require('mongoose');
+
+const absenceSchema = new mongoose.Schema(
+  {
+    consultantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StaffProfile',
+      required: [true, 'Consultant is required']
+    },
+    type: {
+      type: String,
+      enum: ['holiday', 'sick', 'training', 'other'],
+      default: 'holiday'
+    },
+    // Exact window, so partial days only remove the hours affected
+    startsAt: {
+      type: Date,
+      required: [true, 'Start time is required']
+    },
+    endsAt: {
+      type: Date,
+      required: [true, 'End time is required'],
+      validate: {
+        validator: function(endsAt) {
+          return !this.startsAt || endsAt > this.startsAt;
+        },
+        message: 'Absence must end after it starts'
+      }
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Only approved absences remove availability
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewNote: {
+      type: String,
+      maxlength: [500, 'Review note cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for checking a consultant's absences over a period
+absenceSchema.index({ consultantId: 1, status: 1, startsAt: 1, endsAt: 1 });
+
+// Index for the team calendar
+absenceSchema.index({ status: 1, startsAt: 1 });
+
+// Static method to find approved absences overlapping a window
+absenceSchema.statics.findApprovedBetween = function(consultantIds, startsAt, endsAt) {
+  return this.find({
+    consultantId: { $in: consultantIds },
+    status: 'approved',
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt }
+  });
+};
+
+const Absence = mongoose.model('Absence', absenceSchema);
+
+module.exports = Absence;
@@ -1,4 +1,96 @@
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { isValidTimeSlot } = require('../utils/scheduleUtils');
+const { slotToInstants, toDayKey } = require('../utils/timezone');
+
+/**
+ * Cancellation policy outcome
+ * The fee a cancellation or no-show incurred and whether it was waived
+ */
+const policyOutcomeSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['free-cancellation', 'late-cancellation', 'no-show'],
+      required: true
+    },
+    fee: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    feePercent: Number,
+    // Service price the fee was worked out from
+    price: Number,
+    // Hours between the cancellation and the start of the booking
+    hoursNotice: Number,
+    reason: String,
+    evaluatedAt: Date,
+    evaluatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    waived: {
+      type: Boolean,
+      default: false
+    },
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    waivedAt: Date,
+    waiverReason: String
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Video meeting
+ * The room a remote consultation is held in; replaced with a new one
+ * whenever the booking moves
+ */
+const meetingSchema = new mongoose.Schema(
+  {
+    provider: String,
+    roomId: String,
+    joinUrl: String,
+    // Link for the consultant, when the provider has a separate one
+    hostUrl: String,
+    createdAt: Date
+  },
+  {
+    _id: false
+  }
+);
+
+/**
+ * Intake answers
+ * What the client told us in their service's intake form, with each
+ * field's label as it was asked
+ */
+const intakeSchema = new mongoose.Schema(
+  {
+    formId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IntakeForm'
+    },
+    formVersion: Number,
+    answers: [{
+      _id: false,
+      key: String,
+      label: String,
+      type: { type: String },
+      value: mongoose.Schema.Types.Mixed
+    }],
+    submittedAt: Date
+  },
+  {
+    _id: false
+  }
+);
 
 /**
  * Booking Schema
@@ -28,16 +120,62 @@ const bookingSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Time slot is required']
     },
+    // Absolute start and end of the meeting, worked out from date and
+    // timeSlot in the office zone
+    startsAt: {
+      type: Date
+    },
+    endsAt: {
+      type: Date
+    },
+    // Zone date and timeSlot are expressed in
+    timezone: {
+      type: String
+    },
+    // Zone the client asked to see times in
+    clientTimezone: {
+      type: String
+    },
+    // Consultant taking the meeting
+    consultantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StaffProfile'
+    },
+    // Set when the consultant is away for the booking and someone else has to take it
+    needsReassignment: {
+      type: Boolean,
+      default: false
+    },
+    reassignment: {
+      absenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Absence'
+      },
+      // Free consultant offering the same service, if there is one
+      suggestedConsultantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StaffProfile'
+      },
+      reason: String,
+      flaggedAt: Date
+    },
     status: {
       type: String,
       enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'],
       default: 'pending'
     },
+    // Worked out from the booking's payments ledger; not set by hand
     paymentStatus: {
       type: String,
-      enum: ['unpaid', 'paid', 'refunded', 'partial'],
+      enum: ['unpaid', 'paid', 'refunded', 'partial', 'fee-due'],
       default: 'unpaid'
     },
+    // What the cancellation policy decided when the booking was cancelled
+    // or marked as a no-show
+    policyOutcome: {
+      type: policyOutcomeSchema,
+      default: undefined
+    },
     notes: {
       type: String,
       maxlength: 500
@@ -66,6 +204,42 @@ const bookingSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // Reminders sent for the booking; key is unique to the offset and start time
+    remindersSent: [{
+      _id: false,
+      key: String,
+      offsetMinutes: Number,
+      startsAt: Date,
+      // Channels the reminder went out on: email, sms
+      channels: [String],
+      sentAt: Date
+    }],
+    // Bumped to revoke every manage link sent for the booking so far
+    manageLinkVersion: {
+      type: Number,
+      default: 0
+    },
+    // Recovery case the booking belongs to
+    caseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Case'
+    },
+    // Answers to the service's intake form
+    intake: {
+      type: intakeSchema,
+      default: undefined
+    },
+    // Video room for bookings of remote services
+    meeting: {
+      type: meetingSchema,
+      default: undefined
+    },
+    // Revision of the booking's calendar event; calendar apps only apply an
+    // invite with a higher sequence than the one they hold
+    calendarSequence: {
+      type: Number,
+      default: 0
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -78,6 +252,37 @@ const bookingSchema = new mongoose.Schema(
       type: String,
       maxlength: 200
     },
+    // Earlier times of a booking that has been moved, oldest first
+    rescheduleHistory: [{
+      _id: false,
+      fromDate: Date,
+      fromTimeSlot: String,
+      fromStartsAt: Date,
+      fromConsultantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StaffProfile'
+      },
+      toDate: Date,
+      toTimeSlot: String,
+      toStartsAt: Date,
+      reason: {
+        type: String,
+        maxlength: 500
+      },
+      rescheduledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // True when the client moved the booking themselves
+      byClient: {
+        type: Boolean,
+        default: false
+      },
+      rescheduledAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     // Enhanced recurring booking fields
     isRecurring: {
       type: Boolean,
@@ -85,9 +290,30 @@ const bookingSchema = new mongoose.Schema(
     },
     recurrencePattern: {
       type: String,
-      enum: ['none', 'daily', 'weekly', 'biweekly', 'monthly'],
+      enum: ['none', 'daily', 'weekly', 'biweekly', 'monthly', 'custom'],
       default: 'none'
     },
+    // RFC 5545 RRULE value the series follows, e.g. FREQ=MONTHLY;BYDAY=-1FR;COUNT=6
+    recurrenceRule: {
+      type: String,
+      trim: true
+    },
+    // Days left out of the series, like EXDATE
+    recurrenceExceptions: [{
+      type: Date
+    }],
+    // Days the rule gave that could not be booked when the series was created
+    recurrenceSkipped: [{
+      _id: false,
+      date: {
+        type: Date,
+        required: true
+      },
+      reason: {
+        type: String,
+        required: true
+      }
+    }],
     recurrenceEndDate: {
       type: Date
     },
@@ -96,6 +322,59 @@ const bookingSchema = new mongoose.Schema(
       min: 0,
       default: 0
     },
+    // Day the recurrence rule gave this occurrence, before any edits moved it
+    occurrenceDate: {
+      type: Date
+    },
+    // Values the series' occurrences take unless edited one by one; kept on
+    // the first booking of the series
+    seriesTemplate: {
+      _id: false,
+      serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+      },
+      serviceName: String,
+      timeSlot: String,
+      consultantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StaffProfile'
+      },
+      notes: String
+    },
+    // Occurrences edited on their own, kept on the first booking of the
+    // series so edits to the whole series leave them alone
+    occurrenceOverrides: [{
+      _id: false,
+      occurrenceDate: {
+        type: Date,
+        required: true
+      },
+      bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+      },
+      date: Date,
+      timeSlot: String,
+      serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+      },
+      consultantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StaffProfile'
+      },
+      notes: String,
+      cancelled: Boolean,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      editedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     // Track parent-child relationships for recurring bookings
     parentBookingId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -123,12 +402,24 @@ bookingSchema.index({ serviceId: 1, date: 1, status: 1 });
 // Index for searching by status and date range (for admin dashboard)
 bookingSchema.index({ status: 1, date: 1 });
 
+// Index for a case's bookings
+bookingSchema.index({ caseId: 1 });
+
 // Index for searching by reference (for quick lookup)
 bookingSchema.index({ reference: 1 });
 
 // Index for checking availability (avoiding double bookings)
 bookingSchema.index({ date: 1, timeSlot: 1, status: 1 });
 
+// Index for a consultant's calendar
+bookingSchema.index({ consultantId: 1, date: 1, status: 1 });
+
+// Index for finding bookings by time
+bookingSchema.index({ startsAt: 1 });
+
+// Index for bookings waiting to be reassigned
+bookingSchema.index({ needsReassignment: 1, date: 1 });
+
 // Index for recurring bookings
 bookingSchema.index({ isRecurring: 1, recurrencePattern: 1 });
 bookingSchema.index({ parentBookingId: 1 });
@@ -169,6 +460,17 @@ bookingSchema.virtual('seriesBookings', {
   options: { sort: { date: 1 } }
 });
 
+/**
+ * Pre-save hook to raise the calendar sequence when the booking's time,
+ * status, consultant or meeting link changes
+ */
+bookingSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified(['startsAt', 'endsAt', 'status', 'consultantId', 'meeting'])) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+  next();
+});
+
 /**
  * Pre-remove hook to handle cascade delete for recurring bookings
  * Removes all child bookings when a parent booking is deleted
@@ -233,6 +535,125 @@ bookingSchema.methods.cancelSeries = async function(reason, user = null) {
   return [];
 };
 
+// Method to get the day the recurrence rule gave this occurrence
+bookingSchema.methods.getOccurrenceDay = function() {
+  return toDayKey(this.occurrenceDate || this.date);
+};
+
+// Method to get the values a series' occurrences take by default
+// Series created before templates were kept use the first booking's values
+bookingSchema.methods.getSeriesTemplate = function() {
+  const template = this.seriesTemplate && this.seriesTemplate.timeSlot ? this.seriesTemplate : this;
+
+  return {
+    serviceId: template.serviceId,
+    serviceName: template.serviceName,
+    timeSlot: template.timeSlot,
+    consultantId: template.consultantId || null,
+    notes: template.notes
+  };
+};
+
+/**
+ * Method to find the edits made to one occurrence of the series
+ * 
+ * @param {Date|string} occurrenceDate - Day the rule gave the occurrence
+ * @returns {Object|undefined} Override, if the occurrence was edited
+ */
+bookingSchema.methods.getOccurrenceOverride = function(occurrenceDate) {
+  const day = toDayKey(occurrenceDate);
+  return (this.occurrenceOverrides || []).find(override => toDayKey(override.occurrenceDate) === day);
+};
+
+/**
+ * Method to record edits made to one occurrence of the series
+ * Called on the first booking of the series; fields already edited on the
+ * occurrence are kept unless edited again
+ * 
+ * @param {Object} occurrence - Occurrence booking that was edited
+ * @param {Object} fields - Edited fields (date, timeSlot, serviceId,
+ *   consultantId, notes or cancelled)
+ * @param {Object} user - User making the edit
+ * @returns {Object} Override record
+ */
+bookingSchema.methods.setOccurrenceOverride = function(occurrence, fields, user = null) {
+  // Keep what the series looked like before its first booking is edited
+  if (!this.seriesTemplate || !this.seriesTemplate.timeSlot) {
+    this.seriesTemplate = this.getSeriesTemplate();
+  }
+
+  let override = this.getOccurrenceOverride(occurrence.occurrenceDate || occurrence.date);
+
+  if (!override) {
+    this.occurrenceOverrides.push({
+      occurrenceDate: occurrence.occurrenceDate || occurrence.date,
+      bookingId: occurrence._id
+    });
+    override = this.occurrenceOverrides[this.occurrenceOverrides.length - 1];
+  }
+
+  Object.keys(fields).forEach(field => {
+    if (fields[field] !== undefined) {
+      override[field] = fields[field];
+    }
+  });
+  override.editedBy = user ? user._id : undefined;
+  override.editedAt = new Date();
+
+  return override;
+};
+
+/**
+ * Method to work out the absolute start and end of the booking
+ * 
+ * @param {string} timezone - Office zone the date and time slot are in
+ * @returns {boolean} False if the time slot does not exist on that day,
+ *   e.g. because the clocks go forward during it
+ */
+bookingSchema.methods.setInstants = function(timezone) {
+  const instants = isValidTimeSlot(this.timeSlot)
+    ? slotToInstants(this.date, this.timeSlot, timezone)
+    : null;
+
+  if (!instants) {
+    return false;
+  }
+
+  this.timezone = timezone;
+  this.startsAt = instants.startsAt;
+  this.endsAt = instants.endsAt;
+  return true;
+};
+
+/**
+ * Method to sign a link token the client can use to manage the booking
+ * The token stops working a day after the meeting, or sooner if the
+ * booking's links are revoked
+ * 
+ * @returns {string} Signed token
+ */
+bookingSchema.methods.generateManageToken = function() {
+  const maxSeconds = config.manageLinks.expiresInDays * 24 * 60 * 60;
+  const secondsUntilMeeting = this.startsAt
+    ? Math.floor((this.startsAt.getTime() - Date.now()) / 1000) + 24 * 60 * 60
+    : maxSeconds;
+
+  return jwt.sign(
+    {
+      bookingId: this._id,
+      type: 'manage-booking',
+      version: this.manageLinkVersion || 0
+    },
+    config.manageLinks.secret,
+    { expiresIn: Math.max(60 * 60, Math.min(maxSeconds, secondsUntilMeeting)) }
+  );
+};
+
+// Method to get the link the client uses to manage the booking
+bookingSchema.methods.getManageUrl = function() {
+  return `${config.manageLinks.baseUrl}/${this.generateManageToken()}`;
+};
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking; 
\ No newline at end of file
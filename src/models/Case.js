@@ -0,0 +1,212 @@
+/**
+ * Case Model
+ * A client's recovery case: the unit of work its bookings and the lead it
+ * came from belong to, moved through a status pipeline by its handler
+ */
+const mongoose = require('mongoose');
+
+// Pipeline order; a case ends in one of the two closed statuses
+const CASE_STATUSES = [
+  'intake',
+  'assessment',
+  'engagement',
+  'recovery-in-progress',
+  'closed-recovered',
+  'closed-unrecovered'
+];
+
+const CLOSED_STATUSES = ['closed-recovered', 'closed-unrecovered'];
+
+const CASE_TYPES = ['cryptocurrency-recovery', 'investment-fraud', 'financial-scam', 'regulatory-complaint', 'other'];
+
+const TIMELINE_TYPES = [
+  'created',
+  'status-change',
+  'assignment',
+  'note',
+  'booking-linked',
+  'booking-unlinked',
+  'lead-linked',
+  'lead-unlinked',
+  'updated'
+];
+
+/**
+ * Timeline entry
+ * Something that happened to the case, newest last
+ */
+const timelineEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: TIMELINE_TYPES,
+      required: true
+    },
+    message: {
+      type: String,
+      maxlength: [2000, 'Timeline entries cannot exceed 2000 characters']
+    },
+    fromStatus: String,
+    toStatus: String,
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GoogleAdsLead'
+    },
+    handlerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    _id: true
+  }
+);
+
+const caseSchema = new mongoose.Schema(
+  {
+    // e.g. CASE-2026-00042
+    reference: {
+      type: String,
+      required: [true, 'Case reference is required'],
+      unique: true
+    },
+    title: {
+      type: String,
+      required: [true, 'Case title is required'],
+      trim: true,
+      maxlength: [200, 'Case title cannot exceed 200 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Case description cannot exceed 5000 characters']
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: [true, 'Client is required']
+    },
+    caseType: {
+      type: String,
+      enum: CASE_TYPES,
+      default: 'other'
+    },
+    status: {
+      type: String,
+      enum: CASE_STATUSES,
+      default: 'intake'
+    },
+    urgencyLevel: {
+      type: String,
+      enum: ['standard', 'urgent', 'emergency'],
+      default: 'standard'
+    },
+    // Staff member responsible for the case
+    handlerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Google Ads lead the case was opened from
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GoogleAdsLead'
+    },
+    estimatedLoss: {
+      type: Number,
+      min: [0, 'Estimated loss cannot be negative'],
+      max: [100000000, 'Please contact us directly for amounts over £100M']
+    },
+    amountRecovered: {
+      type: Number,
+      min: [0, 'Amount recovered cannot be negative'],
+      default: 0
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'GBP'
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now
+    },
+    closedAt: {
+      type: Date
+    },
+    timeline: [timelineEntrySchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for the case list filters
+caseSchema.index({ status: 1, updatedAt: -1 });
+caseSchema.index({ handlerId: 1, status: 1 });
+caseSchema.index({ clientId: 1 });
+
+// A lead opens at most one case
+caseSchema.index(
+  { leadId: 1 },
+  { unique: true, partialFilterExpression: { leadId: { $exists: true } } }
+);
+
+// Virtual for the case's bookings
+caseSchema.virtual('bookings', {
+  ref: 'Booking',
+  localField: '_id',
+  foreignField: 'caseId',
+  options: { sort: { startsAt: 1 } }
+});
+
+// Virtual for whether the case has been closed
+caseSchema.virtual('isClosed').get(function() {
+  return CLOSED_STATUSES.includes(this.status);
+});
+
+/**
+ * Method to add an entry to the case's timeline
+ *
+ * @param {Object} entry - Timeline entry fields
+ * @param {Object} user - User the entry is recorded for
+ * @returns {Object} Added entry
+ */
+caseSchema.methods.addTimelineEntry = function(entry, user) {
+  this.timeline.push({
+    ...entry,
+    by: user ? user._id : undefined,
+    at: entry.at || new Date()
+  });
+
+  return this.timeline[this.timeline.length - 1];
+};
+
+const Case = mongoose.model('Case', caseSchema);
+
+Case.STATUSES = CASE_STATUSES;
+Case.CLOSED_STATUSES = CLOSED_STATUSES;
+Case.TYPES = CASE_TYPES;
+
+module.exports = Case;
@@ -0,0 +1,130 @@
+/**
+ * Closure Model
+ * Office closures, bank holidays and blackout dates on which no slots are offered
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+const closureSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Closure name is required'],
+      trim: true,
+      maxlength: [200, 'Closure name cannot exceed 200 characters']
+    },
+    // First and last closed day, both inclusive
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+      validate: {
+        validator: function(endDate) {
+          return !this.startDate || endDate >= this.startDate;
+        },
+        message: 'End date cannot be before the start date'
+      }
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'ics', 'bank-holiday'],
+      default: 'manual'
+    },
+    // Event UID from an imported calendar, used to update events on re-import
+    uid: {
+      type: String,
+      trim: true
+    },
+    // Services the closure applies to; empty means the whole office is closed
+    serviceIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    }],
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for range lookups
+closureSchema.index({ startDate: 1, endDate: 1 });
+
+// Imported events are unique per calendar UID
+closureSchema.index({ uid: 1 }, { unique: true, sparse: true });
+
+// Normalise the range to whole days
+closureSchema.pre('validate', function(next) {
+  if (this.startDate) {
+    this.startDate = moment(this.startDate).startOf('day').toDate();
+  }
+  if (this.endDate) {
+    this.endDate = moment(this.endDate).endOf('day').toDate();
+  }
+  next();
+});
+
+// Method to check whether the closure applies to a service
+closureSchema.methods.appliesToService = function(serviceId) {
+  if (!this.serviceIds || this.serviceIds.length === 0) {
+    return true;
+  }
+  return !serviceId || this.serviceIds.some(id => id.toString() === serviceId.toString());
+};
+
+// Static method to find closures overlapping a date range
+closureSchema.statics.findInRange = function(startDate, endDate, serviceId = null) {
+  const query = {
+    startDate: { $lte: moment(endDate).endOf('day').toDate() },
+    endDate: { $gte: moment(startDate).startOf('day').toDate() }
+  };
+
+  if (serviceId) {
+    query.$or = [
+      { serviceIds: { $size: 0 } },
+      { serviceIds: serviceId }
+    ];
+  }
+
+  return this.find(query).sort('startDate');
+};
+
+// Static method to list the closed days in a range as YYYY-MM-DD keys
+closureSchema.statics.getClosedDays = async function(startDate, endDate, serviceId = null) {
+  const closures = await this.findInRange(startDate, endDate, serviceId);
+  const rangeStart = moment(startDate).startOf('day');
+  const rangeEnd = moment(endDate).endOf('day');
+  const closedDays = new Set();
+
+  for (const closure of closures) {
+    const day = moment.max(moment(closure.startDate).startOf('day'), rangeStart);
+    const last = moment.min(moment(closure.endDate), rangeEnd);
+
+    while (day.isSameOrBefore(last)) {
+      closedDays.add(day.format('YYYY-MM-DD'));
+      day.add(1, 'day');
+    }
+  }
+
+  return closedDays;
+};
+
+// Static method to check whether a service is closed on a date
+closureSchema.statics.isClosedOn = async function(date, serviceId = null) {
+  const closedDays = await this.getClosedDays(date, date, serviceId);
+  return closedDays.size > 0;
+};
+
+const Closure = mongoose.model('Closure', closureSchema);
+
+module.exports = Closure;
@@ -0,0 +1,43 @@
+/**
+ * Counter Model
+ * Named sequences for numbers that must run on without repeats, such as
+ * invoice numbers
+ */
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema(
+  {
+    // Sequence name, e.g. invoice-2026
+    _id: {
+      type: String
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+/**
+ * Take the next number in a sequence, starting it at 1
+ *
+ * @param {string} name - Sequence name
+ * @param {Object} session - Transaction the number is only kept with
+ * @returns {Promise<number>} Next number
+ */
+counterSchema.statics.next = async function(name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,174 @@
+/**
+ * Intake Form Model
+ * The questionnaire a service asks clients to fill in before their
+ * consultation. Answers are checked against it and kept on the booking.
+ */
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = [
+  'text',
+  'textarea',
+  'email',
+  'number',
+  'currency',
+  'date',
+  'boolean',
+  'select',
+  'multiselect',
+  // Several short answers, e.g. wallet addresses
+  'list'
+];
+
+// Types whose answers are picked from the field's options
+const CHOICE_TYPES = ['select', 'multiselect'];
+
+/**
+ * Check that a field's pattern is a usable regular expression
+ *
+ * @param {string} pattern - Pattern source
+ * @returns {boolean} True if the pattern compiles
+ */
+const isValidPattern = (pattern) => {
+  if (!pattern) {
+    return true;
+  }
+
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const fieldSchema = new mongoose.Schema(
+  {
+    // Name the answer is submitted and stored under, e.g. walletAddresses
+    key: {
+      type: String,
+      required: [true, 'Field key is required'],
+      match: [/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/, 'Field keys must start with a letter and use only letters, digits and underscores']
+    },
+    label: {
+      type: String,
+      required: [true, 'Field label is required'],
+      trim: true,
+      maxlength: [200, 'Field label cannot exceed 200 characters']
+    },
+    helpText: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Help text cannot exceed 500 characters']
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      required: [true, 'Field type is required']
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    // Choices for select and multiselect fields
+    options: {
+      type: [String],
+      default: undefined
+    },
+    // Smallest and largest number, for number and currency fields
+    min: Number,
+    max: Number,
+    // Length limits for text answers, and for each item of a list
+    minLength: {
+      type: Number,
+      min: 0
+    },
+    maxLength: {
+      type: Number,
+      min: 1,
+      max: [5000, 'Answers cannot be longer than 5000 characters']
+    },
+    // Regular expression text answers and list items must match
+    pattern: {
+      type: String,
+      validate: {
+        validator: isValidPattern,
+        message: props => `${props.value} is not a valid pattern`
+      }
+    },
+    // Most items a list or multiselect answer can have
+    maxItems: {
+      type: Number,
+      min: 1,
+      max: [100, 'Lists cannot have more than 100 items']
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+fieldSchema.pre('validate', function(next) {
+  if (CHOICE_TYPES.includes(this.type) && !(this.options && this.options.length)) {
+    this.invalidate('options', `Field ${this.key} needs options to choose from`);
+  }
+  next();
+});
+
+const intakeFormSchema = new mongoose.Schema(
+  {
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: [true, 'Service is required'],
+      unique: true
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Form title cannot exceed 200 characters'],
+      default: 'Before your consultation'
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Form description cannot exceed 2000 characters']
+    },
+    fields: {
+      type: [fieldSchema],
+      validate: [
+        {
+          validator: fields => fields.length > 0,
+          message: 'A form needs at least one field'
+        },
+        {
+          validator: fields => new Set(fields.map(field => field.key)).size === fields.length,
+          message: 'Each field key can only be used once'
+        }
+      ]
+    },
+    // Bumped each time the fields change; answers record the version they
+    // were given against
+    version: {
+      type: Number,
+      default: 1
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const IntakeForm = mongoose.model('IntakeForm', intakeFormSchema);
+
+IntakeForm.FIELD_TYPES = FIELD_TYPES;
+IntakeForm.CHOICE_TYPES = CHOICE_TYPES;
+
+module.exports = IntakeForm;
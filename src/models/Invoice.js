@@ -0,0 +1,173 @@
+/**
+ * Invoice Model
+ * Invoices, receipts and credit notes issued for bookings. Each is numbered
+ * in its own sequence and never changed once issued; mistakes are put right
+ * by issuing another document.
+ */
+const mongoose = require('mongoose');
+
+const INVOICE_KINDS = ['invoice', 'receipt', 'credit-note'];
+
+const partySchema = new mongoose.Schema(
+  {
+    name: String,
+    email: String,
+    address: [String],
+    vatNumber: String
+  },
+  {
+    _id: false
+  }
+);
+
+const lineSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: true
+    },
+    // Ledger entry the line was made from
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    // Receipts record money received and have no VAT breakdown
+    vatRate: {
+      type: Number
+    },
+    net: {
+      type: Number,
+      required: true
+    },
+    vat: {
+      type: Number,
+      default: 0
+    },
+    gross: {
+      type: Number,
+      required: true
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: INVOICE_KINDS,
+      required: [true, 'Document kind is required']
+    },
+    // e.g. INV-2026-00042
+    number: {
+      type: String,
+      required: [true, 'Document number is required'],
+      unique: true
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: [true, 'Booking is required']
+    },
+    bookingReference: {
+      type: String
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    // Deposit or payment a receipt is for, or refund or voided charge a
+    // credit note is for
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    // Invoice a receipt or credit note relates to
+    relatesTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    relatesToNumber: {
+      type: String
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'GBP'
+    },
+    // Seller and buyer as they were when the document was issued
+    seller: partySchema,
+    buyer: partySchema,
+    lines: [lineSchema],
+    totals: {
+      net: Number,
+      vat: Number,
+      gross: Number
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    filename: {
+      type: String,
+      required: true
+    },
+    // Rendered document; left out of queries unless asked for
+    pdf: {
+      type: Buffer,
+      required: true,
+      select: false
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for a booking's documents, oldest first
+invoiceSchema.index({ bookingId: 1, issuedAt: 1 });
+
+// One receipt or credit note per payment or refund
+invoiceSchema.index(
+  { kind: 1, paymentId: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $exists: true } } }
+);
+
+// Issued documents are never changed or removed
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error(`${this.number} has been issued and cannot be changed`));
+  }
+  next();
+});
+
+invoiceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  function(next) {
+    next(new Error('Issued invoices cannot be changed'));
+  }
+);
+
+invoiceSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  function(next) {
+    next(new Error('Issued invoices cannot be removed'));
+  }
+);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+Invoice.KINDS = INVOICE_KINDS;
+
+module.exports = Invoice;
@@ -0,0 +1,101 @@
+/**
+ * Job Model
+ * Background work stored in MongoDB so it survives restarts
+ */
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const jobSchema = new mongoose.Schema(
+  {
+    // Name of the handler that runs the job, e.g. booking-reminder
+    type: {
+      type: String,
+      required: [true, 'Job type is required'],
+      trim: true
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Schedule that queued the job, if any
+    schedule: {
+      type: String
+    },
+    // What queued the job: the scheduler, an admin, or the application
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual', 'event'],
+      default: 'event'
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Jobs with the same key are only queued once
+    uniqueKey: {
+      type: String
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'pending'
+    },
+    runAt: {
+      type: Date,
+      required: [true, 'Run time is required'],
+      default: Date.now
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      min: [1, 'A job needs at least one attempt'],
+      default: 5
+    },
+    // Worker running the job and when it took it
+    lockedBy: {
+      type: String
+    },
+    lockedAt: {
+      type: Date
+    },
+    // When the latest attempt started
+    startedAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    },
+    // What the handler returned
+    result: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    completedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for the worker picking the next due job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Index for queueing a job only once
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+
+// Index for finding a type's jobs
+jobSchema.index({ type: 1, status: 1 });
+
+// Index for listing a schedule's runs
+jobSchema.index({ schedule: 1, createdAt: -1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+Job.STATUSES = JOB_STATUSES;
+
+module.exports = Job;
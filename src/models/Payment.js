@@ -0,0 +1,115 @@
+/**
+ * Payment Model
+ * Ledger of what a booking costs and what has been paid or refunded for it.
+ * A booking's payment status is worked out from its entries.
+ */
+const mongoose = require('mongoose');
+
+const PAYMENT_TYPES = ['charge', 'deposit', 'payment', 'refund'];
+const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed', 'void'];
+const CHARGE_CATEGORIES = ['booking', 'late-cancellation', 'no-show', 'manual'];
+
+const paymentSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: [true, 'Booking is required']
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    // Charges are what the client owes; deposits and payments are money
+    // received and refunds money paid back
+    type: {
+      type: String,
+      enum: PAYMENT_TYPES,
+      required: [true, 'Payment type is required']
+    },
+    // What a charge is for
+    category: {
+      type: String,
+      enum: CHARGE_CATEGORIES
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be positive']
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'GBP'
+    },
+    // Charges are succeeded once posted and void once cancelled; money
+    // movements are pending until the provider confirms them
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: 'pending'
+    },
+    description: {
+      type: String,
+      maxlength: 200
+    },
+    provider: {
+      type: String
+    },
+    // Provider's reference for the payment or refund
+    providerRef: {
+      type: String
+    },
+    // Page the client pays on, when the provider has one
+    checkoutUrl: {
+      type: String
+    },
+    // Payment a refund returns money from
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    failureReason: {
+      type: String
+    },
+    // Invoice a charge has been billed on
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    settledAt: {
+      type: Date
+    },
+    voidedAt: {
+      type: Date
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for a booking's ledger, oldest first
+paymentSchema.index({ bookingId: 1, createdAt: 1 });
+
+// Index for matching provider webhooks to entries
+paymentSchema.index(
+  { provider: 1, providerRef: 1 },
+  { unique: true, partialFilterExpression: { providerRef: { $exists: true } } }
+);
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+Payment.TYPES = PAYMENT_TYPES;
+Payment.STATUSES = PAYMENT_STATUSES;
+Payment.CHARGE_CATEGORIES = CHARGE_CATEGORIES;
+
+module.exports = Payment;
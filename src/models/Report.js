@@ -0,0 +1,89 @@
+/**
+ * Report Model
+ * Generated report files, kept so they can be downloaded again
+ */
+const mongoose = require('mongoose');
+
+const REPORT_TYPES = ['booking-stats', 'service-popularity', 'client-acquisition', 'waitlist-metrics'];
+const REPORT_FORMATS = ['csv', 'excel', 'pdf'];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reportType: {
+      type: String,
+      required: [true, 'Report type is required'],
+      enum: REPORT_TYPES
+    },
+    format: {
+      type: String,
+      required: [true, 'Report format is required'],
+      enum: REPORT_FORMATS
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    filename: {
+      type: String,
+      required: true
+    },
+    mimeType: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      default: 0
+    },
+    // Report file; left out of queries unless asked for
+    content: {
+      type: Buffer,
+      required: true,
+      select: false
+    },
+    // Filters the report was generated with
+    filters: {
+      startDate: Date,
+      endDate: Date,
+      period: String,
+      limit: Number
+    },
+    // How the report came to be generated
+    source: {
+      type: String,
+      enum: ['export', 'email', 'subscription'],
+      default: 'export'
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReportSubscription'
+    },
+    // Who the report was emailed to, and whether it arrived
+    deliveries: [{
+      _id: false,
+      email: String,
+      sentAt: Date,
+      error: String
+    }],
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for listing reports, newest first
+reportSchema.index({ createdAt: -1 });
+
+// Index for a subscription's report history
+reportSchema.index({ subscriptionId: 1, createdAt: -1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+Report.TYPES = REPORT_TYPES;
+Report.FORMATS = REPORT_FORMATS;
+
+module.exports = Report;
@@ -0,0 +1,128 @@
+/**
+ * Report Subscription Model
+ * A report emailed to a list of recipients on a schedule
+ */
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const Report = require('./Report');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+const reportSubscriptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    reportType: {
+      type: String,
+      required: [true, 'Report type is required'],
+      enum: Report.TYPES
+    },
+    format: {
+      type: String,
+      required: [true, 'Report format is required'],
+      enum: Report.FORMATS,
+      default: 'pdf'
+    },
+    recipients: {
+      type: [{
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+      }],
+      validate: {
+        validator: recipients => recipients.length > 0,
+        message: 'A subscription needs at least one recipient'
+      }
+    },
+    frequency: {
+      type: String,
+      required: [true, 'Frequency is required'],
+      enum: ['daily', 'weekly', 'monthly']
+    },
+    // Rolling period each report covers, ending the day before it is sent,
+    // e.g. { amount: 7, unit: 'day' } for the last 7 days
+    window: {
+      amount: {
+        type: Number,
+        min: [1, 'Window must cover at least one day'],
+        default: 30
+      },
+      unit: {
+        type: String,
+        enum: ['day', 'week', 'month'],
+        default: 'day'
+      }
+    },
+    // Filters that do not depend on the date, such as the acquisition period
+    filters: {
+      period: String,
+      limit: Number
+    },
+    // IANA zone days and send times are worked out in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'unsubscribed'],
+      default: 'active'
+    },
+    lastReportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    lastSentAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+reportSubscriptionSchema.index({ status: 1 });
+
+/**
+ * Method to sign a token a recipient can use to pause the subscription or
+ * unsubscribe from it, without logging in
+ *
+ * @param {string} email - Recipient the token is for
+ * @returns {string} Signed token
+ */
+reportSubscriptionSchema.methods.generateLinkToken = function(email) {
+  return jwt.sign(
+    {
+      subscriptionId: this._id,
+      type: 'report-subscription',
+      email
+    },
+    config.reportSubscriptions.secret
+  );
+};
+
+// Method to get a recipient's pause and unsubscribe links
+reportSubscriptionSchema.methods.getLinks = function(email) {
+  const token = this.generateLinkToken(email);
+
+  return {
+    pauseUrl: `${config.reportSubscriptions.linkBaseUrl}/${token}/pause`,
+    unsubscribeUrl: `${config.reportSubscriptions.linkBaseUrl}/${token}/unsubscribe`
+  };
+};
+
+const ReportSubscription = mongoose.model('ReportSubscription', reportSubscriptionSchema);
+
+module.exports = ReportSubscription;
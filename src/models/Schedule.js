@@ -0,0 +1,87 @@
+/**
+ * Schedule Model
+ * Background work that runs on a cron expression; each run is queued as a Job
+ */
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    // Stable name used in the admin API, e.g. expire-waitlist
+    name: {
+      type: String,
+      required: [true, 'Schedule name is required'],
+      unique: true,
+      trim: true,
+      match: [/^[a-z0-9][a-z0-9:_-]*$/, 'Schedule names use lowercase letters, numbers, -, _ and :']
+    },
+    description: {
+      type: String,
+      maxlength: 200
+    },
+    // Job type queued for each run
+    type: {
+      type: String,
+      required: [true, 'Job type is required'],
+      trim: true
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Five field cron expression, e.g. "*/15 * * * *"
+    cron: {
+      type: String,
+      required: [true, 'Cron expression is required'],
+      trim: true
+    },
+    // IANA zone the cron expression is read in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    maxAttempts: {
+      type: Number,
+      min: [1, 'A job needs at least one attempt'],
+      default: 3
+    },
+    paused: {
+      type: Boolean,
+      default: false
+    },
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    nextRunAt: {
+      type: Date
+    },
+    lastRunAt: {
+      type: Date
+    },
+    // Job queued for the last run
+    lastJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    // True for schedules defined in code, which are recreated on start up
+    builtIn: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for the scheduler finding due schedules
+scheduleSchema.index({ paused: 1, nextRunAt: 1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
@@ -1,4 +1,96 @@
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { findIntervalProblem } = require('../utils/scheduleUtils');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+/**
+ * Weekly availability template
+ * Opening hours per weekday, used to compute bookable slots on the fly
+ */
+const availabilityTemplateSchema = new mongoose.Schema(
+  {
+    weeklyHours: [{
+      _id: false,
+      day: {
+        type: Number,
+        required: [true, 'Weekday is required'],
+        min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)']
+      },
+      intervals: {
+        type: [{
+          _id: false,
+          start: { type: String, required: [true, 'Interval start is required'] },
+          end: { type: String, required: [true, 'Interval end is required'] }
+        }],
+        validate: {
+          validator: function(intervals) {
+            return findIntervalProblem(intervals) === null;
+          },
+          message: props => findIntervalProblem(props.value)
+        }
+      }
+    }],
+    // Slot length in minutes, defaults to the service duration
+    slotDuration: {
+      type: Number,
+      min: [15, 'Slot duration must be at least 15 minutes'],
+      max: [480, 'Slot duration cannot exceed 480 minutes (8 hours)']
+    },
+    bufferBefore: {
+      type: Number,
+      min: [0, 'Buffer cannot be negative'],
+      max: [240, 'Buffer cannot exceed 240 minutes'],
+      default: 0
+    },
+    bufferAfter: {
+      type: Number,
+      min: [0, 'Buffer cannot be negative'],
+      max: [240, 'Buffer cannot exceed 240 minutes'],
+      default: 0
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    _id: false,
+    timestamps: true
+  }
+);
+
+/**
+ * Cancellation policy
+ * Cancelling at least freeCancelHours before a booking is free; later
+ * cancellations and no-shows are charged a percentage of the price
+ */
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    freeCancelHours: {
+      type: Number,
+      required: [true, 'Free cancellation window is required'],
+      min: [0, 'Free cancellation window cannot be negative'],
+      max: [720, 'Free cancellation window cannot exceed 720 hours (30 days)']
+    },
+    lateCancelFeePercent: {
+      type: Number,
+      min: [0, 'Fee percentage cannot be negative'],
+      max: [100, 'Fee percentage cannot exceed 100'],
+      default: 0
+    },
+    noShowFeePercent: {
+      type: Number,
+      min: [0, 'Fee percentage cannot be negative'],
+      max: [100, 'Fee percentage cannot exceed 100'],
+      default: 0
+    }
+  },
+  {
+    _id: false
+  }
+);
 
 /**
  * Service Schema
@@ -29,10 +121,22 @@ const serviceSchema = new mongoose.Schema(
       min: 0,
       default: 0
     },
+    // VAT included in the price, as a percentage; when absent the
+    // configured rate applies
+    vatRate: {
+      type: Number,
+      min: [0, 'VAT rate cannot be negative'],
+      max: [100, 'VAT rate cannot exceed 100']
+    },
     icon: {
       type: String,
       default: 'https://images2.imgbox.com/86/72/GE2VLjan_o.png'
     },
+    // Consultations are held by video; each booking gets a meeting link
+    isRemote: {
+      type: Boolean,
+      default: false
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -48,6 +152,43 @@ const serviceSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
       trim: true
+    },
+    // IANA zone the opening hours and time slots are expressed in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    // Weekly opening hours; when absent, only published time slots are bookable
+    availability: {
+      type: availabilityTemplateSchema,
+      default: undefined
+    },
+    // Minutes before a booking that reminders go out, e.g. [2880, 120] for
+    // 48 and 2 hours; when absent the configured defaults apply, and an
+    // empty list turns reminders off
+    reminderOffsets: {
+      type: [{
+        type: Number,
+        min: [5, 'Reminders must go out at least 5 minutes before a booking'],
+        max: [43200, 'Reminders cannot go out more than 30 days before a booking']
+      }],
+      default: undefined
+    },
+    // Fees for late cancellations and no-shows; when absent the configured
+    // default policy applies
+    cancellationPolicy: {
+      type: cancellationPolicySchema,
+      default: undefined
+    },
+    // Bumped to revoke the calendar feed link given out so far
+    calendarFeedVersion: {
+      type: Number,
+      default: 0,
+      select: false
     }
   },
   {
@@ -94,6 +235,42 @@ serviceSchema.virtual('formattedDuration').get(function() {
   return `${this.duration} minutes`;
 });
 
+/**
+ * Check whether the service has a usable weekly availability template
+ * 
+ * @returns {boolean} True if at least one weekday has opening hours
+ */
+serviceSchema.methods.hasAvailabilityTemplate = function() {
+  return Boolean(
+    this.availability &&
+    this.availability.weeklyHours &&
+    this.availability.weeklyHours.some(day => day.intervals && day.intervals.length > 0)
+  );
+};
+
+/**
+ * Method to sign the token for the service's read-only calendar feed
+ * The token does not expire; it stops working when the feed is revoked
+ * 
+ * @returns {string} Signed token
+ */
+serviceSchema.methods.generateCalendarFeedToken = function() {
+  return jwt.sign(
+    {
+      scope: 'service',
+      id: this._id,
+      type: 'calendar-feed',
+      version: this.calendarFeedVersion || 0
+    },
+    config.calendar.feedSecret
+  );
+};
+
+// Method to get the link calendar apps subscribe to
+serviceSchema.methods.getCalendarFeedUrl = function() {
+  return `${config.calendar.feedBaseUrl}/${this.generateCalendarFeedToken()}.ics`;
+};
+
 const Service = mongoose.model('Service', serviceSchema);
 
 module.exports = Service; 
\ No newline at end of file
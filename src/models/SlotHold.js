@@ -0,0 +1,99 @@
+/**
+ * SlotHold Model
+ * Short reservation of a slot while a client finishes booking it
+ */
+const mongoose = require('mongoose');
+
+const slotHoldSchema = new mongoose.Schema(
+  {
+    // Secret handed to the client and sent back with the booking
+    token: {
+      type: String,
+      required: [true, 'Hold token is required'],
+      unique: true
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: [true, 'Service is required']
+    },
+    date: {
+      type: Date,
+      required: [true, 'Date is required']
+    },
+    timeSlot: {
+      type: String,
+      required: [true, 'Time slot is required']
+    },
+    startsAt: {
+      type: Date
+    },
+    endsAt: {
+      type: Date
+    },
+    timezone: {
+      type: String
+    },
+    // Consultant set aside for the hold; empty when the service is booked per slot
+    consultantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StaffProfile',
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    // Waitlist entry the slot is offered to, if the hold is a waitlist offer
+    waitlistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Waitlist'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Hash of who asked for the hold (their IP address), to cap how many
+    // slots one client can hold at once
+    requester: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for the sweeper
+slotHoldSchema.index({ expiresAt: 1 });
+
+// Index for checking a consultant's holds
+slotHoldSchema.index({ consultantId: 1, expiresAt: 1, startsAt: 1 });
+
+// Index for counting a client's holds
+slotHoldSchema.index({ requester: 1, expiresAt: 1 });
+
+// Method to check whether the hold has run out
+slotHoldSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// Method to check whether the hold is for a service, date and time slot
+slotHoldSchema.methods.matches = function(serviceId, date, timeSlot) {
+  const sameDay = new Date(this.date).toDateString() === new Date(date).toDateString();
+  return this.serviceId.equals(serviceId) && sameDay && this.timeSlot === timeSlot;
+};
+
+// Static method to find a consultant's unexpired holds overlapping a window
+slotHoldSchema.statics.findActiveBetween = function(consultantIds, startsAt, endsAt) {
+  return this.find({
+    consultantId: { $in: consultantIds },
+    expiresAt: { $gt: new Date() },
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt }
+  });
+};
+
+const SlotHold = mongoose.model('SlotHold', slotHoldSchema);
+
+module.exports = SlotHold;
@@ -0,0 +1,182 @@
+/**
+ * StaffProfile Model
+ * Public directory entry and working calendar for a consultant
+ */
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { findIntervalProblem, parseTimeSlot, toMinutes } = require('../utils/scheduleUtils');
+const { isValidTimezone, slotToInstants } = require('../utils/timezone');
+
+// Service categories a consultant can specialise in
+const SPECIALISMS = ['recovery', 'consultation', 'investigation', 'legal', 'compliance'];
+
+const staffProfileSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      unique: true
+    },
+    displayName: {
+      type: String,
+      required: [true, 'Display name is required'],
+      trim: true,
+      maxlength: [100, 'Display name cannot exceed 100 characters']
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Bio cannot exceed 2000 characters']
+    },
+    photoUrl: {
+      type: String,
+      trim: true
+    },
+    // Matched against Service.category to decide which services a consultant takes
+    specialisms: [{
+      type: String,
+      enum: SPECIALISMS
+    }],
+    // Weekly working hours; a consultant without any works the service's hours
+    workingHours: [{
+      _id: false,
+      day: {
+        type: Number,
+        required: [true, 'Weekday is required'],
+        min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)']
+      },
+      intervals: {
+        type: [{
+          _id: false,
+          start: { type: String, required: [true, 'Interval start is required'] },
+          end: { type: String, required: [true, 'Interval end is required'] }
+        }],
+        validate: {
+          validator: function(intervals) {
+            return findIntervalProblem(intervals) === null;
+          },
+          message: props => findIntervalProblem(props.value)
+        }
+      }
+    }],
+    // Zone the working hours are in; defaults to the zone of the service booked
+    timezone: {
+      type: String,
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    isBookable: {
+      type: Boolean,
+      default: true
+    },
+    // Bumped inside every booking transaction for this consultant, so two
+    // transactions booking the same consultant conflict and one is retried
+    bookingVersion: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    // Bumped to revoke the calendar feed link given out so far
+    calendarFeedVersion: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for finding consultants for a service
+staffProfileSchema.index({ isBookable: 1, specialisms: 1 });
+
+// Method to check whether the consultant takes bookings for a service
+staffProfileSchema.methods.offersService = function(service) {
+  return this.isBookable && this.specialisms.includes(service.category);
+};
+
+// Method to check whether the consultant works during a time slot on a date
+// The slot is given in the office zone and compared with the working hours
+// in the consultant's own zone when they have one
+staffProfileSchema.methods.isWorkingAt = function(date, timeSlot, officeTimezone = null) {
+  if (!this.workingHours || this.workingHours.length === 0) {
+    return true;
+  }
+
+  let { start, end } = parseTimeSlot(timeSlot);
+  let day = new Date(date).getDay();
+
+  if (this.timezone && officeTimezone && this.timezone !== officeTimezone) {
+    const instants = slotToInstants(date, timeSlot, officeTimezone);
+    if (!instants) {
+      return false;
+    }
+
+    const localStart = moment(instants.startsAt).tz(this.timezone);
+    const localEnd = moment(instants.endsAt).tz(this.timezone);
+
+    // Meetings running past the consultant's midnight are outside their hours
+    if (!localStart.isSame(localEnd, 'day') && !localEnd.isSame(moment(localEnd).startOf('day'))) {
+      return false;
+    }
+
+    day = localStart.day();
+    start = localStart.hours() * 60 + localStart.minutes();
+    end = start + localEnd.diff(localStart, 'minutes');
+  }
+
+  return this.workingHours
+    .filter(entry => entry.day === day)
+    .some(entry => entry.intervals.some(interval =>
+      toMinutes(interval.start) <= start && end <= toMinutes(interval.end)
+    ));
+};
+
+// Static method to find bookable consultants for a service
+staffProfileSchema.statics.findForService = function(service) {
+  return this.find({
+    isBookable: true,
+    specialisms: service.category
+  }).sort('displayName');
+};
+
+/**
+ * Method to sign the token for the consultant's read-only calendar feed
+ * The token does not expire; it stops working when the feed is revoked
+ * 
+ * @returns {string} Signed token
+ */
+staffProfileSchema.methods.generateCalendarFeedToken = function() {
+  return jwt.sign(
+    {
+      scope: 'staff',
+      id: this._id,
+      type: 'calendar-feed',
+      version: this.calendarFeedVersion || 0
+    },
+    config.calendar.feedSecret
+  );
+};
+
+// Method to get the link calendar apps subscribe to
+staffProfileSchema.methods.getCalendarFeedUrl = function() {
+  return `${config.calendar.feedBaseUrl}/${this.generateCalendarFeedToken()}.ics`;
+};
+
+const StaffProfile = mongoose.model('StaffProfile', staffProfileSchema);
+
+StaffProfile.SPECIALISMS = SPECIALISMS;
+
+module.exports = StaffProfile;
@@ -1,8 +1,13 @@
 const mongoose = require('mongoose');
+const moment = require('moment');
+const Closure = require('./Closure');
+const { buildTemplateSlots } = require('../utils/scheduleUtils');
 
 /**
  * TimeSlot Schema
  * Represents available time slots for bookings
+ * This is the single source of truth for availability: slots are read,
+ * reserved, blocked and released through the availability service
  */
 const timeSlotSchema = new mongoose.Schema(
   {
@@ -10,7 +15,7 @@ const timeSlotSchema = new mongoose.Schema(
       type: Date,
       required: [true, 'Date is required']
     },
-    slot: {
+    timeSlot: {
       type: String,
       required: [true, 'Time slot is required'],
       validate: {
@@ -35,6 +40,12 @@ const timeSlotSchema = new mongoose.Schema(
       ref: 'Booking',
       default: null
     },
+    // Hold keeping the slot while a client finishes booking it
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold',
+      default: null
+    },
     capacity: {
       type: Number,
       default: 1,
@@ -55,8 +66,9 @@ const timeSlotSchema = new mongoose.Schema(
   }
 );
 
-// Add compound index for date and slot
-timeSlotSchema.index({ date: 1, slot: 1, serviceId: 1 }, { unique: true });
+// A service can only have one slot per date and time, which makes concurrent
+// reservations of the same time collide instead of double booking
+timeSlotSchema.index({ serviceId: 1, date: 1, timeSlot: 1 }, { unique: true });
 timeSlotSchema.index({ isAvailable: 1 });
 timeSlotSchema.index({ date: 1, isAvailable: 1 });
 
@@ -82,74 +94,54 @@ timeSlotSchema.statics.findAvailableSlots = async function(serviceId, date) {
     isAvailable: true,
     isBlocked: false,
     bookingId: null
-  }).sort('slot');
+  }).sort('timeSlot');
 };
 
-// Static method to generate slots for a date range
-timeSlotSchema.statics.generateSlotsForDateRange = async function(
-  serviceId,
-  startDate,
-  endDate,
-  slotDuration = 60, // in minutes
-  startTime = '09:00',
-  endTime = '17:00',
-  excludeDays = [0, 6] // Sunday and Saturday by default
-) {
+// Static method to publish slots for a date range from the service's
+// weekly availability template, skipping closed days
+timeSlotSchema.statics.generateSlotsForDateRange = async function(serviceId, startDate, endDate) {
   const service = await mongoose.model('Service').findById(serviceId);
   if (!service) {
     throw new Error('Service not found');
   }
 
-  const start = new Date(startDate);
+  if (!service.hasAvailabilityTemplate()) {
+    throw new Error('Service has no availability template');
+  }
+
   const end = new Date(endDate);
   const slots = [];
+  const closedDays = await Closure.getClosedDays(startDate, endDate, serviceId);
 
   // Loop through each day in the range
-  for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
-    // Skip excluded days (e.g., weekends)
-    if (excludeDays.includes(day.getDay())) continue;
-
-    // Parse start and end time
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
+  for (let day = new Date(startDate); day <= end; day.setDate(day.getDate() + 1)) {
+    if (closedDays.has(moment(day).format('YYYY-MM-DD'))) continue;
 
-    // Create slots
-    const currentDate = new Date(day);
-    currentDate.setHours(startHour, startMinute, 0, 0);
-    const dayEnd = new Date(day);
-    dayEnd.setHours(endHour, endMinute, 0, 0);
+    const daySlots = buildTemplateSlots(service.availability, day.getDay(), service.duration);
 
-    while (currentDate < dayEnd) {
-      const slotStart = `${currentDate.getHours().toString().padStart(2, '0')}:${currentDate
-        .getMinutes()
-        .toString()
-        .padStart(2, '0')}`;
-
-      const slotEndTime = new Date(currentDate);
-      slotEndTime.setMinutes(slotEndTime.getMinutes() + slotDuration);
-
-      // Check if the slot end time exceeds the day end
-      if (slotEndTime > dayEnd) break;
-
-      const slotEnd = `${slotEndTime.getHours().toString().padStart(2, '0')}:${slotEndTime
-        .getMinutes()
-        .toString()
-        .padStart(2, '0')}`;
+    for (const daySlot of daySlots) {
+      const date = new Date(day);
+      date.setHours(0, 0, 0, 0);
 
       slots.push({
-        date: new Date(day),
-        slot: `${slotStart}-${slotEnd}`,
+        date,
+        timeSlot: daySlot.timeSlot,
         serviceId,
         isAvailable: true
       });
-
-      currentDate.setMinutes(currentDate.getMinutes() + slotDuration);
     }
   }
 
-  // Insert slots in batches
+  // Insert slots in batches, skipping any that already exist
   if (slots.length > 0) {
-    await this.insertMany(slots, { ordered: false });
+    try {
+      await this.insertMany(slots, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+    }
   }
 
   return slots;
@@ -3,6 +3,8 @@
  * Allows clients to join a waitlist for fully booked slots
  */
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
 
 const waitlistSchema = new mongoose.Schema(
   {
@@ -20,6 +22,10 @@ const waitlistSchema = new mongoose.Schema(
       type: Date,
       required: [true, 'Requested date is required']
     },
+    // Other days the client can also come; a slot on any of them is offered
+    alternativeDates: [{
+      type: Date
+    }],
     preferredTimeSlots: [{
       type: String,
       validate: {
@@ -54,6 +60,26 @@ const waitlistSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking'
     },
+    // Freed slots offered to the client, oldest first; the open offer, if
+    // any, is the last one and has the outcome 'offered'
+    offers: [{
+      date: Date,
+      timeSlot: String,
+      startsAt: Date,
+      // Hold keeping the slot for the client until the offer expires
+      holdId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SlotHold'
+      },
+      offeredAt: Date,
+      expiresAt: Date,
+      outcome: {
+        type: String,
+        enum: ['offered', 'claimed', 'expired', 'withdrawn'],
+        default: 'offered'
+      },
+      closedAt: Date
+    }],
     expiresAt: {
       type: Date,
       default: function() {
@@ -110,12 +136,78 @@ waitlistSchema.methods.markAsNotified = async function() {
 
 // Method to mark waitlist entry as booked
 waitlistSchema.methods.markAsBooked = async function(bookingId) {
+  const offer = this.getOpenOffer();
+  if (offer) {
+    offer.outcome = 'claimed';
+    offer.closedAt = new Date();
+  }
+
   this.status = 'booked';
   this.bookedAt = new Date();
   this.bookingId = bookingId;
   return this.save();
 };
 
+// Method to get the open offer, if any
+waitlistSchema.methods.getOpenOffer = function() {
+  const offer = this.offers && this.offers[this.offers.length - 1];
+  return offer && offer.outcome === 'offered' ? offer : null;
+};
+
+/**
+ * Method to sign a token the client can use to claim an offered slot
+ * without logging in; the token expires with the offer
+ *
+ * @param {Object} offer - Offer the token claims
+ * @returns {string} Signed token
+ */
+waitlistSchema.methods.generateClaimToken = function(offer) {
+  const secondsUntilExpiry = Math.floor((offer.expiresAt.getTime() - Date.now()) / 1000);
+
+  return jwt.sign(
+    {
+      waitlistId: this._id,
+      offerId: offer._id,
+      type: 'waitlist-claim'
+    },
+    config.waitlist.secret,
+    { expiresIn: Math.max(60, secondsUntilExpiry) }
+  );
+};
+
+// Method to get the link the client uses to claim an offered slot
+waitlistSchema.methods.getClaimUrl = function(offer) {
+  return `${config.waitlist.claimBaseUrl}/${this.generateClaimToken(offer)}`;
+};
+
+/**
+ * Method to sign a token the client can use to see where they stand on the
+ * waitlist and widen their entry, without logging in; the token stops
+ * working a day after the entry expires, or sooner
+ *
+ * @returns {string} Signed token
+ */
+waitlistSchema.methods.generateStatusToken = function() {
+  const maxSeconds = config.waitlist.statusLinkDays * 24 * 60 * 60;
+  const secondsUntilExpiry = this.expiresAt
+    ? Math.floor((this.expiresAt.getTime() - Date.now()) / 1000) + 24 * 60 * 60
+    : maxSeconds;
+
+  return jwt.sign(
+    {
+      waitlistId: this._id,
+      type: 'waitlist-status'
+    },
+    config.waitlist.secret,
+    { expiresIn: Math.max(60 * 60, Math.min(maxSeconds, secondsUntilExpiry)) }
+  );
+};
+
+// Method to get the link the client uses to check their waitlist entry
+waitlistSchema.methods.getStatusUrl = function() {
+  return `${config.waitlist.statusBaseUrl}/${this.generateStatusToken()}`;
+};
+
 // Method to mark waitlist entry as expired
 waitlistSchema.methods.markAsExpired = async function() {
   this.status = 'expired';
@@ -0,0 +1,78 @@
+/**
+ * Absence Routes
+ * Endpoints for consultant time-off and the team absence calendar
+ */
+const express = require('express');
+const router = express.Router();
+const absenceController = require('../controllers/absenceController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validateAbsence } = require('../middleware/validationMiddleware');
+const cacheMiddleware = require('../middleware/cacheMiddleware');
+
+// All absence routes require a staff or admin login
+router.use(protect, restrictTo('admin', 'staff'));
+
+/**
+ * @route   POST /api/absences
+ * @desc    Record an absence (own, or any consultant's for admins)
+ * @access  Private/Admin/Staff
+ */
+router.post(
+  '/',
+  validateAbsence,
+  cacheMiddleware.invalidateCache(['slots:*']), // Approved absences remove availability
+  absenceController.createAbsence
+);
+
+/**
+ * @route   GET /api/absences
+ * @desc    Get absences (filter by status, consultantId, from, to)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', absenceController.getAbsences);
+
+/**
+ * @route   GET /api/absences/calendar
+ * @desc    Get the team absence calendar (from/to query, includePending=true)
+ * @access  Private/Admin/Staff
+ */
+router.get('/calendar', absenceController.getTeamCalendar);
+
+/**
+ * @route   GET /api/absences/:id
+ * @desc    Get absence by ID
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id', absenceController.getAbsenceById);
+
+/**
+ * @route   PATCH /api/absences/:id/approve
+ * @desc    Approve a pending absence and flag affected bookings
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:id/approve',
+  restrictTo('admin'),
+  cacheMiddleware.invalidateCache(['slots:*']),
+  absenceController.approveAbsence
+);
+
+/**
+ * @route   PATCH /api/absences/:id/reject
+ * @desc    Reject a pending absence
+ * @access  Private/Admin
+ */
+router.patch('/:id/reject', restrictTo('admin'), absenceController.rejectAbsence);
+
+/**
+ * @route   PATCH /api/absences/:id/cancel
+ * @desc    Cancel an absence
+ * @access  Private/Admin/Staff
+ */
+router.patch(
+  '/:id/cancel',
+  cacheMiddleware.invalidateCache(['slots:*']),
+  absenceController.cancelAbsence
+);
+
+module.exports = router;
@@ -7,8 +7,19 @@ const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
 const cacheMiddleware = require('../middleware/cacheMiddleware');
+const { validateReportSubscription } = require('../middleware/validationMiddleware');
 
-// All routes in this file are restricted to admin users
+/**
+ * @route   GET /api/analytics/subscriptions/links/:token/:action
+ * @desc    Pause or unsubscribe from a scheduled report through its email link
+ * @access  Public (signed link)
+ */
+router.get(
+  '/subscriptions/links/:token/:action(pause|unsubscribe)',
+  analyticsController.handleSubscriptionLink
+);
+
+// All other routes in this file are restricted to admin users
 router.use(protect);
 router.use(restrictTo('admin'));
 
@@ -87,4 +98,82 @@ router.post(
   analyticsController.scheduleReport
 );
 
+/**
+ * @route   GET /api/analytics/subscriptions
+ * @desc    List report subscriptions
+ * @access  Private/Admin
+ */
+router.get('/subscriptions', analyticsController.getSubscriptions);
+
+/**
+ * @route   POST /api/analytics/subscriptions
+ * @desc    Create a report subscription
+ * @access  Private/Admin
+ */
+router.post(
+  '/subscriptions',
+  validateReportSubscription,
+  analyticsController.createSubscription
+);
+
+/**
+ * @route   GET /api/analytics/subscriptions/:id
+ * @desc    Get a report subscription and its recent reports
+ * @access  Private/Admin
+ */
+router.get('/subscriptions/:id', analyticsController.getSubscription);
+
+/**
+ * @route   PATCH /api/analytics/subscriptions/:id
+ * @desc    Update a report subscription
+ * @access  Private/Admin
+ */
+router.patch(
+  '/subscriptions/:id',
+  validateReportSubscription,
+  analyticsController.updateSubscription
+);
+
+/**
+ * @route   DELETE /api/analytics/subscriptions/:id
+ * @desc    End a report subscription
+ * @access  Private/Admin
+ */
+router.delete('/subscriptions/:id', analyticsController.deleteSubscription);
+
+/**
+ * @route   POST /api/analytics/subscriptions/:id/pause
+ * @desc    Pause a report subscription
+ * @access  Private/Admin
+ */
+router.post('/subscriptions/:id/pause', analyticsController.pauseSubscription);
+
+/**
+ * @route   POST /api/analytics/subscriptions/:id/resume
+ * @desc    Resume a paused report subscription
+ * @access  Private/Admin
+ */
+router.post('/subscriptions/:id/resume', analyticsController.resumeSubscription);
+
+/**
+ * @route   POST /api/analytics/subscriptions/:id/send
+ * @desc    Send a subscription's report now
+ * @access  Private/Admin
+ */
+router.post('/subscriptions/:id/send', analyticsController.sendSubscription);
+
+/**
+ * @route   GET /api/analytics/reports
+ * @desc    List stored reports
+ * @access  Private/Admin
+ */
+router.get('/reports', analyticsController.getReports);
+
+/**
+ * @route   GET /api/analytics/reports/:id
+ * @desc    Download a stored report
+ * @access  Private/Admin
+ */
+router.get('/reports/:id', analyticsController.downloadReport);
+
 module.exports = router; 
\ No newline at end of file
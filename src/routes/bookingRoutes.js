@@ -1,24 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
-const { validateBooking } = require('../middleware/validationMiddleware');
-const { protect } = require('../middleware/authMiddleware');
+const intakeController = require('../controllers/intakeController');
+const {
+  validateBooking,
+  validateReschedule,
+  validateRecurrencePreview,
+  validateSeriesUpdate,
+  validateNoShows,
+  validateFeeWaiver,
+  validateIntakeAnswers
+} = require('../middleware/validationMiddleware');
+const {
+  protect,
+  optionalProtect,
+  restrictTo,
+  verifyManageLink
+} = require('../middleware/authMiddleware');
+const cacheMiddleware = require('../middleware/cacheMiddleware');
 
 // ✅ WORKING ROUTES - Only using functions that actually exist
 
-// Public booking routes
-router.get('/', bookingController.getAllBookings);
-router.get('/:id', bookingController.getBookingById);
+// Client self-service through the signed link in the confirmation email
+router.get('/manage/:token', verifyManageLink, bookingController.getManagedBooking);
+router.get('/manage/:token/invoice', verifyManageLink, bookingController.getInvoice);
+router.get('/manage/:token/intake', verifyManageLink, intakeController.getManagedIntake);
+router.post('/manage/:token/intake', verifyManageLink, validateIntakeAnswers, intakeController.submitIntake);
+router.post('/manage/:token/cancel', verifyManageLink, bookingController.cancelBooking);
+router.post(
+  '/manage/:token/reschedule',
+  verifyManageLink,
+  validateReschedule,
+  cacheMiddleware.invalidateCache(['slots:*']),
+  bookingController.rescheduleBooking
+);
+
+// Public booking routes; staff who send their token also see intake answers and meeting host links
+router.get('/', optionalProtect, bookingController.getAllBookings);
+router.get('/:id', optionalProtect, bookingController.getBookingById);
 router.post('/', validateBooking, bookingController.createBooking);
+router.post('/recurrence/preview', validateRecurrencePreview, bookingController.previewRecurrence);
 
 // Protected routes (require authentication)
 router.put('/:id', protect, bookingController.updateBooking);
 router.post('/:id/cancel', protect, bookingController.cancelBooking);
+router.post('/no-shows', protect, restrictTo('admin', 'staff'), validateNoShows, bookingController.markNoShows);
+router.post('/:id/waive-fee', protect, restrictTo('admin', 'staff'), validateFeeWaiver, bookingController.waiveFee);
+router.get('/:id/invoice', protect, restrictTo('admin', 'staff'), bookingController.getInvoice);
+router.get('/:id/documents', protect, restrictTo('admin', 'staff'), bookingController.getInvoiceDocuments);
+router.get('/:id/documents/:number', protect, restrictTo('admin', 'staff'), bookingController.downloadInvoiceDocument);
+router.post(
+  '/:id/reschedule',
+  protect,
+  restrictTo('admin', 'staff'),
+  validateReschedule,
+  cacheMiddleware.invalidateCache(['slots:*']),
+  bookingController.rescheduleBooking
+);
+router.post('/:id/manage-link', protect, restrictTo('admin', 'staff'), bookingController.resendManageLink);
+router.post('/:id/reassign', protect, restrictTo('admin', 'staff'), bookingController.reassignBooking);
+router.patch(
+  '/:id/series',
+  protect,
+  restrictTo('admin', 'staff'),
+  validateSeriesUpdate,
+  cacheMiddleware.invalidateCache(['slots:*']),
+  bookingController.updateSeries
+);
 
 // Client-specific routes
-router.get('/client/:clientId', bookingController.getClientBookings);
+router.get('/client/:clientId', optionalProtect, bookingController.getClientBookings);
 
-// Reference lookup route
-router.get('/reference/:reference', bookingController.getBookingByReference);
+// Reference lookup route (staff only; clients use their manage link)
+router.get('/reference/:reference', protect, restrictTo('admin', 'staff'), bookingController.getBookingByReference);
 
 module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Calendar Routes
+ * iCalendar subscription feeds for consultants and services
+ */
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/calendar/feeds/:token.ics
+ * @desc    Read-only feed of a consultant's or service's bookings
+ * @access  Public (signed link)
+ */
+router.get('/feeds/:token.ics', calendarController.getFeed);
+
+/**
+ * @route   GET /api/calendar/:scope(staff|service)/:id/feed
+ * @desc    Get the link to subscribe to a consultant's or service's feed
+ * @access  Private/Admin/Staff (staff only for their own feed)
+ */
+router.get(
+  '/:scope(staff|service)/:id/feed',
+  protect,
+  restrictTo('admin', 'staff'),
+  calendarController.getFeedLink
+);
+
+/**
+ * @route   POST /api/calendar/:scope(staff|service)/:id/feed/rotate
+ * @desc    Revoke a feed link and make a new one
+ * @access  Private/Admin/Staff (staff only for their own feed)
+ */
+router.post(
+  '/:scope(staff|service)/:id/feed/rotate',
+  protect,
+  restrictTo('admin', 'staff'),
+  calendarController.rotateFeedLink
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * Case Routes
+ * Endpoints for recovery cases, their status pipeline and timeline
+ */
+const express = require('express');
+const router = express.Router();
+const caseController = require('../controllers/caseController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const {
+  validateCase,
+  validateCaseStatus,
+  validateCaseNote,
+  validateCaseBooking
+} = require('../middleware/validationMiddleware');
+
+// All case routes require a staff or admin login
+router.use(protect, restrictTo('admin', 'staff'));
+
+/**
+ * @route   POST /api/cases
+ * @desc    Open a case for a client, optionally with a handler, lead and bookings
+ * @access  Private/Admin/Staff
+ */
+router.post('/', validateCase, caseController.createCase);
+
+/**
+ * @route   GET /api/cases
+ * @desc    Get cases (filter by status, open, handlerId, clientId, leadId,
+ *          caseType, urgencyLevel, from, to, search; page, limit, sortBy, sortOrder)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', caseController.getCases);
+
+/**
+ * @route   GET /api/cases/:id
+ * @desc    Get a case with its bookings, lead and timeline
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id', caseController.getCaseById);
+
+/**
+ * @route   PATCH /api/cases/:id
+ * @desc    Update a case's details, handler or lead
+ * @access  Private/Admin/Staff
+ */
+router.patch('/:id', validateCase, caseController.updateCase);
+
+/**
+ * @route   DELETE /api/cases/:id
+ * @desc    Delete a case, keeping its bookings and lead
+ * @access  Private/Admin
+ */
+router.delete('/:id', restrictTo('admin'), caseController.deleteCase);
+
+/**
+ * @route   PATCH /api/cases/:id/status
+ * @desc    Move a case to another status in the pipeline
+ * @access  Private/Admin/Staff
+ */
+router.patch('/:id/status', validateCaseStatus, caseController.changeStatus);
+
+/**
+ * @route   POST /api/cases/:id/notes
+ * @desc    Add a note to a case's timeline
+ * @access  Private/Admin/Staff
+ */
+router.post('/:id/notes', validateCaseNote, caseController.addNote);
+
+/**
+ * @route   POST /api/cases/:id/bookings
+ * @desc    Link one of the client's bookings to a case
+ * @access  Private/Admin/Staff
+ */
+router.post('/:id/bookings', validateCaseBooking, caseController.linkBooking);
+
+/**
+ * @route   DELETE /api/cases/:id/bookings/:bookingId
+ * @desc    Remove a booking from a case
+ * @access  Private/Admin/Staff
+ */
+router.delete('/:id/bookings/:bookingId', caseController.unlinkBooking);
+
+module.exports = router;
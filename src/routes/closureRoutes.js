@@ -0,0 +1,87 @@
+/**
+ * Closure Routes
+ * Endpoints for office closures, bank holidays and blackout dates
+ */
+const express = require('express');
+const router = express.Router();
+const closureController = require('../controllers/closureController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validateClosure } = require('../middleware/validationMiddleware');
+const cacheMiddleware = require('../middleware/cacheMiddleware');
+
+// All closure routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/closures
+ * @desc    Get closures in a date range (defaults to the coming year)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', restrictTo('admin', 'staff'), closureController.getClosures);
+
+/**
+ * @route   POST /api/closures/import
+ * @desc    Import closures from an iCalendar (.ics) file
+ * @access  Private/Admin
+ */
+router.post(
+  '/import',
+  restrictTo('admin'),
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  cacheMiddleware.invalidateCache(['slots:*']), // Closed days no longer offer slots
+  closureController.importClosures
+);
+
+/**
+ * @route   POST /api/closures
+ * @desc    Add a closure for a date range
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  restrictTo('admin'),
+  validateClosure,
+  cacheMiddleware.invalidateCache(['slots:*']),
+  closureController.createClosure
+);
+
+/**
+ * @route   GET /api/closures/:id
+ * @desc    Get closure by ID
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id', restrictTo('admin', 'staff'), closureController.getClosureById);
+
+/**
+ * @route   GET /api/closures/:id/clashes
+ * @desc    Get bookings that fall on a closure and need rescheduling
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id/clashes', restrictTo('admin', 'staff'), closureController.getClashingBookings);
+
+/**
+ * @route   PATCH /api/closures/:id
+ * @desc    Update a closure
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:id',
+  restrictTo('admin'),
+  validateClosure,
+  cacheMiddleware.invalidateCache(['slots:*']),
+  closureController.updateClosure
+);
+
+/**
+ * @route   DELETE /api/closures/:id
+ * @desc    Delete a closure
+ * @access  Private/Admin
+ */
+router.delete(
+  '/:id',
+  restrictTo('admin'),
+  cacheMiddleware.invalidateCache(['slots:*']),
+  closureController.deleteClosure
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Job Routes
+ * Admin endpoints for scheduled background work and job runs
+ */
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+
+// All job routes are for admins only
+router.use(protect, restrictTo('admin'));
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List schedules with their next and last runs
+ * @access  Private/Admin
+ */
+router.get('/', jobController.getSchedules);
+
+/**
+ * @route   GET /api/jobs/runs
+ * @desc    List job runs, filtered by type, status or schedule
+ * @access  Private/Admin
+ */
+router.get('/runs', jobController.getRuns);
+
+/**
+ * @route   GET /api/jobs/runs/:id
+ * @desc    Get a job run
+ * @access  Private/Admin
+ */
+router.get('/runs/:id', jobController.getRun);
+
+/**
+ * @route   POST /api/jobs/runs/:id/retry
+ * @desc    Run a failed or cancelled job again
+ * @access  Private/Admin
+ */
+router.post('/runs/:id/retry', jobController.retryRun);
+
+/**
+ * @route   GET /api/jobs/:name
+ * @desc    Get a schedule and its recent runs
+ * @access  Private/Admin
+ */
+router.get('/:name', jobController.getSchedule);
+
+/**
+ * @route   POST /api/jobs/:name/trigger
+ * @desc    Run a schedule now
+ * @access  Private/Admin
+ */
+router.post('/:name/trigger', jobController.triggerSchedule);
+
+/**
+ * @route   POST /api/jobs/:name/pause
+ * @desc    Pause a schedule
+ * @access  Private/Admin
+ */
+router.post('/:name/pause', jobController.pauseSchedule);
+
+/**
+ * @route   POST /api/jobs/:name/resume
+ * @desc    Resume a paused schedule
+ * @access  Private/Admin
+ */
+router.post('/:name/resume', jobController.resumeSchedule);
+
+module.exports = router;
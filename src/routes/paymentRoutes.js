@@ -0,0 +1,49 @@
+/**
+ * Payment Routes
+ * Endpoints for booking payments and provider webhooks
+ */
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validateCharge, validatePayment, validateRefund } = require('../middleware/validationMiddleware');
+
+/**
+ * @route   POST /api/payments/webhooks/:provider
+ * @desc    Receive a signed payment or refund event from a provider
+ * @access  Public (signed by the provider)
+ */
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+// Everything else is for staff
+router.use(protect, restrictTo('admin', 'staff'));
+
+/**
+ * @route   GET /api/payments/booking/:bookingId
+ * @desc    Get a booking's payments ledger and totals
+ * @access  Private/Admin/Staff
+ */
+router.get('/booking/:bookingId', paymentController.getLedger);
+
+/**
+ * @route   POST /api/payments/booking/:bookingId/charges
+ * @desc    Charge a booking an extra amount
+ * @access  Private/Admin/Staff
+ */
+router.post('/booking/:bookingId/charges', validateCharge, paymentController.postCharge);
+
+/**
+ * @route   POST /api/payments/booking/:bookingId/payments
+ * @desc    Take a deposit or payment for a booking
+ * @access  Private/Admin/Staff
+ */
+router.post('/booking/:bookingId/payments', validatePayment, paymentController.takePayment);
+
+/**
+ * @route   POST /api/payments/:id/refund
+ * @desc    Refund some or all of a deposit or payment
+ * @access  Private/Admin
+ */
+router.post('/:id/refund', restrictTo('admin'), validateRefund, paymentController.refundPayment);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const serviceController = require('../controllers/serviceController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const availabilityController = require('../controllers/availabilityController');
+const intakeController = require('../controllers/intakeController');
+const { protect, optionalProtect, restrictTo } = require('../middleware/authMiddleware');
+const { validateAvailabilityTemplate, validateIntakeForm } = require('../middleware/validationMiddleware');
 
 // Service routes using controller-based implementation
 router.get('/', serviceController.getAllServices);
@@ -10,6 +13,17 @@ router.post('/', protect, restrictTo('admin'), serviceController.createService);
 router.put('/:id', protect, restrictTo('admin'), serviceController.updateService);
 router.delete('/:id', protect, restrictTo('admin'), serviceController.deleteService);
 
+// Weekly availability template routes
+router.get('/:id/availability', protect, restrictTo('admin'), availabilityController.getTemplate);
+router.post('/:id/availability', protect, restrictTo('admin'), validateAvailabilityTemplate, availabilityController.createTemplate);
+router.put('/:id/availability', protect, restrictTo('admin'), validateAvailabilityTemplate, availabilityController.replaceTemplate);
+router.delete('/:id/availability', protect, restrictTo('admin'), availabilityController.deleteTemplate);
+
+// Intake form routes (clients read the form before booking)
+router.get('/:id/intake-form', optionalProtect, intakeController.getForm);
+router.put('/:id/intake-form', protect, restrictTo('admin'), validateIntakeForm, intakeController.saveForm);
+router.delete('/:id/intake-form', protect, restrictTo('admin'), intakeController.deleteForm);
+
 // Service category routes
 router.get('/category/:category', serviceController.getServicesByCategory);
 
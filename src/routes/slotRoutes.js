@@ -1,8 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const rateLimit = require('express-rate-limit');
 const slotController = require('../controllers/slotController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
 const cacheMiddleware = require('../middleware/cacheMiddleware');
+const { validateSlotHold } = require('../middleware/validationMiddleware');
+const config = require('../config');
+
+// Rate limiting for slot holds, so one client cannot keep taking slots
+const holdLimiter = rateLimit({
+  windowMs: config.scheduling.holdRateLimit.windowMs,
+  max: config.scheduling.holdRateLimit.max,
+  message: {
+    status: 'error',
+    message: 'Too many slot holds from this IP address. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
 /**
  * @route   GET /api/slots
@@ -52,6 +68,30 @@ router.delete(
   slotController.clearSlots
 );
 
+/**
+ * @route   POST /api/slots/:id/hold
+ * @desc    Hold a slot for a few minutes while the client books it
+ * @access  Public
+ */
+router.post(
+  '/:id/hold',
+  holdLimiter,
+  validateSlotHold,
+  cacheMiddleware.invalidateCache(['slots:*']), // Held slots drop out of the list
+  slotController.holdSlot
+);
+
+/**
+ * @route   DELETE /api/slots/holds/:token
+ * @desc    Release a slot hold
+ * @access  Public (hold token)
+ */
+router.delete(
+  '/holds/:token',
+  cacheMiddleware.invalidateCache(['slots:*']),
+  slotController.releaseHold
+);
+
 /**
  * @route   PATCH /api/slots/:id
  * @desc    Update slot availability
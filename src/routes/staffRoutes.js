@@ -0,0 +1,95 @@
+/**
+ * Staff Routes
+ * Endpoints for the expert directory and consultant calendars
+ */
+const express = require('express');
+const router = express.Router();
+const staffController = require('../controllers/staffController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validateStaffProfile } = require('../middleware/validationMiddleware');
+const cacheMiddleware = require('../middleware/cacheMiddleware');
+
+/**
+ * @route   GET /api/staff
+ * @desc    Get the directory of bookable experts (filter by serviceId or specialism)
+ * @access  Public
+ */
+router.get('/', staffController.getDirectory);
+
+/**
+ * @route   GET /api/staff/me
+ * @desc    Get the logged in user's staff profile
+ * @access  Private/Admin/Staff
+ */
+router.get('/me', protect, restrictTo('admin', 'staff'), staffController.getMyProfile);
+
+/**
+ * @route   PATCH /api/staff/me
+ * @desc    Update the logged in user's bio, title and working hours
+ * @access  Private/Admin/Staff
+ */
+router.patch(
+  '/me',
+  protect,
+  restrictTo('admin', 'staff'),
+  validateStaffProfile,
+  cacheMiddleware.invalidateCache(['slots:*']), // Working hours change availability
+  staffController.updateMyProfile
+);
+
+/**
+ * @route   POST /api/staff
+ * @desc    Create a staff profile for a user
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  protect,
+  restrictTo('admin'),
+  validateStaffProfile,
+  cacheMiddleware.invalidateCache(['slots:*']),
+  staffController.createProfile
+);
+
+/**
+ * @route   GET /api/staff/:id
+ * @desc    Get an expert's public profile
+ * @access  Public
+ */
+router.get('/:id', staffController.getProfile);
+
+/**
+ * @route   GET /api/staff/:id/calendar
+ * @desc    Get a consultant's bookings (from/to query, defaults to the next four weeks)
+ * @access  Private/Admin/Staff (own calendar)
+ */
+router.get('/:id/calendar', protect, restrictTo('admin', 'staff'), staffController.getCalendar);
+
+/**
+ * @route   PATCH /api/staff/:id
+ * @desc    Update a staff profile
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:id',
+  protect,
+  restrictTo('admin'),
+  validateStaffProfile,
+  cacheMiddleware.invalidateCache(['slots:*']),
+  staffController.updateProfile
+);
+
+/**
+ * @route   DELETE /api/staff/:id
+ * @desc    Delete a staff profile without upcoming bookings
+ * @access  Private/Admin
+ */
+router.delete(
+  '/:id',
+  protect,
+  restrictTo('admin'),
+  cacheMiddleware.invalidateCache(['slots:*']),
+  staffController.deleteProfile
+);
+
+module.exports = router;
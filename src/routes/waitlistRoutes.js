@@ -7,13 +7,14 @@ const router = express.Router();
 const waitlistController = require('../controllers/waitlistController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
 const cacheMiddleware = require('../middleware/cacheMiddleware');
+const { validateWaitlist, validateWaitlistWiden } = require('../middleware/validationMiddleware');
 
 /**
  * @route   POST /api/waitlist
  * @desc    Add client to waitlist
  * @access  Public
  */
-router.post('/', waitlistController.addToWaitlist);
+router.post('/', validateWaitlist, waitlistController.addToWaitlist);
 
 /**
  * @route   GET /api/waitlist
@@ -41,13 +42,40 @@ router.post(
 );
 
 /**
- * @route   POST /api/waitlist/process/:waitlistId/:bookingId
- * @desc    Process a waitlist entry when client books
- * @access  Public (but typically called from booking controller)
+ * @route   GET /api/waitlist/status/:token
+ * @desc    Get a waitlist entry's position and chance of a slot opening
+ * @access  Public (signed status link)
+ */
+router.get('/status/:token', waitlistController.getEntryStatus);
+
+/**
+ * @route   PATCH /api/waitlist/status/:token
+ * @desc    Add days or time slots to a waitlist entry
+ * @access  Public (signed status link)
+ */
+router.patch(
+  '/status/:token',
+  validateWaitlistWiden,
+  cacheMiddleware.invalidateCache(['waitlist:*']),
+  waitlistController.widenEntry
+);
+
+/**
+ * @route   GET /api/waitlist/claim/:token
+ * @desc    Get the slot a waitlist claim link offers
+ * @access  Public (signed claim link)
+ */
+router.get('/claim/:token', waitlistController.getOffer);
+
+/**
+ * @route   POST /api/waitlist/claim/:token
+ * @desc    Book the slot a waitlist claim link offers
+ * @access  Public (signed claim link)
  */
 router.post(
-  '/process/:waitlistId/:bookingId',
-  waitlistController.processWaitlistBooking
+  '/claim/:token',
+  cacheMiddleware.invalidateCache(['slots:*', 'waitlist:*']),
+  waitlistController.claimOffer
 );
 
 /**
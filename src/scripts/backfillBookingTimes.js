@@ -0,0 +1,64 @@
+/**
+ * Backfill Booking Times
+ *
+ * Stores the absolute start and end of bookings made before times were
+ * kept as UTC instants. Each booking's date and time slot are read in its
+ * service's timezone, or the office default for services without one.
+ *
+ * Bookings whose time slot cannot be read, or falls in a gap left by the
+ * clocks going forward, are listed so they can be fixed by hand.
+ *
+ * Run with: node src/scripts/backfillBookingTimes.js
+ */
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const config = require('../config');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+require('dotenv').config();
+
+const backfillBookingTimes = async () => {
+  try {
+    await mongoose.connect(config.database.uri);
+    console.log('Connected to MongoDB');
+
+    const services = await Service.find({}).select('timezone').lean();
+    const serviceTimezones = new Map(
+      services.map(service => [service._id.toString(), service.timezone || DEFAULT_TIMEZONE])
+    );
+
+    const cursor = Booking.find({ startsAt: null }).cursor();
+
+    let updated = 0;
+    const skipped = [];
+
+    for (let booking = await cursor.next(); booking; booking = await cursor.next()) {
+      const timezone = serviceTimezones.get(String(booking.serviceId)) || DEFAULT_TIMEZONE;
+
+      if (!booking.setInstants(timezone)) {
+        skipped.push(`${booking.reference || booking._id} (${booking.timeSlot})`);
+        continue;
+      }
+
+      await booking.save({ validateBeforeSave: false });
+      updated++;
+    }
+
+    await Booking.syncIndexes();
+
+    console.log('\n🎉 Booking time backfill complete!');
+    console.log(`🕒 Updated ${updated} bookings`);
+
+    if (skipped.length > 0) {
+      console.log(`⚠️  Skipped ${skipped.length} bookings with times that could not be read:`);
+      skipped.forEach(entry => console.log(`   - ${entry}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Booking time backfill error:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillBookingTimes();
@@ -0,0 +1,103 @@
+/**
+ * Migrate Slots
+ *
+ * Folds the legacy `slots` collection into the `timeslots` collection used
+ * by the TimeSlot model, so availability has a single source of truth.
+ *
+ * - Renames the legacy `slot` field on existing time slots to `timeSlot`
+ * - Copies every legacy Slot document into `timeslots`, keeping its booking
+ * - Rebuilds the TimeSlot indexes
+ *
+ * The legacy collection is left in place so the migration can be re-run
+ * safely; drop it manually once the results have been checked.
+ *
+ * Run with: node src/scripts/migrateSlots.js
+ */
+const mongoose = require('mongoose');
+const TimeSlot = require('../models/TimeSlot');
+const config = require('../config');
+require('dotenv').config();
+
+const migrateSlots = async () => {
+  try {
+    await mongoose.connect(config.database.uri);
+    console.log('Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const timeSlots = db.collection('timeslots');
+
+    // The old unique index was built on the `slot` field and would reject
+    // every document once the field is renamed
+    const indexes = await timeSlots.indexes().catch(() => []);
+    for (const index of indexes) {
+      if (index.key && index.key.slot !== undefined) {
+        await timeSlots.dropIndex(index.name);
+        console.log(`Dropped legacy index ${index.name}`);
+      }
+    }
+
+    const renamed = await timeSlots.updateMany(
+      { slot: { $exists: true }, timeSlot: { $exists: false } },
+      { $rename: { slot: 'timeSlot' } }
+    );
+    console.log(`Renamed slot field on ${renamed.modifiedCount} time slots`);
+
+    const defaulted = await timeSlots.updateMany(
+      { isBlocked: { $exists: false } },
+      { $set: { isBlocked: false, capacity: 1 } }
+    );
+    console.log(`Set blocking defaults on ${defaulted.modifiedCount} time slots`);
+
+    const legacySlots = await db.collection('slots').find({}).toArray();
+    console.log(`Found ${legacySlots.length} legacy slots to migrate`);
+
+    let inserted = 0;
+    let merged = 0;
+
+    for (const legacySlot of legacySlots) {
+      const key = {
+        serviceId: legacySlot.serviceId,
+        date: legacySlot.date,
+        timeSlot: legacySlot.timeSlot
+      };
+
+      const existing = await timeSlots.findOne(key);
+
+      if (!existing) {
+        await timeSlots.insertOne({
+          ...key,
+          isAvailable: legacySlot.isAvailable,
+          bookingId: legacySlot.bookingId || null,
+          capacity: 1,
+          isBlocked: false,
+          createdAt: legacySlot.createdAt || new Date(),
+          updatedAt: new Date()
+        });
+        inserted++;
+        continue;
+      }
+
+      // A booking recorded on either side wins over an open slot
+      if (legacySlot.bookingId && !existing.bookingId) {
+        await timeSlots.updateOne(
+          { _id: existing._id },
+          { $set: { isAvailable: false, bookingId: legacySlot.bookingId, updatedAt: new Date() } }
+        );
+        merged++;
+      }
+    }
+
+    await TimeSlot.syncIndexes();
+
+    console.log('\n🎉 Slot migration complete!');
+    console.log(`📅 Inserted ${inserted} slots`);
+    console.log(`🔗 Merged bookings into ${merged} existing slots`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Slot migration error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateSlots();
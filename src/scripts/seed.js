@@ -100,7 +100,7 @@ const seedDatabase = async () => {
         for (const timeSlot of businessHours) {
           timeSlots.push({
             date: date,
-            slot: timeSlot,
+            timeSlot,
           serviceId: service._id,
             isAvailable: true,
             capacity: 1
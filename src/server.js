@@ -60,10 +60,24 @@ const analyticsRoutes = require('./routes/analyticsRoutes');
 const testRoutes = require('./routes/testRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
 const googleAdsRoutes = require('./routes/googleAdsRoutes');
+const closureRoutes = require('./routes/closureRoutes');
+const staffRoutes = require('./routes/staffRoutes');
+const absenceRoutes = require('./routes/absenceRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const caseRoutes = require('./routes/caseRoutes');
 
 // Import error handlers
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
 const logger = require('./utils/logger');
+const holdService = require('./services/holdService');
+const jobService = require('./services/jobService');
+const reminderService = require('./services/reminderService');
+const schedulerService = require('./services/schedulerService');
+const reportSubscriptionService = require('./services/reportSubscriptionService');
+const waitlistService = require('./services/waitlistService');
+const paymentProviders = require('./services/paymentProviders');
 
 // Initialize Redis if enabled
 const redisClient = require('./utils/redisClient');
@@ -224,7 +238,13 @@ if (!config.authRateLimit.enabled === false) {
 }
 
 // Body parser
-app.use(express.json({ limit: '10kb' }));
+// The raw body is kept so payment webhook signatures can be checked
+app.use(express.json({
+  limit: '10kb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
 // Request logging
@@ -266,6 +286,13 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/test', testRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/google-ads', googleAdsRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/absences', absenceRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/cases', caseRoutes);
 
 // Cache clear route (admin only)
 const { protect, restrictTo } = require('./middleware/authMiddleware');
@@ -471,9 +498,22 @@ async function startServer() {
   try {
     console.log('🚀 Starting Recovery Office Backend Server...');
     
+    // Refuse to take bookings without a provider that can take payments
+    paymentProviders.getProvider();
+    
     // Connect to database first
     await DatabaseConnection.connect();
     
+    // Release slot holds that clients never turned into bookings
+    holdService.startHoldSweeper();
+    
+    // Queue appointment reminders and scheduled work, and run queued jobs
+    reminderService.startReminderPlanner();
+    reportSubscriptionService.registerJobHandler();
+    waitlistService.registerJobHandlers();
+    await schedulerService.startScheduler();
+    jobService.startWorker();
+    
     // Start the server
     const PORT = config.server.port;
     const HOST = config.server.host;
@@ -497,7 +537,10 @@ async function startServer() {
   }
 }
 
-startServer();
+// Tests load the app and connect to their own database
+if (process.env.NODE_ENV !== 'test') {
+  startServer();
+}
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
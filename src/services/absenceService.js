@@ -0,0 +1,265 @@
+/**
+ * Absence Service
+ * Consultant time-off requests, approvals and the reassignment of
+ * bookings that fall inside an approved absence
+ */
+const moment = require('moment');
+const Absence = require('../models/Absence');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const StaffProfile = require('../models/StaffProfile');
+const availabilityService = require('./availabilityService');
+const { isValidTimeSlot } = require('../utils/scheduleUtils');
+const { DEFAULT_TIMEZONE, slotToInstants } = require('../utils/timezone');
+const { ConflictError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Absence types approved as soon as they are recorded
+const AUTO_APPROVED_TYPES = ['sick'];
+
+/**
+ * Get the start and end time of a booking
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Object|null} Object with startsAt and endsAt dates
+ */
+const getBookingWindow = (booking) => {
+  if (booking.startsAt && booking.endsAt) {
+    return { startsAt: booking.startsAt, endsAt: booking.endsAt };
+  }
+  return slotToInstants(booking.date, booking.timeSlot, booking.timezone || DEFAULT_TIMEZONE);
+};
+
+/**
+ * Find active bookings of the absent consultant inside an absence
+ *
+ * @param {Object} absence - Absence document
+ * @returns {Promise<Array>} Affected bookings
+ */
+exports.findAffectedBookings = async (absence) => {
+  const bookings = await Booking.find({
+    consultantId: absence.consultantId,
+    // Office days can start up to a day either side of UTC midnight
+    date: {
+      $gte: moment(absence.startsAt).subtract(1, 'day').startOf('day').toDate(),
+      $lte: moment(absence.endsAt).add(1, 'day').endOf('day').toDate()
+    },
+    status: { $in: availabilityService.ACTIVE_STATUSES }
+  }).sort('date timeSlot');
+
+  return bookings.filter(booking => {
+    if (!isValidTimeSlot(booking.timeSlot)) return false;
+    const window = getBookingWindow(booking);
+    return Boolean(window) && window.startsAt < absence.endsAt && absence.startsAt < window.endsAt;
+  });
+};
+
+/**
+ * Find another consultant who offers the booking's service and is free
+ *
+ * @param {Object} booking - Booking that needs a new consultant
+ * @returns {Promise<Object|null>} Staff profile, or null if nobody is free
+ */
+exports.suggestReplacement = async (booking) => {
+  const service = await Service.findById(booking.serviceId);
+  if (!service) {
+    return null;
+  }
+
+  const timezone = booking.timezone || service.timezone;
+  const candidates = await StaffProfile.findForService(service);
+
+  for (const candidate of candidates) {
+    if (candidate._id.equals(booking.consultantId)) continue;
+    if (!candidate.isWorkingAt(booking.date, booking.timeSlot, timezone)) continue;
+
+    if (await availabilityService.isConsultantFree(candidate._id, booking.date, booking.timeSlot, { timezone })) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Flag the bookings inside an approved absence with a suggested replacement
+ *
+ * @param {Object} absence - Approved absence
+ * @returns {Promise<Array>} Flagged bookings with their suggestions
+ */
+exports.flagAffectedBookings = async (absence) => {
+  const bookings = await exports.findAffectedBookings(absence);
+  const flagged = [];
+
+  for (const booking of bookings) {
+    const replacement = await exports.suggestReplacement(booking);
+
+    booking.needsReassignment = true;
+    booking.reassignment = {
+      absenceId: absence._id,
+      suggestedConsultantId: replacement ? replacement._id : undefined,
+      reason: replacement
+        ? `Consultant is away (${absence.type}); ${replacement.displayName} is free`
+        : `Consultant is away (${absence.type}) and no other consultant is free`,
+      flaggedAt: new Date()
+    };
+    await booking.save({ validateBeforeSave: false });
+
+    flagged.push({
+      bookingId: booking._id,
+      reference: booking.reference,
+      date: booking.date,
+      timeSlot: booking.timeSlot,
+      suggestedConsultant: replacement
+        ? { id: replacement._id, displayName: replacement.displayName }
+        : null
+    });
+  }
+
+  if (flagged.length > 0) {
+    logger.warn(`${flagged.length} bookings need reassignment because of absence ${absence._id}`);
+  }
+
+  return flagged;
+};
+
+/**
+ * Clear reassignment flags raised by an absence that no longer applies
+ *
+ * @param {Object} absence - Absence document
+ * @returns {Promise<number>} Number of bookings cleared
+ */
+const clearReassignmentFlags = async (absence) => {
+  const result = await Booking.updateMany(
+    { 'reassignment.absenceId': absence._id },
+    { $set: { needsReassignment: false }, $unset: { reassignment: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Record an absence
+ * Sick leave and absences recorded by an admin are approved straight away
+ *
+ * @param {Object} data - Absence fields
+ * @param {Object} user - User recording the absence
+ * @returns {Promise<Object>} Absence and any bookings flagged for reassignment
+ */
+exports.createAbsence = async (data, user) => {
+  const isAdmin = user.role === 'admin';
+  const autoApprove = isAdmin || AUTO_APPROVED_TYPES.includes(data.type);
+
+  const absence = await Absence.create({
+    consultantId: data.consultantId,
+    type: data.type,
+    startsAt: data.startsAt,
+    endsAt: data.endsAt,
+    reason: data.reason,
+    status: autoApprove ? 'approved' : 'pending',
+    requestedBy: user._id,
+    reviewedBy: autoApprove ? user._id : undefined,
+    reviewedAt: autoApprove ? new Date() : undefined
+  });
+
+  const flaggedBookings = autoApprove ? await exports.flagAffectedBookings(absence) : [];
+
+  return { absence, flaggedBookings };
+};
+
+/**
+ * Approve or reject a pending absence
+ *
+ * @param {Object} absence - Absence document
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {Object} user - Admin reviewing the absence
+ * @param {string} note - Optional review note
+ * @returns {Promise<Object>} Absence and any bookings flagged for reassignment
+ */
+exports.reviewAbsence = async (absence, decision, user, note) => {
+  if (absence.status !== 'pending') {
+    throw new ConflictError(`This absence has already been ${absence.status}`, 'ABSENCE_ALREADY_REVIEWED');
+  }
+
+  absence.status = decision;
+  absence.reviewedBy = user._id;
+  absence.reviewedAt = new Date();
+  absence.reviewNote = note;
+  await absence.save();
+
+  const flaggedBookings = decision === 'approved'
+    ? await exports.flagAffectedBookings(absence)
+    : [];
+
+  logger.info(`Absence ${absence._id} ${decision} by ${user._id}`);
+
+  return { absence, flaggedBookings };
+};
+
+/**
+ * Cancel an absence
+ * Availability comes back and any reassignment flags it raised are cleared
+ *
+ * @param {Object} absence - Absence document
+ * @returns {Promise<Object>} Cancelled absence
+ */
+exports.cancelAbsence = async (absence) => {
+  if (['cancelled', 'rejected'].includes(absence.status)) {
+    throw new ConflictError(`This absence has already been ${absence.status}`, 'ABSENCE_ALREADY_CLOSED');
+  }
+
+  const wasApproved = absence.status === 'approved';
+  absence.status = 'cancelled';
+  await absence.save();
+
+  if (wasApproved) {
+    await clearReassignmentFlags(absence);
+  }
+
+  return absence;
+};
+
+/**
+ * Build the team absence calendar for a date range
+ *
+ * @param {Date} startDate - First day of the range
+ * @param {Date} endDate - Last day of the range
+ * @param {Object} options - Options
+ * @param {boolean} options.includePending - Also show absences awaiting approval
+ * @returns {Promise<Array>} One entry per day with the absences on it
+ */
+exports.getTeamCalendar = async (startDate, endDate, options = {}) => {
+  const rangeStart = moment(startDate).startOf('day');
+  const rangeEnd = moment(endDate).endOf('day');
+  const statuses = options.includePending ? ['approved', 'pending'] : ['approved'];
+
+  const absences = await Absence.find({
+    status: { $in: statuses },
+    startsAt: { $lte: rangeEnd.toDate() },
+    endsAt: { $gte: rangeStart.toDate() }
+  })
+    .populate('consultantId', 'displayName title')
+    .sort('startsAt');
+
+  const days = [];
+  for (const day = moment(rangeStart); day.isSameOrBefore(rangeEnd); day.add(1, 'day')) {
+    const dayStart = moment(day).startOf('day');
+    const dayEnd = moment(day).endOf('day');
+
+    days.push({
+      date: dayStart.format('YYYY-MM-DD'),
+      absences: absences
+        .filter(absence => absence.startsAt <= dayEnd.toDate() && absence.endsAt > dayStart.toDate())
+        .map(absence => ({
+          id: absence._id,
+          consultant: absence.consultantId,
+          type: absence.type,
+          status: absence.status,
+          startsAt: absence.startsAt,
+          endsAt: absence.endsAt,
+          allDay: absence.startsAt <= dayStart.toDate() && absence.endsAt >= dayEnd.toDate()
+        }))
+    });
+  }
+
+  return days;
+};
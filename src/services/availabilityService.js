@@ -0,0 +1,667 @@
+/**
+ * Availability Service
+ * Single entry point for reading and changing slot availability
+ * Every controller and service that reserves, releases or lists slots
+ * goes through here so they all work against the TimeSlot collection
+ */
+const moment = require('moment');
+const TimeSlot = require('../models/TimeSlot');
+const Booking = require('../models/Booking');
+const Closure = require('../models/Closure');
+const StaffProfile = require('../models/StaffProfile');
+const Absence = require('../models/Absence');
+const SlotHold = require('../models/SlotHold');
+const {
+  buildTemplateSlots,
+  isValidTimeSlot,
+  parseTimeSlot,
+  rangesOverlap
+} = require('../utils/scheduleUtils');
+const {
+  DEFAULT_TIMEZONE,
+  getZonedDayBounds,
+  nowInZone,
+  slotToInstants,
+  toDayKey
+} = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Booking statuses that hold on to their slot
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+/**
+ * Get the start and end of the day containing a date
+ *
+ * @param {Date|string} date - Any point in the day
+ * @returns {Object} Object with startOfDay and endOfDay dates
+ */
+const getDayBounds = (date) => {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  return { startOfDay, endOfDay };
+};
+
+exports.getDayBounds = getDayBounds;
+
+/**
+ * Build the public identifier of a slot computed from a template
+ * Computed slots have no document, so they are identified by what they are
+ *
+ * @param {string} serviceId - Service ID
+ * @param {Date|string} date - Slot date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @returns {string} Slot identifier
+ */
+exports.buildSlotId = (serviceId, date, timeSlot) => {
+  return `${serviceId}_${moment(date).format('YYYY-MM-DD')}_${timeSlot}`;
+};
+
+/**
+ * Build the candidate slots a service offers on a day, before removing
+ * anything that is already taken
+ *
+ * @param {Object} service - Service document
+ * @param {Date} startOfDay - Start of the day
+ * @returns {Promise<Array>} Candidates with id, timeSlot, start, end, blockStart, blockEnd and source
+ */
+const getCandidateSlots = async (service, startOfDay) => {
+  if (!service.hasAvailabilityTemplate()) {
+    const publishedSlots = await TimeSlot.findAvailableSlots(service._id, startOfDay);
+    return publishedSlots
+      .filter(slot => isValidTimeSlot(slot.timeSlot))
+      .map(slot => {
+        const { start, end } = parseTimeSlot(slot.timeSlot);
+        return {
+          id: slot._id,
+          timeSlot: slot.timeSlot,
+          start,
+          end,
+          blockStart: start,
+          blockEnd: end,
+          source: 'published'
+        };
+      });
+  }
+
+  return buildTemplateSlots(service.availability, startOfDay.getDay(), service.duration)
+    .map(candidate => ({
+      ...candidate,
+      id: exports.buildSlotId(service._id, startOfDay, candidate.timeSlot),
+      source: 'template'
+    }));
+};
+
+/**
+ * Get the absolute start and end of a booking
+ * Bookings made before times were stored absolutely are worked out from
+ * their date and time slot
+ *
+ * @param {Object} booking - Booking with startsAt/endsAt or date/timeSlot
+ * @param {string} timezone - Zone to read older bookings in
+ * @returns {Object|null} Object with startsAt and endsAt
+ */
+const getBookingInstants = (booking, timezone) => {
+  if (booking.startsAt && booking.endsAt) {
+    return { startsAt: booking.startsAt, endsAt: booking.endsAt };
+  }
+  if (!isValidTimeSlot(booking.timeSlot)) {
+    return null;
+  }
+  return slotToInstants(booking.date, booking.timeSlot, booking.timezone || timezone);
+};
+
+/**
+ * Check whether two absolute time ranges overlap
+ *
+ * @param {Object} a - Range with startsAt and endsAt
+ * @param {Object} b - Range with startsAt and endsAt
+ * @returns {boolean} True if the ranges overlap
+ */
+const instantsOverlap = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+/**
+ * Load what keeps consultants busy around a day: their active bookings for
+ * any service, their approved absences and unexpired slot holds
+ *
+ * @param {Array<string>} consultantIds - Consultants to check
+ * @param {Date} startOfDay - Day as stored on bookings
+ * @param {string} timezone - Office zone of the day
+ * @param {Object} options - Options
+ * @param {Object} options.session - Mongoose session to read in
+ * @param {string} options.excludeBookingId - Booking to ignore
+ * @param {string} options.excludeHoldId - Hold to ignore, e.g. the one being booked
+ * @returns {Promise<Object>} Busy ranges keyed by consultant ID
+ */
+const getConsultantBusyRanges = async (consultantIds, startOfDay, timezone, options = {}) => {
+  const { session, excludeBookingId, excludeHoldId } = options;
+  const { startOfDay: dayStart, endOfDay: dayEnd } = getDayBounds(startOfDay);
+  const { dayStart: zonedStart, dayEnd: zonedEnd } = getZonedDayBounds(startOfDay, timezone);
+
+  // Bookings for services in other zones can reach into this day, so match
+  // on the absolute times and fall back to the day for older bookings
+  const bookingQuery = {
+    consultantId: { $in: consultantIds },
+    status: { $in: ACTIVE_STATUSES },
+    $or: [
+      { startsAt: { $lt: zonedEnd }, endsAt: { $gt: zonedStart } },
+      { startsAt: null, date: { $gte: dayStart, $lte: dayEnd } }
+    ]
+  };
+
+  if (excludeBookingId) {
+    bookingQuery._id = { $ne: excludeBookingId };
+  }
+
+  // Reads in a transaction session have to run one at a time
+  const bookings = await Booking.find(bookingQuery)
+    .select('consultantId date timeSlot timezone startsAt endsAt')
+    .session(session || null)
+    .lean();
+  const absences = await Absence.findApprovedBetween(consultantIds, zonedStart, zonedEnd)
+    .session(session || null)
+    .lean();
+  const holds = await SlotHold.findActiveBetween(consultantIds, zonedStart, zonedEnd)
+    .session(session || null)
+    .lean();
+
+  const busyByConsultant = {};
+  const addBusy = (consultantId, range) => {
+    if (!range) return;
+    const key = consultantId.toString();
+    busyByConsultant[key] = busyByConsultant[key] || [];
+    busyByConsultant[key].push(range);
+  };
+
+  bookings.forEach(booking => addBusy(booking.consultantId, getBookingInstants(booking, timezone)));
+  absences.forEach(absence => addBusy(absence.consultantId, {
+    startsAt: absence.startsAt,
+    endsAt: absence.endsAt
+  }));
+  holds
+    .filter(hold => !excludeHoldId || !hold._id.equals(excludeHoldId))
+    .forEach(hold => addBusy(hold.consultantId, { startsAt: hold.startsAt, endsAt: hold.endsAt }));
+
+  return busyByConsultant;
+};
+
+/**
+ * Find the consultants who can take a service
+ *
+ * @param {Object} service - Service document
+ * @param {string} consultantId - Optional consultant to limit the search to
+ * @returns {Promise<Array>} Bookable staff profiles
+ */
+const findConsultants = async (service, consultantId = null) => {
+  if (consultantId) {
+    return StaffProfile.find({
+      _id: consultantId,
+      isBookable: true,
+      specialisms: service.category
+    });
+  }
+  return StaffProfile.findForService(service);
+};
+
+exports.findConsultants = findConsultants;
+
+/**
+ * Compute the bookable slots for a service on a date
+ *
+ * Services with a weekly availability template get slots computed from the
+ * template, minus active bookings and blocked or reserved time slots.
+ * Services without a template only offer their published time slots.
+ * Nothing is offered on days the office or service is closed.
+ *
+ * When consultants take the service, each slot lists the consultants who
+ * work at that time and have no other meeting then, and slots nobody can
+ * take are left out.
+ *
+ * @param {Object} service - Service document
+ * @param {Date|string} date - Date to search
+ * @param {Object} options - Options
+ * @param {string} options.consultantId - Only return slots this consultant can take
+ * @returns {Promise<Array>} Slots with id, date, timeSlot and consultants, sorted by time
+ */
+exports.getAvailableSlots = async (service, date, options = {}) => {
+  const { consultantId = null } = options;
+  const { startOfDay, endOfDay } = getDayBounds(date);
+  const timezone = service.timezone || DEFAULT_TIMEZONE;
+
+  if (await Closure.isClosedOn(startOfDay, service._id)) {
+    return [];
+  }
+
+  const consultants = await findConsultants(service, consultantId);
+  if (consultantId && consultants.length === 0) {
+    return [];
+  }
+
+  const candidates = await getCandidateSlots(service, startOfDay);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const dateRange = { $gte: startOfDay, $lte: endOfDay };
+  let serviceBusy = [];
+
+  // Published slots are already filtered on their own availability
+  if (service.hasAvailabilityTemplate()) {
+    const bookingQuery = {
+      serviceId: service._id,
+      date: dateRange,
+      status: { $in: ACTIVE_STATUSES }
+    };
+
+    // With consultants, only bookings nobody was assigned to block the service
+    if (consultants.length > 0) {
+      bookingQuery.consultantId = null;
+    }
+
+    const [bookings, unavailableSlots] = await Promise.all([
+      Booking.find(bookingQuery).select('timeSlot').lean(),
+      TimeSlot.find({
+        serviceId: service._id,
+        date: dateRange,
+        $or: [{ isAvailable: false }, { isBlocked: true }, { bookingId: { $ne: null } }]
+      }).select('timeSlot').lean()
+    ]);
+
+    serviceBusy = [...bookings, ...unavailableSlots]
+      .filter(entry => isValidTimeSlot(entry.timeSlot))
+      .map(entry => parseTimeSlot(entry.timeSlot));
+  }
+
+  // Slots that have already started in the office zone cannot be booked
+  const now = nowInZone(timezone);
+  const dayKey = toDayKey(startOfDay);
+  if (dayKey < now.dayKey) {
+    return [];
+  }
+  const minutesNow = dayKey === now.dayKey ? now.minutes : -1;
+
+  const open = candidates
+    .filter(candidate => candidate.start > minutesNow)
+    .filter(candidate => !serviceBusy.some(busy => rangesOverlap(
+      { start: candidate.blockStart, end: candidate.blockEnd },
+      busy
+    )))
+    .map(candidate => {
+      // Times skipped when the clocks go forward do not exist
+      const instants = slotToInstants(startOfDay, candidate.timeSlot, timezone);
+      if (!instants) return null;
+
+      return {
+        ...candidate,
+        ...instants,
+        blockStartsAt: moment(instants.startsAt).subtract(candidate.start - candidate.blockStart, 'minutes').toDate(),
+        blockEndsAt: moment(instants.endsAt).add(candidate.blockEnd - candidate.end, 'minutes').toDate()
+      };
+    })
+    .filter(Boolean);
+
+  const toSlot = (candidate, slotConsultants) => ({
+    id: candidate.id,
+    date: startOfDay,
+    timeSlot: candidate.timeSlot,
+    startsAt: candidate.startsAt,
+    endsAt: candidate.endsAt,
+    timezone,
+    source: candidate.source,
+    consultants: slotConsultants.map(consultant => ({
+      id: consultant._id,
+      displayName: consultant.displayName,
+      title: consultant.title
+    }))
+  });
+
+  if (consultants.length === 0) {
+    return open.map(candidate => toSlot(candidate, []));
+  }
+
+  // A consultant is busy for any service they are booked on, and while
+  // they are on approved leave
+  const busyByConsultant = await getConsultantBusyRanges(
+    consultants.map(consultant => consultant._id),
+    startOfDay,
+    timezone
+  );
+
+  return open
+    .map(candidate => toSlot(candidate, consultants.filter(consultant =>
+      consultant.isWorkingAt(startOfDay, candidate.timeSlot, timezone) &&
+      !(busyByConsultant[consultant._id.toString()] || []).some(busy => instantsOverlap(
+        { startsAt: candidate.blockStartsAt, endsAt: candidate.blockEndsAt },
+        busy
+      ))
+    )))
+    .filter(slot => slot.consultants.length > 0);
+};
+
+/**
+ * Check whether a consultant has no active booking or approved absence
+ * overlapping a time slot
+ *
+ * @param {string} consultantId - Consultant to check
+ * @param {Date|string} date - Booking date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {Object} options - Options
+ * @param {Object} options.session - Mongoose session to read in
+ * @param {string} options.excludeBookingId - Booking to ignore, e.g. the one being moved
+ * @param {string} options.excludeHoldId - Hold to ignore, e.g. the one being booked
+ * @param {string} options.timezone - Office zone of the time slot
+ * @returns {Promise<boolean>} True if the consultant is free
+ */
+exports.isConsultantFree = async (consultantId, date, timeSlot, options = {}) => {
+  const { timezone = DEFAULT_TIMEZONE } = options;
+  const requested = slotToInstants(date, timeSlot, timezone);
+  if (!requested) {
+    return false;
+  }
+
+  const { startOfDay } = getDayBounds(date);
+  const busyByConsultant = await getConsultantBusyRanges([consultantId], startOfDay, timezone, options);
+  const busy = busyByConsultant[consultantId.toString()] || [];
+
+  return !busy.some(range => instantsOverlap(range, requested));
+};
+
+/**
+ * Check whether an admin has blocked a service's time slot
+ *
+ * @param {string} serviceId - Service ID
+ * @param {Date|string} date - Slot date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {Object} options - Query options (e.g. { session })
+ * @returns {Promise<boolean>} True if the slot is blocked
+ */
+exports.isBlocked = async (serviceId, date, timeSlot, options = {}) => {
+  const { startOfDay, endOfDay } = getDayBounds(date);
+  const blocked = await TimeSlot.findOne({
+    serviceId,
+    date: { $gte: startOfDay, $lte: endOfDay },
+    timeSlot,
+    isBlocked: true
+  }).session(options.session || null);
+
+  return Boolean(blocked);
+};
+
+/**
+ * Check whether a service's template offers a time slot on a date
+ * Services without a template accept any time slot
+ *
+ * @param {Object} service - Service document
+ * @param {Date|string} date - Booking date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @returns {boolean} True if the time slot can be offered
+ */
+exports.isOfferedByTemplate = (service, date, timeSlot) => {
+  if (!service.hasAvailabilityTemplate()) {
+    return true;
+  }
+
+  const { startOfDay } = getDayBounds(date);
+  return buildTemplateSlots(service.availability, startOfDay.getDay(), service.duration)
+    .some(candidate => candidate.timeSlot === timeSlot);
+};
+
+/**
+ * Find bookable slots for a service on a date
+ *
+ * @param {string} serviceId - Service ID
+ * @param {Date|string} date - Date to search
+ * @returns {Promise<Array>} Available slots sorted by time
+ */
+exports.findAvailableSlots = async (serviceId, date) => {
+  return TimeSlot.findAvailableSlots(serviceId, date);
+};
+
+/**
+ * Reserve a specific slot for a booking
+ * Only succeeds if the slot is still bookable, so two concurrent
+ * reservations of the same slot cannot both win
+ *
+ * @param {string} slotId - Slot to reserve
+ * @param {string} bookingId - Booking taking the slot
+ * @param {Object} options - Query options (e.g. { session })
+ * @returns {Promise<Object|null>} Reserved slot, or null if it was already taken
+ */
+exports.reserveSlot = async (slotId, bookingId, options = {}) => {
+  return TimeSlot.findOneAndUpdate(
+    { _id: slotId, isAvailable: true, isBlocked: false, bookingId: null },
+    { isAvailable: false, bookingId },
+    { new: true, session: options.session }
+  );
+};
+
+/**
+ * Take the slot for a service at a given date and time
+ *
+ * @param {string} serviceId - Service being booked
+ * @param {Date|string} date - Slot date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {Object} claim - Fields recording who took the slot
+ * @param {Object} options - Options
+ * @param {Object} options.session - Mongoose session to run the writes in
+ * @param {boolean} options.createIfMissing - Create a taken slot when none
+ *   has been published for that time
+ * @returns {Promise<Object|null>} Taken slot, or null if it is unavailable
+ */
+const claimByTime = async (serviceId, date, timeSlot, claim, options = {}) => {
+  const { session, createIfMissing } = options;
+  const { startOfDay, endOfDay } = getDayBounds(date);
+  const slotQuery = {
+    serviceId,
+    date: { $gte: startOfDay, $lte: endOfDay },
+    timeSlot
+  };
+
+  const claimed = await TimeSlot.findOneAndUpdate(
+    { ...slotQuery, isAvailable: true, isBlocked: false, bookingId: null, holdId: null },
+    { isAvailable: false, ...claim },
+    { new: true, session }
+  );
+
+  if (claimed || !createIfMissing) {
+    return claimed;
+  }
+
+  const existing = await TimeSlot.findOne(slotQuery).session(session || null);
+  if (existing) {
+    return null;
+  }
+
+  // No slot was published for this time, so record the claim as a new
+  // slot; a concurrent claim creating the same slot hits the unique index
+  const [created] = await TimeSlot.create([{
+    serviceId,
+    date: startOfDay,
+    timeSlot,
+    isAvailable: false,
+    ...claim
+  }], { session });
+
+  return created;
+};
+
+/**
+ * Reserve the slot for a service at a given date and time
+ *
+ * @param {string} serviceId - Service being booked
+ * @param {Date|string} date - Booking date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {string} bookingId - Booking taking the slot
+ * @param {Object} options - Options
+ * @param {Object} options.session - Mongoose session to run the writes in
+ * @param {boolean} options.createIfMissing - Create a reserved slot when none
+ *   has been published for that time (defaults to true)
+ * @param {string} options.holdId - Hold the booking was made under; the slot
+ *   it holds is handed over to the booking
+ * @returns {Promise<Object|null>} Reserved slot, or null if it is unavailable
+ */
+exports.reserveByTime = async (serviceId, date, timeSlot, bookingId, options = {}) => {
+  const { session, createIfMissing = true, holdId } = options;
+
+  if (holdId) {
+    const held = await TimeSlot.findOneAndUpdate(
+      { holdId, bookingId: null },
+      { isAvailable: false, bookingId, holdId: null },
+      { new: true, session }
+    );
+
+    // A hold released by the sweeper leaves the slot open to anyone
+    if (held) {
+      return held;
+    }
+  }
+
+  return claimByTime(serviceId, date, timeSlot, { bookingId }, { session, createIfMissing });
+};
+
+/**
+ * Hold the slot for a service at a given date and time
+ *
+ * @param {string} serviceId - Service being held
+ * @param {Date|string} date - Slot date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {string} holdId - Hold taking the slot
+ * @param {Object} options - Query options (e.g. { session })
+ * @returns {Promise<Object|null>} Held slot, or null if it is unavailable
+ */
+exports.holdByTime = async (serviceId, date, timeSlot, holdId, options = {}) => {
+  return claimByTime(serviceId, date, timeSlot, { holdId }, {
+    session: options.session,
+    createIfMissing: true
+  });
+};
+
+/**
+ * Release the slot kept by a hold
+ *
+ * @param {string} holdId - Hold that kept the slot
+ * @param {Object} options - Query options (e.g. { session })
+ * @returns {Promise<Object|null>} Released slot, or null if the hold kept none
+ */
+exports.releaseHold = async (holdId, options = {}) => {
+  return TimeSlot.findOneAndUpdate(
+    { holdId, bookingId: null },
+    { isAvailable: true, holdId: null },
+    { new: true, session: options.session }
+  );
+};
+
+/**
+ * Release the slot held by a booking
+ *
+ * @param {string} bookingId - Booking that held the slot
+ * @param {Object} options - Query options (e.g. { session })
+ * @returns {Promise<Object|null>} Released slot, or null if the booking held none
+ */
+exports.releaseSlot = async (bookingId, options = {}) => {
+  const slot = await TimeSlot.findOneAndUpdate(
+    { bookingId },
+    { isAvailable: true, bookingId: null },
+    { new: true, session: options.session }
+  );
+
+  if (slot) {
+    logger.info(`Released slot ${slot._id} held by booking ${bookingId}`);
+  }
+
+  return slot;
+};
+
+/**
+ * Publish slots for a set of services over a date range
+ * Weekends and closed days are skipped and slots that already exist are
+ * left untouched
+ *
+ * @param {Array<string>} serviceIds - Services to create slots for
+ * @param {Date|string} startDate - First day of the range
+ * @param {Date|string} endDate - Last day of the range
+ * @param {Array<string>} timeSlots - Time slots in HH:MM-HH:MM format
+ * @returns {Promise<number>} Number of slots created
+ */
+exports.generateSlots = async (serviceIds, startDate, endDate, timeSlots) => {
+  const slots = [];
+  const end = moment(endDate);
+  let currentDate = moment(startDate).startOf('day');
+
+  const closedDays = {};
+  for (const serviceId of serviceIds) {
+    closedDays[serviceId] = await Closure.getClosedDays(startDate, endDate, serviceId);
+  }
+
+  while (currentDate.isSameOrBefore(end)) {
+    // Skip weekends (optional, based on business requirements)
+    if (currentDate.day() !== 0 && currentDate.day() !== 6) {
+      const dayKey = currentDate.format('YYYY-MM-DD');
+
+      for (const serviceId of serviceIds) {
+        if (closedDays[serviceId].has(dayKey)) {
+          continue;
+        }
+
+        for (const timeSlot of timeSlots) {
+          slots.push({
+            serviceId,
+            date: currentDate.toDate(),
+            timeSlot,
+            isAvailable: true
+          });
+        }
+      }
+    }
+
+    currentDate.add(1, 'day');
+  }
+
+  if (slots.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await TimeSlot.insertMany(slots, { ordered: false });
+    return result.length;
+  } catch (error) {
+    // Duplicate slots are skipped; anything else is a real failure
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === 11000)) {
+      return (error.insertedDocs || []).length;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete unbooked slots in a date range
+ *
+ * @param {Date|string} startDate - First day of the range
+ * @param {Date|string} endDate - Last day of the range
+ * @param {Array<string>} serviceIds - Optional services to limit the deletion to
+ * @returns {Promise<number>} Number of slots deleted
+ */
+exports.clearSlots = async (startDate, endDate, serviceIds = []) => {
+  const query = {
+    date: {
+      $gte: moment(startDate).startOf('day').toDate(),
+      $lte: moment(endDate).endOf('day').toDate()
+    },
+    // Only delete available slots to avoid removing slots with bookings
+    isAvailable: true,
+    bookingId: null
+  };
+
+  if (serviceIds.length > 0) {
+    query.serviceId = { $in: serviceIds };
+  }
+
+  const result = await TimeSlot.deleteMany(query);
+  return result.deletedCount;
+};
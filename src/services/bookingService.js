@@ -0,0 +1,786 @@
+/**
+ * Booking Service
+ * Handles transactional booking operations that must keep bookings and
+ * slot reservations consistent with each other
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Client = require('../models/Client');
+const Closure = require('../models/Closure');
+const Service = require('../models/Service');
+const SlotHold = require('../models/SlotHold');
+const StaffProfile = require('../models/StaffProfile');
+const Waitlist = require('../models/Waitlist');
+const availabilityService = require('./availabilityService');
+const calendarService = require('./calendarService');
+const intakeService = require('./intakeService');
+const meetingService = require('./meetingService');
+const recurrenceService = require('./recurrenceService');
+const paymentService = require('./paymentService');
+const staffService = require('./staffService');
+const config = require('../config');
+const { DEFAULT_TIMEZONE, describeInZone, slotToInstants, toDayKey } = require('../utils/timezone');
+const { buildRule, expandRule, patternForRule } = require('../utils/recurrence');
+const { ConflictError, ValidationError, NotFoundError } = require('../utils/AppError');
+const emailService = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+/**
+ * Build the error returned when a slot has already been taken
+ *
+ * @param {Object} bookingData - Booking that could not be placed
+ * @returns {ConflictError} Conflict error with SLOT_TAKEN code
+ */
+const slotTakenError = (bookingData) => {
+  const error = new ConflictError(
+    'The selected time slot is no longer available. Please choose another time.',
+    'SLOT_TAKEN'
+  );
+  error.details = {
+    serviceId: bookingData.serviceId,
+    date: bookingData.date,
+    timeSlot: bookingData.timeSlot
+  };
+  return error;
+};
+
+/**
+ * Check whether a duplicate key error was raised by the slot index
+ *
+ * @param {Error} error - Error thrown by MongoDB
+ * @returns {boolean} True if a concurrent reservation created the same slot
+ */
+const isSlotCollision = (error) => {
+  return error.code === 11000 && error.keyPattern && error.keyPattern.timeSlot !== undefined;
+};
+
+/**
+ * Find the hold a booking is being made under
+ * A hold that is unknown or has run out is rejected, so the client picks
+ * the slot again rather than booking without it
+ *
+ * @param {string} holdToken - Token returned when the slot was held
+ * @param {Object} bookingData - Booking fields
+ * @returns {Promise<Object>} Hold
+ */
+const findHold = async (holdToken, bookingData) => {
+  const hold = await SlotHold.findOne({ token: holdToken });
+
+  if (!hold) {
+    throw new ValidationError(
+      'The slot hold was not found. Please choose the time slot again.',
+      'HOLD_NOT_FOUND'
+    );
+  }
+
+  if (hold.isExpired()) {
+    throw new ValidationError(
+      'The slot hold has expired. Please choose the time slot again.',
+      'HOLD_EXPIRED'
+    );
+  }
+
+  if (!hold.matches(bookingData.serviceId, bookingData.date, bookingData.timeSlot)) {
+    throw new ValidationError('The slot hold is for a different time slot', 'HOLD_MISMATCH');
+  }
+
+  return hold;
+};
+
+/**
+ * Check that a time can be booked at all, whoever else has booked it
+ * The template must offer it, the office must be open and the time must
+ * exist in the office zone
+ *
+ * @param {Object} service - Service being booked, if known
+ * @param {Object} bookingData - Object with serviceId, date and timeSlot
+ * @returns {Promise<string>} Office zone the date and time slot are in
+ */
+exports.checkBookable = async (service, bookingData) => {
+  if (service && !availabilityService.isOfferedByTemplate(service, bookingData.date, bookingData.timeSlot)) {
+    const error = new ValidationError(
+      'The selected time slot is not offered for this service on that day',
+      'SLOT_NOT_OFFERED'
+    );
+    error.details = {
+      serviceId: bookingData.serviceId,
+      date: bookingData.date,
+      timeSlot: bookingData.timeSlot
+    };
+    throw error;
+  }
+
+  if (await Closure.isClosedOn(bookingData.date, bookingData.serviceId)) {
+    const error = new ValidationError(
+      'The office is closed on the selected date. Please choose another day.',
+      'OFFICE_CLOSED'
+    );
+    error.details = {
+      serviceId: bookingData.serviceId,
+      date: bookingData.date
+    };
+    throw error;
+  }
+
+  // A time skipped when the clocks go forward cannot be booked
+  const timezone = (service && service.timezone) || DEFAULT_TIMEZONE;
+
+  if (!slotToInstants(bookingData.date, bookingData.timeSlot, timezone)) {
+    const error = new ValidationError(
+      `The selected time does not exist in ${timezone} on that day because the clocks change`,
+      'INVALID_LOCAL_TIME'
+    );
+    error.details = {
+      date: bookingData.date,
+      timeSlot: bookingData.timeSlot,
+      timezone
+    };
+    throw error;
+  }
+
+  return timezone;
+};
+
+/**
+ * Create a booking and reserve its slot in a single transaction
+ *
+ * The booking, the slot reservation and any recurring child bookings are
+ * committed together. If the slot has been taken by someone else, nothing
+ * is written and a SLOT_TAKEN conflict error is thrown.
+ *
+ * Services taken by consultants are booked per consultant instead of per
+ * slot: the requested consultant, or the least busy free one, is assigned
+ * and the booking only conflicts with that consultant's other meetings.
+ *
+ * @param {Object} bookingData - Booking fields
+ * @param {Object} options - Booking options
+ * @param {Object} options.service - Service being booked; when it has an
+ *   availability template the time slot must be one the template offers.
+ *   Bookings on closed days are always rejected.
+ * @param {string} options.consultantId - Requested consultant, or 'any'
+ * @param {string} options.holdToken - Token of a hold on the slot; the slot
+ *   or consultant it kept is used for the booking
+ * @param {string} options.waitlistId - Waitlist entry whose open offer the
+ *   booking claims; the booking fails if the offer is no longer open
+ * @param {Object} options.recurrence - Recurrence options, used when
+ *   bookingData.isRecurring is set
+ * @param {string} options.recurrence.rule - RFC 5545 RRULE value; wins over the pattern
+ * @param {string} options.recurrence.pattern - Recurrence pattern
+ * @param {Date} options.recurrence.endDate - End date for recurrence
+ * @param {number} options.recurrence.count - Number of occurrences
+ * @param {Array} options.recurrence.exceptions - Days to leave out of the series
+ * @returns {Promise<Object>} Created booking and child bookings
+ */
+exports.createBooking = async (bookingData, options = {}) => {
+  const { service, consultantId, holdToken, waitlistId, recurrence = {} } = options;
+
+  const timezone = await exports.checkBookable(service, bookingData);
+  const hold = holdToken ? await findHold(holdToken, bookingData) : null;
+
+  // Read the rule up front so a bad rule is reported before anything is booked
+  const recurrenceRule = bookingData.isRecurring ? buildRule(recurrence) : null;
+  const recurrenceExceptions = (recurrence.exceptions || []).map(day => moment(toDayKey(day), 'YYYY-MM-DD').toDate());
+
+  if (recurrenceRule) {
+    expandRule(recurrenceRule, bookingData.date, { exceptions: recurrenceExceptions });
+  }
+
+  // The consultant kept by a hold takes the booking
+  const chosenConsultantId = hold && hold.consultantId ? hold.consultantId : consultantId;
+
+  // A specific consultant is checked up front so a mismatch is reported
+  // as such rather than as a taken slot
+  const requestedConsultant = service && chosenConsultantId && chosenConsultantId !== 'any'
+    ? await staffService.getConsultantForService(chosenConsultantId, service)
+    : null;
+  const withConsultant = Boolean(requestedConsultant) || Boolean(service && await staffService.hasConsultants(service));
+
+  const session = await mongoose.startSession();
+  let booking;
+  let childBookings = [];
+
+  try {
+    // withTransaction retries the callback on transient errors, such as two
+    // transactions writing the same slot, so it must not rely on earlier runs
+    await session.withTransaction(async () => {
+      booking = new Booking(bookingData);
+      booking.setInstants(timezone);
+      childBookings = [];
+
+      if (recurrenceRule) {
+        booking.recurrenceRule = recurrenceRule;
+        booking.occurrenceDate = booking.date;
+        booking.recurrencePattern = patternForRule(recurrenceRule);
+        booking.recurrenceExceptions = recurrenceExceptions;
+      }
+
+      // Bookings made before slots were reserved have no slot document,
+      // so check for an active booking at the same time as well
+      const { startOfDay, endOfDay } = availabilityService.getDayBounds(booking.date);
+
+      const clashQuery = {
+        serviceId: booking.serviceId,
+        date: { $gte: startOfDay, $lte: endOfDay },
+        timeSlot: booking.timeSlot,
+        status: { $in: availabilityService.ACTIVE_STATUSES }
+      };
+
+      // With consultants only an unassigned booking takes the whole slot
+      if (withConsultant) {
+        clashQuery.consultantId = null;
+      }
+
+      const clash = await Booking.findOne(clashQuery).session(session);
+
+      if (clash) {
+        throw slotTakenError(bookingData);
+      }
+
+      if (withConsultant) {
+        const blocked = await availabilityService.isBlocked(
+          booking.serviceId,
+          booking.date,
+          booking.timeSlot,
+          { session }
+        );
+
+        const consultant = blocked ? null : await staffService.assignConsultant(
+          service,
+          booking.date,
+          booking.timeSlot,
+          { session, consultant: requestedConsultant, excludeHoldId: hold ? hold._id : undefined }
+        );
+
+        if (!consultant) {
+          throw slotTakenError(bookingData);
+        }
+
+        booking.consultantId = consultant._id;
+      } else {
+        const slot = await availabilityService.reserveByTime(
+          booking.serviceId,
+          booking.date,
+          booking.timeSlot,
+          booking._id,
+          { session, holdId: hold ? hold._id : undefined }
+        );
+
+        if (!slot) {
+          throw slotTakenError(bookingData);
+        }
+      }
+
+      await booking.save({ session });
+
+      if (hold) {
+        await SlotHold.deleteOne({ _id: hold._id }).session(session);
+      }
+
+      // Booking a slot offered from the waitlist takes up the offer
+      const offeredTo = waitlistId || (hold && hold.waitlistId);
+      if (offeredTo) {
+        const entry = await Waitlist.findOne({ _id: offeredTo, status: 'notified' }).session(session);
+
+        if (entry && entry.getOpenOffer()) {
+          await entry.markAsBooked(booking._id);
+        } else if (waitlistId) {
+          throw new ConflictError('This waitlist offer has already been claimed or has closed', 'OFFER_CLOSED');
+        }
+      }
+
+      if (booking.recurrenceRule) {
+        childBookings = await recurrenceService.generateRecurringBookings(booking, {
+          session,
+          service,
+          keepConsultant: Boolean(requestedConsultant)
+        });
+
+        booking.childBookings = childBookings.map(child => child._id);
+        await booking.save({ session });
+      }
+    });
+  } catch (error) {
+    if (isSlotCollision(error)) {
+      throw slotTakenError(bookingData);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Booking ${booking._id} created with ${childBookings.length} recurring bookings`);
+
+  // Charge each booking the service's price; a failure here does not undo
+  // the booking, and the charge can be posted by hand
+  try {
+    for (const created of [booking, ...childBookings]) {
+      await paymentService.postBookingCharge(created, service);
+    }
+  } catch (error) {
+    logger.error(`Charging booking ${booking._id} failed: ${error.message}`);
+  }
+
+  // Give bookings of remote services their meeting links
+  for (const created of [booking, ...childBookings]) {
+    await meetingService.syncMeeting(created, { service });
+  }
+
+  return { booking, childBookings };
+};
+
+/**
+ * Move a booking to another consultant
+ *
+ * The new consultant is locked and checked inside a transaction, so they
+ * cannot be double booked by a booking made at the same moment. Any
+ * reassignment flag on the booking is cleared.
+ *
+ * @param {string} bookingId - Booking to reassign
+ * @param {string} consultantId - New consultant; defaults to the suggested one
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object>} Updated booking
+ */
+exports.reassignConsultant = async (bookingId, consultantId, user = null) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (!availabilityService.ACTIVE_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`A ${booking.status} booking cannot be reassigned`, 'BOOKING_NOT_ACTIVE');
+  }
+
+  const targetId = consultantId || (booking.reassignment && booking.reassignment.suggestedConsultantId);
+  if (!targetId) {
+    throw new ValidationError('Choose a consultant to reassign the booking to', 'MISSING_CONSULTANT');
+  }
+
+  const service = await Service.findById(booking.serviceId);
+  const consultant = await staffService.getConsultantForService(targetId, service);
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const assigned = await staffService.assignConsultant(service, booking.date, booking.timeSlot, {
+        session,
+        consultant,
+        excludeBookingId: booking._id
+      });
+
+      if (!assigned) {
+        throw new ConflictError(
+          `${consultant.displayName} is not free at that time`,
+          'CONSULTANT_UNAVAILABLE'
+        );
+      }
+
+      booking.consultantId = assigned._id;
+      booking.needsReassignment = false;
+      booking.reassignment = undefined;
+      booking.updatedBy = user ? user._id : undefined;
+      await booking.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Booking ${booking._id} reassigned to consultant ${consultant._id}`);
+
+  return booking;
+};
+
+/**
+ * Take the slot, or a consultant, for a booking at a new time
+ *
+ * Runs inside the caller's transaction: the booking gives up the slot it
+ * held and takes the new one, or is given a free consultant. The booking's
+ * consultant is set here; its date, time and service are left for the
+ * caller to set and save.
+ *
+ * @param {Object} booking - Booking being moved
+ * @param {Object} target - Object with serviceId, date and timeSlot
+ * @param {Object} options - Options
+ * @param {Object} options.session - Mongoose session to run the writes in
+ * @param {Object} options.service - Service at the new time
+ * @param {boolean} options.withConsultant - The service is booked per consultant
+ * @param {Object} options.currentConsultant - Consultant to keep when free
+ * @param {Object} options.requestedConsultant - Consultant asked for; anyone
+ *   free is assigned without one
+ * @param {Object} options.hold - Hold on the new slot, if any
+ * @returns {Promise<void>}
+ */
+exports.placeBooking = async (booking, target, options = {}) => {
+  const {
+    session,
+    service,
+    withConsultant,
+    currentConsultant = null,
+    requestedConsultant = null,
+    hold = null
+  } = options;
+  const { startOfDay, endOfDay } = availabilityService.getDayBounds(target.date);
+
+  const clashQuery = {
+    _id: { $ne: booking._id },
+    serviceId: target.serviceId,
+    date: { $gte: startOfDay, $lte: endOfDay },
+    timeSlot: target.timeSlot,
+    status: { $in: availabilityService.ACTIVE_STATUSES }
+  };
+
+  if (withConsultant) {
+    clashQuery.consultantId = null;
+  }
+
+  if (await Booking.exists(clashQuery).session(session)) {
+    throw slotTakenError(target);
+  }
+
+  // Bookings made before consultants were set up may still hold a slot
+  await availabilityService.releaseSlot(booking._id, { session });
+
+  if (withConsultant) {
+    const blocked = await availabilityService.isBlocked(
+      target.serviceId,
+      target.date,
+      target.timeSlot,
+      { session }
+    );
+    const assignOptions = {
+      session,
+      excludeBookingId: booking._id,
+      excludeHoldId: hold ? hold._id : undefined
+    };
+
+    let consultant = null;
+    if (!blocked && currentConsultant) {
+      consultant = await staffService.assignConsultant(service, target.date, target.timeSlot, {
+        ...assignOptions,
+        consultant: currentConsultant
+      });
+    }
+    if (!blocked && !consultant) {
+      consultant = await staffService.assignConsultant(service, target.date, target.timeSlot, {
+        ...assignOptions,
+        consultant: requestedConsultant
+      });
+    }
+
+    if (!consultant) {
+      throw slotTakenError(target);
+    }
+
+    booking.consultantId = consultant._id;
+  } else {
+    const slot = await availabilityService.reserveByTime(
+      target.serviceId,
+      target.date,
+      target.timeSlot,
+      booking._id,
+      { session, holdId: hold ? hold._id : undefined }
+    );
+
+    if (!slot) {
+      throw slotTakenError(target);
+    }
+  }
+
+  if (hold) {
+    await SlotHold.deleteOne({ _id: hold._id }).session(session);
+  }
+};
+
+/**
+ * Move a booking to another date and time
+ *
+ * The old slot is released and the new one taken in one transaction, so
+ * the booking is never left without a slot or holding two. Clients must
+ * give at least the configured notice; staff can move a booking at any
+ * time. The old time is kept in the booking's reschedule history.
+ *
+ * @param {string} bookingId - Booking to move
+ * @param {Object} changes - New time
+ * @param {Date|string} changes.date - New date
+ * @param {string} changes.timeSlot - New time slot in HH:MM-HH:MM format
+ * @param {string} changes.consultantId - Consultant wanted for the new time;
+ *   defaults to the current consultant, then anyone free
+ * @param {string} changes.holdToken - Token of a hold on the new slot
+ * @param {string} changes.reason - Why the booking was moved
+ * @param {Object} options - Options
+ * @param {Object} options.user - Staff member making the change, if any
+ * @param {boolean} options.byClient - The client is moving the booking
+ * @returns {Promise<Object>} Updated booking and its previous time
+ */
+exports.rescheduleBooking = async (bookingId, changes, options = {}) => {
+  const { user = null, byClient = false } = options;
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (!availabilityService.ACTIVE_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`A ${booking.status} booking cannot be rescheduled`, 'BOOKING_NOT_ACTIVE');
+  }
+
+  const service = await Service.findById(booking.serviceId);
+  if (!service) {
+    throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+  }
+
+  const currentTimezone = booking.timezone || service.timezone || DEFAULT_TIMEZONE;
+  const current = booking.startsAt
+    ? { startsAt: booking.startsAt }
+    : slotToInstants(booking.date, booking.timeSlot, currentTimezone);
+  const now = new Date();
+
+  if (byClient && current) {
+    const noticeHours = config.scheduling.rescheduleMinNoticeHours;
+    const hoursLeft = (current.startsAt - now) / (60 * 60 * 1000);
+
+    if (hoursLeft < noticeHours) {
+      const error = new ValidationError(
+        `Bookings can only be rescheduled online at least ${noticeHours} hours in advance. Please contact us to change this booking.`,
+        'NOTICE_PERIOD_PASSED'
+      );
+      error.details = { minNoticeHours: noticeHours, startsAt: current.startsAt };
+      throw error;
+    }
+  }
+
+  const target = {
+    serviceId: booking.serviceId,
+    date: new Date(changes.date),
+    timeSlot: changes.timeSlot
+  };
+
+  const { startOfDay } = availabilityService.getDayBounds(target.date);
+  const sameDay = availabilityService.getDayBounds(booking.date).startOfDay.getTime() === startOfDay.getTime();
+  if (sameDay && booking.timeSlot === target.timeSlot) {
+    throw new ValidationError('The booking is already at that time', 'SAME_SLOT');
+  }
+
+  const timezone = await exports.checkBookable(service, target);
+  const instants = slotToInstants(target.date, target.timeSlot, timezone);
+
+  if (instants.startsAt <= now) {
+    throw new ValidationError('The new time has already started. Please choose a later time.', 'SLOT_IN_PAST');
+  }
+
+  const hold = changes.holdToken ? await findHold(changes.holdToken, target) : null;
+  const chosenConsultantId = (hold && hold.consultantId) || changes.consultantId;
+
+  const requestedConsultant = chosenConsultantId && chosenConsultantId !== 'any'
+    ? await staffService.getConsultantForService(chosenConsultantId, service)
+    : null;
+  const withConsultant = Boolean(requestedConsultant) || await staffService.hasConsultants(service);
+
+  // Without a choice the client keeps their consultant if they are free
+  const currentConsultant = withConsultant && !chosenConsultantId && booking.consultantId
+    ? await StaffProfile.findOne({ _id: booking.consultantId, isBookable: true })
+    : null;
+
+  const previous = {
+    fromDate: booking.date,
+    fromTimeSlot: booking.timeSlot,
+    fromStartsAt: current ? current.startsAt : undefined,
+    fromConsultantId: booking.consultantId
+  };
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await exports.placeBooking(booking, target, {
+        session,
+        service,
+        withConsultant,
+        currentConsultant,
+        requestedConsultant,
+        hold
+      });
+
+      // A moved occurrence keeps its new time when the whole series is edited
+      if (booking.parentBookingId || booking.recurrenceRule) {
+        booking.occurrenceDate = booking.occurrenceDate || booking.date;
+        const head = booking.parentBookingId
+          ? await Booking.findById(booking.parentBookingId).session(session)
+          : booking;
+
+        if (head) {
+          head.setOccurrenceOverride(booking, { date: target.date, timeSlot: target.timeSlot }, user);
+          if (head !== booking) {
+            await head.save({ session });
+          }
+        }
+      }
+
+      booking.date = target.date;
+      booking.timeSlot = target.timeSlot;
+      booking.setInstants(timezone);
+      booking.reminderSent = false;
+      booking.needsReassignment = false;
+      booking.reassignment = undefined;
+      booking.updatedBy = user ? user._id : booking.updatedBy;
+      booking.rescheduleHistory.push({
+        ...previous,
+        toDate: booking.date,
+        toTimeSlot: booking.timeSlot,
+        toStartsAt: booking.startsAt,
+        reason: changes.reason,
+        rescheduledBy: user ? user._id : undefined,
+        byClient,
+        rescheduledAt: new Date()
+      });
+
+      await booking.save({ session });
+    });
+  } catch (error) {
+    if (isSlotCollision(error)) {
+      throw slotTakenError(target);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Booking ${booking._id} rescheduled from ${previous.fromTimeSlot} to ${booking.timeSlot} on ${booking.date.toDateString()}`);
+
+  // A new time gets a new meeting link; the old one stops working
+  await meetingService.syncMeeting(booking, { service, rotate: true });
+
+  return { booking, previous };
+};
+
+/**
+ * Build the booking details shown in confirmation and reminder emails
+ * Clients see the meeting in their own zone, the office in its zone. The
+ * calendar invite for the booking's current state comes with them. The
+ * booking is only read; its meeting link is made by syncMeeting.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Booking details for the email templates
+ */
+exports.buildBookingEmailData = async (booking) => {
+  const consultant = booking.consultantId
+    ? await StaffProfile.findById(booking.consultantId).select('displayName title')
+    : null;
+
+  const officeTime = describeInZone(booking.startsAt, booking.endsAt, booking.timezone);
+  const clientTime = describeInZone(
+    booking.startsAt,
+    booking.endsAt,
+    booking.clientTimezone || booking.timezone
+  );
+
+  const client = booking.clientId && booking.clientId.email
+    ? booking.clientId
+    : await Client.findById(booking.clientId).select('firstName lastName email');
+  const meeting = booking.meeting && booking.meeting.joinUrl ? booking.meeting : null;
+
+  const data = {
+    reference: booking.reference,
+    serviceName: booking.serviceName,
+    date: booking.startsAt,
+    timeSlot: clientTime.timeSlot,
+    timezone: clientTime.timezone,
+    timezoneLabel: clientTime.abbreviation,
+    officeTimezone: officeTime.timezone,
+    officeTimeSlot: `${officeTime.timeSlot} ${officeTime.abbreviation}`,
+    urgencyLevel: booking.urgencyLevel,
+    consultantName: consultant
+      ? [consultant.displayName, consultant.title].filter(Boolean).join(' - ')
+      : null,
+    manageUrl: booking.getManageUrl(),
+    meetingUrl: meeting ? meeting.joinUrl : null,
+    intakeAnswers: intakeService.summarizeIntake(booking)
+  };
+
+  data.calendarInvite = calendarService.buildInvite(booking, client, data);
+
+  return data;
+};
+
+/**
+ * Email a client that their upcoming bookings were cancelled
+ * One email goes out, carrying a calendar cancellation for each booking so
+ * they all drop out of the client's calendar. Failures are logged; the
+ * cancellation stands either way.
+ *
+ * @param {Array} bookings - Cancelled bookings of one client
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+exports.notifyCancellation = async (bookings, now = new Date()) => {
+  const upcoming = bookings
+    .filter(booking => booking.startsAt && booking.startsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  if (upcoming.length === 0) {
+    return false;
+  }
+
+  try {
+    const [first, ...rest] = upcoming;
+    const client = await Client.findById(first.clientId).select('firstName lastName email');
+    if (!client) {
+      return false;
+    }
+
+    const bookingEmailData = await exports.buildBookingEmailData(first);
+    bookingEmailData.cancelledSessions = upcoming.length;
+
+    const attachments = rest
+      .map(booking => calendarService.buildInvite(booking, client))
+      .filter(Boolean);
+
+    const result = await emailService.sendBookingCancelled(client, bookingEmailData, attachments);
+    if (!result.success) {
+      logger.error(`Cancellation email for booking ${first._id} failed: ${result.error}`);
+    }
+
+    return result.success;
+  } catch (error) {
+    logger.error(`Error sending cancellation email for booking ${upcoming[0]._id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Email the team a client's intake answers
+ * Failures are logged; the answers are stored either way.
+ *
+ * @param {Object} booking - Booking the answers were given for
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+exports.notifyIntakeReceived = async (booking) => {
+  try {
+    const client = await Client.findById(booking.clientId);
+    if (!client) {
+      return false;
+    }
+
+    const bookingEmailData = await exports.buildBookingEmailData(booking);
+    const clientEmailData = {
+      firstName: client.firstName,
+      lastName: client.lastName,
+      email: client.email,
+      phone: client.phone || '',
+      preferredContactMethod: client.preferredContactMethod || 'Email',
+      estimatedLoss: client.estimatedLoss || 0,
+      notes: booking.notes || ''
+    };
+
+    const result = await emailService.sendIntakeNotification(clientEmailData, bookingEmailData);
+    if (!result.success) {
+      logger.error(`Intake email for booking ${booking._id} failed: ${result.error}`);
+    }
+
+    return result.success;
+  } catch (error) {
+    logger.error(`Error sending intake email for booking ${booking._id}: ${error.message}`);
+    return false;
+  }
+};
@@ -0,0 +1,254 @@
+/**
+ * Calendar Service
+ * Builds the iCalendar invites attached to booking emails and the read-only
+ * feeds consultants subscribe to in their calendar apps
+ */
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const StaffProfile = require('../models/StaffProfile');
+const { buildCalendar } = require('../utils/icalendar');
+const config = require('../config');
+const { AuthenticationError, NotFoundError, ValidationError } = require('../utils/AppError');
+
+// Models a feed can be for, by the scope in its token
+const FEED_MODELS = {
+  staff: StaffProfile,
+  service: Service
+};
+
+/**
+ * Get the UID a booking's event keeps through every update
+ *
+ * @param {Object} booking - Booking
+ * @returns {string} Event UID
+ */
+exports.bookingUid = (booking) => `booking-${booking._id}@${config.calendar.uidDomain}`;
+
+/**
+ * Get the iTIP method an invite for a booking is sent with
+ *
+ * @param {Object} booking - Booking
+ * @returns {string} 'CANCEL' for cancelled bookings, otherwise 'REQUEST'
+ */
+exports.inviteMethod = (booking) => (booking.status === 'cancelled' ? 'CANCEL' : 'REQUEST');
+
+/**
+ * Get the event STATUS for a booking
+ *
+ * @param {Object} booking - Booking
+ * @returns {string} Event status
+ */
+const eventStatus = (booking) => {
+  if (booking.status === 'cancelled') {
+    return 'CANCELLED';
+  }
+  return booking.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED';
+};
+
+/**
+ * Get the link a booking's video meeting is joined with
+ *
+ * @param {Object} booking - Booking
+ * @returns {string|undefined} Join URL, if the booking has a meeting
+ */
+const meetingUrl = (booking) => (booking.meeting && booking.meeting.joinUrl) || undefined;
+
+/**
+ * Make the event a client is sent for their booking
+ *
+ * @param {Object} booking - Booking
+ * @param {Object} client - Client with firstName, lastName and email
+ * @param {Object} bookingData - Email data from bookingService.buildBookingEmailData
+ * @returns {Object} Event
+ */
+exports.clientEvent = (booking, client, bookingData = {}) => ({
+  uid: exports.bookingUid(booking),
+  sequence: booking.calendarSequence || 0,
+  start: booking.startsAt,
+  end: booking.endsAt,
+  summary: `${booking.serviceName} - Recovery Office`,
+  description: [
+    `Booking reference: ${booking.reference}`,
+    bookingData.consultantName ? `Consultant: ${bookingData.consultantName}` : null,
+    meetingUrl(booking) ? `Join online: ${meetingUrl(booking)}` : null,
+    bookingData.manageUrl ? `View, reschedule or cancel: ${bookingData.manageUrl}` : null
+  ].filter(Boolean).join('\n'),
+  location: meetingUrl(booking),
+  url: bookingData.manageUrl,
+  status: eventStatus(booking),
+  lastModified: booking.updatedAt,
+  organizer: {
+    name: config.calendar.organizerName,
+    email: config.calendar.organizerEmail
+  },
+  attendees: [{
+    name: [client.firstName, client.lastName].filter(Boolean).join(' '),
+    email: client.email
+  }]
+});
+
+/**
+ * Make the .ics invite attached to a booking email
+ * Cancelled bookings get a CANCEL, everything else a REQUEST that replaces
+ * what the client's calendar holds for the booking.
+ *
+ * @param {Object} booking - Booking with startsAt and endsAt
+ * @param {Object} client - Client with firstName, lastName and email
+ * @param {Object} bookingData - Email data from bookingService.buildBookingEmailData
+ * @returns {Object|null} Nodemailer attachment, or null if the booking has
+ *   no time to invite to
+ */
+exports.buildInvite = (booking, client, bookingData = {}) => {
+  if (!booking.startsAt || !booking.endsAt || !client || !client.email) {
+    return null;
+  }
+
+  const method = exports.inviteMethod(booking);
+
+  return {
+    filename: `${method === 'CANCEL' ? 'cancel' : 'invite'}-${booking.reference}.ics`,
+    content: buildCalendar({
+      method,
+      events: [exports.clientEvent(booking, client, bookingData)]
+    }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+};
+
+/**
+ * Make the event a booking appears as in a consultant or service feed
+ *
+ * @param {Object} booking - Booking with clientId and consultantId populated
+ * @returns {Object} Event
+ */
+exports.feedEvent = (booking) => {
+  const client = booking.clientId && booking.clientId.firstName ? booking.clientId : null;
+  const consultant = booking.consultantId && booking.consultantId.displayName ? booking.consultantId : null;
+
+  return {
+    uid: exports.bookingUid(booking),
+    sequence: booking.calendarSequence || 0,
+    start: booking.startsAt,
+    end: booking.endsAt,
+    summary: client
+      ? `${booking.serviceName} - ${client.firstName} ${client.lastName}`
+      : booking.serviceName,
+    description: [
+      `Booking reference: ${booking.reference}`,
+      consultant ? `Consultant: ${consultant.displayName}` : null,
+      client && client.email ? `Client email: ${client.email}` : null,
+      client && client.phone ? `Client phone: ${client.phone}` : null,
+      meetingUrl(booking) ? `Join online: ${meetingUrl(booking)}` : null,
+      booking.meeting && booking.meeting.hostUrl ? `Host link: ${booking.meeting.hostUrl}` : null
+    ].filter(Boolean).join('\n'),
+    location: meetingUrl(booking),
+    status: eventStatus(booking),
+    lastModified: booking.updatedAt
+  };
+};
+
+/**
+ * Read a feed token and find what the feed is for
+ *
+ * @param {string} token - Signed feed token
+ * @returns {Promise<Object>} Object with scope and owner (consultant or service)
+ */
+const findFeedOwner = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.calendar.feedSecret);
+  } catch (error) {
+    throw new AuthenticationError('Invalid calendar feed link', 'INVALID_FEED_LINK');
+  }
+
+  const Model = FEED_MODELS[decoded.scope];
+  if (decoded.type !== 'calendar-feed' || !Model) {
+    throw new AuthenticationError('Invalid calendar feed link', 'INVALID_FEED_LINK');
+  }
+
+  const owner = await Model.findById(decoded.id).select('+calendarFeedVersion');
+  if (!owner || (owner.calendarFeedVersion || 0) !== decoded.version) {
+    throw new AuthenticationError('This calendar feed link has been revoked', 'FEED_LINK_REVOKED');
+  }
+
+  return { scope: decoded.scope, owner };
+};
+
+/**
+ * Build a read-only feed of a consultant's or service's bookings
+ * Cancelled bookings are left out, so they disappear from subscribed
+ * calendars at the next refresh.
+ *
+ * @param {string} token - Signed feed token
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Object with name and ics text
+ */
+exports.buildFeed = async (token, now = new Date()) => {
+  const { scope, owner } = await findFeedOwner(token);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const bookings = await Booking.find({
+    [scope === 'staff' ? 'consultantId' : 'serviceId']: owner._id,
+    status: { $ne: 'cancelled' },
+    startsAt: {
+      $gte: new Date(now.getTime() - config.calendar.feedPastDays * dayMs),
+      $lte: new Date(now.getTime() + config.calendar.feedFutureDays * dayMs)
+    }
+  })
+    .populate('clientId', 'firstName lastName email phone')
+    .populate('consultantId', 'displayName')
+    .sort({ startsAt: 1 });
+
+  const name = `Recovery Office - ${scope === 'staff' ? owner.displayName : owner.name}`;
+
+  return {
+    name,
+    ics: buildCalendar({
+      method: 'PUBLISH',
+      name,
+      refreshMinutes: config.calendar.feedRefreshMinutes,
+      events: bookings.filter(booking => booking.endsAt).map(exports.feedEvent)
+    })
+  };
+};
+
+/**
+ * Find the consultant or service a feed link is managed for
+ *
+ * @param {string} scope - 'staff' or 'service'
+ * @param {string} id - Staff profile or service ID
+ * @returns {Promise<Object>} Consultant or service
+ */
+exports.findFeedSubject = async (scope, id) => {
+  const Model = FEED_MODELS[scope];
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw scope === 'staff'
+      ? new ValidationError('Invalid consultant ID format', 'INVALID_CONSULTANT_ID')
+      : new ValidationError('Invalid service ID format', 'INVALID_SERVICE_ID');
+  }
+
+  const subject = await Model.findById(id).select('+calendarFeedVersion');
+  if (!subject) {
+    throw scope === 'staff'
+      ? new NotFoundError('Consultant not found', 'CONSULTANT_NOT_FOUND')
+      : new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+  }
+
+  return subject;
+};
+
+/**
+ * Revoke a feed link and make a new one
+ *
+ * @param {Object} subject - Consultant or service from findFeedSubject
+ * @returns {Promise<string>} New feed URL
+ */
+exports.rotateFeed = async (subject) => {
+  subject.calendarFeedVersion = (subject.calendarFeedVersion || 0) + 1;
+  await subject.save({ validateBeforeSave: false });
+
+  return subject.getCalendarFeedUrl();
+};
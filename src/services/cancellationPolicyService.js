@@ -0,0 +1,329 @@
+/**
+ * Cancellation Policy Service
+ * Works out the fees for late cancellations and no-shows, records them on
+ * the booking and charges them to its payments ledger
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const paymentService = require('./paymentService');
+const waitlistService = require('./waitlistService');
+const config = require('../config');
+const { ValidationError, NotFoundError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+/**
+ * Get the cancellation policy that applies to a service
+ *
+ * @param {Object} service - Service, if known
+ * @returns {Object} Policy with freeCancelHours, lateCancelFeePercent and
+ *   noShowFeePercent
+ */
+exports.getPolicy = (service) => {
+  const policy = (service && service.cancellationPolicy) || {};
+  const defaults = config.cancellation;
+
+  return {
+    freeCancelHours: policy.freeCancelHours !== undefined ? policy.freeCancelHours : defaults.freeCancelHours,
+    lateCancelFeePercent: policy.lateCancelFeePercent !== undefined ? policy.lateCancelFeePercent : defaults.lateCancelFeePercent,
+    noShowFeePercent: policy.noShowFeePercent !== undefined ? policy.noShowFeePercent : defaults.noShowFeePercent
+  };
+};
+
+/**
+ * Work out a percentage of a price, to the penny
+ *
+ * @param {number} price - Price
+ * @param {number} percent - Percentage
+ * @returns {number} Fee
+ */
+const feeFor = (price, percent) => Math.round((price || 0) * percent) / 100;
+
+/**
+ * Work out what cancelling a booking now would cost under its service's
+ * policy
+ *
+ * @param {Object} booking - Booking being cancelled
+ * @param {Object} service - Booking's service
+ * @param {Date} now - Time of the cancellation
+ * @returns {Object} Outcome with kind, fee, feePercent, price, hoursNotice
+ *   and reason
+ */
+exports.evaluateCancellation = (booking, service, now = new Date()) => {
+  const policy = exports.getPolicy(service);
+  const price = (service && service.price) || 0;
+  const hoursNotice = booking.startsAt
+    ? Math.max(0, Math.round(((booking.startsAt.getTime() - now.getTime()) / (60 * 60 * 1000)) * 10) / 10)
+    : null;
+
+  if (hoursNotice === null || hoursNotice >= policy.freeCancelHours) {
+    return {
+      kind: 'free-cancellation',
+      fee: 0,
+      feePercent: 0,
+      price,
+      hoursNotice,
+      reason: `Cancelled at least ${policy.freeCancelHours} hours before the booking`
+    };
+  }
+
+  const fee = feeFor(price, policy.lateCancelFeePercent);
+
+  return {
+    kind: 'late-cancellation',
+    fee,
+    feePercent: policy.lateCancelFeePercent,
+    price,
+    hoursNotice,
+    reason: fee > 0
+      ? `Cancelled ${hoursNotice} hours before the booking, within the ${policy.freeCancelHours} hour window; ${policy.lateCancelFeePercent}% of the price is charged`
+      : `Cancelled ${hoursNotice} hours before the booking; late cancellations are not charged for this service`
+  };
+};
+
+/**
+ * Work out what a no-show costs under the service's policy
+ *
+ * @param {Object} service - Booking's service
+ * @returns {Object} Outcome with kind, fee, feePercent, price and reason
+ */
+exports.evaluateNoShow = (service) => {
+  const policy = exports.getPolicy(service);
+  const price = (service && service.price) || 0;
+  const fee = feeFor(price, policy.noShowFeePercent);
+
+  return {
+    kind: 'no-show',
+    fee,
+    feePercent: policy.noShowFeePercent,
+    price,
+    reason: fee > 0
+      ? `Did not attend; ${policy.noShowFeePercent}% of the price is charged`
+      : 'Did not attend; no-shows are not charged for this service'
+  };
+};
+
+/**
+ * Record a policy outcome on a booking. The booking is not saved.
+ *
+ * @param {Object} booking - Booking
+ * @param {Object} outcome - Outcome from evaluateCancellation or evaluateNoShow
+ * @param {Object} options - Options
+ * @param {Object} options.user - User cancelling the booking or marking it
+ * @param {boolean} options.waive - Waive the fee
+ * @param {string} options.waiverReason - Why the fee was waived
+ * @returns {Object} Booking
+ */
+exports.recordOutcome = (booking, outcome, options = {}) => {
+  const { user, waive = false, waiverReason } = options;
+  const now = new Date();
+  const waived = Boolean(waive && outcome.fee > 0);
+
+  booking.policyOutcome = {
+    ...outcome,
+    evaluatedAt: now,
+    evaluatedBy: user ? user._id : undefined,
+    waived,
+    waivedBy: waived && user ? user._id : undefined,
+    waivedAt: waived ? now : undefined,
+    waiverReason: waived ? waiverReason : undefined
+  };
+
+  return booking;
+};
+
+/**
+ * Check whether a user is staff
+ *
+ * @param {Object} user - User, if any
+ * @returns {boolean} True for admins and staff
+ */
+const isStaff = (user) => Boolean(user && ['admin', 'staff'].includes(user.role));
+
+/**
+ * Apply the cancellation policy to a booking being cancelled: record the
+ * outcome and charge any fee in place of the booking's price
+ * Only staff can waive the fee.
+ *
+ * @param {Object} booking - Booking being cancelled, before it is saved
+ * @param {Object} options - Options for recordOutcome
+ * @returns {Promise<Object>} Booking
+ */
+exports.applyCancellation = async (booking, options = {}) => {
+  const service = await Service.findById(booking.serviceId).select('price cancellationPolicy');
+  const outcome = exports.evaluateCancellation(booking, service);
+
+  exports.recordOutcome(booking, outcome, {
+    ...options,
+    waive: options.waive && isStaff(options.user)
+  });
+  await paymentService.applyPolicyOutcome(booking, options.user);
+
+  return booking;
+};
+
+/**
+ * Apply the no-show fee to a booking being marked as a no-show
+ *
+ * @param {Object} booking - Booking, before it is saved
+ * @param {Object} options - Options for recordOutcome
+ * @returns {Promise<Object>} Booking
+ */
+exports.applyNoShow = async (booking, options = {}) => {
+  const service = await Service.findById(booking.serviceId).select('price cancellationPolicy');
+
+  exports.recordOutcome(booking, exports.evaluateNoShow(service), {
+    ...options,
+    waive: options.waive && isStaff(options.user)
+  });
+  await paymentService.applyPolicyOutcome(booking, options.user);
+
+  return booking;
+};
+
+/**
+ * Cancel a single booking
+ * An active booking is charged any fee the policy sets and its client is
+ * emailed. The slot is released and offered to the waitlist, and a series
+ * occurrence is recorded on its series so later edits of the series leave
+ * it cancelled.
+ *
+ * @param {Object} booking - Booking to cancel
+ * @param {Object} options - Options
+ * @param {string} options.reason - Why the booking was cancelled
+ * @param {Object} options.user - User cancelling the booking
+ * @param {boolean} options.waive - Waive any fee (staff only)
+ * @param {string} options.waiverReason - Why the fee was waived
+ * @returns {Promise<Object>} Cancelled booking
+ */
+exports.cancelBooking = async (booking, { reason, user = null, waive, waiverReason } = {}) => {
+  const wasActive = availabilityService.ACTIVE_STATUSES.includes(booking.status);
+  if (wasActive) {
+    await exports.applyCancellation(booking, { user, waive, waiverReason });
+  }
+
+  booking.status = 'cancelled';
+  if (reason) {
+    booking.cancellationReason = reason;
+  }
+  booking.updatedBy = user ? user._id : undefined;
+  await booking.save();
+
+  await availabilityService.releaseSlot(booking._id);
+  await waitlistService.queueFreedSlots([booking]);
+
+  if (wasActive) {
+    await bookingService.notifyCancellation([booking]);
+  }
+
+  if (booking.parentBookingId) {
+    const parent = await Booking.findById(booking.parentBookingId);
+    if (parent) {
+      parent.setOccurrenceOverride(booking, { cancelled: true }, user);
+      await parent.save({ validateBeforeSave: false });
+    }
+  }
+
+  return booking;
+};
+
+/**
+ * Waive the fee a booking's cancellation or no-show incurred
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} user - Staff member waiving the fee
+ * @param {string} reason - Why the fee is waived
+ * @returns {Promise<Object>} Updated booking
+ */
+exports.waiveFee = async (bookingId, user, reason) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw new ValidationError('Invalid booking ID format', 'INVALID_BOOKING_ID');
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  const outcome = booking.policyOutcome;
+  if (!outcome || !outcome.fee) {
+    throw new ValidationError('This booking has no fee to waive', 'NO_FEE');
+  }
+
+  if (outcome.waived) {
+    return booking;
+  }
+
+  outcome.waived = true;
+  outcome.waivedBy = user._id;
+  outcome.waivedAt = new Date();
+  outcome.waiverReason = reason;
+
+  booking.updatedBy = user._id;
+  await paymentService.applyPolicyOutcome(booking, user);
+  await booking.save({ validateBeforeSave: false });
+
+  logger.info(`Fee of ${outcome.fee} on booking ${booking._id} waived by ${user._id}`);
+
+  return booking;
+};
+
+/**
+ * Check whether a booking has started, so its client can be marked as not
+ * attending it
+ * Bookings made before start times were stored count as started.
+ *
+ * @param {Object} booking - Booking
+ * @param {Date} now - Time to check against
+ * @returns {boolean} True once the booking has started
+ */
+exports.hasStarted = (booking, now = new Date()) => !booking.startsAt || booking.startsAt <= now;
+
+/**
+ * Mark a day's bookings as no-shows and charge the no-show fee
+ * Bookings that are not on the day, not active or have not started yet
+ * are skipped.
+ *
+ * @param {Date|string} date - Day the sessions were on
+ * @param {Array} bookingIds - Bookings the clients did not attend
+ * @param {Object} user - Staff member marking them
+ * @returns {Promise<Object>} Object with marked bookings and skipped ones,
+ *   each with a code saying why
+ */
+exports.markNoShows = async (date, bookingIds, user) => {
+  const { startOfDay, endOfDay } = availabilityService.getDayBounds(moment(date).toDate());
+  const now = new Date();
+
+  const bookings = await Booking.find({ _id: { $in: bookingIds } });
+  const byId = new Map(bookings.map(booking => [booking._id.toString(), booking]));
+
+  const marked = [];
+  const skipped = [];
+
+  for (const bookingId of bookingIds) {
+    const booking = byId.get(bookingId.toString());
+
+    if (!booking) {
+      skipped.push({ bookingId, code: 'BOOKING_NOT_FOUND' });
+    } else if (booking.date < startOfDay || booking.date > endOfDay) {
+      skipped.push({ bookingId, code: 'NOT_ON_DATE' });
+    } else if (!availabilityService.ACTIVE_STATUSES.includes(booking.status)) {
+      skipped.push({ bookingId, code: 'BOOKING_NOT_ACTIVE', status: booking.status });
+    } else if (!exports.hasStarted(booking, now)) {
+      skipped.push({ bookingId, code: 'NOT_STARTED' });
+    } else {
+      booking.status = 'no-show';
+      booking.updatedBy = user._id;
+      await exports.applyNoShow(booking, { user });
+      await booking.save();
+      marked.push(booking);
+    }
+  }
+
+  logger.info(`${marked.length} bookings on ${moment(date).format('YYYY-MM-DD')} marked as no-shows by ${user._id}`);
+
+  return { marked, skipped };
+};
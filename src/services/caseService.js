@@ -0,0 +1,477 @@
+/**
+ * Case Service
+ * Opens recovery cases, moves them through the status pipeline and links
+ * them to the client's bookings and the lead they came from, recording
+ * each change on the case's timeline
+ */
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const Counter = require('../models/Counter');
+const GoogleAdsLead = require('../models/GoogleAdsLead');
+const User = require('../models/User');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/AppError');
+
+// Statuses a case can move to from each status. Open cases move one stage
+// forward or back, or close unrecovered; only a case in recovery can close
+// recovered; closed cases can be reopened at any open stage.
+const OPEN_STATUSES = Case.STATUSES.filter(status => !Case.CLOSED_STATUSES.includes(status));
+
+const STATUS_TRANSITIONS = {
+  intake: ['assessment', 'closed-unrecovered'],
+  assessment: ['intake', 'engagement', 'closed-unrecovered'],
+  engagement: ['assessment', 'recovery-in-progress', 'closed-unrecovered'],
+  'recovery-in-progress': ['engagement', 'closed-recovered', 'closed-unrecovered'],
+  'closed-recovered': OPEN_STATUSES,
+  'closed-unrecovered': OPEN_STATUSES
+};
+
+// Fields a case list can be sorted by
+const SORT_FIELDS = ['openedAt', 'updatedAt', 'closedAt', 'estimatedLoss', 'amountRecovered', 'reference', 'status'];
+
+/**
+ * Get the statuses a case can move to
+ *
+ * @param {string} status - Current status
+ * @returns {Array} Statuses it can move to
+ */
+exports.allowedStatuses = (status) => STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Check that a case can move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {void}
+ */
+exports.checkTransition = (from, to) => {
+  if (!exports.allowedStatuses(from).includes(to)) {
+    const error = new ValidationError(
+      `A case cannot move from ${from} to ${to}`,
+      'INVALID_STATUS_TRANSITION'
+    );
+    error.details = { from, to, allowed: exports.allowedStatuses(from) };
+    throw error;
+  }
+};
+
+/**
+ * Format a case reference, e.g. CASE-2026-00042
+ *
+ * @param {number} year - Year the case was opened
+ * @param {number} seq - Number in the year's sequence
+ * @returns {string} Case reference
+ */
+exports.formatReference = (year, seq) => `CASE-${year}-${String(seq).padStart(5, '0')}`;
+
+/**
+ * Take the next case reference
+ * Cases are numbered in a sequence that starts again each year.
+ *
+ * @param {Date} openedAt - When the case is opened
+ * @returns {Promise<string>} Case reference
+ */
+const nextReference = async (openedAt) => {
+  const year = openedAt.getUTCFullYear();
+  const seq = await Counter.next(`case-${year}`);
+
+  return exports.formatReference(year, seq);
+};
+
+/**
+ * Escape text so it matches itself in a regular expression
+ *
+ * @param {string} text - Search text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check an ID from a request, naming it in the error
+ *
+ * @param {string} id - ID to check
+ * @param {string} what - What the ID is for, e.g. 'booking'
+ * @returns {void}
+ */
+const checkId = (id, what) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${what} ID format`, `INVALID_${what.toUpperCase()}_ID`);
+  }
+};
+
+/**
+ * Build the query for a filtered case list
+ *
+ * @param {Object} query - Request query: status (comma separated), open,
+ *   handlerId ('me', 'unassigned' or an ID), clientId, caseType,
+ *   urgencyLevel, leadId, from, to (opened between) and search
+ * @param {Object} user - Logged in user
+ * @returns {Object} MongoDB filter
+ */
+exports.buildCaseFilter = (query, user) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim());
+    const unknown = statuses.find(status => !Case.STATUSES.includes(status));
+    if (unknown) {
+      throw new ValidationError(`Unknown case status: ${unknown}`, 'INVALID_CASE_STATUS');
+    }
+    filter.status = { $in: statuses };
+  } else if (query.open !== undefined) {
+    filter.status = query.open === 'true'
+      ? { $in: OPEN_STATUSES }
+      : { $in: Case.CLOSED_STATUSES };
+  }
+
+  if (query.handlerId === 'me') {
+    filter.handlerId = user._id;
+  } else if (query.handlerId === 'unassigned') {
+    filter.handlerId = null;
+  } else if (query.handlerId) {
+    checkId(query.handlerId, 'handler');
+    filter.handlerId = query.handlerId;
+  }
+
+  if (query.clientId) {
+    checkId(query.clientId, 'client');
+    filter.clientId = query.clientId;
+  }
+
+  if (query.leadId) {
+    checkId(query.leadId, 'lead');
+    filter.leadId = query.leadId;
+  }
+
+  if (query.caseType) {
+    filter.caseType = query.caseType;
+  }
+
+  if (query.urgencyLevel) {
+    filter.urgencyLevel = query.urgencyLevel;
+  }
+
+  if (query.from || query.to) {
+    filter.openedAt = {};
+    if (query.from) {
+      filter.openedAt.$gte = new Date(query.from);
+    }
+    if (query.to) {
+      filter.openedAt.$lte = new Date(query.to);
+    }
+  }
+
+  if (query.search) {
+    const pattern = { $regex: escapeRegExp(String(query.search).trim()), $options: 'i' };
+    filter.$or = [{ reference: pattern }, { title: pattern }];
+  }
+
+  return filter;
+};
+
+/**
+ * Build the sort for a case list
+ *
+ * @param {string} sortBy - Field to sort by
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Object} MongoDB sort
+ */
+exports.buildCaseSort = (sortBy = 'updatedAt', sortOrder = 'desc') => {
+  const field = SORT_FIELDS.includes(sortBy) ? sortBy : 'updatedAt';
+
+  return { [field]: sortOrder === 'asc' ? 1 : -1 };
+};
+
+/**
+ * Check whether a requested reference differs from the one stored
+ *
+ * @param {*} requested - Requested ID, or null to clear
+ * @param {*} current - Stored ID
+ * @returns {boolean} True if they differ
+ */
+const isNewReference = (requested, current) => String(requested || '') !== String(current || '');
+
+/**
+ * Find a staff member who can handle cases
+ *
+ * @param {string} handlerId - User ID
+ * @returns {Promise<Object>} User
+ */
+const findHandler = async (handlerId) => {
+  checkId(handlerId, 'handler');
+
+  const handler = await User.findById(handlerId).select('firstName lastName isActive');
+  if (!handler || handler.isActive === false) {
+    throw new NotFoundError('Handler not found', 'HANDLER_NOT_FOUND');
+  }
+
+  return handler;
+};
+
+/**
+ * Link a lead to a case and mark it converted
+ *
+ * @param {Object} caseDoc - Case
+ * @param {string} leadId - Google Ads lead ID
+ * @param {Object} user - User making the change
+ * @returns {Promise<void>}
+ */
+const attachLead = async (caseDoc, leadId, user) => {
+  checkId(leadId, 'lead');
+
+  const lead = await GoogleAdsLead.findById(leadId);
+  if (!lead) {
+    throw new NotFoundError('Lead not found', 'LEAD_NOT_FOUND');
+  }
+
+  const taken = await Case.exists({ leadId: lead._id, _id: { $ne: caseDoc._id } });
+  if (taken) {
+    throw new ConflictError('This lead is already linked to another case', 'LEAD_ALREADY_LINKED');
+  }
+
+  caseDoc.leadId = lead._id;
+  caseDoc.addTimelineEntry({
+    type: 'lead-linked',
+    leadId: lead._id,
+    message: `Linked lead ${lead.referenceNumber}`
+  }, user);
+
+  if (lead.leadStatus !== 'converted') {
+    lead.leadStatus = 'converted';
+    lead.convertedAt = lead.convertedAt || new Date();
+    await lead.save({ validateBeforeSave: false });
+  }
+};
+
+/**
+ * Open a case for a client
+ * The case type, estimated loss and urgency default to the client's.
+ *
+ * @param {Object} data - Validated case fields, with optional handlerId,
+ *   leadId and bookingIds
+ * @param {Object} user - User opening the case
+ * @returns {Promise<Object>} Saved case
+ */
+exports.createCase = async (data, user) => {
+  const { bookingIds = [], leadId, handlerId, ...fields } = data;
+
+  checkId(fields.clientId, 'client');
+  const client = await Client.findById(fields.clientId);
+  if (!client) {
+    throw new NotFoundError('Client not found', 'CLIENT_NOT_FOUND');
+  }
+
+  const openedAt = new Date();
+  const caseDoc = new Case({
+    caseType: client.caseType,
+    estimatedLoss: client.estimatedLoss,
+    urgencyLevel: client.urgencyLevel,
+    ...fields,
+    reference: await nextReference(openedAt),
+    openedAt,
+    createdBy: user ? user._id : undefined
+  });
+
+  caseDoc.addTimelineEntry({ type: 'created', toStatus: caseDoc.status, message: 'Case opened' }, user);
+
+  if (handlerId) {
+    const handler = await findHandler(handlerId);
+    caseDoc.handlerId = handler._id;
+    caseDoc.addTimelineEntry({
+      type: 'assignment',
+      handlerId: handler._id,
+      message: `Assigned to ${handler.firstName} ${handler.lastName}`
+    }, user);
+  }
+
+  if (leadId) {
+    await attachLead(caseDoc, leadId, user);
+  }
+
+  await caseDoc.save();
+
+  for (const bookingId of bookingIds) {
+    await exports.linkBooking(caseDoc, bookingId, user);
+  }
+
+  return caseDoc;
+};
+
+/**
+ * Update a case's details, handler or lead
+ * Status changes go through changeStatus so the pipeline is kept.
+ *
+ * @param {Object} caseDoc - Case
+ * @param {Object} changes - Validated changes; handlerId or leadId null to clear
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object>} Saved case
+ */
+exports.updateCase = async (caseDoc, changes, user) => {
+  const { handlerId, leadId, ...fields } = changes;
+  const changed = Object.keys(fields).filter(key => String(caseDoc[key]) !== String(fields[key]));
+
+  caseDoc.set(fields);
+
+  if (changed.length > 0) {
+    caseDoc.addTimelineEntry({ type: 'updated', message: `Updated ${changed.join(', ')}` }, user);
+  }
+
+  if (handlerId !== undefined && isNewReference(handlerId, caseDoc.handlerId)) {
+    const handler = handlerId ? await findHandler(handlerId) : null;
+    caseDoc.handlerId = handler ? handler._id : undefined;
+    caseDoc.addTimelineEntry({
+      type: 'assignment',
+      handlerId: handler ? handler._id : undefined,
+      message: handler ? `Assigned to ${handler.firstName} ${handler.lastName}` : 'Handler removed'
+    }, user);
+  }
+
+  if (leadId !== undefined && isNewReference(leadId, caseDoc.leadId)) {
+    if (caseDoc.leadId) {
+      caseDoc.addTimelineEntry({ type: 'lead-unlinked', leadId: caseDoc.leadId, message: 'Lead unlinked' }, user);
+      caseDoc.leadId = undefined;
+    }
+    if (leadId) {
+      await attachLead(caseDoc, leadId, user);
+    }
+  }
+
+  caseDoc.updatedBy = user ? user._id : undefined;
+  await caseDoc.save();
+
+  return caseDoc;
+};
+
+/**
+ * Move a case to another status in the pipeline
+ *
+ * @param {Object} caseDoc - Case
+ * @param {string} status - New status
+ * @param {Object} options - Options
+ * @param {string} options.note - Why the case moved
+ * @param {number} options.amountRecovered - Amount recovered, when closing
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object>} Saved case
+ */
+exports.changeStatus = async (caseDoc, status, { note, amountRecovered } = {}, user) => {
+  const from = caseDoc.status;
+  exports.checkTransition(from, status);
+
+  caseDoc.status = status;
+  caseDoc.closedAt = Case.CLOSED_STATUSES.includes(status) ? new Date() : undefined;
+  if (amountRecovered !== undefined) {
+    caseDoc.amountRecovered = amountRecovered;
+  }
+
+  caseDoc.addTimelineEntry({
+    type: 'status-change',
+    fromStatus: from,
+    toStatus: status,
+    message: note
+  }, user);
+
+  caseDoc.updatedBy = user ? user._id : undefined;
+  await caseDoc.save();
+
+  return caseDoc;
+};
+
+/**
+ * Add a note to a case's timeline
+ *
+ * @param {Object} caseDoc - Case
+ * @param {string} message - Note
+ * @param {Object} user - User writing the note
+ * @returns {Promise<Object>} Added timeline entry
+ */
+exports.addNote = async (caseDoc, message, user) => {
+  const entry = caseDoc.addTimelineEntry({ type: 'note', message }, user);
+  await caseDoc.save();
+
+  return entry;
+};
+
+/**
+ * Link one of the client's bookings to a case
+ * A booking belongs to at most one case.
+ *
+ * @param {Object} caseDoc - Case
+ * @param {string} bookingId - Booking ID
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object>} Linked booking
+ */
+exports.linkBooking = async (caseDoc, bookingId, user) => {
+  checkId(bookingId, 'booking');
+
+  // Claimed in one step so two cases cannot take the same booking
+  const booking = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      clientId: caseDoc.clientId,
+      $or: [{ caseId: { $exists: false } }, { caseId: null }, { caseId: caseDoc._id }]
+    },
+    { $set: { caseId: caseDoc._id } },
+    { new: true }
+  );
+
+  if (!booking) {
+    const existing = await Booking.findById(bookingId).select('clientId caseId');
+    if (!existing) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+    }
+    if (!existing.clientId.equals(caseDoc.clientId)) {
+      throw new ValidationError('This booking is for a different client', 'BOOKING_CLIENT_MISMATCH');
+    }
+    throw new ConflictError('This booking is already linked to another case', 'BOOKING_IN_OTHER_CASE');
+  }
+
+  caseDoc.addTimelineEntry({
+    type: 'booking-linked',
+    bookingId: booking._id,
+    message: `Linked booking ${booking.reference}`
+  }, user);
+  await caseDoc.save();
+
+  return booking;
+};
+
+/**
+ * Remove a booking from a case
+ *
+ * @param {Object} caseDoc - Case
+ * @param {string} bookingId - Booking ID
+ * @param {Object} user - User making the change
+ * @returns {Promise<void>}
+ */
+exports.unlinkBooking = async (caseDoc, bookingId, user) => {
+  checkId(bookingId, 'booking');
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, caseId: caseDoc._id },
+    { $unset: { caseId: 1 } }
+  );
+
+  if (!booking) {
+    throw new NotFoundError('This booking is not linked to the case', 'BOOKING_NOT_LINKED');
+  }
+
+  caseDoc.addTimelineEntry({
+    type: 'booking-unlinked',
+    bookingId: booking._id,
+    message: `Unlinked booking ${booking.reference}`
+  }, user);
+  await caseDoc.save();
+};
+
+/**
+ * Delete a case
+ * Its bookings and lead are kept and no longer point at it.
+ *
+ * @param {Object} caseDoc - Case
+ * @returns {Promise<void>}
+ */
+exports.deleteCase = async (caseDoc) => {
+  await Booking.updateMany({ caseId: caseDoc._id }, { $unset: { caseId: 1 } });
+  await caseDoc.deleteOne();
+};
@@ -0,0 +1,191 @@
+/**
+ * Closure Service
+ * Manages office closures, bank holidays and blackout dates, and reports
+ * the bookings that fall on closed days so they can be rescheduled
+ */
+const moment = require('moment');
+const Closure = require('../models/Closure');
+const Booking = require('../models/Booking');
+const { ACTIVE_STATUSES } = require('./availabilityService');
+const { parseEvents, getEventDays } = require('../utils/icalendar');
+const { ValidationError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+/**
+ * Find active bookings that fall inside a closure
+ *
+ * @param {Object} closure - Closure document
+ * @returns {Promise<Array>} Clashing bookings with client and service details
+ */
+exports.findClashingBookings = async (closure) => {
+  const query = {
+    date: {
+      $gte: moment(closure.startDate).startOf('day').toDate(),
+      $lte: moment(closure.endDate).endOf('day').toDate()
+    },
+    status: { $in: ACTIVE_STATUSES }
+  };
+
+  if (closure.serviceIds && closure.serviceIds.length > 0) {
+    query.serviceId = { $in: closure.serviceIds };
+  }
+
+  const bookings = await Booking.find(query)
+    .populate('clientId', 'firstName lastName email phone')
+    .sort('date timeSlot')
+    .lean();
+
+  return bookings.map(booking => ({
+    bookingId: booking._id,
+    reference: booking.reference,
+    closureId: closure._id,
+    closureName: closure.name,
+    serviceId: booking.serviceId,
+    serviceName: booking.serviceName,
+    date: booking.date,
+    timeSlot: booking.timeSlot,
+    status: booking.status,
+    client: booking.clientId
+  }));
+};
+
+/**
+ * Report the bookings that clash with a set of closures
+ *
+ * @param {Array<Object>} closures - Closure documents
+ * @returns {Promise<Array>} Clashing bookings, each listed once
+ */
+const findClashesForClosures = async (closures) => {
+  const seen = new Set();
+  const clashes = [];
+
+  for (const closure of closures) {
+    for (const clash of await exports.findClashingBookings(closure)) {
+      const key = clash.bookingId.toString();
+      if (!seen.has(key)) {
+        seen.add(key);
+        clashes.push(clash);
+      }
+    }
+  }
+
+  if (clashes.length > 0) {
+    logger.warn(`${clashes.length} bookings clash with office closures and need rescheduling`);
+  }
+
+  return clashes;
+};
+
+/**
+ * Create a closure
+ *
+ * @param {Object} data - Closure fields
+ * @param {Object} user - User creating the closure
+ * @returns {Promise<Object>} Created closure and clashing bookings
+ */
+exports.createClosure = async (data, user = null) => {
+  const closure = await Closure.create({
+    name: data.name,
+    startDate: data.startDate,
+    endDate: data.endDate || data.startDate,
+    source: data.source || 'manual',
+    serviceIds: data.serviceIds || [],
+    notes: data.notes,
+    createdBy: user ? user._id : undefined
+  });
+
+  logger.info(`Closure ${closure._id} created for ${moment(closure.startDate).format('YYYY-MM-DD')} to ${moment(closure.endDate).format('YYYY-MM-DD')}`);
+
+  return {
+    closure,
+    clashingBookings: await findClashesForClosures([closure])
+  };
+};
+
+/**
+ * Update a closure
+ *
+ * @param {Object} closure - Closure document
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated closure and clashing bookings
+ */
+exports.updateClosure = async (closure, data) => {
+  ['name', 'startDate', 'endDate', 'serviceIds', 'notes'].forEach(field => {
+    if (data[field] !== undefined) {
+      closure[field] = data[field];
+    }
+  });
+
+  await closure.save();
+
+  return {
+    closure,
+    clashingBookings: await findClashesForClosures([closure])
+  };
+};
+
+/**
+ * Import closures from an iCalendar file
+ *
+ * Every VEVENT becomes a closure covering the days it spans. Events are
+ * matched on their UID, so importing an updated calendar again moves the
+ * existing closures instead of duplicating them.
+ *
+ * @param {string} calendarText - Raw .ics content
+ * @param {Object} options - Import options
+ * @param {string} options.source - Closure source ('ics' or 'bank-holiday')
+ * @param {Array<string>} options.serviceIds - Services the closures apply to
+ * @param {Object} user - User running the import
+ * @returns {Promise<Object>} Counts, imported closures and clashing bookings
+ */
+exports.importCalendar = async (calendarText, options = {}, user = null) => {
+  const { source = 'ics', serviceIds = [] } = options;
+  let events;
+
+  try {
+    events = parseEvents(calendarText);
+  } catch (error) {
+    throw new ValidationError(error.message, 'INVALID_CALENDAR');
+  }
+
+  if (events.length === 0) {
+    throw new ValidationError('The calendar does not contain any events', 'EMPTY_CALENDAR');
+  }
+
+  const closures = [];
+  let created = 0;
+  let updated = 0;
+
+  for (const event of events) {
+    const { startDate, endDate } = getEventDays(event);
+    const uid = event.uid || `${moment(startDate).format('YYYYMMDD')}-${event.summary}`;
+
+    const existing = await Closure.findOne({ uid });
+    const closure = existing || new Closure({ uid, createdBy: user ? user._id : undefined });
+
+    closure.name = event.summary.substring(0, 200);
+    closure.startDate = startDate;
+    closure.endDate = endDate;
+    closure.source = source;
+    closure.serviceIds = serviceIds;
+    closure.notes = event.description ? event.description.substring(0, 500) : closure.notes;
+
+    await closure.save();
+    closures.push(closure);
+
+    if (existing) {
+      updated++;
+    } else {
+      created++;
+    }
+  }
+
+  logger.info(`Imported ${events.length} closures from calendar (${created} new, ${updated} updated)`);
+
+  return {
+    created,
+    updated,
+    closures,
+    clashingBookings: await findClashesForClosures(closures)
+  };
+};
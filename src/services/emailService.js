@@ -1,3 +1,43 @@
+/**
+ * Email Service
+ * Waitlist and report emails, sent through the shared mail transport
+ */
+const moment = require('moment');
+const mailer = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+/**
+ * Format a date for an email, e.g. Monday, June 5, 2023
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => moment(date).format('dddd, MMMM D, YYYY');
+
+/**
+ * Format a time for an email, e.g. 2:30 PM
+ *
+ * @param {Date|string} date - Time to format
+ * @returns {string} Formatted time
+ */
+const formatTime = (date) => moment(date).format('h:mm A');
+
+/**
+ * Send an email, throwing if it could not be sent
+ *
+ * @param {Object} options - Message with to, subject, html and attachments
+ * @returns {Promise<Object>} Send result with messageId
+ */
+const sendEmail = async (options) => {
+  const result = await mailer.sendMail(options);
+
+  if (!result.success) {
+    throw new Error(`Email to ${options.to} failed: ${result.error}`);
+  }
+
+  return result;
+};
+
 /**
  * Send waitlist confirmation email
  * 
@@ -8,7 +48,7 @@
  */
 exports.sendWaitlistConfirmation = async (email, firstName, data) => {
   try {
-    const { serviceName, requestedDate } = data;
+    const { serviceName, requestedDate, statusUrl } = data;
     
     const formattedDate = formatDate(requestedDate);
     
@@ -17,6 +57,7 @@ exports.sendWaitlistConfirmation = async (email, firstName, data) => {
       <p>Hello ${firstName},</p>
       <p>You have been added to the waitlist for ${serviceName} on ${formattedDate}.</p>
       <p>We will notify you as soon as a spot becomes available.</p>
+      ${statusUrl ? `<p><a href="${statusUrl}">See your place on the waitlist</a>, or add other days and times that suit you.</p>` : ''}
       <p>Thank you for your patience.</p>
       <p>Best regards,<br/>Recovery Office Team</p>
     `;
@@ -37,12 +78,13 @@ exports.sendWaitlistConfirmation = async (email, firstName, data) => {
  * 
  * @param {string} email - Client email address
  * @param {string} firstName - Client first name
- * @param {Object} data - Slot data
+ * @param {Object} data - Slot data; expiresAt is set when the slot is held
+ *   for the client
  * @returns {Promise<Object>} Email send result
  */
 exports.sendWaitlistNotification = async (email, firstName, data) => {
   try {
-    const { serviceName, date, timeSlot, bookingUrl } = data;
+    const { serviceName, date, timeSlot, bookingUrl, expiresAt } = data;
     
     const formattedDate = formatDate(date);
     
@@ -52,7 +94,11 @@ exports.sendWaitlistNotification = async (email, firstName, data) => {
       <p>Good news! A spot has opened up for the ${serviceName} service on ${formattedDate} at ${timeSlot}.</p>
       <p>Click the button below to secure your booking:</p>
       <a href="${bookingUrl}" style="background-color: #D4AF37; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 10px 0;">Book Now</a>
+      ${expiresAt ? `
+      <p>We are holding this spot for you until ${formatDate(expiresAt)} at ${formatTime(expiresAt)}. After that it will be offered to the next person on the waitlist.</p>
+      ` : `
       <p>This spot is available on a first-come, first-served basis, so we recommend booking quickly.</p>
+      `}
       <p>Best regards,<br/>Recovery Office Team</p>
     `;
     
@@ -75,16 +121,30 @@ exports.sendWaitlistNotification = async (email, firstName, data) => {
  * @param {Buffer} reportBuffer - Report file as buffer
  * @param {string} filename - Report filename
  * @param {string} mimeType - Report MIME type
+ * @param {Object} options - Subscription details
+ * @param {string} options.periodText - Period the report covers
+ * @param {string} options.pauseUrl - Link that pauses the subscription
+ * @param {string} options.unsubscribeUrl - Link that stops the recipient's emails
  * @returns {Promise<Object>} Email send result
  */
-exports.sendReportEmail = async (email, reportTitle, reportBuffer, filename, mimeType) => {
+exports.sendReportEmail = async (email, reportTitle, reportBuffer, filename, mimeType, options = {}) => {
   try {
+    const { periodText, pauseUrl, unsubscribeUrl } = options;
+
     const html = `
       <h2>Recovery Office Report</h2>
       <p>Please find attached your requested ${reportTitle}.</p>
+      ${periodText ? `<p>${periodText}</p>` : ''}
       <p>This report was generated on ${formatDate(new Date())} at ${formatTime(new Date())}.</p>
       <p>Thank you for using our services.</p>
       <p>Best regards,<br/>Recovery Office Team</p>
+      ${unsubscribeUrl ? `
+      <p style="font-size: 12px; color: #718096;">
+        You receive this report on a schedule.
+        ${pauseUrl ? `<a href="${pauseUrl}">Pause this report</a> or` : ''}
+        <a href="${unsubscribeUrl}">unsubscribe</a>.
+      </p>
+      ` : ''}
     `;
     
     return await sendEmail({
@@ -103,4 +163,4 @@ exports.sendReportEmail = async (email, reportTitle, reportBuffer, filename, mim
     logger.error(`Error sending report email: ${error.message}`, { error });
     throw error;
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,295 @@
+/**
+ * Hold Service
+ * Short reservations that keep a slot for a client while they register and
+ * confirm the booking, and the sweeper that releases them once they expire
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const SlotHold = require('../models/SlotHold');
+const TimeSlot = require('../models/TimeSlot');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const staffService = require('./staffService');
+const config = require('../config');
+const { slotToInstants } = require('../utils/timezone');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Slot IDs computed from a template: <serviceId>_<YYYY-MM-DD>_<HH:MM-HH:MM>
+const COMPUTED_SLOT_ID = /^([a-f0-9]{24})_(\d{4}-\d{2}-\d{2})_(\d{2}:\d{2}-\d{2}:\d{2})$/i;
+
+/**
+ * Work out the service, date and time slot named by a slot ID
+ * Slots listed by GET /api/slots have either a TimeSlot document ID or an
+ * ID computed from the service's template
+ *
+ * @param {string} slotId - Slot ID from the slot list
+ * @returns {Promise<Object>} Object with serviceId, date and timeSlot
+ */
+exports.resolveSlot = async (slotId) => {
+  const computed = COMPUTED_SLOT_ID.exec(slotId);
+
+  if (computed) {
+    const date = moment(computed[2], 'YYYY-MM-DD', true);
+    if (!date.isValid()) {
+      throw new ValidationError('Invalid slot ID', 'INVALID_SLOT_ID');
+    }
+    return { serviceId: computed[1], date: date.toDate(), timeSlot: computed[3] };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(slotId)) {
+    throw new ValidationError('Invalid slot ID', 'INVALID_SLOT_ID');
+  }
+
+  const slot = await TimeSlot.findById(slotId);
+  if (!slot) {
+    throw new NotFoundError('Slot not found', 'SLOT_NOT_FOUND');
+  }
+
+  return { serviceId: slot.serviceId.toString(), date: slot.date, timeSlot: slot.timeSlot };
+};
+
+/**
+ * Make the key a client's holds are counted under
+ * IP addresses are hashed so they are not stored as they are.
+ *
+ * @param {string} ip - Requester's IP address
+ * @returns {string|undefined} Requester key, or undefined if unknown
+ */
+exports.requesterKey = (ip) => (
+  ip ? crypto.createHash('sha256').update(`slot-hold:${ip}`).digest('hex') : undefined
+);
+
+/**
+ * Check that a client has not already held as many slots as allowed
+ *
+ * @param {string} requester - Requester key
+ * @returns {Promise<void>}
+ */
+const checkHoldLimit = async (requester) => {
+  const max = config.scheduling.maxHoldsPerRequester;
+  const active = await SlotHold.countDocuments({ requester, expiresAt: { $gt: new Date() } });
+
+  if (active >= max) {
+    const error = new ConflictError(
+      `You can only hold ${max} slots at a time. Book or release a held slot first.`,
+      'TOO_MANY_HOLDS'
+    );
+    error.details = { maxHolds: max };
+    throw error;
+  }
+};
+
+/**
+ * Hold a slot for a few minutes
+ *
+ * The slot, or a consultant for it when the service is booked per
+ * consultant, is taken in a transaction exactly as a booking would take
+ * it, so a held slot cannot be booked or held by anyone else until the
+ * hold is used, released or expires.
+ *
+ * @param {string} slotId - Slot ID from the slot list
+ * @param {Object} options - Options
+ * @param {string} options.consultantId - Consultant to hold, or 'any'
+ * @param {number} options.minutes - How long to hold the slot
+ * @param {number} options.maxMinutes - Longest hold allowed (defaults to
+ *   the configured maximum for client holds)
+ * @param {string} options.waitlistId - Waitlist entry the slot is offered to
+ * @param {Object} options.user - Logged in user, if any
+ * @param {string} options.requester - Requester key from requesterKey; a
+ *   requester can only have a few holds at once
+ * @returns {Promise<Object>} Created hold, including its token
+ */
+exports.createHold = async (slotId, options = {}) => {
+  const { consultantId, waitlistId, user, requester } = options;
+  const minutes = Math.min(
+    options.minutes || config.scheduling.holdMinutes,
+    options.maxMinutes || config.scheduling.maxHoldMinutes
+  );
+
+  if (requester) {
+    await checkHoldLimit(requester);
+  }
+
+  const { serviceId, date, timeSlot } = await exports.resolveSlot(slotId);
+
+  const service = await Service.findById(serviceId);
+  if (!service) {
+    throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+  }
+
+  const timezone = await bookingService.checkBookable(service, { serviceId, date, timeSlot });
+  const instants = slotToInstants(date, timeSlot, timezone);
+
+  if (instants.startsAt <= new Date()) {
+    throw new ValidationError('This slot has already started', 'SLOT_IN_PAST');
+  }
+
+  const requestedConsultant = consultantId && consultantId !== 'any'
+    ? await staffService.getConsultantForService(consultantId, service)
+    : null;
+  const withConsultant = Boolean(requestedConsultant) || await staffService.hasConsultants(service);
+
+  const slotTakenError = () => new ConflictError(
+    'The selected time slot is no longer available. Please choose another time.',
+    'SLOT_TAKEN'
+  );
+
+  const session = await mongoose.startSession();
+  let hold;
+
+  try {
+    await session.withTransaction(async () => {
+      hold = new SlotHold({
+        token: crypto.randomBytes(24).toString('hex'),
+        serviceId,
+        date,
+        timeSlot,
+        startsAt: instants.startsAt,
+        endsAt: instants.endsAt,
+        timezone,
+        expiresAt: moment().add(minutes, 'minutes').toDate(),
+        waitlistId,
+        createdBy: user ? user._id : undefined,
+        requester
+      });
+
+      // Bookings made before slots were reserved have no slot document
+      const { startOfDay, endOfDay } = availabilityService.getDayBounds(date);
+      const clashQuery = {
+        serviceId,
+        date: { $gte: startOfDay, $lte: endOfDay },
+        timeSlot,
+        status: { $in: availabilityService.ACTIVE_STATUSES }
+      };
+
+      if (withConsultant) {
+        clashQuery.consultantId = null;
+      }
+
+      if (await Booking.exists(clashQuery).session(session)) {
+        throw slotTakenError();
+      }
+
+      if (withConsultant) {
+        const blocked = await availabilityService.isBlocked(serviceId, date, timeSlot, { session });
+        const consultant = blocked ? null : await staffService.assignConsultant(service, date, timeSlot, {
+          session,
+          consultant: requestedConsultant
+        });
+
+        if (!consultant) {
+          throw slotTakenError();
+        }
+
+        hold.consultantId = consultant._id;
+      } else {
+        const slot = await availabilityService.holdByTime(serviceId, date, timeSlot, hold._id, { session });
+
+        if (!slot) {
+          throw slotTakenError();
+        }
+      }
+
+      await hold.save({ session });
+    });
+  } catch (error) {
+    // A concurrent hold or booking created the same slot document
+    if (error.code === 11000) {
+      throw slotTakenError();
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Slot ${timeSlot} on ${moment(date).format('YYYY-MM-DD')} held for service ${serviceId} until ${hold.expiresAt.toISOString()}`);
+
+  return hold;
+};
+
+/**
+ * Release a hold before it expires
+ *
+ * @param {Object} hold - Hold document
+ * @returns {Promise<void>}
+ */
+const releaseHold = async (hold) => {
+  await availabilityService.releaseHold(hold._id);
+  await SlotHold.deleteOne({ _id: hold._id });
+};
+
+/**
+ * Release a hold by its token, e.g. when the client picks another slot
+ *
+ * @param {string} token - Hold token
+ * @returns {Promise<Object>} Released hold
+ */
+exports.releaseHoldByToken = async (token) => {
+  const hold = await SlotHold.findOne({ token });
+  if (!hold) {
+    throw new NotFoundError('Slot hold not found', 'HOLD_NOT_FOUND');
+  }
+
+  await releaseHold(hold);
+  return hold;
+};
+
+/**
+ * Release a hold by its ID, if it still exists
+ *
+ * @param {string} holdId - Hold ID
+ * @returns {Promise<boolean>} True if a hold was released
+ */
+exports.releaseHoldById = async (holdId) => {
+  const hold = await SlotHold.findById(holdId);
+  if (!hold) {
+    return false;
+  }
+
+  await releaseHold(hold);
+  return true;
+};
+
+/**
+ * Release every hold that has expired
+ *
+ * @returns {Promise<number>} Number of holds released
+ */
+exports.releaseExpiredHolds = async () => {
+  const expired = await SlotHold.find({ expiresAt: { $lte: new Date() } });
+
+  for (const hold of expired) {
+    await releaseHold(hold);
+  }
+
+  if (expired.length > 0) {
+    logger.info(`Released ${expired.length} expired slot holds`);
+  }
+
+  return expired.length;
+};
+
+/**
+ * Start releasing expired holds in the background
+ *
+ * @param {number} intervalSeconds - Seconds between sweeps
+ * @returns {Object} Interval timer
+ */
+exports.startHoldSweeper = (intervalSeconds = config.scheduling.holdSweepIntervalSeconds) => {
+  const timer = setInterval(() => {
+    exports.releaseExpiredHolds().catch(error => {
+      logger.error(`Slot hold sweep failed: ${error.message}`);
+    });
+  }, intervalSeconds * 1000);
+
+  // The sweeper should never keep the process alive on its own
+  timer.unref();
+
+  logger.info(`Slot hold sweeper running every ${intervalSeconds} seconds`);
+
+  return timer;
+};
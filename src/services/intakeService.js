@@ -0,0 +1,370 @@
+/**
+ * Intake Service
+ * Keeps each service's intake form and checks the answers clients give
+ * against it before they are stored on their booking
+ */
+const moment = require('moment');
+const IntakeForm = require('../models/IntakeForm');
+const { ACTIVE_STATUSES } = require('./availabilityService');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/AppError');
+
+// Longest answers accepted when a field sets no maxLength
+const DEFAULT_MAX_LENGTH = {
+  text: 500,
+  textarea: 5000,
+  list: 500
+};
+
+// Most items a list or multiselect answer can have when a field sets no maxItems
+const DEFAULT_MAX_ITEMS = 20;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check whether an answer was left blank
+ *
+ * @param {*} value - Submitted answer
+ * @returns {boolean} True if nothing was given
+ */
+const isBlank = (value) => (
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Check a piece of text against a field's length and pattern
+ *
+ * @param {Object} field - Form field
+ * @param {*} value - Submitted text
+ * @param {string} what - How the text is named in messages
+ * @returns {string} Trimmed text
+ */
+const checkText = (field, value, what) => {
+  if (typeof value !== 'string') {
+    throw new Error(`${what} must be text`);
+  }
+
+  const text = value.trim();
+  const maxLength = field.maxLength || DEFAULT_MAX_LENGTH[field.type] || DEFAULT_MAX_LENGTH.text;
+
+  if (field.minLength && text.length < field.minLength) {
+    throw new Error(`${what} must be at least ${field.minLength} characters`);
+  }
+  if (text.length > maxLength) {
+    throw new Error(`${what} cannot exceed ${maxLength} characters`);
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(text)) {
+    throw new Error(`${what} is not in the expected format`);
+  }
+
+  return text;
+};
+
+/**
+ * Check a list of answers against a field's item limit
+ *
+ * @param {Object} field - Form field
+ * @param {*} value - Submitted answer
+ * @returns {Array} Items given
+ */
+const checkItems = (field, value) => {
+  const items = Array.isArray(value) ? value : [value];
+  const maxItems = field.maxItems || DEFAULT_MAX_ITEMS;
+
+  if (items.length > maxItems) {
+    throw new Error(`${field.label} cannot have more than ${maxItems} answers`);
+  }
+
+  return items;
+};
+
+/**
+ * Turn a submitted answer into the value stored for a field
+ * Throws with a message for the client when the answer does not fit the field.
+ *
+ * @param {Object} field - Form field
+ * @param {*} value - Submitted answer, not blank
+ * @returns {*} Stored value
+ */
+const normalizeAnswer = (field, value) => {
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+      return checkText(field, value, field.label);
+
+    case 'email': {
+      const email = checkText(field, value, field.label).toLowerCase();
+      if (!EMAIL_PATTERN.test(email)) {
+        throw new Error(`${field.label} must be a valid email address`);
+      }
+      return email;
+    }
+
+    case 'number':
+    case 'currency': {
+      const number = typeof value === 'string' ? Number(value.replace(/[,\s]/g, '')) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${field.label} must be a number`);
+      }
+      if (field.min !== undefined && field.min !== null && number < field.min) {
+        throw new Error(`${field.label} must be at least ${field.min}`);
+      }
+      if (field.max !== undefined && field.max !== null && number > field.max) {
+        throw new Error(`${field.label} cannot be more than ${field.max}`);
+      }
+      return field.type === 'currency' ? Math.round(number * 100) / 100 : number;
+    }
+
+    case 'date': {
+      const date = typeof value === 'string' ? moment(value.slice(0, 10), 'YYYY-MM-DD', true) : null;
+      if (!date || !date.isValid()) {
+        throw new Error(`${field.label} must be a date in YYYY-MM-DD format`);
+      }
+      return date.format('YYYY-MM-DD');
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (['true', 'yes'].includes(String(value).toLowerCase())) {
+        return true;
+      }
+      if (['false', 'no'].includes(String(value).toLowerCase())) {
+        return false;
+      }
+      throw new Error(`${field.label} must be yes or no`);
+
+    case 'select':
+      if (!field.options.includes(value)) {
+        throw new Error(`${field.label} must be one of: ${field.options.join(', ')}`);
+      }
+      return value;
+
+    case 'multiselect': {
+      const choices = [...new Set(checkItems(field, value))];
+      const unknown = choices.find(choice => !field.options.includes(choice));
+      if (unknown !== undefined) {
+        throw new Error(`${unknown} is not a choice for ${field.label}`);
+      }
+      return choices;
+    }
+
+    case 'list':
+      return checkItems(field, value)
+        .filter(item => !isBlank(item))
+        .map((item, index) => checkText(field, item, `${field.label} item ${index + 1}`));
+
+    default:
+      throw new Error(`${field.label} cannot be answered`);
+  }
+};
+
+/**
+ * Check a client's answers against a form
+ * Every problem is reported at once in the error's details, one entry per
+ * field, so the client can fix them all before submitting again.
+ *
+ * @param {Object} form - Intake form
+ * @param {Object} answers - Answers keyed by field key
+ * @returns {Array} Stored answers, in form order, leaving out blank optional fields
+ */
+exports.validateAnswers = (form, answers) => {
+  const given = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+  const keys = new Set(form.fields.map(field => field.key));
+  const problems = Object.keys(given)
+    .filter(key => !keys.has(key))
+    .map(key => ({ field: key, message: `${key} is not a question on this form` }));
+  const stored = [];
+
+  form.fields.forEach((field) => {
+    const value = given[field.key];
+
+    if (isBlank(value)) {
+      if (field.required) {
+        problems.push({ field: field.key, message: `${field.label} is required` });
+      }
+      return;
+    }
+
+    try {
+      const normalized = normalizeAnswer(field, value);
+      if (isBlank(normalized)) {
+        if (field.required) {
+          problems.push({ field: field.key, message: `${field.label} is required` });
+        }
+        return;
+      }
+
+      stored.push({ key: field.key, label: field.label, type: field.type, value: normalized });
+    } catch (error) {
+      problems.push({ field: field.key, message: error.message });
+    }
+  });
+
+  if (problems.length > 0) {
+    const error = new ValidationError(problems[0].message, 'INVALID_INTAKE_ANSWERS');
+    error.details = { problems };
+    throw error;
+  }
+
+  return stored;
+};
+
+/**
+ * Make the intake record stored on a booking
+ *
+ * @param {Object} form - Intake form
+ * @param {Object} answers - Answers keyed by field key
+ * @param {Date} now - Current time
+ * @returns {Object} Booking intake
+ */
+exports.buildIntake = (form, answers, now = new Date()) => ({
+  formId: form._id,
+  formVersion: form.version,
+  answers: exports.validateAnswers(form, answers),
+  submittedAt: now
+});
+
+/**
+ * Show a stored answer as text
+ *
+ * @param {Object} answer - Stored answer
+ * @returns {string} Answer for emails and exports
+ */
+exports.formatAnswer = (answer) => {
+  const { type, value } = answer;
+
+  if (type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  if (type === 'currency') {
+    return `£${Number(value).toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+  if (type === 'date') {
+    return moment(value, 'YYYY-MM-DD').format('D MMMM YYYY');
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+
+  return String(value);
+};
+
+/**
+ * List a booking's intake answers as label and text
+ *
+ * @param {Object} booking - Booking
+ * @returns {Array} Answers with label and value, empty if none were given
+ */
+exports.summarizeIntake = (booking) => (
+  booking.intake && booking.intake.answers
+    ? booking.intake.answers.map(answer => ({
+      label: answer.label,
+      value: exports.formatAnswer(answer)
+    }))
+    : []
+);
+
+/**
+ * Find a service's intake form
+ *
+ * @param {Object|string} serviceId - Service ID
+ * @param {Object} options - Options
+ * @param {boolean} options.activeOnly - Ignore a form that has been switched off
+ * @returns {Promise<Object|null>} Intake form
+ */
+exports.findForm = async (serviceId, { activeOnly = true } = {}) => {
+  const form = await IntakeForm.findOne({ serviceId });
+
+  return form && (form.isActive || !activeOnly) ? form : null;
+};
+
+/**
+ * Get a service's intake form, failing if it has none
+ *
+ * @param {Object|string} serviceId - Service ID
+ * @param {Object} options - Options passed to findForm
+ * @returns {Promise<Object>} Intake form
+ */
+exports.getForm = async (serviceId, options = {}) => {
+  const form = await exports.findForm(serviceId, options);
+  if (!form) {
+    throw new NotFoundError('This service has no intake form', 'INTAKE_FORM_NOT_FOUND');
+  }
+
+  return form;
+};
+
+/**
+ * Create or replace a service's intake form
+ * Replacing it raises its version; answers already given keep the labels
+ * they were asked with.
+ *
+ * @param {Object} service - Service
+ * @param {Object} definition - Validated title, description, isActive and fields
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object>} Saved form and whether it was created
+ */
+exports.saveForm = async (service, definition, user) => {
+  let form = await IntakeForm.findOne({ serviceId: service._id });
+  const created = !form;
+
+  if (created) {
+    form = new IntakeForm({ serviceId: service._id });
+  } else {
+    form.version = (form.version || 1) + 1;
+  }
+
+  form.title = definition.title || form.title;
+  form.description = definition.description;
+  form.fields = definition.fields;
+  form.isActive = definition.isActive !== undefined ? definition.isActive : true;
+  form.updatedBy = user ? user._id : undefined;
+
+  await form.save();
+
+  return { form, created };
+};
+
+/**
+ * Remove a service's intake form
+ * Answers already stored on bookings are kept.
+ *
+ * @param {Object} service - Service
+ * @returns {Promise<void>}
+ */
+exports.deleteForm = async (service) => {
+  const result = await IntakeForm.deleteOne({ serviceId: service._id });
+  if (result.deletedCount === 0) {
+    throw new NotFoundError('This service has no intake form', 'INTAKE_FORM_NOT_FOUND');
+  }
+};
+
+/**
+ * Store a client's answers on their booking
+ * Answers can be given again, replacing the earlier ones, until the booking
+ * is no longer active.
+ *
+ * @param {Object} booking - Booking
+ * @param {Object} answers - Answers keyed by field key
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Booking intake
+ */
+exports.submitIntake = async (booking, answers, now = new Date()) => {
+  if (!ACTIVE_STATUSES.includes(booking.status)) {
+    throw new ConflictError(
+      'Answers can no longer be given for this booking',
+      'INTAKE_CLOSED'
+    );
+  }
+
+  const form = await exports.getForm(booking.serviceId);
+
+  booking.intake = exports.buildIntake(form, answers, now);
+  await booking.save({ validateBeforeSave: false });
+
+  return booking.intake;
+};
@@ -0,0 +1,611 @@
+/**
+ * Invoice Service
+ * Issues numbered invoices, receipts and credit notes from bookings and
+ * their payments ledger, and renders them as PDFs. Documents are stored
+ * once issued and never regenerated, so a client always gets the same copy.
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Client = require('../models/Client');
+const config = require('../config');
+const { ValidationError, NotFoundError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  receipt: 'RCT',
+  'credit-note': 'CN'
+};
+
+const TITLES = {
+  invoice: 'Invoice',
+  receipt: 'Receipt',
+  'credit-note': 'Credit Note'
+};
+
+/**
+ * Round an amount to the penny
+ *
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the VAT rate a service's price includes
+ * Nothing is charged when no VAT number is configured.
+ *
+ * @param {Object} service - Service, if known
+ * @returns {number} VAT rate as a percentage
+ */
+exports.vatRateFor = (service) => {
+  if (!config.invoices.seller.vatNumber) {
+    return 0;
+  }
+
+  return service && service.vatRate !== undefined && service.vatRate !== null
+    ? service.vatRate
+    : config.invoices.vatRate;
+};
+
+/**
+ * Split an amount that includes VAT into net and VAT
+ *
+ * @param {number} gross - Amount including VAT
+ * @param {number} vatRate - VAT rate as a percentage
+ * @returns {Object} Object with vatRate, net, vat and gross
+ */
+exports.splitVat = (gross, vatRate) => {
+  const net = roundAmount(gross / (1 + vatRate / 100));
+
+  return {
+    vatRate,
+    net,
+    vat: roundAmount(gross - net),
+    gross: roundAmount(gross)
+  };
+};
+
+/**
+ * Total a document's lines
+ *
+ * @param {Array} lines - Lines with net, vat and gross
+ * @returns {Object} Object with net, vat and gross
+ */
+exports.totalLines = (lines) => {
+  const total = (field) => roundAmount(lines.reduce((sum, line) => sum + (line[field] || 0), 0));
+
+  return {
+    net: total('net'),
+    vat: total('vat'),
+    gross: total('gross')
+  };
+};
+
+/**
+ * Work out the line a refund is credited with
+ * The VAT credited is in proportion to the VAT on the invoice it relates to.
+ *
+ * @param {number} amount - Amount refunded
+ * @param {Object} invoice - Invoice the refund relates to, if any
+ * @param {string} description - Line description
+ * @returns {Object} Line
+ */
+exports.creditLine = (amount, invoice, description) => {
+  if (!invoice || !invoice.totals || !(invoice.totals.gross > 0)) {
+    return { description, ...exports.splitVat(amount, 0) };
+  }
+
+  const rates = [...new Set(invoice.lines.map(line => line.vatRate))];
+  if (rates.length === 1) {
+    return { description, ...exports.splitVat(amount, rates[0]) };
+  }
+
+  const vat = roundAmount(amount * invoice.totals.vat / invoice.totals.gross);
+
+  return {
+    description,
+    net: roundAmount(amount - vat),
+    vat,
+    gross: roundAmount(amount)
+  };
+};
+
+/**
+ * Format a document number, e.g. INV-2026-00042
+ *
+ * @param {string} kind - 'invoice', 'receipt' or 'credit-note'
+ * @param {number} year - Year the number belongs to
+ * @param {number} seq - Number in the year's sequence
+ * @returns {string} Document number
+ */
+exports.formatNumber = (kind, year, seq) => `${NUMBER_PREFIXES[kind]}-${year}-${String(seq).padStart(5, '0')}`;
+
+/**
+ * Take the next number for a kind of document
+ * Each kind is numbered in its own sequence, which starts again each year.
+ *
+ * @param {string} kind - Document kind
+ * @param {Date} issuedAt - When the document is issued
+ * @param {Object} session - Transaction the document is stored in
+ * @returns {Promise<string>} Document number
+ */
+const nextNumber = async (kind, issuedAt, session) => {
+  const year = issuedAt.getUTCFullYear();
+  const seq = await Counter.next(`${kind}-${year}`, session);
+
+  return exports.formatNumber(kind, year, seq);
+};
+
+/**
+ * Get the buyer details printed on a booking's documents
+ *
+ * @param {Object} booking - Booking
+ * @returns {Promise<Object>} Buyer
+ */
+const getBuyer = async (booking) => {
+  const client = await Client.findById(booking.clientId).select('firstName lastName email address');
+  if (!client) {
+    return {};
+  }
+
+  const address = client.address || {};
+
+  return {
+    name: `${client.firstName} ${client.lastName}`,
+    email: client.email,
+    address: [address.street, address.city, address.state, address.postalCode, address.country].filter(Boolean)
+  };
+};
+
+/**
+ * Format an amount of money
+ *
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-GB', {
+  style: 'currency',
+  currency
+}).format(amount);
+
+/**
+ * Render a document as a PDF
+ *
+ * @param {Object} document - Document fields
+ * @returns {Promise<Buffer>} PDF
+ */
+exports.renderPdf = (document) => new Promise((resolve, reject) => {
+  try {
+    const chunks = [];
+    const doc = new PDFDocument({ margin: 50 });
+    const money = (amount) => formatMoney(amount, document.currency);
+    const showVat = document.kind !== 'receipt' && Boolean(document.seller.vatNumber);
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', err => reject(err));
+
+    // Seller and document details
+    doc.fontSize(20).text(document.seller.name);
+    doc.fontSize(10);
+    document.seller.address.forEach(line => doc.text(line));
+    if (document.seller.email) {
+      doc.text(document.seller.email);
+    }
+    if (document.seller.vatNumber) {
+      doc.text(`VAT number: ${document.seller.vatNumber}`);
+    }
+    doc.moveDown(2);
+
+    doc.fontSize(16).text(TITLES[document.kind]);
+    doc.fontSize(10);
+    doc.text(`Number: ${document.number}`);
+    doc.text(`Date: ${moment(document.issuedAt).format('D MMMM YYYY')}`);
+    if (document.bookingReference) {
+      doc.text(`Booking reference: ${document.bookingReference}`);
+    }
+    if (document.relatesToNumber) {
+      doc.text(`${document.kind === 'credit-note' ? 'Credits' : 'Against'} invoice: ${document.relatesToNumber}`);
+    }
+    doc.moveDown();
+
+    // Buyer
+    if (document.buyer.name) {
+      doc.font('Helvetica-Bold').text(document.kind === 'invoice' ? 'Bill to' : 'Client');
+      doc.font('Helvetica').text(document.buyer.name);
+      (document.buyer.address || []).forEach(line => doc.text(line));
+      if (document.buyer.email) {
+        doc.text(document.buyer.email);
+      }
+      doc.moveDown(2);
+    }
+
+    // Lines
+    const columns = showVat
+      ? [['Description', 230], ['Net', 70], ['VAT %', 50], ['VAT', 70], ['Total', 80]]
+      : [['Description', 420], ['Amount', 80]];
+    const row = (cells, bold = false) => {
+      const y = doc.y;
+      let x = 50;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.forEach((cell, i) => {
+        doc.text(cell, x, y, { width: columns[i][1], align: i === 0 ? 'left' : 'right' });
+        x += columns[i][1];
+      });
+      doc.moveDown(0.5);
+    };
+
+    row(columns.map(([heading]) => heading), true);
+    document.lines.forEach(line => {
+      row(showVat
+        ? [line.description, money(line.net), `${line.vatRate}%`, money(line.vat), money(line.gross)]
+        : [line.description, money(line.gross)]);
+    });
+    doc.moveDown();
+
+    // Totals
+    const totalRow = (label, amount, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(`${label}: ${money(amount)}`, 50, doc.y, { width: 500, align: 'right' });
+    };
+
+    if (showVat) {
+      totalRow('Net', document.totals.net);
+      totalRow('VAT', document.totals.vat);
+    }
+    totalRow({
+      invoice: 'Total due',
+      receipt: 'Amount received',
+      'credit-note': 'Total credited'
+    }[document.kind], document.totals.gross, true);
+
+    if (document.note) {
+      doc.moveDown(2);
+      doc.font('Helvetica').text(document.note, 50, doc.y, { width: 500 });
+    }
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Number, render and store a document
+ * The number is taken in the same transaction the document is stored in,
+ * so a document that fails to render or save leaves no gap in the sequence.
+ *
+ * @param {Object} fields - Document fields, without number or PDF
+ * @returns {Promise<Object>} Issued document
+ */
+const issue = async (fields) => {
+  const issuedAt = new Date();
+  const document = {
+    ...fields,
+    issuedAt,
+    currency: fields.currency || config.payments.currency,
+    seller: { ...config.invoices.seller },
+    totals: exports.totalLines(fields.lines)
+  };
+
+  const session = await mongoose.startSession();
+  let issued;
+
+  try {
+    await session.withTransaction(async () => {
+      document.number = await nextNumber(fields.kind, issuedAt, session);
+      document.filename = `${document.number}.pdf`;
+      document.pdf = await exports.renderPdf(document);
+
+      [issued] = await Invoice.create([document], { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Issued ${fields.kind} ${issued.number} for booking ${fields.bookingId}`);
+
+  return issued;
+};
+
+/**
+ * Get a booking's most recent invoice
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Invoice, or null if none has been issued
+ */
+const findLatestInvoice = (bookingId) => Invoice
+  .findOne({ bookingId, kind: 'invoice' })
+  .sort({ issuedAt: -1 });
+
+/**
+ * Invoice a booking for every charge on its ledger not yet invoiced
+ * Charges are claimed for the invoice before it is numbered, so two
+ * requests at once cannot bill the same charge twice.
+ *
+ * @param {Object} booking - Booking
+ * @param {Object} user - User issuing the invoice
+ * @returns {Promise<Object|null>} Invoice, or null if there is nothing to bill
+ */
+exports.issueInvoice = async (booking, user = null) => {
+  const invoiceId = new mongoose.Types.ObjectId();
+
+  await Payment.updateMany(
+    { bookingId: booking._id, type: 'charge', status: 'succeeded', invoiceId: { $exists: false } },
+    { invoiceId }
+  );
+
+  const charges = await Payment.find({ invoiceId }).sort({ createdAt: 1 });
+  if (charges.length === 0) {
+    return null;
+  }
+
+  try {
+    const service = await Service.findById(booking.serviceId).select('name vatRate');
+    const vatRate = exports.vatRateFor(service);
+
+    return await issue({
+      _id: invoiceId,
+      kind: 'invoice',
+      bookingId: booking._id,
+      bookingReference: booking.reference,
+      clientId: booking.clientId,
+      currency: charges[0].currency,
+      buyer: await getBuyer(booking),
+      lines: charges.map(charge => ({
+        description: charge.description || booking.serviceName,
+        paymentId: charge._id,
+        ...exports.splitVat(charge.amount, vatRate)
+      })),
+      createdBy: user ? user._id : undefined
+    });
+  } catch (error) {
+    // Leave the charges to be billed next time
+    await Payment.updateMany({ invoiceId }, { $unset: { invoiceId: 1 } });
+    throw error;
+  }
+};
+
+/**
+ * Issue a receipt for a settled deposit or payment, once
+ *
+ * @param {Object} payment - Deposit or payment entry
+ * @returns {Promise<Object|null>} Receipt, or null if the payment has not
+ *   settled
+ */
+exports.issueReceipt = async (payment) => {
+  if (!['deposit', 'payment'].includes(payment.type) || payment.status !== 'succeeded') {
+    return null;
+  }
+
+  const existing = await Invoice.findOne({ kind: 'receipt', paymentId: payment._id });
+  if (existing) {
+    return existing;
+  }
+
+  const booking = await Booking.findById(payment.bookingId);
+  const invoice = await findLatestInvoice(payment.bookingId);
+
+  return issue({
+    kind: 'receipt',
+    bookingId: payment.bookingId,
+    bookingReference: booking ? booking.reference : undefined,
+    clientId: payment.clientId,
+    paymentId: payment._id,
+    relatesTo: invoice ? invoice._id : undefined,
+    relatesToNumber: invoice ? invoice.number : undefined,
+    currency: payment.currency,
+    buyer: booking ? await getBuyer(booking) : {},
+    lines: [{
+      description: payment.description,
+      paymentId: payment._id,
+      net: payment.amount,
+      gross: payment.amount
+    }],
+    note: payment.providerRef ? `Payment reference: ${payment.providerRef}` : undefined,
+    createdBy: payment.createdBy
+  });
+};
+
+/**
+ * Issue a credit note for a settled refund, once
+ * The booking is invoiced first if it has not been, so the credit note
+ * always has an invoice to credit.
+ *
+ * @param {Object} refund - Refund entry
+ * @returns {Promise<Object|null>} Credit note, or null if the refund has not
+ *   settled
+ */
+exports.issueCreditNote = async (refund) => {
+  if (refund.type !== 'refund' || refund.status !== 'succeeded') {
+    return null;
+  }
+
+  const existing = await Invoice.findOne({ kind: 'credit-note', paymentId: refund._id });
+  if (existing) {
+    return existing;
+  }
+
+  const booking = await Booking.findById(refund.bookingId);
+  if (booking) {
+    await exports.issueInvoice(booking);
+  }
+  const invoice = await findLatestInvoice(refund.bookingId);
+
+  return issue({
+    kind: 'credit-note',
+    bookingId: refund.bookingId,
+    bookingReference: booking ? booking.reference : undefined,
+    clientId: refund.clientId,
+    paymentId: refund._id,
+    relatesTo: invoice ? invoice._id : undefined,
+    relatesToNumber: invoice ? invoice.number : undefined,
+    currency: refund.currency,
+    buyer: booking ? await getBuyer(booking) : {},
+    lines: [{
+      paymentId: refund._id,
+      ...exports.creditLine(refund.amount, invoice, refund.description ? `Refund: ${refund.description}` : 'Refund')
+    }],
+    createdBy: refund.createdBy
+  });
+};
+
+/**
+ * Issue a credit note for an invoiced charge that has been voided, once
+ * The charge's line on its invoice is credited in full.
+ *
+ * @param {Object} charge - Voided charge entry
+ * @param {Object} user - User who voided the charge
+ * @returns {Promise<Object|null>} Credit note, or null if the charge is not
+ *   void or was never invoiced
+ */
+exports.issueVoidCreditNote = async (charge, user = null) => {
+  if (charge.type !== 'charge' || charge.status !== 'void' || !charge.invoiceId) {
+    return null;
+  }
+
+  const existing = await Invoice.findOne({ kind: 'credit-note', paymentId: charge._id });
+  if (existing) {
+    return existing;
+  }
+
+  // Charges are claimed before their invoice is issued, so it may not exist
+  const invoice = await Invoice.findById(charge.invoiceId);
+  if (!invoice) {
+    return null;
+  }
+
+  const line = invoice.lines.find(invoiceLine => invoiceLine.paymentId && invoiceLine.paymentId.equals(charge._id));
+  const description = `Cancelled: ${line ? line.description : charge.description || 'charge'}`;
+  const credited = line
+    ? { description, vatRate: line.vatRate, net: line.net, vat: line.vat, gross: line.gross }
+    : exports.creditLine(charge.amount, invoice, description);
+  const booking = await Booking.findById(charge.bookingId);
+
+  return issue({
+    kind: 'credit-note',
+    bookingId: charge.bookingId,
+    bookingReference: invoice.bookingReference,
+    clientId: charge.clientId,
+    paymentId: charge._id,
+    relatesTo: invoice._id,
+    relatesToNumber: invoice.number,
+    currency: invoice.currency,
+    buyer: booking ? await getBuyer(booking) : invoice.buyer,
+    lines: [{ paymentId: charge._id, ...credited }],
+    createdBy: user ? user._id : charge.voidedBy
+  });
+};
+
+/**
+ * Issue the document a settled or voided ledger entry calls for
+ * Failures are logged rather than thrown, so money movements are never
+ * undone because a document could not be issued.
+ *
+ * @param {Object} entry - Payment, refund or voided charge entry
+ * @returns {Promise<Object|null>} Receipt or credit note issued, if any
+ */
+exports.issueForPayment = async (entry) => {
+  try {
+    if (entry.type === 'charge') {
+      return await exports.issueVoidCreditNote(entry);
+    }
+
+    return entry.type === 'refund'
+      ? await exports.issueCreditNote(entry)
+      : await exports.issueReceipt(entry);
+  } catch (error) {
+    logger.error(`Issuing a document for ${entry.type} ${entry._id} failed: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Find a booking by ID
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Booking
+ */
+const findBooking = async (bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw new ValidationError('Invalid booking ID format', 'INVALID_BOOKING_ID');
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  return booking;
+};
+
+/**
+ * Get a booking's current invoice with its PDF
+ * Charges posted since the last invoice are billed on a new one first.
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} user - User asking for it
+ * @returns {Promise<Object>} Invoice
+ */
+exports.getInvoice = async (bookingId, user = null) => {
+  const booking = await findBooking(bookingId);
+
+  await exports.issueInvoice(booking, user);
+
+  const invoice = await findLatestInvoice(booking._id).select('+pdf');
+  if (!invoice) {
+    throw new NotFoundError('There is nothing to invoice for this booking', 'NOTHING_TO_INVOICE');
+  }
+
+  return invoice;
+};
+
+/**
+ * List a booking's invoices, receipts and credit notes, oldest first
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Array>} Documents, without their PDFs
+ */
+exports.listDocuments = async (bookingId) => {
+  const booking = await findBooking(bookingId);
+
+  return Invoice.find({ bookingId: booking._id }).sort({ issuedAt: 1 });
+};
+
+/**
+ * Get one of a booking's documents with its PDF
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {string} number - Document number
+ * @returns {Promise<Object>} Document
+ */
+exports.getDocument = async (bookingId, number) => {
+  const booking = await findBooking(bookingId);
+
+  const document = await Invoice.findOne({ bookingId: booking._id, number }).select('+pdf');
+  if (!document) {
+    throw new NotFoundError('Document not found', 'DOCUMENT_NOT_FOUND');
+  }
+
+  return document;
+};
+
+/**
+ * Make an email attachment of a document
+ *
+ * @param {Object} document - Document with its PDF
+ * @returns {Object} Nodemailer attachment
+ */
+exports.toAttachment = (document) => ({
+  filename: document.filename,
+  content: document.pdf,
+  contentType: 'application/pdf'
+});
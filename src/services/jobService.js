@@ -0,0 +1,294 @@
+/**
+ * Job Service
+ * Job queue kept in MongoDB: jobs are queued with a time to run, taken by
+ * one worker at a time and retried with a growing delay when they fail
+ */
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const config = require('../config');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Identifies this process on the jobs it takes
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Handlers by job type
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type
+ * Only types with a handler are taken by this process's worker
+ *
+ * @param {string} type - Job type
+ * @param {Function} handler - Async function called with the job's payload
+ *   and the job; what it returns is stored as the job's result
+ * @returns {void}
+ */
+exports.registerHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job
+ *
+ * @param {string} type - Job type
+ * @param {Object} payload - Data the handler needs
+ * @param {Object} options - Options
+ * @param {Date} options.runAt - When to run the job (defaults to now)
+ * @param {string} options.uniqueKey - Key the job is queued under only once;
+ *   queueing it again returns the existing job
+ * @param {number} options.maxAttempts - Attempts before the job is marked failed
+ * @param {string} options.schedule - Schedule the job runs for
+ * @param {string} options.trigger - 'schedule', 'manual' or 'event' (the default)
+ * @param {string} options.triggeredBy - User who queued the job by hand
+ * @returns {Promise<Object>} Queued job
+ */
+exports.enqueue = async (type, payload = {}, options = {}) => {
+  const {
+    runAt = new Date(),
+    uniqueKey,
+    maxAttempts = config.jobs.maxAttempts,
+    schedule,
+    trigger = 'event',
+    triggeredBy
+  } = options;
+  const fields = { type, payload, runAt, maxAttempts, trigger };
+  if (schedule) fields.schedule = schedule;
+  if (triggeredBy) fields.triggeredBy = triggeredBy;
+
+  if (!uniqueKey) {
+    return Job.create(fields);
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { uniqueKey },
+      { $setOnInsert: { ...fields, status: 'pending', attempts: 0 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Another process queued the same job at the same moment
+    if (error.code === 11000) {
+      return Job.findOne({ uniqueKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel pending jobs
+ *
+ * @param {Object} filter - Job query, e.g. { type, 'payload.bookingId': id }
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+exports.cancelJobs = async (filter) => {
+  const result = await Job.updateMany({ ...filter, status: 'pending' }, { status: 'cancelled' });
+  return result.modifiedCount;
+};
+
+/**
+ * Take the next due job for this worker
+ * Jobs left running by a worker that stopped are taken again once their
+ * lock has timed out
+ *
+ * @returns {Promise<Object|null>} Job, or null if nothing is due
+ */
+const claimNext = async () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - config.jobs.lockTimeoutMinutes * 60 * 1000);
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: now, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Run a job taken by this worker and record how it went
+ *
+ * @param {Object} job - Job document
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (job.attempts > job.maxAttempts) {
+      throw new Error(`Gave up after ${job.maxAttempts} attempts`);
+    }
+
+    const result = await handler(job.payload, job);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        status: 'completed',
+        result,
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedAt: null,
+        lastError: null
+      }
+    );
+  } catch (error) {
+    const retry = job.attempts < job.maxAttempts;
+    // 1, 2, 4, 8... minutes between attempts, up to an hour
+    const delayMinutes = Math.min(2 ** (job.attempts - 1), 60);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        status: retry ? 'pending' : 'failed',
+        runAt: retry ? new Date(Date.now() + delayMinutes * 60 * 1000) : job.runAt,
+        lastError: error.message,
+        lockedBy: null,
+        lockedAt: null
+      }
+    );
+
+    logger.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}: ${error.message}${retry ? `; retrying in ${delayMinutes} minutes` : ''}`);
+  }
+};
+
+/**
+ * Run every job that is due, one at a time
+ *
+ * @param {number} limit - Most jobs to run in one go
+ * @returns {Promise<number>} Number of jobs run
+ */
+exports.runDueJobs = async (limit = 50) => {
+  let count = 0;
+
+  while (count < limit) {
+    const job = await claimNext();
+    if (!job) {
+      break;
+    }
+
+    await runJob(job);
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Start running due jobs in the background
+ *
+ * @param {number} intervalSeconds - Seconds between checks for due jobs
+ * @returns {Object} Interval timer
+ */
+exports.startWorker = (intervalSeconds = config.jobs.pollIntervalSeconds) => {
+  let busy = false;
+
+  const timer = setInterval(() => {
+    // A slow batch must not overlap the next one
+    if (busy) return;
+    busy = true;
+
+    exports.runDueJobs()
+      .catch(error => {
+        logger.error(`Job worker failed: ${error.message}`);
+      })
+      .finally(() => {
+        busy = false;
+      });
+  }, intervalSeconds * 1000);
+
+  // The worker should never keep the process alive on its own
+  timer.unref();
+
+  logger.info(`Job worker ${WORKER_ID} running every ${intervalSeconds} seconds for: ${[...handlers.keys()].join(', ')}`);
+
+  return timer;
+};
+
+/**
+ * List jobs, newest first
+ *
+ * @param {Object} filters - Filters
+ * @param {string} filters.type - Job type
+ * @param {string} filters.status - Job status
+ * @param {string} filters.schedule - Schedule name
+ * @param {Object} options - Pagination options with page and limit
+ * @returns {Promise<Object>} Object with jobs and pagination
+ */
+exports.listJobs = async (filters = {}, options = {}) => {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+  const query = {};
+  if (filters.type) query.type = filters.type;
+  if (filters.status) query.status = filters.status;
+  if (filters.schedule) query.schedule = filters.schedule;
+
+  const [jobs, total] = await Promise.all([
+    Job.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Job.countDocuments(query)
+  ]);
+
+  return {
+    jobs,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get a job
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job
+ */
+exports.getJob = async (jobId) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw new ValidationError('Invalid job ID format', 'INVALID_JOB_ID');
+  }
+
+  const job = await Job.findById(jobId);
+  if (!job) {
+    throw new NotFoundError('Job not found', 'JOB_NOT_FOUND');
+  }
+
+  return job;
+};
+
+/**
+ * Queue a failed or cancelled job to run again now, with its attempts reset
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Queued job
+ */
+exports.retryJob = async (jobId) => {
+  const job = await exports.getJob(jobId);
+
+  const retried = await Job.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['failed', 'cancelled'] } },
+    { status: 'pending', runAt: new Date(), attempts: 0, lastError: null },
+    { new: true }
+  );
+
+  if (!retried) {
+    throw new ConflictError(`A ${job.status} job cannot be retried`, 'JOB_NOT_RETRYABLE');
+  }
+
+  return retried;
+};
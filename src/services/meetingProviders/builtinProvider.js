@@ -0,0 +1,30 @@
+/**
+ * Built-in Meeting Provider
+ * Makes an unguessable room URL under MEETING_BASE_URL for each meeting.
+ * Nothing is booked with a third party: the room exists once someone opens
+ * the link, as with Jitsi Meet, so closing a room only forgets its link.
+ */
+const crypto = require('crypto');
+const config = require('../../config');
+
+/**
+ * Make a room for a meeting
+ *
+ * @returns {Promise<Object>} Object with roomId and joinUrl
+ */
+exports.createMeeting = async () => {
+  const { baseUrl, roomPrefix } = config.meetings.builtin;
+  const roomId = [roomPrefix, crypto.randomBytes(12).toString('hex')].filter(Boolean).join('-');
+
+  return {
+    roomId,
+    joinUrl: `${baseUrl.replace(/\/+$/, '')}/${roomId}`
+  };
+};
+
+/**
+ * Close a room
+ *
+ * @returns {Promise<void>}
+ */
+exports.deleteMeeting = async () => {};
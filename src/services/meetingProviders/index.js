@@ -0,0 +1,38 @@
+/**
+ * Meeting Providers
+ * Adapters that create the video rooms remote consultations are held in
+ *
+ * Every provider exposes the same methods:
+ * - createMeeting({ bookingId, reference, title, startsAt, endsAt })
+ *   resolves to { roomId, joinUrl, hostUrl }; hostUrl is optional and only
+ *   shown to staff
+ * - deleteMeeting({ roomId }) resolves once the room is closed, so its link
+ *   stops working
+ *
+ * To add a provider, write an adapter with these methods, add it to
+ * PROVIDERS below and select it with MEETING_PROVIDER.
+ */
+const config = require('../../config');
+const builtinProvider = require('./builtinProvider');
+
+const PROVIDERS = {
+  builtin: builtinProvider
+};
+
+/**
+ * Get a meeting provider
+ *
+ * @param {string} name - Provider name; defaults to the configured one
+ * @returns {Object} Provider
+ */
+exports.getProvider = (name = config.meetings.provider) => {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown meeting provider "${name}"`);
+  }
+
+  return provider;
+};
+
+exports.PROVIDER_NAMES = Object.keys(PROVIDERS);
@@ -0,0 +1,89 @@
+/**
+ * Meeting Service
+ * Gives bookings of remote services a video meeting link through the
+ * configured meeting provider, and replaces it when a booking moves
+ */
+const Service = require('../models/Service');
+const meetingProviders = require('./meetingProviders');
+const { ACTIVE_STATUSES } = require('./availabilityService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Close a booking's meeting room with the provider that made it
+ *
+ * @param {Object} meeting - Booking's meeting
+ * @returns {Promise<void>}
+ */
+const closeRoom = async (meeting) => {
+  try {
+    await meetingProviders.getProvider(meeting.provider).deleteMeeting({ roomId: meeting.roomId });
+  } catch (error) {
+    logger.warn(`Closing meeting room ${meeting.roomId} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Bring a booking's meeting in line with its service
+ * Active bookings of remote services get a meeting if they have none, and
+ * a new one in place of the old when rotate is set; bookings of other
+ * services lose theirs. Failures are logged rather than thrown, so a booking is
+ * never undone because its meeting could not be made.
+ *
+ * @param {Object} booking - Booking; its meeting is updated and saved
+ * @param {Object} options - Options
+ * @param {Object} options.service - Booking's service, if already loaded
+ * @param {boolean} options.rotate - Replace an existing meeting, so the
+ *   old link stops working
+ * @returns {Promise<Object|null>} Booking's meeting
+ */
+exports.syncMeeting = async (booking, { service = null, rotate = false } = {}) => {
+  try {
+    const serviceId = booking.serviceId && booking.serviceId._id ? booking.serviceId._id : booking.serviceId;
+    const bookedService = service && service._id.equals(serviceId)
+      ? service
+      : await Service.findById(serviceId).select('name isRemote');
+    const previous = booking.meeting && booking.meeting.joinUrl ? booking.meeting : null;
+
+    if (!bookedService || !bookedService.isRemote) {
+      if (previous) {
+        booking.meeting = undefined;
+        await booking.save({ validateBeforeSave: false });
+        await closeRoom(previous);
+      }
+      return null;
+    }
+
+    if ((previous && !rotate) || !ACTIVE_STATUSES.includes(booking.status)) {
+      return previous;
+    }
+
+    const providerName = config.meetings.provider;
+    const room = await meetingProviders.getProvider(providerName).createMeeting({
+      bookingId: booking._id.toString(),
+      reference: booking.reference,
+      title: `${booking.serviceName} - Recovery Office`,
+      startsAt: booking.startsAt,
+      endsAt: booking.endsAt
+    });
+
+    booking.meeting = {
+      provider: providerName,
+      roomId: room.roomId,
+      joinUrl: room.joinUrl,
+      hostUrl: room.hostUrl,
+      createdAt: new Date()
+    };
+    await booking.save({ validateBeforeSave: false });
+
+    if (previous) {
+      await closeRoom(previous);
+      logger.info(`Meeting link for booking ${booking._id} replaced`);
+    }
+
+    return booking.meeting;
+  } catch (error) {
+    logger.error(`Meeting for booking ${booking._id} could not be set up: ${error.message}`);
+    return booking.meeting && booking.meeting.joinUrl ? booking.meeting : null;
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Fake Payment Provider
+ * Settles payments locally, for development and tests. Payments succeed at
+ * once unless PAYMENT_FAKE_AUTO_COMPLETE is false, in which case they stay
+ * pending until a signed webhook settles them.
+ */
+const crypto = require('crypto');
+const config = require('../../config');
+
+/**
+ * Make a reference like a real provider's
+ *
+ * @param {string} prefix - Reference prefix
+ * @returns {string} Reference
+ */
+const makeReference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Sign a webhook body as the provider would
+ * The signature header is "t=<unix seconds>,v1=<hex HMAC-SHA256 of t.body>".
+ *
+ * @param {string} rawBody - Request body
+ * @param {number} timestamp - Unix seconds the body is signed at
+ * @returns {string} Signature header value
+ */
+exports.signPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', config.payments.webhookSecret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Start a payment
+ *
+ * @param {Object} payment - Payment details
+ * @param {number} payment.amount - Amount to take
+ * @returns {Promise<Object>} Object with reference, status and checkoutUrl
+ */
+exports.createPayment = async ({ amount }) => {
+  const reference = makeReference('fake_pay');
+
+  return {
+    reference,
+    status: config.payments.fake.autoComplete ? 'succeeded' : 'pending',
+    checkoutUrl: config.payments.fake.autoComplete
+      ? undefined
+      : `https://payments.example.test/checkout/${reference}?amount=${amount}`
+  };
+};
+
+/**
+ * Refund some or all of a payment
+ *
+ * @returns {Promise<Object>} Object with reference and status
+ */
+exports.refund = async () => ({
+  reference: makeReference('fake_ref'),
+  status: config.payments.fake.autoComplete ? 'succeeded' : 'pending'
+});
+
+/**
+ * Check a webhook's signature and read its event
+ *
+ * @param {Buffer|string} rawBody - Request body as received
+ * @param {Object} headers - Request headers
+ * @returns {Object} Event with id, type, reference and failureReason
+ * @throws {Error} If the signature is missing, wrong or too old
+ */
+exports.verifyWebhook = (rawBody, headers) => {
+  const header = headers['x-payment-signature'] || '';
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+
+  if (!timestamp || !parts.v1) {
+    throw new Error('Missing webhook signature');
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > config.payments.webhookToleranceSeconds) {
+    throw new Error('Webhook signature has expired');
+  }
+
+  const expected = exports.signPayload(body, timestamp).split('v1=')[1];
+  const given = Buffer.from(parts.v1, 'hex');
+
+  if (given.length !== expected.length / 2 || !crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'))) {
+    throw new Error('Webhook signature does not match');
+  }
+
+  const event = JSON.parse(body);
+
+  return {
+    id: event.id,
+    type: event.type,
+    reference: event.data && event.data.reference,
+    failureReason: event.data && event.data.failureReason
+  };
+};
@@ -0,0 +1,49 @@
+/**
+ * Payment Providers
+ * Adapters the payments ledger takes and refunds money through
+ *
+ * Every provider exposes the same methods:
+ * - createPayment({ amount, currency, description, bookingId, idempotencyKey })
+ *   resolves to { reference, status, checkoutUrl }
+ * - refund({ reference, amount, currency, idempotencyKey })
+ *   resolves to { reference, status }
+ * - verifyWebhook(rawBody, headers) returns the event as
+ *   { id, type, reference, failureReason }, or throws if the signature is bad
+ *
+ * status is 'pending', 'succeeded' or 'failed'; pending payments and
+ * refunds are settled by webhook events of type payment.succeeded,
+ * payment.failed, refund.succeeded and refund.failed.
+ */
+const config = require('../../config');
+const fakeProvider = require('./fakeProvider');
+
+const PROVIDERS = {
+  fake: fakeProvider
+};
+
+// Providers that never take real money
+const TEST_PROVIDERS = ['fake'];
+
+/**
+ * Get a payment provider
+ * Test providers are refused in production, where they would mark
+ * bookings paid without any money being taken.
+ *
+ * @param {string} name - Provider name; defaults to the configured one
+ * @returns {Object} Provider
+ */
+exports.getProvider = (name = config.payments.provider) => {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+
+  if (config.env === 'production' && TEST_PROVIDERS.includes(name)) {
+    throw new Error(`The "${name}" payment provider cannot be used in production; set PAYMENT_PROVIDER`);
+  }
+
+  return provider;
+};
+
+exports.PROVIDER_NAMES = Object.keys(PROVIDERS);
@@ -0,0 +1,465 @@
+/**
+ * Payment Service
+ * Keeps each booking's payments ledger: charges for what the booking costs,
+ * deposits and payments taken through the payment provider, and refunds.
+ * The booking's paymentStatus is always worked out from the ledger, and
+ * settled payments and refunds are given a receipt or credit note, as are
+ * invoiced charges that are voided.
+ */
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const paymentProviders = require('./paymentProviders');
+const invoiceService = require('./invoiceService');
+const config = require('../config');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ConflictError
+} = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Charges for cancellation policy fees
+const FEE_CATEGORIES = ['late-cancellation', 'no-show'];
+
+/**
+ * Round an amount to the penny
+ *
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Total a booking's ledger and work out its payment status
+ *
+ * - unpaid: nothing received yet, or nothing owed
+ * - partial: some but not all of what is owed has been received
+ * - paid: everything owed has been received
+ * - fee-due: a cancellation or no-show fee is still owed
+ * - refunded: everything received has been paid back
+ *
+ * @param {Array} entries - Ledger entries
+ * @returns {Object} Object with charged, received, refunded, balance and status
+ */
+exports.summarize = (entries) => {
+  const total = (type) => roundAmount(entries
+    .filter(entry => entry.type === type && entry.status === 'succeeded')
+    .reduce((sum, entry) => sum + entry.amount, 0));
+
+  const charged = total('charge');
+  const received = roundAmount(total('deposit') + total('payment'));
+  const refunded = total('refund');
+  const net = roundAmount(received - refunded);
+  const balance = roundAmount(charged - net);
+
+  const feeOwed = entries.some(entry => (
+    entry.type === 'charge' && entry.status === 'succeeded' && FEE_CATEGORIES.includes(entry.category)
+  ));
+
+  let status;
+  if (balance <= 0 && net > 0) {
+    status = 'paid';
+  } else if (balance > 0 && feeOwed) {
+    status = 'fee-due';
+  } else if (net > 0) {
+    status = 'partial';
+  } else if (refunded > 0) {
+    status = 'refunded';
+  } else {
+    status = 'unpaid';
+  }
+
+  return { charged, received, refunded, balance, status };
+};
+
+/**
+ * Work out a booking's payment status from its ledger and store it
+ *
+ * @param {Object} booking - Booking; its paymentStatus is updated in place
+ * @returns {Promise<Object>} Ledger summary
+ */
+exports.refreshPaymentStatus = async (booking) => {
+  const entries = await Payment.find({ bookingId: booking._id });
+  const summary = exports.summarize(entries);
+
+  if (booking.paymentStatus !== summary.status) {
+    await Booking.updateOne({ _id: booking._id }, { paymentStatus: summary.status });
+  }
+
+  booking.paymentStatus = summary.status;
+
+  return summary;
+};
+
+/**
+ * Find a booking by ID
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Booking
+ */
+const findBooking = async (bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw new ValidationError('Invalid booking ID format', 'INVALID_BOOKING_ID');
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  return booking;
+};
+
+/**
+ * Get a booking's ledger, oldest entry first, and its totals
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Object with booking, entries and summary
+ */
+exports.getLedger = async (bookingId) => {
+  const booking = await findBooking(bookingId);
+  const entries = await Payment.find({ bookingId: booking._id }).sort({ createdAt: 1 });
+
+  return {
+    booking,
+    entries,
+    summary: exports.summarize(entries)
+  };
+};
+
+/**
+ * Post a charge to a booking's ledger
+ *
+ * @param {Object} booking - Booking
+ * @param {Object} charge - Charge
+ * @param {number} charge.amount - Amount owed
+ * @param {string} charge.category - What the charge is for
+ * @param {string} charge.description - Description
+ * @param {Object} charge.user - User posting the charge
+ * @returns {Promise<Object>} Charge entry
+ */
+exports.postCharge = async (booking, { amount, category = 'manual', description, user = null }) => {
+  const charge = await Payment.create({
+    bookingId: booking._id,
+    clientId: booking.clientId,
+    type: 'charge',
+    category,
+    amount: roundAmount(amount),
+    currency: config.payments.currency,
+    status: 'succeeded',
+    description,
+    settledAt: new Date(),
+    createdBy: user ? user._id : undefined
+  });
+
+  await exports.refreshPaymentStatus(booking);
+
+  return charge;
+};
+
+/**
+ * Charge a new booking its service's price, once
+ *
+ * @param {Object} booking - Booking
+ * @param {Object} service - Booking's service
+ * @returns {Promise<Object|null>} Charge entry, or null for free services
+ *   and bookings already charged
+ */
+exports.postBookingCharge = async (booking, service) => {
+  if (!service || !service.price) {
+    return null;
+  }
+
+  const existing = await Payment.exists({ bookingId: booking._id, type: 'charge', category: 'booking' });
+  if (existing) {
+    return null;
+  }
+
+  return exports.postCharge(booking, {
+    amount: service.price,
+    category: 'booking',
+    description: service.name
+  });
+};
+
+/**
+ * Void a booking's charges in some categories
+ * Charges already invoiced are given a credit note.
+ *
+ * @param {Object} booking - Booking
+ * @param {Array} categories - Charge categories to void
+ * @param {Object} user - User voiding them
+ * @returns {Promise<number>} Number of charges voided
+ */
+const voidCharges = async (booking, categories, user = null) => {
+  const charges = await Payment.find({
+    bookingId: booking._id,
+    type: 'charge',
+    category: { $in: categories },
+    status: 'succeeded'
+  }).select('_id');
+  let voided = 0;
+
+  for (const { _id } of charges) {
+    // Only the request that voids the charge credits it
+    const charge = await Payment.findOneAndUpdate(
+      { _id, status: 'succeeded' },
+      { status: 'void', voidedAt: new Date(), voidedBy: user ? user._id : undefined },
+      { new: true }
+    );
+
+    if (charge) {
+      voided += 1;
+      await invoiceService.issueForPayment(charge);
+    }
+  }
+
+  return voided;
+};
+
+/**
+ * Bring a cancelled or no-show booking's charges in line with its policy
+ * outcome: the booking's own charge is voided and any unwaived fee is
+ * charged instead
+ *
+ * @param {Object} booking - Booking with a policyOutcome
+ * @param {Object} user - User cancelling or marking the booking
+ * @returns {Promise<Object>} Ledger summary
+ */
+exports.applyPolicyOutcome = async (booking, user = null) => {
+  const outcome = booking.policyOutcome;
+
+  await voidCharges(booking, ['booking', ...FEE_CATEGORIES], user);
+
+  if (outcome && outcome.fee > 0 && !outcome.waived) {
+    await Payment.create({
+      bookingId: booking._id,
+      clientId: booking.clientId,
+      type: 'charge',
+      category: outcome.kind,
+      amount: roundAmount(outcome.fee),
+      currency: config.payments.currency,
+      status: 'succeeded',
+      description: outcome.reason,
+      settledAt: new Date(),
+      createdBy: user ? user._id : undefined
+    });
+  }
+
+  return exports.refreshPaymentStatus(booking);
+};
+
+/**
+ * Take a deposit or payment for a booking through the payment provider
+ *
+ * @param {string} bookingId - Booking ID
+ * @param {Object} options - Options
+ * @param {string} options.type - 'deposit' or 'payment'
+ * @param {number} options.amount - Amount to take; defaults to the balance
+ * @param {Object} options.user - User taking the payment
+ * @returns {Promise<Object>} Object with payment entry, receipt (once it
+ *   has settled) and ledger summary
+ */
+exports.takePayment = async (bookingId, { type = 'payment', amount, user = null }) => {
+  const booking = await findBooking(bookingId);
+  const { entries, summary } = await exports.getLedger(booking._id);
+
+  // Payments still waiting on the provider will settle part of the balance
+  const pending = roundAmount(entries
+    .filter(entry => ['deposit', 'payment'].includes(entry.type) && entry.status === 'pending')
+    .reduce((sum, entry) => sum + entry.amount, 0));
+  const owed = roundAmount(summary.balance - pending);
+
+  const toTake = roundAmount(amount !== undefined ? amount : owed);
+
+  if (!(toTake > 0)) {
+    throw new ValidationError('There is nothing owed on this booking', 'NOTHING_OWED');
+  }
+
+  if (toTake > owed) {
+    const error = new ValidationError('The amount is more than is owed on the booking', 'AMOUNT_EXCEEDS_BALANCE');
+    error.details = { balance: summary.balance, pending };
+    throw error;
+  }
+
+  const providerName = config.payments.provider;
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    clientId: booking.clientId,
+    type,
+    amount: toTake,
+    currency: config.payments.currency,
+    status: 'pending',
+    description: `${type === 'deposit' ? 'Deposit' : 'Payment'} for booking ${booking.reference}`,
+    provider: providerName,
+    createdBy: user ? user._id : undefined
+  });
+
+  try {
+    const result = await paymentProviders.getProvider(providerName).createPayment({
+      amount: toTake,
+      currency: config.payments.currency,
+      description: payment.description,
+      bookingId: booking._id.toString(),
+      idempotencyKey: payment._id.toString()
+    });
+
+    payment.providerRef = result.reference;
+    payment.checkoutUrl = result.checkoutUrl;
+    payment.status = result.status;
+    if (result.status === 'succeeded') {
+      payment.settledAt = new Date();
+    }
+  } catch (error) {
+    payment.status = 'failed';
+    payment.failureReason = error.message;
+    logger.error(`Payment for booking ${booking._id} failed: ${error.message}`);
+  }
+
+  await payment.save();
+
+  return {
+    payment,
+    receipt: await invoiceService.issueForPayment(payment),
+    summary: await exports.refreshPaymentStatus(booking)
+  };
+};
+
+/**
+ * Refund some or all of a deposit or payment through the provider
+ *
+ * @param {string} paymentId - Deposit or payment entry to refund
+ * @param {Object} options - Options
+ * @param {number} options.amount - Amount to refund; defaults to all that
+ *   has not been refunded yet
+ * @param {string} options.reason - Why the money is refunded
+ * @param {Object} options.user - User making the refund
+ * @returns {Promise<Object>} Object with refund entry, credit note (once
+ *   it has settled) and ledger summary
+ */
+exports.refundPayment = async (paymentId, { amount, reason, user = null }) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw new ValidationError('Invalid payment ID format', 'INVALID_PAYMENT_ID');
+  }
+
+  const original = await Payment.findById(paymentId);
+  if (!original) {
+    throw new NotFoundError('Payment not found', 'PAYMENT_NOT_FOUND');
+  }
+
+  if (!['deposit', 'payment'].includes(original.type) || original.status !== 'succeeded') {
+    throw new ConflictError('Only settled deposits and payments can be refunded', 'PAYMENT_NOT_REFUNDABLE');
+  }
+
+  // Refunds that have not failed count against what is left
+  const earlier = await Payment.find({ refundOf: original._id, status: { $in: ['pending', 'succeeded'] } });
+  const refundable = roundAmount(original.amount - earlier.reduce((sum, refund) => sum + refund.amount, 0));
+  const toRefund = roundAmount(amount !== undefined ? amount : refundable);
+
+  if (!(toRefund > 0) || toRefund > refundable) {
+    const error = new ValidationError(`At most ${refundable} of this payment can be refunded`, 'AMOUNT_EXCEEDS_REFUNDABLE');
+    error.details = { refundable };
+    throw error;
+  }
+
+  const refund = await Payment.create({
+    bookingId: original.bookingId,
+    clientId: original.clientId,
+    type: 'refund',
+    amount: toRefund,
+    currency: original.currency,
+    status: 'pending',
+    description: reason,
+    provider: original.provider,
+    refundOf: original._id,
+    createdBy: user ? user._id : undefined
+  });
+
+  try {
+    const result = await paymentProviders.getProvider(original.provider).refund({
+      reference: original.providerRef,
+      amount: toRefund,
+      currency: original.currency,
+      idempotencyKey: refund._id.toString()
+    });
+
+    refund.providerRef = result.reference;
+    refund.status = result.status;
+    if (result.status === 'succeeded') {
+      refund.settledAt = new Date();
+    }
+  } catch (error) {
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    logger.error(`Refund of payment ${original._id} failed: ${error.message}`);
+  }
+
+  await refund.save();
+
+  const booking = await findBooking(original.bookingId);
+
+  return {
+    refund,
+    creditNote: await invoiceService.issueForPayment(refund),
+    summary: await exports.refreshPaymentStatus(booking)
+  };
+};
+
+/**
+ * Settle a pending payment or refund from a provider's signed webhook
+ * Events for entries that are already settled are ignored, so a provider
+ * can deliver the same event more than once.
+ *
+ * @param {string} providerName - Provider the webhook came from
+ * @param {Buffer|string} rawBody - Request body as received
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Object saying what was done with the event
+ */
+exports.handleWebhook = async (providerName, rawBody, headers) => {
+  if (!paymentProviders.PROVIDER_NAMES.includes(providerName)) {
+    throw new NotFoundError('Unknown payment provider', 'UNKNOWN_PROVIDER');
+  }
+
+  let event;
+  try {
+    event = paymentProviders.getProvider(providerName).verifyWebhook(rawBody, headers);
+  } catch (error) {
+    logger.warn(`Rejected ${providerName} webhook: ${error.message}`);
+    throw new AuthenticationError('Invalid webhook signature', 'INVALID_WEBHOOK_SIGNATURE');
+  }
+
+  const [kind, outcome] = (event.type || '').split('.');
+  if (!['payment', 'refund'].includes(kind) || !['succeeded', 'failed'].includes(outcome)) {
+    return { ignored: 'UNHANDLED_EVENT', type: event.type };
+  }
+
+  const entry = await Payment.findOneAndUpdate(
+    {
+      provider: providerName,
+      providerRef: event.reference,
+      type: kind === 'refund' ? 'refund' : { $in: ['deposit', 'payment'] },
+      status: 'pending'
+    },
+    outcome === 'succeeded'
+      ? { status: 'succeeded', settledAt: new Date() }
+      : { status: 'failed', failureReason: event.failureReason || 'Declined by the provider' },
+    { new: true }
+  );
+
+  if (!entry) {
+    return { ignored: 'NO_PENDING_ENTRY', type: event.type };
+  }
+
+  const booking = await Booking.findById(entry.bookingId);
+  if (booking) {
+    await exports.refreshPaymentStatus(booking);
+  }
+
+  await invoiceService.issueForPayment(entry);
+
+  logger.info(`${providerName} webhook ${event.type} settled ${entry.type} ${entry._id}`);
+
+  return { settled: entry._id.toString(), status: entry.status };
+};
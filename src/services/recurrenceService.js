@@ -2,120 +2,293 @@
  * Recurrence Service
  * Handles generation and management of recurring bookings
  */
+const mongoose = require('mongoose');
 const moment = require('moment');
 const Booking = require('../models/Booking');
-const Slot = require('../models/Slot');
-const { ConflictError } = require('../utils/AppError');
+const Closure = require('../models/Closure');
+const StaffProfile = require('../models/StaffProfile');
+const TimeSlot = require('../models/TimeSlot');
+const availabilityService = require('./availabilityService');
+const staffService = require('./staffService');
+const { DEFAULT_TIMEZONE, slotToInstants, toDayKey } = require('../utils/timezone');
+const { buildRule, expandRule, patternForRule, splitRule } = require('../utils/recurrence');
+const { ConflictError, ValidationError } = require('../utils/AppError');
 const logger = require('../utils/logger');
 
+/**
+ * Find why a repeat of a booking cannot be booked, whoever else has booked it
+ *
+ * @param {Object} service - Service being booked, if known
+ * @param {string} serviceId - Service ID
+ * @param {Date} date - Day of the repeat
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {string} timezone - Office zone of the time slot
+ * @returns {Promise<string|null>} Reason code, or null if the time can be booked
+ */
+const checkOccurrence = async (service, serviceId, date, timeSlot, timezone) => {
+  if (service && !availabilityService.isOfferedByTemplate(service, date, timeSlot)) {
+    return 'SLOT_NOT_OFFERED';
+  }
+
+  if (await Closure.isClosedOn(date, serviceId)) {
+    return 'OFFICE_CLOSED';
+  }
+
+  // Times skipped when the clocks go forward cannot be booked
+  const instants = slotToInstants(date, timeSlot, timezone);
+  if (!instants) {
+    return 'INVALID_LOCAL_TIME';
+  }
+
+  if (instants.startsAt <= new Date()) {
+    return 'SLOT_IN_PAST';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a service's slot is free without taking it
+ *
+ * @param {string} serviceId - Service ID
+ * @param {Date} date - Slot date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @returns {Promise<boolean>} True if nobody has booked, held or blocked the slot
+ */
+const isSlotFree = async (serviceId, date, timeSlot) => {
+  const { startOfDay, endOfDay } = availabilityService.getDayBounds(date);
+  const slotQuery = {
+    serviceId,
+    date: { $gte: startOfDay, $lte: endOfDay },
+    timeSlot
+  };
+
+  const slot = await TimeSlot.findOne(slotQuery);
+  if (slot && (!slot.isAvailable || slot.isBlocked || slot.bookingId || slot.holdId)) {
+    return false;
+  }
+
+  // Bookings made before slots were reserved have no slot document
+  const clash = await Booking.exists({
+    ...slotQuery,
+    status: { $in: availabilityService.ACTIVE_STATUSES }
+  });
+
+  return !clash;
+};
+
 /**
  * Generate recurring bookings based on a parent booking
- * 
- * @param {Object} parentBooking - The parent booking
- * @param {string} pattern - Recurrence pattern ('daily', 'weekly', 'biweekly', 'monthly')
- * @param {Date|string} endDate - End date for recurrence
- * @param {number} count - Number of occurrences (alternative to endDate)
+ *
+ * The parent's recurrence rule is expanded into days, skipping its
+ * exceptions, and each repeat is booked at the parent's time slot. Repeats
+ * that cannot be booked are left out and recorded on the parent's
+ * recurrenceSkipped with the reason.
+ *
+ * When a session is passed, every child booking and slot reservation is
+ * written inside that session's transaction, and any failure is left to
+ * propagate so the whole series is rolled back together.
+ *
+ * @param {Object} parentBooking - The parent booking, with recurrenceRule set
+ * @param {Object} options - Options
+ * @param {Object} options.session - Mongoose session to run the writes in
+ * @param {Object} options.service - Service being booked, if known
+ * @param {boolean} options.keepConsultant - Only book repeats with the
+ *   parent's consultant; otherwise any free consultant takes a repeat the
+ *   parent's consultant cannot
  * @returns {Promise<Array>} Array of created bookings
  */
-exports.generateRecurringBookings = async (parentBooking, pattern, endDate = null, count = null) => {
-  // Validate input
-  if (!pattern || pattern === 'none') {
+exports.generateRecurringBookings = async (parentBooking, options = {}) => {
+  const { session, service = null, keepConsultant = false } = options;
+
+  if (!parentBooking.recurrenceRule) {
     return [];
   }
-  
-  // Calculate iterations based on count or end date
-  let iterations = 0;
-  const startDate = moment(parentBooking.date);
-  
-  if (count && count > 0) {
-    iterations = count;
-  } else if (endDate) {
-    const endMoment = moment(endDate);
-    
-    if (pattern === 'daily') {
-      iterations = endMoment.diff(startDate, 'days');
-    } else if (pattern === 'weekly') {
-      iterations = endMoment.diff(startDate, 'weeks');
-    } else if (pattern === 'biweekly') {
-      iterations = Math.floor(endMoment.diff(startDate, 'weeks') / 2);
-    } else if (pattern === 'monthly') {
-      iterations = endMoment.diff(startDate, 'months');
-    }
-  } else {
-    // Default to 10 occurrences if neither count nor endDate provided
-    iterations = 10;
-  }
-  
-  // Limit iterations for safety
-  iterations = Math.min(iterations, 52); // Maximum 1 year for weekly
-  
-  logger.info(`Generating ${iterations} recurring bookings with pattern: ${pattern}`);
-  
+
+  const repeats = expandRule(parentBooking.recurrenceRule, parentBooking.date, {
+    exceptions: parentBooking.recurrenceExceptions
+  });
+
+  logger.info(`Generating up to ${repeats.length} recurring bookings with rule: ${parentBooking.recurrenceRule}`);
+
   // Store created bookings
   const childBookings = [];
-  
-  // Generate bookings
-  for (let i = 1; i <= iterations; i++) {
-    let newDate;
-    
-    // Calculate date based on pattern
-    if (pattern === 'daily') {
-      newDate = moment(startDate).add(i, 'days');
-    } else if (pattern === 'weekly') {
-      newDate = moment(startDate).add(i, 'weeks');
-    } else if (pattern === 'biweekly') {
-      newDate = moment(startDate).add(i * 2, 'weeks');
-    } else if (pattern === 'monthly') {
-      newDate = moment(startDate).add(i, 'months');
+  const skipped = [];
+
+  const timezone = parentBooking.timezone || DEFAULT_TIMEZONE;
+  const consultant = parentBooking.consultantId
+    ? await StaffProfile.findById(parentBooking.consultantId).session(session || null)
+    : null;
+
+  for (const repeat of repeats) {
+    if (repeat.excluded) {
+      continue;
     }
-    
-    // Check if slot exists and is available
-    const slot = await Slot.findOne({
+
+    const childBookingId = new mongoose.Types.ObjectId();
+    let childConsultantId = null;
+    let reason = await checkOccurrence(service, parentBooking.serviceId, repeat.date, parentBooking.timeSlot, timezone);
+
+    if (!reason && consultant) {
+      // Occurrences stay with the parent's consultant while they are free
+      const isFree = consultant.isWorkingAt(repeat.date, parentBooking.timeSlot, timezone) &&
+        Boolean(await staffService.lockConsultant(consultant._id, session)) &&
+        await availabilityService.isConsultantFree(consultant._id, repeat.date, parentBooking.timeSlot, {
+          session,
+          timezone
+        });
+
+      if (isFree) {
+        childConsultantId = consultant._id;
+      } else if (service && !keepConsultant) {
+        const substitute = await staffService.assignConsultant(service, repeat.date, parentBooking.timeSlot, { session });
+        childConsultantId = substitute ? substitute._id : null;
+      }
+
+      if (!childConsultantId) {
+        reason = 'CONSULTANT_UNAVAILABLE';
+      }
+    } else if (!reason) {
+      // Reserve the slot before creating the booking so an occurrence is only
+      // created when its slot could be taken atomically
+      const slot = await availabilityService.reserveByTime(
+        parentBooking.serviceId,
+        repeat.date,
+        parentBooking.timeSlot,
+        childBookingId,
+        { session }
+      );
+
+      if (!slot) {
+        reason = 'SLOT_TAKEN';
+      }
+    }
+
+    if (reason) {
+      logger.warn(`Skipping recurring booking on ${repeat.day} at ${parentBooking.timeSlot}: ${reason}`);
+      skipped.push({ date: repeat.date, reason });
+      continue;
+    }
+
+    // Create child booking
+    const childBooking = new Booking({
+      _id: childBookingId,
+      clientId: parentBooking.clientId,
       serviceId: parentBooking.serviceId,
-      date: {
-        $gte: newDate.startOf('day').toDate(),
-        $lte: newDate.endOf('day').toDate()
-      },
+      serviceName: parentBooking.serviceName,
+      date: repeat.date,
+      occurrenceDate: repeat.date,
       timeSlot: parentBooking.timeSlot,
-      isAvailable: true
+      consultantId: childConsultantId,
+      clientTimezone: parentBooking.clientTimezone,
+      status: 'confirmed',
+      isRecurring: true,
+      recurrencePattern: parentBooking.recurrencePattern,
+      parentBookingId: parentBooking._id,
+      notes: parentBooking.notes ? `${parentBooking.notes} (Recurring)` : 'Recurring booking',
+      createdBy: parentBooking.createdBy
     });
-    
-    if (!slot) {
-      logger.warn(`No available slot found for ${newDate.format('YYYY-MM-DD')} at ${parentBooking.timeSlot}`);
-      continue; // Skip if slot not available
-    }
-    
-    try {
-      // Create child booking
-      const childBooking = new Booking({
-        clientId: parentBooking.clientId,
-        serviceId: parentBooking.serviceId,
-        date: newDate.toDate(),
-        timeSlot: parentBooking.timeSlot,
-        status: 'confirmed',
-        isRecurring: true,
-        recurrencePattern: pattern,
-        parentBookingId: parentBooking._id,
-        notes: parentBooking.notes ? `${parentBooking.notes} (Recurring)` : 'Recurring booking'
-      });
-      
-      await childBooking.save();
-      childBookings.push(childBooking);
-      
-      // Update slot availability
-      slot.isAvailable = false;
-      slot.bookingId = childBooking._id;
-      await slot.save();
-      
-      logger.info(`Created recurring booking: ${childBooking._id} for ${newDate.format('YYYY-MM-DD')}`);
-    } catch (error) {
-      logger.error(`Error creating recurring booking: ${error.message}`, { error });
-    }
+    childBooking.setInstants(timezone);
+
+    await childBooking.save({ session });
+    childBookings.push(childBooking);
+
+    logger.info(`Created recurring booking: ${childBooking._id} for ${repeat.day}`);
   }
-  
+
+  parentBooking.recurrenceSkipped = skipped;
+
   return childBookings;
 };
 
+/**
+ * List the occurrences a recurring booking would have, and whether each
+ * can be booked right now, without booking anything
+ *
+ * @param {Object} service - Service document
+ * @param {Object} bookingData - Object with date, timeSlot and consultantId
+ *   ('any' or empty for whoever is free)
+ * @param {Object} recurrence - Recurrence options for recurrenceUtils.buildRule,
+ *   plus exceptions, the days to leave out
+ * @returns {Promise<Object>} Rule, pattern, timezone, occurrences and a summary
+ */
+exports.previewOccurrences = async (service, bookingData, recurrence = {}) => {
+  const { date, timeSlot, consultantId } = bookingData;
+
+  const rule = buildRule(recurrence);
+  if (!rule) {
+    throw new ValidationError('A recurrence rule or pattern is required', 'RECURRENCE_REQUIRED');
+  }
+
+  const repeats = expandRule(rule, date, { exceptions: recurrence.exceptions });
+  const timezone = service.timezone || DEFAULT_TIMEZONE;
+
+  const requestedConsultant = consultantId && consultantId !== 'any'
+    ? await staffService.getConsultantForService(consultantId, service)
+    : null;
+  const consultants = requestedConsultant
+    ? [requestedConsultant]
+    : await StaffProfile.findForService(service);
+
+  const days = [
+    { date: moment(toDayKey(date), 'YYYY-MM-DD').toDate(), day: toDayKey(date), excluded: false, isFirst: true },
+    ...repeats
+  ];
+
+  const occurrences = [];
+
+  for (const entry of days) {
+    let reason = entry.excluded
+      ? 'EXCLUDED'
+      : await checkOccurrence(service, service._id, entry.date, timeSlot, timezone);
+
+    if (!reason && consultants.length > 0) {
+      if (await availabilityService.isBlocked(service._id, entry.date, timeSlot)) {
+        reason = 'SLOT_TAKEN';
+      } else {
+        let isFree = false;
+
+        for (const candidate of consultants) {
+          isFree = candidate.isWorkingAt(entry.date, timeSlot, timezone) &&
+            await availabilityService.isConsultantFree(candidate._id, entry.date, timeSlot, { timezone });
+          if (isFree) break;
+        }
+
+        if (!isFree) {
+          reason = 'CONSULTANT_UNAVAILABLE';
+        }
+      }
+    } else if (!reason && !(await isSlotFree(service._id, entry.date, timeSlot))) {
+      reason = 'SLOT_TAKEN';
+    }
+
+    const instants = slotToInstants(entry.date, timeSlot, timezone);
+
+    occurrences.push({
+      date: entry.day,
+      timeSlot,
+      startsAt: instants ? instants.startsAt : null,
+      endsAt: instants ? instants.endsAt : null,
+      isFirst: Boolean(entry.isFirst),
+      available: !reason,
+      reason
+    });
+  }
+
+  return {
+    rule,
+    pattern: patternForRule(rule),
+    timezone,
+    occurrences,
+    summary: {
+      total: occurrences.length,
+      available: occurrences.filter(occurrence => occurrence.available).length,
+      excluded: occurrences.filter(occurrence => occurrence.reason === 'EXCLUDED').length,
+      unavailable: occurrences.filter(occurrence => !occurrence.available && occurrence.reason !== 'EXCLUDED').length
+    }
+  };
+};
+
 /**
  * Cancel a series of bookings
  * 
@@ -182,6 +355,16 @@ exports.cancelBookingSeries = async (booking, reason, user = null, cancelFutureO
     // Get bookings to cancel
     bookingsToCancel = await Booking.find(query);
     
+    // Cancelling from a later occurrence ends the series the day before it
+    if (cancelFutureOnly && !isParent && parentBooking.recurrenceRule) {
+      parentBooking.recurrenceRule = splitRule(
+        parentBooking.recurrenceRule,
+        parentBooking.getOccurrenceDay(),
+        booking.getOccurrenceDay()
+      ).before;
+      await parentBooking.save({ validateBeforeSave: false });
+    }
+    
     // Process cancellations
     const bookingIds = bookingsToCancel.map(b => b._id);
     const results = {
@@ -197,23 +380,22 @@ exports.cancelBookingSeries = async (booking, reason, user = null, cancelFutureO
       { 
         status: 'cancelled',
         cancellationReason: reason,
-        updatedBy: user ? user._id : undefined
+        updatedBy: user ? user._id : undefined,
+        $inc: { calendarSequence: 1 }
       }
     );
     
     results.cancelled = updateResult.modifiedCount;
     results.bookingIds = bookingIds;
+    // Bookings that were still to take place, for the cancellation policy
+    results.upcomingBookingIds = bookingsToCancel
+      .filter(b => availabilityService.ACTIVE_STATUSES.includes(b.status) && (!b.startsAt || b.startsAt > today))
+      .map(b => b._id);
     
     // Release reserved slots
     for (const bookingId of bookingIds) {
       try {
-        await Slot.findOneAndUpdate(
-          { bookingId },
-          { 
-            isAvailable: true,
-            bookingId: null
-          }
-        );
+        await availabilityService.releaseSlot(bookingId);
       } catch (error) {
         logger.error(`Error releasing slot for booking ${bookingId}: ${error.message}`);
         results.failed++;
@@ -227,21 +409,3 @@ exports.cancelBookingSeries = async (booking, reason, user = null, cancelFutureO
     throw error;
   }
 };
-
-/**
- * Reschedule a series of bookings
- * 
- * @param {Object} booking - The booking to reschedule (either parent or any child)
- * @param {string} newTimeSlot - New time slot
- * @param {Date|string} newDate - New date (optional, only applies to this booking)
- * @param {boolean} rescheduleFutureOnly - Whether to reschedule only future bookings
- * @param {Object} user - User performing the rescheduling
- * @returns {Promise<Object>} Result of rescheduling
- */
-exports.rescheduleBookingSeries = async (booking, newTimeSlot, newDate = null, rescheduleFutureOnly = true, user = null) => {
-  // Implementation for rescheduling a series
-  // This is a more complex operation that would need to check slot availability
-  // for each booking in the series
-  // For brevity, this implementation is not included here
-  throw new Error('Not implemented: rescheduleBookingSeries');
-}; 
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * Reminder Service
+ * Queues reminders for upcoming bookings as jobs, and sends them by email
+ * and, for clients who asked to be contacted by phone, by text message
+ *
+ * Each reminder is keyed by booking, offset and start time, so it is queued
+ * once, sent once, and queued afresh if the booking is moved.
+ */
+const Booking = require('../models/Booking');
+const Job = require('../models/Job');
+const Service = require('../models/Service');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const jobService = require('./jobService');
+const meetingService = require('./meetingService');
+const emailService = require('../utils/emailService');
+const smsService = require('../utils/smsService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const REMINDER_JOB = 'booking-reminder';
+
+exports.REMINDER_JOB = REMINDER_JOB;
+
+/**
+ * Get the minutes before a booking that a service's reminders go out
+ *
+ * @param {Object} service - Service, or null
+ * @returns {Array<number>} Offsets in minutes
+ */
+exports.getReminderOffsets = (service) => (
+  service && Array.isArray(service.reminderOffsets)
+    ? service.reminderOffsets
+    : config.reminders.defaultOffsets
+);
+
+/**
+ * Describe an offset for a reminder, e.g. "48 hours" or "30 minutes"
+ *
+ * @param {number} offsetMinutes - Minutes before the booking
+ * @returns {string} Offset in words
+ */
+exports.describeOffset = (offsetMinutes) => {
+  if (offsetMinutes % 60 === 0) {
+    const hours = offsetMinutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${offsetMinutes} minute${offsetMinutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Work out when a booking's reminders go out
+ * Reminders that would have gone out before the booking was made, or last
+ * moved, are left out: a booking made an hour ahead gets no 48 hour reminder.
+ *
+ * @param {Object} booking - Booking with startsAt, createdAt and rescheduleHistory
+ * @param {Array<number>} offsets - Offsets in minutes
+ * @returns {Array} Reminders as objects with key, offsetMinutes and sendAt,
+ *   earliest first
+ */
+exports.getReminderTimes = (booking, offsets) => {
+  if (!booking.startsAt) {
+    return [];
+  }
+
+  const startsAt = new Date(booking.startsAt);
+  const history = booking.rescheduleHistory || [];
+  const bookedAt = history.length
+    ? history[history.length - 1].rescheduledAt
+    : booking.createdAt;
+
+  return [...new Set(offsets)]
+    .sort((a, b) => b - a)
+    .map(offsetMinutes => ({
+      key: `${booking._id}:${offsetMinutes}:${startsAt.toISOString()}`,
+      offsetMinutes,
+      sendAt: new Date(startsAt.getTime() - offsetMinutes * 60 * 1000)
+    }))
+    .filter(reminder => !bookedAt || reminder.sendAt >= new Date(bookedAt));
+};
+
+/**
+ * Queue reminder jobs for active bookings starting soon
+ * Runs on an interval; reminders already queued or sent are skipped.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reminders queued
+ */
+exports.planReminders = async (now = new Date()) => {
+  const services = await Service.find({}).select('reminderOffsets').lean();
+  const offsetsByService = new Map(
+    services.map(service => [service._id.toString(), exports.getReminderOffsets(service)])
+  );
+
+  const longestOffset = Math.max(
+    0,
+    ...config.reminders.defaultOffsets,
+    ...[...offsetsByService.values()].flat()
+  );
+
+  if (longestOffset === 0) {
+    return 0;
+  }
+
+  // Look one planning run ahead so no reminder falls between two runs
+  const horizon = new Date(
+    now.getTime() + (longestOffset * 60 + config.reminders.planIntervalSeconds) * 1000
+  );
+
+  const bookings = await Booking.find({
+    status: { $in: availabilityService.ACTIVE_STATUSES },
+    startsAt: { $gt: now, $lte: horizon }
+  }).select('serviceId startsAt createdAt rescheduleHistory remindersSent');
+
+  const planned = [];
+  bookings.forEach(booking => {
+    const offsets = offsetsByService.get(booking.serviceId.toString()) || config.reminders.defaultOffsets;
+    const sent = new Set((booking.remindersSent || []).map(reminder => reminder.key));
+
+    exports.getReminderTimes(booking, offsets)
+      .filter(reminder => reminder.sendAt <= horizon && !sent.has(reminder.key))
+      .forEach(reminder => planned.push({ booking, reminder }));
+  });
+
+  if (planned.length === 0) {
+    return 0;
+  }
+
+  const queued = new Set(await Job.distinct('uniqueKey', {
+    uniqueKey: { $in: planned.map(({ reminder }) => `${REMINDER_JOB}:${reminder.key}`) }
+  }));
+
+  let count = 0;
+  for (const { booking, reminder } of planned) {
+    const uniqueKey = `${REMINDER_JOB}:${reminder.key}`;
+    if (queued.has(uniqueKey)) continue;
+
+    await jobService.enqueue(
+      REMINDER_JOB,
+      {
+        bookingId: booking._id.toString(),
+        offsetMinutes: reminder.offsetMinutes,
+        startsAt: booking.startsAt.toISOString()
+      },
+      { runAt: reminder.sendAt, uniqueKey }
+    );
+    count++;
+  }
+
+  if (count > 0) {
+    logger.info(`Queued ${count} booking reminders`);
+  }
+
+  return count;
+};
+
+/**
+ * Send one reminder; the handler for booking-reminder jobs
+ *
+ * The reminder is recorded on the booking before anything is sent, so a
+ * retry or a second worker can never send it twice. If no channel works
+ * the record is removed and the error thrown, so the job is retried.
+ *
+ * @param {Object} payload - Job payload
+ * @param {string} payload.bookingId - Booking to remind the client of
+ * @param {number} payload.offsetMinutes - Minutes before the booking
+ * @param {string} payload.startsAt - Start time the reminder was queued for
+ * @returns {Promise<Object>} Channels used, or why nothing was sent
+ */
+exports.sendReminder = async ({ bookingId, offsetMinutes, startsAt }) => {
+  const booking = await Booking.findById(bookingId)
+    .populate('clientId', 'firstName lastName email phone preferredContactMethod');
+
+  if (!booking || !availabilityService.ACTIVE_STATUSES.includes(booking.status)) {
+    return { skipped: 'BOOKING_NOT_ACTIVE' };
+  }
+
+  // Moved bookings get reminders queued for their new time
+  if (!booking.startsAt || booking.startsAt.toISOString() !== startsAt) {
+    return { skipped: 'BOOKING_MOVED' };
+  }
+
+  const client = booking.clientId;
+  if (!client) {
+    return { skipped: 'CLIENT_NOT_FOUND' };
+  }
+
+  const key = `${booking._id}:${offsetMinutes}:${startsAt}`;
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'remindersSent.key': { $ne: key } },
+    {
+      $push: {
+        remindersSent: {
+          key,
+          offsetMinutes,
+          startsAt: booking.startsAt,
+          channels: [],
+          sentAt: new Date()
+        }
+      }
+    }
+  );
+
+  if (!claimed) {
+    return { skipped: 'ALREADY_SENT' };
+  }
+
+  // Make the meeting link again if the provider failed when it was booked
+  await meetingService.syncMeeting(booking);
+
+  const emailData = await bookingService.buildBookingEmailData(booking);
+  emailData.reminderLabel = exports.describeOffset(offsetMinutes);
+
+  const channels = [];
+  const errors = [];
+
+  const emailResult = await emailService.sendBookingReminder(client, emailData);
+  if (emailResult.success) {
+    channels.push('email');
+  } else {
+    errors.push(`email: ${emailResult.error}`);
+  }
+
+  if (['phone', 'both'].includes(client.preferredContactMethod) && client.phone) {
+    const smsResult = await smsService.sendSms(
+      client.phone,
+      `Recovery Office reminder: your ${emailData.serviceName} is in ${emailData.reminderLabel}, ` +
+        `${emailData.timeSlot} ${emailData.timezoneLabel} (Ref ${emailData.reference}). ` +
+        (emailData.meetingUrl ? `Join online: ${emailData.meetingUrl} ` : '') +
+        `Manage your booking: ${emailData.manageUrl}`
+    );
+    if (smsResult.success) {
+      channels.push('sms');
+    } else if (!smsResult.skipped) {
+      errors.push(`sms: ${smsResult.error}`);
+    }
+  }
+
+  if (channels.length === 0) {
+    await Booking.updateOne({ _id: booking._id }, { $pull: { remindersSent: { key } } });
+    throw new Error(`Reminder for booking ${booking.reference} not sent: ${errors.join('; ')}`);
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id, 'remindersSent.key': key },
+    { $set: { 'remindersSent.$.channels': channels, reminderSent: true } }
+  );
+
+  logger.info(`Sent ${emailData.reminderLabel} reminder for booking ${booking.reference} by ${channels.join(' and ')}`);
+
+  return { channels, errors };
+};
+
+/**
+ * Register the reminder job handler and start queueing reminders in the
+ * background
+ *
+ * @param {number} intervalSeconds - Seconds between planning runs
+ * @returns {Object} Interval timer
+ */
+exports.startReminderPlanner = (intervalSeconds = config.reminders.planIntervalSeconds) => {
+  jobService.registerHandler(REMINDER_JOB, exports.sendReminder);
+
+  const plan = () => exports.planReminders().catch(error => {
+    logger.error(`Reminder planning failed: ${error.message}`);
+  });
+
+  const timer = setInterval(plan, intervalSeconds * 1000);
+
+  // The planner should never keep the process alive on its own
+  timer.unref();
+
+  plan();
+
+  logger.info(`Reminder planner running every ${intervalSeconds} seconds`);
+
+  return timer;
+};
@@ -4,14 +4,17 @@
  */
 const fs = require('fs');
 const path = require('path');
-const moment = require('moment');
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
 const json2csv = require('json2csv').Parser;
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
+const Report = require('../models/Report');
 const analyticsService = require('./analyticsService');
 const emailService = require('./emailService');
 const logger = require('../utils/logger');
-const { InternalError } = require('../utils/AppError');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { InternalError, ValidationError, NotFoundError } = require('../utils/AppError');
 
 /**
  * Generate a CSV report
@@ -208,70 +211,135 @@ exports.generatePDF = async (reportType, filters = {}) => {
   }
 };
 
+// File details for each report format
+const FORMATS = {
+  csv: { mimeType: 'text/csv', extension: 'csv', generate: 'generateCSV' },
+  excel: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    generate: 'generateExcel'
+  },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', generate: 'generatePDF' }
+};
+
+/**
+ * Work out the dates a rolling window covers
+ * The window ends at the end of the day before now, in the given zone, so a
+ * "last 7 days" report sent on a Monday covers Monday to Sunday just gone.
+ *
+ * @param {Object} window - Window with amount and unit ('day', 'week' or 'month')
+ * @param {string} timezone - IANA zone days are worked out in
+ * @param {Date} now - Current time
+ * @returns {Object} Object with startDate and endDate
+ */
+exports.resolveWindow = (window, timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+  const end = moment.tz(now, timezone).startOf('day');
+  const start = end.clone().subtract(window.amount, window.unit);
+
+  return {
+    startDate: start.toDate(),
+    endDate: new Date(end.valueOf() - 1)
+  };
+};
+
+/**
+ * Generate a report and store it so it can be downloaded again
+ *
+ * @param {string} reportType - Type of report to generate
+ * @param {string} format - 'csv', 'excel' or 'pdf'
+ * @param {Object} filters - Filters for the report data
+ * @param {Object} details - Report details
+ * @param {string} details.source - 'export', 'email' or 'subscription'
+ * @param {string} details.subscriptionId - Subscription the report was sent for
+ * @param {Object} details.user - User who asked for the report
+ * @returns {Promise<Object>} Stored report, with its content
+ */
+exports.createReport = async (reportType, format, filters = {}, details = {}) => {
+  const { source = 'export', subscriptionId, user } = details;
+  const { mimeType, extension, generate } = FORMATS[format] || FORMATS.pdf;
+
+  const content = Buffer.from(await exports[generate](reportType, filters));
+
+  return Report.create({
+    reportType,
+    format,
+    title: getReportTitle(reportType),
+    filename: `${reportType}_report_${moment().format('YYYY-MM-DD')}.${extension}`,
+    mimeType,
+    size: content.length,
+    content,
+    filters: {
+      startDate: filters.startDate || undefined,
+      endDate: filters.endDate || undefined,
+      period: filters.period || undefined,
+      limit: filters.limit || undefined
+    },
+    source,
+    subscriptionId,
+    generatedBy: user ? user._id : undefined
+  });
+};
+
+/**
+ * Email a stored report to each recipient and record who it reached
+ *
+ * @param {Object} report - Report from createReport
+ * @param {Array<string>} recipients - Email addresses
+ * @param {Function} optionsFor - Returns extra email options for a recipient,
+ *   such as their pause and unsubscribe links
+ * @returns {Promise<Array>} Deliveries, with sentAt or error for each recipient
+ */
+exports.deliverReport = async (report, recipients, optionsFor = () => ({})) => {
+  const periodText = getFilterText(report.filters || {});
+  const deliveries = [];
+
+  for (const email of recipients) {
+    try {
+      await emailService.sendReportEmail(
+        email,
+        report.title,
+        report.content,
+        report.filename,
+        report.mimeType,
+        { periodText, ...optionsFor(email) }
+      );
+      deliveries.push({ email, sentAt: new Date() });
+    } catch (error) {
+      deliveries.push({ email, error: error.message });
+    }
+  }
+
+  await Report.updateOne({ _id: report._id }, { $push: { deliveries: { $each: deliveries } } });
+
+  return deliveries;
+};
+
 /**
- * Schedule a report to be sent via email
+ * Email a report once, now
+ * Reports sent on a schedule are report subscriptions
  * 
  * @param {string} reportType - Type of report to generate
  * @param {Object} filters - Filters for the report data
- * @param {string} email - Email address to send the report to
- * @param {string} format - Format of the report (csv, excel, pdf)
- * @param {string} frequency - How often to send the report (once, daily, weekly, monthly)
- * @returns {Promise<Object>} Result of scheduling the report
+ * @param {string} email - Recipient email address
+ * @param {string} format - Report format (csv, excel, pdf)
+ * @param {Object} user - User who asked for the report
+ * @returns {Promise<Object>} Delivery result
  */
-exports.scheduleReport = async (reportType, filters, email, format, frequency) => {
+exports.scheduleReport = async (reportType, filters, email, format, user = null) => {
   try {
-    // For simplicity, we'll just generate and send the report once
-    // In a real implementation, you would store the schedule in the database
-    // and use a job scheduler like node-cron to send reports on schedule
-    
-    let reportBuffer;
-    let mimeType;
-    let extension;
-    
-    switch (format) {
-      case 'csv':
-        reportBuffer = await exports.generateCSV(reportType, filters);
-        mimeType = 'text/csv';
-        extension = 'csv';
-        break;
-      case 'excel':
-        reportBuffer = await exports.generateExcel(reportType, filters);
-        mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-        extension = 'xlsx';
-        break;
-      case 'pdf':
-      default:
-        reportBuffer = await exports.generatePDF(reportType, filters);
-        mimeType = 'application/pdf';
-        extension = 'pdf';
+    const report = await exports.createReport(reportType, format, filters, { source: 'email', user });
+    const [delivery] = await exports.deliverReport(report, [email]);
+
+    if (delivery.error) {
+      throw new Error(delivery.error);
     }
     
-    const title = getReportTitle(reportType);
-    const fileName = `${reportType}_report_${moment().format('YYYY-MM-DD')}.${extension}`;
-    
-    await emailService.sendEmail({
-      to: email,
-      subject: `${title} - Recovery Office Report`,
-      html: `
-        <h2>Recovery Office Report</h2>
-        <p>Please find attached your requested ${title}.</p>
-        <p>This report was generated on ${moment().format('MMMM D, YYYY [at] h:mm A')}.</p>
-        <p>Thank you for using our services.</p>
-      `,
-      attachments: [
-        {
-          filename: fileName,
-          content: reportBuffer,
-          contentType: mimeType
-        }
-      ]
-    });
-    
     return {
       message: `Report has been sent to ${email}`,
+      reportId: report._id,
       reportType,
       format,
-      sentAt: new Date()
+      sentAt: delivery.sentAt
     };
   } catch (error) {
     logger.error(`Error scheduling report: ${error.message}`, { error });
@@ -279,6 +347,60 @@ exports.scheduleReport = async (reportType, filters, email, format, frequency) =
   }
 };
 
+/**
+ * List stored reports, newest first
+ *
+ * @param {Object} filters - Filters with reportType, source and subscriptionId
+ * @param {Object} options - Pagination options with page and limit
+ * @returns {Promise<Object>} Object with reports and pagination
+ */
+exports.listReports = async (filters = {}, options = {}) => {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+  const query = {};
+  if (filters.reportType) query.reportType = filters.reportType;
+  if (filters.source) query.source = filters.source;
+  if (filters.subscriptionId) query.subscriptionId = filters.subscriptionId;
+
+  const [reports, total] = await Promise.all([
+    Report.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Report.countDocuments(query)
+  ]);
+
+  return {
+    reports,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get a stored report with its file
+ *
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report, with its content
+ */
+exports.getReport = async (reportId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    throw new ValidationError('Invalid report ID format', 'INVALID_REPORT_ID');
+  }
+
+  const report = await Report.findById(reportId).select('+content');
+  if (!report) {
+    throw new NotFoundError('Report not found', 'REPORT_NOT_FOUND');
+  }
+
+  return report;
+};
+
 /**
  * Get data for a specific report type
  * 
@@ -0,0 +1,362 @@
+/**
+ * Report Subscription Service
+ * Saved reports emailed on a schedule. Each active subscription has a
+ * schedule in the scheduler; every delivery is stored as a report.
+ */
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Report = require('../models/Report');
+const ReportSubscription = require('../models/ReportSubscription');
+const jobService = require('./jobService');
+const reportService = require('./reportService');
+const schedulerService = require('./schedulerService');
+const config = require('../config');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError
+} = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const REPORT_JOB = 'report-subscription';
+
+// Window each frequency covers when none is given
+const DEFAULT_WINDOWS = {
+  daily: { amount: 1, unit: 'day' },
+  weekly: { amount: 7, unit: 'day' },
+  monthly: { amount: 1, unit: 'month' }
+};
+
+// Fields that can be changed after a subscription is made
+const EDITABLE_FIELDS = ['name', 'reportType', 'format', 'recipients', 'frequency', 'window', 'filters', 'timezone'];
+
+/**
+ * Build the cron expression for a frequency: daily, Mondays, or the first
+ * of the month, at the configured hour
+ *
+ * @param {string} frequency - 'daily', 'weekly' or 'monthly'
+ * @returns {string} Cron expression
+ */
+const cronFor = (frequency) => {
+  const hour = config.reportSubscriptions.sendHour;
+
+  switch (frequency) {
+    case 'daily':
+      return `0 ${hour} * * *`;
+    case 'weekly':
+      return `0 ${hour} * * 1`;
+    case 'monthly':
+    default:
+      return `0 ${hour} 1 * *`;
+  }
+};
+
+/**
+ * Name of a subscription's schedule
+ *
+ * @param {Object} subscription - Subscription
+ * @returns {string} Schedule name
+ */
+const scheduleName = (subscription) => `report-subscription:${subscription._id}`;
+
+/**
+ * Create or update the schedule that delivers a subscription
+ *
+ * @param {Object} subscription - Active subscription
+ * @returns {Promise<Object>} Schedule
+ */
+const scheduleSubscription = (subscription) => schedulerService.defineSchedule({
+  name: scheduleName(subscription),
+  description: `${subscription.frequency} ${subscription.reportType} report to ${subscription.recipients.join(', ')}`,
+  type: REPORT_JOB,
+  cron: cronFor(subscription.frequency),
+  timezone: subscription.timezone,
+  payload: { subscriptionId: subscription._id.toString() }
+});
+
+/**
+ * Create a subscription and schedule its first delivery
+ *
+ * @param {Object} data - Subscription fields
+ * @param {Object} user - User creating the subscription
+ * @returns {Promise<Object>} Object with subscription and nextRunAt
+ */
+exports.createSubscription = async (data, user = null) => {
+  const subscription = await ReportSubscription.create({
+    ...data,
+    window: data.window || DEFAULT_WINDOWS[data.frequency],
+    createdBy: user ? user._id : undefined
+  });
+
+  const schedule = await scheduleSubscription(subscription);
+
+  logger.info(`Report subscription ${subscription._id} created: ${subscription.frequency} ${subscription.reportType}`);
+
+  return { subscription, nextRunAt: schedule.nextRunAt };
+};
+
+/**
+ * Get a subscription
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription
+ */
+exports.getSubscription = async (subscriptionId) => {
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    throw new ValidationError('Invalid subscription ID format', 'INVALID_SUBSCRIPTION_ID');
+  }
+
+  const subscription = await ReportSubscription.findById(subscriptionId);
+  if (!subscription) {
+    throw new NotFoundError('Report subscription not found', 'SUBSCRIPTION_NOT_FOUND');
+  }
+
+  return subscription;
+};
+
+/**
+ * List subscriptions, newest first
+ *
+ * @param {Object} filters - Filters with status and reportType
+ * @returns {Promise<Array>} Subscriptions
+ */
+exports.listSubscriptions = (filters = {}) => {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.reportType) query.reportType = filters.reportType;
+
+  return ReportSubscription.find(query).sort({ createdAt: -1 });
+};
+
+/**
+ * Change a subscription; its schedule follows a new frequency or timezone
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated subscription
+ */
+exports.updateSubscription = async (subscriptionId, changes) => {
+  const subscription = await exports.getSubscription(subscriptionId);
+
+  if (subscription.status === 'unsubscribed') {
+    throw new ValidationError('An unsubscribed report cannot be changed', 'SUBSCRIPTION_ENDED');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      subscription[field] = changes[field];
+    }
+  });
+
+  await subscription.save();
+
+  if (subscription.status === 'active') {
+    await scheduleSubscription(subscription);
+  }
+
+  return subscription;
+};
+
+/**
+ * Pause a subscription; no reports go out until it is resumed
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} user - User pausing it, if any
+ * @returns {Promise<Object>} Updated subscription
+ */
+exports.pauseSubscription = async (subscriptionId, user = null) => {
+  const subscription = await exports.getSubscription(subscriptionId);
+
+  if (subscription.status !== 'active') {
+    return subscription;
+  }
+
+  subscription.status = 'paused';
+  await subscription.save();
+  await schedulerService.pauseSchedule(scheduleName(subscription), user);
+
+  return subscription;
+};
+
+/**
+ * Resume a paused subscription from its next send time
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Object with subscription and nextRunAt
+ */
+exports.resumeSubscription = async (subscriptionId) => {
+  const subscription = await exports.getSubscription(subscriptionId);
+
+  if (subscription.status === 'unsubscribed') {
+    throw new ValidationError('An unsubscribed report cannot be resumed', 'SUBSCRIPTION_ENDED');
+  }
+
+  subscription.status = 'active';
+  await subscription.save();
+
+  await scheduleSubscription(subscription);
+  const schedule = await schedulerService.resumeSchedule(scheduleName(subscription));
+
+  return { subscription, nextRunAt: schedule.nextRunAt };
+};
+
+/**
+ * End a subscription for good; its past reports are kept
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Updated subscription
+ */
+exports.endSubscription = async (subscriptionId) => {
+  const subscription = await exports.getSubscription(subscriptionId);
+
+  subscription.status = 'unsubscribed';
+  await subscription.save();
+  await schedulerService.removeSchedule(scheduleName(subscription));
+
+  logger.info(`Report subscription ${subscription._id} ended`);
+
+  return subscription;
+};
+
+/**
+ * Queue a delivery of a subscription now, outside its schedule
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} user - User asking for the delivery
+ * @returns {Promise<Object>} Queued job
+ */
+exports.sendNow = async (subscriptionId, user = null) => {
+  const subscription = await exports.getSubscription(subscriptionId);
+
+  if (subscription.status === 'unsubscribed') {
+    throw new ValidationError('An unsubscribed report cannot be sent', 'SUBSCRIPTION_ENDED');
+  }
+
+  return jobService.enqueue(REPORT_JOB, { subscriptionId: subscription._id.toString(), force: true }, {
+    schedule: scheduleName(subscription),
+    trigger: 'manual',
+    triggeredBy: user ? user._id : undefined
+  });
+};
+
+/**
+ * Generate and email a subscription's report; the handler for
+ * report-subscription jobs
+ *
+ * @param {Object} payload - Job payload
+ * @param {string} payload.subscriptionId - Subscription to deliver
+ * @param {boolean} payload.force - Send even if the subscription is paused
+ * @returns {Promise<Object>} Report ID and who it reached
+ */
+exports.deliverSubscription = async ({ subscriptionId, force = false }) => {
+  const subscription = await ReportSubscription.findById(subscriptionId);
+
+  if (!subscription || subscription.status === 'unsubscribed') {
+    return { skipped: 'SUBSCRIPTION_ENDED' };
+  }
+
+  if (subscription.status === 'paused' && !force) {
+    return { skipped: 'SUBSCRIPTION_PAUSED' };
+  }
+
+  const filters = {
+    ...reportService.resolveWindow(subscription.window, subscription.timezone),
+    period: subscription.filters && subscription.filters.period,
+    limit: subscription.filters && subscription.filters.limit
+  };
+
+  const report = await reportService.createReport(subscription.reportType, subscription.format, filters, {
+    source: 'subscription',
+    subscriptionId: subscription._id
+  });
+
+  const deliveries = await reportService.deliverReport(
+    report,
+    subscription.recipients,
+    email => subscription.getLinks(email)
+  );
+
+  await ReportSubscription.updateOne(
+    { _id: subscription._id },
+    { lastReportId: report._id, lastSentAt: new Date() }
+  );
+
+  const failed = deliveries.filter(delivery => delivery.error);
+  if (failed.length === deliveries.length) {
+    throw new Error(`Report ${report._id} could not be emailed: ${failed[0].error}`);
+  }
+
+  return {
+    reportId: report._id.toString(),
+    sentTo: deliveries.filter(delivery => delivery.sentAt).map(delivery => delivery.email),
+    failed: failed.map(delivery => delivery.email)
+  };
+};
+
+/**
+ * Act on a pause or unsubscribe link from a report email
+ * Pausing stops the report for everyone until an admin resumes it;
+ * unsubscribing removes only the recipient the link was sent to, and ends
+ * the subscription when no one is left.
+ *
+ * @param {string} token - Token from the link
+ * @param {string} action - 'pause' or 'unsubscribe'
+ * @returns {Promise<Object>} Object with subscription and message
+ */
+exports.handleLink = async (token, action) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.reportSubscriptions.secret);
+  } catch (error) {
+    throw new AuthenticationError('Invalid link', 'INVALID_SUBSCRIPTION_LINK');
+  }
+
+  if (decoded.type !== 'report-subscription') {
+    throw new AuthenticationError('Invalid link', 'INVALID_SUBSCRIPTION_LINK');
+  }
+
+  const subscription = await ReportSubscription.findById(decoded.subscriptionId);
+  if (!subscription || !subscription.recipients.includes(decoded.email)) {
+    return { subscription: null, message: 'You no longer receive this report' };
+  }
+
+  if (action === 'pause') {
+    await exports.pauseSubscription(subscription._id);
+    return { subscription, message: 'This report has been paused' };
+  }
+
+  const remaining = subscription.recipients.filter(email => email !== decoded.email);
+
+  if (remaining.length === 0) {
+    // The last recipient left, so the subscription ends
+    await exports.endSubscription(subscription._id);
+  } else {
+    subscription.recipients = remaining;
+    await subscription.save();
+    await scheduleSubscription(subscription);
+  }
+
+  logger.info(`${decoded.email} unsubscribed from report subscription ${subscription._id}`);
+
+  return { subscription, message: 'You have been unsubscribed from this report' };
+};
+
+/**
+ * Get a subscription's stored reports, newest first
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {number} limit - Most reports to return
+ * @returns {Promise<Array>} Reports, without their files
+ */
+exports.getReportHistory = (subscriptionId, limit = 10) => (
+  Report.find({ subscriptionId }).sort({ createdAt: -1 }).limit(limit)
+);
+
+/**
+ * Register the handler that delivers subscriptions
+ *
+ * @returns {void}
+ */
+exports.registerJobHandler = () => {
+  jobService.registerHandler(REPORT_JOB, exports.deliverSubscription);
+};
@@ -0,0 +1,255 @@
+/**
+ * Scheduler Service
+ * Runs background work on cron expressions. Schedules are stored in MongoDB;
+ * each run is queued as a job, so the job worker's locking and retries
+ * apply, and only one instance queues each run however many are running.
+ */
+const { CronExpressionParser } = require('cron-parser');
+const Schedule = require('../models/Schedule');
+const Waitlist = require('../models/Waitlist');
+const RefreshToken = require('../models/RefreshToken');
+const jobService = require('./jobService');
+const config = require('../config');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { ValidationError, NotFoundError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Schedules the application always runs, with the handlers for their jobs
+const BUILT_IN_SCHEDULES = [
+  {
+    name: 'expire-waitlist',
+    description: 'Mark waitlist entries past their expiry date as expired',
+    type: 'waitlist-expire',
+    cron: '*/15 * * * *',
+    handler: async () => ({ expired: await Waitlist.processExpired() })
+  },
+  {
+    name: 'remove-expired-tokens',
+    description: 'Delete refresh tokens that have expired',
+    type: 'refresh-token-cleanup',
+    cron: '30 3 * * *',
+    handler: async () => {
+      const result = await RefreshToken.removeExpiredTokens();
+      return { removed: result.deletedCount };
+    }
+  }
+];
+
+/**
+ * Work out the next time a cron expression fires
+ *
+ * @param {string} cron - Five field cron expression
+ * @param {string} timezone - IANA zone the expression is read in
+ * @param {Date} from - Time to look after (defaults to now)
+ * @returns {Date} Next run time
+ */
+exports.getNextRunAt = (cron, timezone = DEFAULT_TIMEZONE, from = new Date()) => {
+  const fields = String(cron || '').trim().split(/\s+/);
+
+  if (fields.length !== 5) {
+    const error = new ValidationError(
+      'Cron expression must have five fields: minute, hour, day of month, month and day of week',
+      'INVALID_CRON'
+    );
+    error.details = { cron };
+    throw error;
+  }
+
+  try {
+    return CronExpressionParser.parse(fields.join(' '), { currentDate: from, tz: timezone }).next().toDate();
+  } catch (error) {
+    const invalid = new ValidationError(`Invalid cron expression: ${error.message}`, 'INVALID_CRON');
+    invalid.details = { cron };
+    throw invalid;
+  }
+};
+
+/**
+ * Create or update a schedule
+ * The next run is worked out again only when the timing changes, so
+ * defining the built-in schedules on every start up does not move them.
+ *
+ * @param {Object} definition - Schedule fields: name, type, cron, and
+ *   optionally timezone, payload, description, maxAttempts and builtIn
+ * @returns {Promise<Object>} Schedule
+ */
+exports.defineSchedule = async (definition) => {
+  const { name, cron, timezone = DEFAULT_TIMEZONE } = definition;
+  const nextRunAt = exports.getNextRunAt(cron, timezone);
+
+  const schedule = await Schedule.findOne({ name });
+
+  if (!schedule) {
+    return Schedule.create({ ...definition, timezone, nextRunAt });
+  }
+
+  const retimed = schedule.cron !== cron || schedule.timezone !== timezone;
+  Object.assign(schedule, definition, { timezone });
+  if (retimed && !schedule.paused) {
+    schedule.nextRunAt = nextRunAt;
+  }
+
+  return schedule.save();
+};
+
+/**
+ * Remove a schedule; runs already queued still go ahead
+ *
+ * @param {string} name - Schedule name
+ * @returns {Promise<boolean>} True if a schedule was removed
+ */
+exports.removeSchedule = async (name) => {
+  const result = await Schedule.deleteOne({ name });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Get a schedule by name
+ *
+ * @param {string} name - Schedule name
+ * @returns {Promise<Object>} Schedule
+ */
+exports.getSchedule = async (name) => {
+  const schedule = await Schedule.findOne({ name });
+
+  if (!schedule) {
+    throw new NotFoundError('Schedule not found', 'SCHEDULE_NOT_FOUND');
+  }
+
+  return schedule;
+};
+
+/**
+ * List schedules
+ *
+ * @returns {Promise<Array>} Schedules, by name
+ */
+exports.listSchedules = () => Schedule.find({}).sort({ name: 1 });
+
+/**
+ * Queue a run of every schedule that is due
+ *
+ * The schedule's next run time is moved on with a conditional update before
+ * its job is queued, so when several instances check at once only one of
+ * them queues the run. Runs missed while nothing was running are caught up
+ * with a single run.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of runs queued
+ */
+exports.runDueSchedules = async (now = new Date()) => {
+  const due = await Schedule.find({ paused: false, nextRunAt: { $lte: now } });
+
+  let count = 0;
+  for (const schedule of due) {
+    let nextRunAt;
+    try {
+      nextRunAt = exports.getNextRunAt(schedule.cron, schedule.timezone, now);
+    } catch (error) {
+      logger.error(`Schedule ${schedule.name} has an invalid cron expression: ${error.message}`);
+      continue;
+    }
+
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, paused: false, nextRunAt: schedule.nextRunAt },
+      { nextRunAt, lastRunAt: now }
+    );
+
+    if (!claimed) continue;
+
+    const job = await jobService.enqueue(schedule.type, schedule.payload, {
+      uniqueKey: `schedule:${schedule.name}:${schedule.nextRunAt.toISOString()}`,
+      maxAttempts: schedule.maxAttempts,
+      schedule: schedule.name,
+      trigger: 'schedule'
+    });
+
+    await Schedule.updateOne({ _id: schedule._id }, { lastJobId: job._id });
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Queue a run of a schedule now, outside its timetable
+ *
+ * @param {string} name - Schedule name
+ * @param {Object} user - User asking for the run
+ * @returns {Promise<Object>} Queued job
+ */
+exports.triggerSchedule = async (name, user = null) => {
+  const schedule = await exports.getSchedule(name);
+
+  const job = await jobService.enqueue(schedule.type, schedule.payload, {
+    maxAttempts: schedule.maxAttempts,
+    schedule: schedule.name,
+    trigger: 'manual',
+    triggeredBy: user ? user._id : undefined
+  });
+
+  await Schedule.updateOne({ _id: schedule._id }, { lastRunAt: new Date(), lastJobId: job._id });
+
+  logger.info(`Schedule ${name} run by hand as job ${job._id}`);
+
+  return job;
+};
+
+/**
+ * Pause a schedule; no runs are queued until it is resumed
+ *
+ * @param {string} name - Schedule name
+ * @param {Object} user - User pausing the schedule
+ * @returns {Promise<Object>} Updated schedule
+ */
+exports.pauseSchedule = async (name, user = null) => {
+  const schedule = await exports.getSchedule(name);
+
+  schedule.paused = true;
+  schedule.pausedBy = user ? user._id : undefined;
+  schedule.nextRunAt = undefined;
+
+  return schedule.save();
+};
+
+/**
+ * Resume a paused schedule from its next time after now
+ *
+ * @param {string} name - Schedule name
+ * @returns {Promise<Object>} Updated schedule
+ */
+exports.resumeSchedule = async (name) => {
+  const schedule = await exports.getSchedule(name);
+
+  schedule.paused = false;
+  schedule.pausedBy = undefined;
+  schedule.nextRunAt = exports.getNextRunAt(schedule.cron, schedule.timezone);
+
+  return schedule.save();
+};
+
+/**
+ * Set up the built-in schedules and start queueing due runs in the background
+ *
+ * @param {number} intervalSeconds - Seconds between checks for due schedules
+ * @returns {Promise<Object>} Interval timer
+ */
+exports.startScheduler = async (intervalSeconds = config.jobs.schedulerIntervalSeconds) => {
+  for (const { handler, ...definition } of BUILT_IN_SCHEDULES) {
+    jobService.registerHandler(definition.type, handler);
+    await exports.defineSchedule({ ...definition, builtIn: true });
+  }
+
+  const timer = setInterval(() => {
+    exports.runDueSchedules().catch(error => {
+      logger.error(`Scheduler failed: ${error.message}`);
+    });
+  }, intervalSeconds * 1000);
+
+  // The scheduler should never keep the process alive on its own
+  timer.unref();
+
+  logger.info(`Scheduler running every ${intervalSeconds} seconds`);
+
+  return timer;
+};
@@ -0,0 +1,428 @@
+/**
+ * Series Service
+ * Calendar-style edits to recurring bookings: one occurrence, this and
+ * following occurrences, or the whole series
+ *
+ * Edits to a single occurrence are recorded as overrides on the first
+ * booking of the series. Later edits to the series leave overridden fields
+ * alone, so manual changes survive the series being changed again.
+ */
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const StaffProfile = require('../models/StaffProfile');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const meetingService = require('./meetingService');
+const staffService = require('./staffService');
+const { DEFAULT_TIMEZONE, slotToInstants, toDayKey } = require('../utils/timezone');
+const { splitRule } = require('../utils/recurrence');
+const { ConflictError, ValidationError, NotFoundError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Which occurrences an edit applies to
+const SCOPES = ['this', 'following', 'all'];
+
+// Fields an edit can change
+const EDITABLE_FIELDS = ['date', 'timeSlot', 'serviceId', 'consultantId', 'notes'];
+
+exports.SCOPES = SCOPES;
+
+/**
+ * Check whether an occurrence has already started
+ *
+ * @param {Object} booking - Occurrence booking
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the occurrence has started
+ */
+const hasStarted = (booking, now) => {
+  const instants = booking.startsAt
+    ? { startsAt: booking.startsAt }
+    : slotToInstants(booking.date, booking.timeSlot, booking.timezone || DEFAULT_TIMEZONE);
+
+  return Boolean(instants) && instants.startsAt <= now;
+};
+
+/**
+ * Split a series so an occurrence and the ones after it form a new series
+ *
+ * The occurrence becomes the first booking of the new series and takes the
+ * rest of the rule, its exceptions and the overrides of the occurrences
+ * that follow it. The original series now ends the day before.
+ *
+ * @param {Object} head - First booking of the original series
+ * @param {Object} newHead - Occurrence starting the new series
+ * @param {Array} followers - Occurrences after it
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} First booking of the new series
+ */
+const splitSeries = async (head, newHead, followers, session) => {
+  const splitDay = newHead.getOccurrenceDay();
+  const isAfter = date => toDayKey(date) >= splitDay;
+  const toPlain = entry => (entry.toObject ? entry.toObject() : entry);
+
+  if (head.recurrenceRule) {
+    const { before, after } = splitRule(head.recurrenceRule, head.getOccurrenceDay(), splitDay);
+    head.recurrenceRule = before;
+    newHead.recurrenceRule = after;
+  }
+
+  newHead.isRecurring = true;
+  newHead.parentBookingId = undefined;
+  newHead.recurrencePattern = head.recurrencePattern;
+  newHead.occurrenceDate = newHead.occurrenceDate || newHead.date;
+  newHead.seriesTemplate = head.getSeriesTemplate();
+
+  newHead.recurrenceExceptions = head.recurrenceExceptions.filter(isAfter);
+  head.recurrenceExceptions = head.recurrenceExceptions.filter(date => !isAfter(date));
+
+  newHead.recurrenceSkipped = head.recurrenceSkipped.filter(entry => isAfter(entry.date)).map(toPlain);
+  head.recurrenceSkipped = head.recurrenceSkipped.filter(entry => !isAfter(entry.date)).map(toPlain);
+
+  newHead.occurrenceOverrides = head.occurrenceOverrides.filter(entry => isAfter(entry.occurrenceDate)).map(toPlain);
+  head.occurrenceOverrides = head.occurrenceOverrides.filter(entry => !isAfter(entry.occurrenceDate)).map(toPlain);
+
+  const movedIds = new Set([newHead, ...followers].map(booking => booking._id.toString()));
+  newHead.childBookings = followers.map(booking => booking._id);
+  head.childBookings = head.childBookings.filter(id => !movedIds.has(id.toString()));
+
+  followers.forEach(booking => {
+    booking.parentBookingId = newHead._id;
+  });
+  await Booking.updateMany(
+    { _id: { $in: followers.map(booking => booking._id) } },
+    { parentBookingId: newHead._id }
+  ).session(session);
+
+  await head.save({ session });
+
+  logger.info(`Series ${head._id} split at ${splitDay}; new series ${newHead._id}`);
+
+  return newHead;
+};
+
+/**
+ * Apply changes to one occurrence inside the edit's transaction
+ * Changes to the time, service or consultant take the new slot or
+ * consultant exactly as a reschedule would
+ *
+ * @param {Object} occurrence - Occurrence booking
+ * @param {Object} fields - Fields to change
+ * @param {Object} context - Edit context
+ * @param {Object} context.session - Mongoose session
+ * @param {Object} context.user - User making the edit
+ * @param {string} context.reason - Why the series was edited
+ * @param {Object} context.requestedConsultant - Consultant asked for, if any
+ * @param {Function} context.loadService - Load a service by ID
+ * @param {Date} context.now - Current time
+ * @returns {Promise<Object>} Saved occurrence
+ */
+const applyEdit = async (occurrence, fields, context) => {
+  const { session, user, reason, requestedConsultant, loadService, now } = context;
+
+  // Overrides are keyed by the day the rule gave, so remember it before moving
+  occurrence.occurrenceDate = occurrence.occurrenceDate || occurrence.date;
+
+  const moves = Boolean(fields.date || fields.timeSlot || fields.serviceId || fields.consultantId);
+
+  if (moves) {
+    const service = await loadService(fields.serviceId || occurrence.serviceId);
+    const target = {
+      serviceId: service._id,
+      date: fields.date ? new Date(fields.date) : occurrence.date,
+      timeSlot: fields.timeSlot || occurrence.timeSlot
+    };
+
+    const timezone = await bookingService.checkBookable(service, target);
+    const instants = slotToInstants(target.date, target.timeSlot, timezone);
+
+    if (instants.startsAt <= now) {
+      throw new ValidationError('The new time has already started. Please choose a later time.', 'SLOT_IN_PAST');
+    }
+
+    const requested = fields.consultantId ? requestedConsultant : null;
+    const withConsultant = Boolean(requested) || await staffService.hasConsultants(service);
+
+    // Without a choice the occurrence keeps its consultant if they are free
+    // and take the service
+    let currentConsultant = null;
+    if (withConsultant && !requested && occurrence.consultantId) {
+      currentConsultant = await StaffProfile.findOne({ _id: occurrence.consultantId, isBookable: true }).session(session);
+      if (currentConsultant && !currentConsultant.offersService(service)) {
+        currentConsultant = null;
+      }
+    }
+
+    const previous = {
+      fromDate: occurrence.date,
+      fromTimeSlot: occurrence.timeSlot,
+      fromStartsAt: occurrence.startsAt,
+      fromConsultantId: occurrence.consultantId
+    };
+
+    await bookingService.placeBooking(occurrence, target, {
+      session,
+      service,
+      withConsultant,
+      currentConsultant,
+      requestedConsultant: requested
+    });
+
+    const timeChanged = toDayKey(previous.fromDate) !== toDayKey(target.date) || previous.fromTimeSlot !== target.timeSlot;
+
+    if (!occurrence.serviceId.equals(service._id)) {
+      occurrence.serviceId = service._id;
+      occurrence.serviceName = service.name;
+    }
+    occurrence.date = target.date;
+    occurrence.timeSlot = target.timeSlot;
+    occurrence.setInstants(timezone);
+    occurrence.needsReassignment = false;
+    occurrence.reassignment = undefined;
+
+    if (timeChanged) {
+      occurrence.reminderSent = false;
+      occurrence.rescheduleHistory.push({
+        ...previous,
+        toDate: occurrence.date,
+        toTimeSlot: occurrence.timeSlot,
+        toStartsAt: occurrence.startsAt,
+        reason,
+        rescheduledBy: user ? user._id : undefined,
+        byClient: false,
+        rescheduledAt: new Date()
+      });
+    }
+  }
+
+  if (fields.notes !== undefined) {
+    occurrence.notes = fields.notes;
+  }
+
+  occurrence.updatedBy = user ? user._id : occurrence.updatedBy;
+  await occurrence.save({ session });
+
+  return occurrence;
+};
+
+/**
+ * Edit a recurring booking series
+ *
+ * - 'this' changes one occurrence and records the change as an override
+ * - 'following' splits the series at the occurrence, so it and the ones
+ *   after it form a new series, and changes that series
+ * - 'all' changes every occurrence of the series
+ *
+ * Series edits change the series' template and every occurrence that has
+ * not started yet, except fields an occurrence had edited on its own. All
+ * occurrences are changed in one transaction: if any of them cannot take
+ * the new time, service or consultant, nothing is changed and the
+ * occurrences that could not are listed in a SERIES_CONFLICT error.
+ *
+ * @param {string} bookingId - Occurrence the edit was made from
+ * @param {Object} changes - Changes to make
+ * @param {Date|string} changes.date - New day; single occurrences only
+ * @param {string} changes.timeSlot - New time slot in HH:MM-HH:MM format
+ * @param {string} changes.serviceId - New service
+ * @param {string} changes.consultantId - New consultant
+ * @param {string} changes.notes - New notes
+ * @param {string} changes.reason - Why the series was edited
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'this', 'following' or 'all'
+ * @param {Object} options.user - User making the edit
+ * @returns {Promise<Object>} First booking of the edited series, the
+ *   occurrences changed and, after a split, the original series' ID
+ */
+exports.updateSeries = async (bookingId, changes, options = {}) => {
+  const { scope = 'this', user = null } = options;
+
+  if (!SCOPES.includes(scope)) {
+    throw new ValidationError(`Scope must be one of: ${SCOPES.join(', ')}`, 'INVALID_SCOPE');
+  }
+
+  const edit = {};
+  EDITABLE_FIELDS.forEach(field => {
+    // Notes can be cleared; other fields need a value
+    if (changes[field] !== undefined && changes[field] !== null && (field === 'notes' || changes[field] !== '')) {
+      edit[field] = changes[field];
+    }
+  });
+
+  if (Object.keys(edit).length === 0) {
+    throw new ValidationError('Nothing to change', 'NOTHING_TO_UPDATE');
+  }
+
+  if (edit.date && scope !== 'this') {
+    throw new ValidationError(
+      'Only a single occurrence can be moved to another day; change the recurrence rule to move the series',
+      'DATE_CHANGE_NOT_ALLOWED'
+    );
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (!booking.parentBookingId && !booking.isRecurring) {
+    throw new ValidationError('This booking is not part of a recurring series', 'NOT_RECURRING');
+  }
+
+  if (!availabilityService.ACTIVE_STATUSES.includes(booking.status)) {
+    throw new ValidationError(`A ${booking.status} booking cannot be edited`, 'BOOKING_NOT_ACTIVE');
+  }
+
+  const now = new Date();
+  const moves = Boolean(edit.date || edit.timeSlot || edit.serviceId || edit.consultantId);
+
+  if (moves && hasStarted(booking, now)) {
+    throw new ValidationError(
+      'This occurrence has already started; only its notes can be changed',
+      'OCCURRENCE_STARTED'
+    );
+  }
+
+  const services = new Map();
+  const loadService = async (serviceId) => {
+    const key = serviceId.toString();
+    if (!services.has(key)) {
+      const service = await Service.findById(serviceId);
+      if (!service) {
+        throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+      }
+      services.set(key, service);
+    }
+    return services.get(key);
+  };
+
+  const newService = edit.serviceId ? await loadService(edit.serviceId) : null;
+  const requestedConsultant = edit.consultantId
+    ? await staffService.getConsultantForService(edit.consultantId, newService || await loadService(booking.serviceId))
+    : null;
+
+  const session = await mongoose.startSession();
+  let head;
+  let updated = [];
+  let splitFrom = null;
+
+  try {
+    // withTransaction retries the callback on transient errors, so the
+    // series is loaded afresh on every run
+    await session.withTransaction(async () => {
+      updated = [];
+      splitFrom = null;
+
+      const selected = await Booking.findById(bookingId).session(session);
+      head = selected.parentBookingId
+        ? await Booking.findById(selected.parentBookingId).session(session)
+        : selected;
+
+      if (!head) {
+        throw new NotFoundError('The first booking of the series was not found', 'SERIES_NOT_FOUND');
+      }
+
+      const children = await Booking.find({ parentBookingId: head._id }).sort({ date: 1 }).session(session);
+      let members = [head, ...children.map(child => (child._id.equals(selected._id) ? selected : child))];
+
+      if (scope === 'following') {
+        members = members.filter(member => member.getOccurrenceDay() >= selected.getOccurrenceDay());
+
+        if (head !== selected) {
+          splitFrom = head._id;
+          head = await splitSeries(head, selected, members.filter(member => member !== selected), session);
+        }
+      }
+
+      const context = {
+        session,
+        user,
+        reason: changes.reason,
+        requestedConsultant,
+        loadService,
+        now
+      };
+
+      if (scope === 'this') {
+        // Recorded first so the template keeps the values from before the edit
+        head.setOccurrenceOverride(selected, edit, user);
+        updated.push(await applyEdit(selected, edit, context));
+        await head.save({ session });
+        return;
+      }
+
+      const template = { ...head.getSeriesTemplate(), ...edit };
+      if (newService) {
+        template.serviceName = newService.name;
+      }
+      head.seriesTemplate = template;
+
+      const conflicts = [];
+      const targets = members.filter(member =>
+        availabilityService.ACTIVE_STATUSES.includes(member.status) && !hasStarted(member, now)
+      );
+
+      for (const occurrence of targets) {
+        // Fields edited on the occurrence itself keep their own value
+        const override = head.getOccurrenceOverride(occurrence.getOccurrenceDay());
+        const fields = {};
+        Object.keys(edit).forEach(field => {
+          if (!override || override[field] === undefined || override[field] === null) {
+            fields[field] = edit[field];
+          }
+        });
+
+        if (Object.keys(fields).length === 0) {
+          continue;
+        }
+
+        try {
+          updated.push(await applyEdit(occurrence, fields, context));
+        } catch (error) {
+          if (!(error instanceof ValidationError || error instanceof ConflictError)) {
+            throw error;
+          }
+          conflicts.push({
+            bookingId: occurrence._id,
+            date: toDayKey(occurrence.date),
+            timeSlot: fields.timeSlot || occurrence.timeSlot,
+            reason: error.errorCode
+          });
+        }
+      }
+
+      if (conflicts.length > 0) {
+        const error = new ConflictError(
+          `${conflicts.length} occurrences cannot be changed, so the series was left as it was`,
+          'SERIES_CONFLICT'
+        );
+        error.details = { conflicts };
+        throw error;
+      }
+
+      await head.save({ session });
+    });
+  } catch (error) {
+    // A concurrent booking created the same slot document
+    if (error.code === 11000) {
+      throw new ConflictError(
+        'The selected time slot is no longer available. Please choose another time.',
+        'SLOT_TAKEN'
+      );
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Series ${head._id} edited (${scope}): ${updated.length} occurrences changed`);
+
+  // Moved occurrences get new meeting links, and a change of service can
+  // add or remove them
+  if (moves) {
+    for (const occurrence of updated) {
+      await meetingService.syncMeeting(occurrence, { rotate: Boolean(edit.date || edit.timeSlot) });
+    }
+  }
+
+  return { series: head, bookings: updated, splitFrom };
+};
@@ -0,0 +1,148 @@
+/**
+ * Staff Service
+ * Consultant directory lookups, calendars and booking assignment
+ */
+const StaffProfile = require('../models/StaffProfile');
+const Booking = require('../models/Booking');
+const availabilityService = require('./availabilityService');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { ValidationError, NotFoundError } = require('../utils/AppError');
+
+/**
+ * Load a consultant and check they take bookings for a service
+ *
+ * @param {string} consultantId - Staff profile ID
+ * @param {Object} service - Service document
+ * @returns {Promise<Object>} Staff profile
+ */
+exports.getConsultantForService = async (consultantId, service) => {
+  const consultant = await StaffProfile.findById(consultantId);
+
+  if (!consultant) {
+    throw new NotFoundError('Consultant not found', 'CONSULTANT_NOT_FOUND');
+  }
+
+  if (!consultant.offersService(service)) {
+    throw new ValidationError(
+      `${consultant.displayName} does not take bookings for ${service.name}`,
+      'CONSULTANT_NOT_AVAILABLE'
+    );
+  }
+
+  return consultant;
+};
+
+/**
+ * Check whether a service is booked with consultants
+ *
+ * @param {Object} service - Service document
+ * @returns {Promise<boolean>} True if at least one consultant takes the service
+ */
+exports.hasConsultants = async (service) => {
+  const count = await StaffProfile.countDocuments({
+    isBookable: true,
+    specialisms: service.category
+  });
+  return count > 0;
+};
+
+/**
+ * Take the booking lock of a consultant inside a transaction
+ *
+ * Bumping the version makes any other transaction booking the same
+ * consultant conflict with this one, so MongoDB aborts one of them and it
+ * is retried against the committed booking.
+ *
+ * @param {string} consultantId - Staff profile ID
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} Locked staff profile
+ */
+exports.lockConsultant = async (consultantId, session) => {
+  return StaffProfile.findOneAndUpdate(
+    { _id: consultantId, isBookable: true },
+    { $inc: { bookingVersion: 1 } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Assign a free consultant to a time slot inside a booking transaction
+ *
+ * A requested consultant is used if they are free. Otherwise consultants
+ * who take the service are tried in order of how few meetings they already
+ * have that day, so "any available" bookings are spread across the team.
+ *
+ * @param {Object} service - Service document
+ * @param {Date|string} date - Booking date
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {Object} options - Options
+ * @param {Object} options.session - Mongoose session
+ * @param {Object} options.consultant - Requested staff profile
+ * @param {string} options.excludeBookingId - Booking to ignore when checking overlaps
+ * @param {string} options.excludeHoldId - Hold to ignore when checking overlaps
+ * @returns {Promise<Object|null>} Assigned staff profile, or null if nobody is free
+ */
+exports.assignConsultant = async (service, date, timeSlot, options = {}) => {
+  const { session, consultant, excludeBookingId, excludeHoldId } = options;
+  const timezone = service.timezone || DEFAULT_TIMEZONE;
+
+  let candidates = consultant
+    ? [consultant]
+    : await StaffProfile.findForService(service).session(session || null);
+
+  candidates = candidates.filter(candidate => candidate.isWorkingAt(date, timeSlot, timezone));
+
+  if (candidates.length > 1) {
+    const { startOfDay, endOfDay } = availabilityService.getDayBounds(date);
+    const bookings = await Booking.find({
+      consultantId: { $in: candidates.map(candidate => candidate._id) },
+      date: { $gte: startOfDay, $lte: endOfDay },
+      status: { $in: availabilityService.ACTIVE_STATUSES }
+    }).select('consultantId').session(session || null).lean();
+
+    const load = {};
+    bookings.forEach(booking => {
+      const key = booking.consultantId.toString();
+      load[key] = (load[key] || 0) + 1;
+    });
+
+    candidates.sort((a, b) => (load[a._id.toString()] || 0) - (load[b._id.toString()] || 0));
+  }
+
+  for (const candidate of candidates) {
+    const locked = await exports.lockConsultant(candidate._id, session);
+    if (!locked) continue;
+
+    const isFree = await availabilityService.isConsultantFree(candidate._id, date, timeSlot, {
+      session,
+      excludeBookingId,
+      excludeHoldId,
+      timezone
+    });
+
+    if (isFree) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get a consultant's bookings over a date range
+ *
+ * @param {string} consultantId - Staff profile ID
+ * @param {Date} startDate - First day of the range
+ * @param {Date} endDate - Last day of the range
+ * @returns {Promise<Array>} Bookings sorted by date and time
+ */
+exports.getCalendar = async (consultantId, startDate, endDate) => {
+  return Booking.find({
+    consultantId,
+    date: { $gte: startDate, $lte: endDate },
+    status: { $ne: 'cancelled' }
+  })
+    .populate('clientId', 'firstName lastName email phone')
+    .populate('serviceId', 'name duration')
+    .sort('date timeSlot');
+};
@@ -0,0 +1,763 @@
+/**
+ * Waitlist Service
+ * Offers slots freed by cancellations and reschedules to the waitlist
+ *
+ * A freed slot is held for the highest priority matching entry and offered
+ * to them with a link to book it. If they have not booked it when the offer
+ * expires, the hold is released and the slot is offered to the next entry.
+ * Offers are claimed with the signed token from the offer email.
+ */
+const moment = require('moment');
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const SlotHold = require('../models/SlotHold');
+const Waitlist = require('../models/Waitlist');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const holdService = require('./holdService');
+const invoiceService = require('./invoiceService');
+const jobService = require('./jobService');
+const emailService = require('./emailService');
+const mailer = require('../utils/emailService');
+const config = require('../config');
+const { toDayKey } = require('../utils/timezone');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ConflictError
+} = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const SLOT_FREED_JOB = 'waitlist-slot-freed';
+const OFFER_EXPIRY_JOB = 'waitlist-offer-expiry';
+
+// Hold errors meaning the slot cannot be offered after all
+const UNAVAILABLE_CODES = [
+  'SLOT_TAKEN',
+  'SLOT_IN_PAST',
+  'SLOT_NOT_OFFERED',
+  'OFFICE_CLOSED',
+  'INVALID_LOCAL_TIME'
+];
+
+// Fewest past bookings of a service its own cancellation rate is used from;
+// below this the rate across all services is used
+const MIN_HISTORY = 20;
+
+/**
+ * Build the query matching entries that can come on a day, as their
+ * requested date or one of their alternative dates
+ *
+ * @param {Date} startOfDay - Start of the day
+ * @param {Date} endOfDay - End of the day
+ * @returns {Object} Query
+ */
+const onDay = (startOfDay, endOfDay) => ({
+  $or: [
+    { requestedDate: { $gte: startOfDay, $lte: endOfDay } },
+    { alternativeDates: { $elemMatch: { $gte: startOfDay, $lte: endOfDay } } }
+  ]
+});
+
+/**
+ * Find the entries a slot can be offered to, best first
+ * Entries match on service and day, including their alternative dates;
+ * those with preferred time slots only match those slots. Entries already
+ * offered the slot are left out.
+ *
+ * @param {Object} slot - Object with serviceId, date and timeSlot
+ * @returns {Promise<Array>} Waitlist entries, with their clients
+ */
+const findCandidates = (slot) => {
+  const { startOfDay, endOfDay } = availabilityService.getDayBounds(slot.date);
+
+  return Waitlist.find({
+    serviceId: slot.serviceId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+    $and: [
+      onDay(startOfDay, endOfDay),
+      {
+        $or: [
+          { preferredTimeSlots: { $size: 0 } },
+          { preferredTimeSlots: slot.timeSlot }
+        ]
+      },
+      {
+        offers: {
+          $not: {
+            $elemMatch: {
+              date: { $gte: startOfDay, $lte: endOfDay },
+              timeSlot: slot.timeSlot
+            }
+          }
+        }
+      }
+    ]
+  })
+    .sort({ priority: -1, createdAt: 1 })
+    .populate('clientId', 'firstName lastName email');
+};
+
+/**
+ * Offer a free slot to the best matching waitlist entry
+ * The slot is held for the entry until the offer expires, and the client is
+ * emailed a link to book it.
+ *
+ * @param {Object} slot - Object with serviceId, date and timeSlot
+ * @returns {Promise<Object|null>} Entry the slot was offered to, or null if
+ *   no one matched or the slot is no longer free
+ */
+exports.offerSlot = async (slot) => {
+  const candidates = await findCandidates(slot);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const service = await Service.findById(slot.serviceId).select('name');
+  if (!service) {
+    return null;
+  }
+
+  const slotId = availabilityService.buildSlotId(slot.serviceId, toDayKey(slot.date), slot.timeSlot);
+
+  for (const entry of candidates) {
+    const client = entry.clientId;
+    if (!client || !client.email) continue;
+
+    let hold;
+    try {
+      hold = await holdService.createHold(slotId, {
+        minutes: config.waitlist.offerMinutes,
+        maxMinutes: config.waitlist.offerMinutes,
+        waitlistId: entry._id
+      });
+    } catch (error) {
+      if (UNAVAILABLE_CODES.includes(error.errorCode)) {
+        logger.info(`Freed slot ${slotId} is no longer available to offer: ${error.errorCode}`);
+        return null;
+      }
+      throw error;
+    }
+
+    entry.offers.push({
+      date: hold.date,
+      timeSlot: hold.timeSlot,
+      startsAt: hold.startsAt,
+      holdId: hold._id,
+      offeredAt: new Date(),
+      expiresAt: hold.expiresAt
+    });
+    const offer = entry.offers[entry.offers.length - 1];
+    entry.status = 'notified';
+    entry.notifiedAt = new Date();
+    await entry.save();
+
+    await jobService.enqueue(
+      OFFER_EXPIRY_JOB,
+      { waitlistId: entry._id.toString(), holdId: hold._id.toString() },
+      { runAt: hold.expiresAt, uniqueKey: `${OFFER_EXPIRY_JOB}:${hold._id}` }
+    );
+
+    try {
+      await emailService.sendWaitlistNotification(client.email, client.firstName, {
+        serviceName: service.name,
+        date: hold.date,
+        timeSlot: hold.timeSlot,
+        expiresAt: hold.expiresAt,
+        bookingUrl: entry.getClaimUrl(offer)
+      });
+    } catch (error) {
+      // The hold stays; staff can see the open offer on the entry
+      logger.error(`Waitlist offer email for entry ${entry._id} failed: ${error.message}`);
+    }
+
+    logger.info(`Freed slot ${slotId} offered to waitlist entry ${entry._id} until ${hold.expiresAt.toISOString()}`);
+
+    return entry;
+  }
+
+  return null;
+};
+
+/**
+ * Close an entry's open offer and release its hold
+ *
+ * @param {Object} entry - Waitlist entry with an open offer
+ * @param {string} outcome - 'expired' or 'withdrawn'
+ * @returns {Promise<Object|null>} Closed offer, or null if none was open
+ */
+const closeOffer = async (entry, outcome) => {
+  const offer = entry.getOpenOffer();
+  if (!offer) {
+    return null;
+  }
+
+  await holdService.releaseHoldById(offer.holdId);
+
+  offer.outcome = outcome;
+  offer.closedAt = new Date();
+
+  return offer;
+};
+
+/**
+ * Expire an offer that was not taken up and offer the slot to the next
+ * entry; the handler for waitlist-offer-expiry jobs
+ *
+ * @param {Object} payload - Job payload
+ * @param {string} payload.waitlistId - Entry the slot was offered to
+ * @param {string} payload.holdId - Hold made for the offer
+ * @returns {Promise<Object>} Who the slot was offered to next, if anyone
+ */
+exports.expireOffer = async ({ waitlistId, holdId }) => {
+  const entry = await Waitlist.findOne({
+    _id: waitlistId,
+    status: 'notified',
+    offers: { $elemMatch: { holdId, outcome: 'offered' } }
+  });
+
+  // Booked, cancelled or already expired
+  if (!entry) {
+    return { skipped: 'OFFER_CLOSED' };
+  }
+
+  const offer = await closeOffer(entry, 'expired');
+
+  // Still waiting for a slot, unless the entry itself has run out
+  entry.status = entry.expiresAt > new Date() ? 'pending' : 'expired';
+  await entry.save();
+
+  logger.info(`Waitlist offer to entry ${entry._id} expired`);
+
+  const next = await exports.offerSlot({
+    serviceId: entry.serviceId,
+    date: offer.date,
+    timeSlot: offer.timeSlot
+  });
+
+  return { offeredTo: next ? next._id.toString() : null };
+};
+
+/**
+ * Find the entry and offer a claim token is for
+ *
+ * @param {string} token - Claim token from the offer email
+ * @returns {Promise<Object>} Object with entry, with its client, and offer
+ */
+const findOfferForToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.waitlist.secret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new ConflictError('This offer has expired and the slot has been released', 'OFFER_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid link', 'INVALID_CLAIM_LINK');
+  }
+
+  if (decoded.type !== 'waitlist-claim') {
+    throw new AuthenticationError('Invalid link', 'INVALID_CLAIM_LINK');
+  }
+
+  const entry = await Waitlist.findById(decoded.waitlistId)
+    .populate('clientId', 'firstName lastName email phone preferredContactMethod caseType estimatedLoss');
+  const offer = entry && entry.offers.id(decoded.offerId);
+
+  if (!offer) {
+    throw new AuthenticationError('Invalid link', 'INVALID_CLAIM_LINK');
+  }
+
+  return { entry, offer };
+};
+
+/**
+ * Check that an offer can still be claimed
+ *
+ * @param {Object} entry - Waitlist entry
+ * @param {Object} offer - Offer on the entry
+ * @returns {void}
+ * @throws {ConflictError} If the offer was claimed, withdrawn or has expired
+ */
+const checkOfferOpen = (entry, offer) => {
+  if (offer.outcome === 'claimed') {
+    const error = new ConflictError('This offer has already been claimed', 'OFFER_ALREADY_CLAIMED');
+    error.details = { bookingId: entry.bookingId };
+    throw error;
+  }
+
+  if (offer.outcome === 'withdrawn') {
+    throw new ConflictError('This offer was withdrawn when the waitlist entry was cancelled', 'OFFER_WITHDRAWN');
+  }
+
+  if (offer.outcome === 'expired' || offer.expiresAt <= new Date()) {
+    throw new ConflictError('This offer has expired and the slot has been released', 'OFFER_EXPIRED');
+  }
+};
+
+/**
+ * Get the slot a claim token offers, if it can still be claimed
+ *
+ * @param {string} token - Claim token from the offer email
+ * @returns {Promise<Object>} Object with serviceName, date, timeSlot,
+ *   startsAt and expiresAt
+ */
+exports.getOffer = async (token) => {
+  const { entry, offer } = await findOfferForToken(token);
+  checkOfferOpen(entry, offer);
+
+  const service = await Service.findById(entry.serviceId).select('name');
+
+  return {
+    serviceId: entry.serviceId,
+    serviceName: service ? service.name : undefined,
+    date: offer.date,
+    timeSlot: offer.timeSlot,
+    startsAt: offer.startsAt,
+    expiresAt: offer.expiresAt
+  };
+};
+
+/**
+ * Claim an offered slot: book it for the client and mark the entry booked
+ * The booking, the release of the offer's hold and the entry update are
+ * made in one transaction, so an offer can only be claimed once.
+ *
+ * @param {string} token - Claim token from the offer email
+ * @returns {Promise<Object>} Object with booking and waitlistEntry
+ */
+exports.claimOffer = async (token) => {
+  const { entry, offer } = await findOfferForToken(token);
+  checkOfferOpen(entry, offer);
+
+  // The hold goes when the offer expires
+  const hold = await SlotHold.findById(offer.holdId);
+  if (!hold || hold.expiresAt <= new Date()) {
+    throw new ConflictError('This offer has expired and the slot has been released', 'OFFER_EXPIRED');
+  }
+
+  const service = await Service.findById(entry.serviceId);
+  if (!service) {
+    throw new NotFoundError('Service not found', 'SERVICE_NOT_FOUND');
+  }
+
+  const client = entry.clientId;
+  let booking;
+
+  try {
+    ({ booking } = await bookingService.createBooking({
+      clientId: client._id,
+      serviceId: entry.serviceId,
+      serviceName: service.name,
+      date: hold.date,
+      timeSlot: hold.timeSlot,
+      notes: entry.notes || '',
+      status: 'confirmed'
+    }, {
+      service,
+      holdToken: hold.token,
+      waitlistId: entry._id
+    }));
+  } catch (error) {
+    if (error.errorCode === 'OFFER_CLOSED') {
+      // Claimed or closed since it was checked; report which
+      const current = await Waitlist.findById(entry._id);
+      checkOfferOpen(current, current.offers.id(offer._id));
+    }
+    throw error;
+  }
+
+  logger.info(`Waitlist entry ${entry._id} claimed its offer as booking ${booking._id}`);
+
+  // The booking stands even if the emails could not be sent
+  try {
+    const clientData = {
+      firstName: client.firstName,
+      lastName: client.lastName,
+      email: client.email,
+      phone: client.phone || '',
+      preferredContactMethod: client.preferredContactMethod || 'Email',
+      caseType: client.caseType || 'Not specified',
+      estimatedLoss: client.estimatedLoss || 0,
+      notes: booking.notes
+    };
+    const bookingData = await bookingService.buildBookingEmailData(booking);
+
+    const invoice = await invoiceService.issueInvoice(booking);
+    const attachments = invoice ? [invoiceService.toAttachment(invoice)] : [];
+
+    const result = await mailer.sendNewBookingConfirmation(clientData, bookingData, attachments);
+    if (result.success) {
+      booking.confirmationSent = true;
+      await booking.save({ validateBeforeSave: false });
+    }
+
+    await mailer.sendNewInternalNotification(clientData, bookingData);
+  } catch (error) {
+    logger.error(`Emails for claimed booking ${booking._id} failed: ${error.message}`);
+  }
+
+  return {
+    booking,
+    waitlistEntry: await Waitlist.findById(entry._id)
+  };
+};
+
+/**
+ * Find the entry a status token is for
+ *
+ * @param {string} token - Status token from the waitlist link
+ * @returns {Promise<Object>} Waitlist entry
+ */
+const findEntryForToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.waitlist.secret);
+  } catch (error) {
+    throw new AuthenticationError('Invalid link', 'INVALID_WAITLIST_LINK');
+  }
+
+  if (decoded.type !== 'waitlist-status') {
+    throw new AuthenticationError('Invalid link', 'INVALID_WAITLIST_LINK');
+  }
+
+  const entry = await Waitlist.findById(decoded.waitlistId);
+  if (!entry) {
+    throw new NotFoundError('Waitlist entry not found', 'WAITLIST_NOT_FOUND');
+  }
+
+  return entry;
+};
+
+/**
+ * Work out the chance that enough slots open up on a day for a client to be
+ * offered one: the chance that at least ahead + 1 of the day's bookings are
+ * cancelled, if each is cancelled at the historical rate
+ *
+ * @param {number} cancellationRate - Share of bookings that get cancelled
+ * @param {number} bookedSlots - Active bookings on the day
+ * @param {number} ahead - Entries ahead of the client for the day
+ * @returns {Object} Object with probability (0 to 1) and level
+ */
+exports.estimateLikelihood = (cancellationRate, bookedSlots, ahead) => {
+  const needed = ahead + 1;
+  let probability = 0;
+
+  if (bookedSlots >= needed && cancellationRate >= 1) {
+    probability = 1;
+  } else if (bookedSlots >= needed && cancellationRate > 0) {
+    // Binomial chance of fewer than the needed cancellations
+    let term = Math.pow(1 - cancellationRate, bookedSlots);
+    let fewer = 0;
+
+    for (let k = 0; k < needed; k++) {
+      fewer += term;
+      term *= ((bookedSlots - k) / (k + 1)) * (cancellationRate / (1 - cancellationRate));
+    }
+
+    probability = Math.min(1, Math.max(0, 1 - fewer));
+  }
+
+  let level = 'low';
+  if (probability >= 0.6) {
+    level = 'high';
+  } else if (probability >= 0.25) {
+    level = 'medium';
+  }
+
+  return { probability: Math.round(probability * 100) / 100, level };
+};
+
+/**
+ * Get the share of past bookings of a service that were cancelled
+ * Services with too few past bookings use the rate across all services.
+ *
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Object>} Object with rate and the number of bookings it
+ *   is based on; rate is null when there is no history
+ */
+exports.getCancellationRate = async (serviceId) => {
+  const now = new Date();
+  const since = moment(now).subtract(config.waitlist.historyDays, 'days').toDate();
+
+  const countFor = async (query) => {
+    const [total, cancelled] = await Promise.all([
+      Booking.countDocuments(query),
+      Booking.countDocuments({ ...query, status: 'cancelled' })
+    ]);
+    return { total, cancelled };
+  };
+
+  let history = await countFor({ serviceId, date: { $gte: since, $lt: now } });
+
+  if (history.total < MIN_HISTORY) {
+    history = await countFor({ date: { $gte: since, $lt: now } });
+  }
+
+  return {
+    rate: history.total > 0 ? history.cancelled / history.total : null,
+    basedOn: history.total
+  };
+};
+
+/**
+ * Get where an entry stands on one day: how many pending entries for the
+ * service and day come before it, and how likely a slot is to open
+ *
+ * @param {Object} entry - Waitlist entry
+ * @param {Date} date - Day to look at
+ * @param {number|null} cancellationRate - Historical cancellation rate
+ * @returns {Promise<Object>} Standing on the day
+ */
+const getStandingOn = async (entry, date, cancellationRate) => {
+  const { startOfDay, endOfDay } = availabilityService.getDayBounds(date);
+  const waiting = {
+    _id: { $ne: entry._id },
+    serviceId: entry.serviceId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+    ...onDay(startOfDay, endOfDay)
+  };
+
+  const bookedQuery = {
+    serviceId: entry.serviceId,
+    date: { $gte: startOfDay, $lte: endOfDay },
+    status: { $in: availabilityService.ACTIVE_STATUSES }
+  };
+
+  // Only bookings at times the client can take free up a slot for them
+  if (entry.preferredTimeSlots.length > 0) {
+    bookedQuery.timeSlot = { $in: entry.preferredTimeSlots };
+  }
+
+  const [ahead, others, bookedSlots] = await Promise.all([
+    Waitlist.countDocuments({
+      ...waiting,
+      $and: [{
+        $or: [
+          { priority: { $gt: entry.priority } },
+          { priority: entry.priority, createdAt: { $lt: entry.createdAt } }
+        ]
+      }]
+    }),
+    Waitlist.countDocuments(waiting),
+    Booking.countDocuments(bookedQuery)
+  ]);
+
+  return {
+    date: toDayKey(date),
+    position: ahead + 1,
+    ahead,
+    waiting: others + 1,
+    bookedSlots,
+    likelihood: cancellationRate === null
+      ? null
+      : exports.estimateLikelihood(cancellationRate, bookedSlots, ahead)
+  };
+};
+
+/**
+ * Get where a waitlist entry stands, for the client holding its status
+ * link: its position among pending entries for the service on each day it
+ * can come, and the chance of a slot opening on each
+ *
+ * @param {string} token - Status token from the waitlist link
+ * @returns {Promise<Object>} Entry, its standing per day and any open offer
+ */
+exports.getEntryStatus = async (token) => {
+  const entry = await findEntryForToken(token);
+  const service = await Service.findById(entry.serviceId).select('name');
+
+  const result = {
+    entry: {
+      id: entry._id,
+      serviceId: entry.serviceId,
+      serviceName: service ? service.name : undefined,
+      status: entry.status,
+      requestedDate: entry.requestedDate,
+      alternativeDates: entry.alternativeDates,
+      preferredTimeSlots: entry.preferredTimeSlots,
+      expiresAt: entry.expiresAt
+    },
+    position: null,
+    days: [],
+    offer: null
+  };
+
+  const offer = entry.getOpenOffer();
+  if (offer) {
+    result.offer = {
+      date: offer.date,
+      timeSlot: offer.timeSlot,
+      expiresAt: offer.expiresAt,
+      claimUrl: entry.getClaimUrl(offer)
+    };
+  }
+
+  // Only waiting entries have a place in the queue
+  if (!['pending', 'notified'].includes(entry.status)) {
+    return result;
+  }
+
+  const today = toDayKey(new Date());
+  const days = [entry.requestedDate, ...entry.alternativeDates]
+    .filter(date => toDayKey(date) >= today);
+
+  const { rate, basedOn } = await exports.getCancellationRate(entry.serviceId);
+
+  for (const date of days) {
+    result.days.push(await getStandingOn(entry, date, rate));
+  }
+
+  const requested = result.days.find(day => day.date === toDayKey(entry.requestedDate));
+  result.position = requested ? requested.position : null;
+  result.cancellationRate = rate === null ? null : Math.round(rate * 1000) / 1000;
+  result.basedOnBookings = basedOn;
+
+  return result;
+};
+
+/**
+ * Add days a client can also come to a waitlist entry, skipping days it
+ * already has, and keep the entry waiting until the last of them has passed.
+ * The entry is not saved.
+ *
+ * @param {Object} entry - Waitlist entry
+ * @param {Array} dates - Days to add
+ * @returns {Object} The entry
+ */
+exports.addAlternativeDates = (entry, dates) => {
+  const today = toDayKey(new Date());
+  const known = new Set([entry.requestedDate, ...entry.alternativeDates].map(date => toDayKey(date)));
+
+  dates.forEach(value => {
+    const day = toDayKey(value);
+
+    if (day < today) {
+      throw new ValidationError('Alternative dates cannot be in the past', 'DATE_IN_PAST');
+    }
+
+    if (!known.has(day)) {
+      known.add(day);
+      entry.alternativeDates.push(moment(day, 'YYYY-MM-DD').toDate());
+    }
+  });
+
+  if (entry.alternativeDates.length === 0) {
+    return entry;
+  }
+
+  // Keep waiting until the last day the client can come has passed
+  const lastDay = moment.max(entry.alternativeDates.map(date => moment(date))).endOf('day');
+  if (lastDay.isAfter(entry.expiresAt)) {
+    entry.expiresAt = lastDay.toDate();
+  }
+
+  return entry;
+};
+
+/**
+ * Widen a waitlist entry, for the client holding its status link: add days
+ * they can also come and time slots they can also take. An empty list of
+ * time slots means any time. Nothing already on the entry is taken away.
+ *
+ * @param {string} token - Status token from the waitlist link
+ * @param {Object} changes - Changes
+ * @param {Array} changes.alternativeDates - Days to add
+ * @param {Array} changes.preferredTimeSlots - Time slots to add, or an
+ *   empty list for any time
+ * @returns {Promise<Object>} Updated entry
+ */
+exports.widenEntry = async (token, changes) => {
+  const entry = await findEntryForToken(token);
+
+  if (!['pending', 'notified'].includes(entry.status)) {
+    throw new ValidationError(`A ${entry.status} waitlist entry cannot be changed`, 'WAITLIST_ENTRY_CLOSED');
+  }
+
+  if (changes.alternativeDates) {
+    exports.addAlternativeDates(entry, changes.alternativeDates);
+  }
+
+  if (changes.preferredTimeSlots && entry.preferredTimeSlots.length > 0) {
+    if (changes.preferredTimeSlots.length === 0) {
+      entry.preferredTimeSlots = [];
+    } else {
+      changes.preferredTimeSlots.forEach(timeSlot => {
+        if (!entry.preferredTimeSlots.includes(timeSlot)) {
+          entry.preferredTimeSlots.push(timeSlot);
+        }
+      });
+    }
+  }
+
+  await entry.save();
+
+  logger.info(`Waitlist entry ${entry._id} widened by the client`);
+
+  return entry;
+};
+
+/**
+ * Cancel a waitlist entry, passing any slot it was offered to the next entry
+ *
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<Object>} Cancelled entry
+ */
+exports.cancelEntry = async (entry) => {
+  const offer = await closeOffer(entry, 'withdrawn');
+
+  await entry.markAsCancelled();
+
+  if (offer) {
+    await exports.queueFreedSlots([{ serviceId: entry.serviceId, date: offer.date, timeSlot: offer.timeSlot, startsAt: offer.startsAt }]);
+  }
+
+  return entry;
+};
+
+/**
+ * Queue waitlist offers for slots bookings no longer take, e.g. after a
+ * cancellation or reschedule. Offers are made by the job worker, so the
+ * request that freed the slot does not wait for them.
+ *
+ * @param {Array} slots - Objects with serviceId, date, timeSlot and startsAt
+ * @returns {Promise<number>} Number of slots queued
+ */
+exports.queueFreedSlots = async (slots) => {
+  const now = new Date();
+  let count = 0;
+
+  for (const slot of slots) {
+    if (!slot.serviceId || !slot.timeSlot || (slot.startsAt && slot.startsAt <= now)) continue;
+
+    await jobService.enqueue(SLOT_FREED_JOB, {
+      serviceId: slot.serviceId.toString(),
+      date: toDayKey(slot.date),
+      timeSlot: slot.timeSlot
+    });
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Register the waitlist job handlers
+ *
+ * @returns {void}
+ */
+exports.registerJobHandlers = () => {
+  jobService.registerHandler(SLOT_FREED_JOB, async ({ serviceId, date, timeSlot }) => {
+    const entry = await exports.offerSlot({
+      serviceId,
+      date: moment(date, 'YYYY-MM-DD').toDate(),
+      timeSlot
+    });
+    return { offeredTo: entry ? entry._id.toString() : null };
+  });
+
+  jobService.registerHandler(OFFER_EXPIRY_JOB, exports.expireOffer);
+};
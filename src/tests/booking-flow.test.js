@@ -114,7 +114,7 @@ describe('Booking Flow', () => {
         clientId: testClient._id,
         serviceId: testService._id,
         date: tomorrow.toISOString().split('T')[0],
-        timeSlot: testTimeSlot.slot,
+        timeSlot: testTimeSlot.timeSlot,
         notes: 'Test booking'
       });
     
@@ -174,7 +174,7 @@ describe('Booking Flow', () => {
     
     expect(finalSlotsResponse.status).toBe(200);
     const slotAvailableAgain = finalSlotsResponse.body.data.some(
-      slot => slot.slot === testTimeSlot.slot
+      slot => slot.timeSlot === testTimeSlot.timeSlot
     );
     expect(slotAvailableAgain).toBe(true);
   });
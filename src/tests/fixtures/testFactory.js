@@ -7,7 +7,7 @@ const User = require('../../models/User');
 const Client = require('../../models/Client');
 const Service = require('../../models/Service');
 const Booking = require('../../models/Booking');
-const Slot = require('../../models/Slot');
+const TimeSlot = require('../../models/TimeSlot');
 const RefreshToken = require('../../models/RefreshToken');
 
 /**
@@ -154,7 +154,7 @@ exports.createSlot = async (slotProps = {}, createDependencies = true) => {
   };
   
   const slotDetails = { ...defaultProps, ...slotProps };
-  return await Slot.create(slotDetails);
+  return await TimeSlot.create(slotDetails);
 };
 
 /**
@@ -213,6 +213,6 @@ exports.cleanup = async () => {
   await Client.deleteMany({});
   await Service.deleteMany({});
   await Booking.deleteMany({});
-  await Slot.deleteMany({});
+  await TimeSlot.deleteMany({});
   await RefreshToken.deleteMany({});
 }; 
\ No newline at end of file
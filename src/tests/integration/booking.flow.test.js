@@ -9,7 +9,7 @@ const app = require('../../server');
 const Service = require('../../models/Service');
 const Client = require('../../models/Client');
 const User = require('../../models/User');
-const Slot = require('../../models/Slot');
+const TimeSlot = require('../../models/TimeSlot');
 
 // Mock email service
 jest.mock('../../services/emailService', () => ({
@@ -57,7 +57,7 @@ beforeAll(async () => {
 beforeEach(async () => {
   await Service.deleteMany({});
   await Client.deleteMany({});
-  await Slot.deleteMany({});
+  await TimeSlot.deleteMany({});
   // Reset mocks
   jest.clearAllMocks();
 });
@@ -1,11 +1,13 @@
 const analyticsController = require('../../controllers/analyticsController');
 const analyticsService = require('../../services/analyticsService');
 const reportService = require('../../services/reportService');
+const reportSubscriptionService = require('../../services/reportSubscriptionService');
 const { ValidationError } = require('../../utils/AppError');
 
 // Mock the analytics service
 jest.mock('../../services/analyticsService');
 jest.mock('../../services/reportService');
+jest.mock('../../services/reportSubscriptionService');
 
 describe('Analytics Controller', () => {
   // Mock request, response, and next
@@ -365,6 +367,27 @@ describe('Analytics Controller', () => {
       expect(res.json).toHaveBeenCalled();
     });
 
+    it('should save a repeating report as a subscription', async () => {
+      req.body = {
+        reportType: 'booking-stats',
+        format: 'csv',
+        email: 'test@example.com',
+        frequency: 'weekly'
+      };
+
+      const subscription = { _id: 'sub1', frequency: 'weekly' };
+      reportSubscriptionService.createSubscription.mockResolvedValue({ subscription, nextRunAt: new Date() });
+
+      await analyticsController.scheduleReport(req, res, next);
+
+      expect(reportSubscriptionService.createSubscription).toHaveBeenCalledWith(
+        expect.objectContaining({ frequency: 'weekly', recipients: ['test@example.com'] }),
+        undefined
+      );
+      expect(reportService.scheduleReport).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
     it('should validate required fields', async () => {
       // Missing required fields
       req.body = {
@@ -6,7 +6,11 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const request = require('supertest');
 const app = require('../../server');
 const Booking = require('../../models/Booking');
-const Slot = require('../../models/Slot');
+const TimeSlot = require('../../models/TimeSlot');
+const Payment = require('../../models/Payment');
+const Invoice = require('../../models/Invoice');
+const paymentService = require('../../services/paymentService');
+const invoiceService = require('../../services/invoiceService');
 const testFactory = require('../fixtures/testFactory');
 
 // Mock email service
@@ -93,7 +97,7 @@ describe('BookingController', () => {
       expect(response.body.data.booking.timeSlot).toBe(testSlot.timeSlot);
       
       // Verify slot is marked as unavailable
-      const updatedSlot = await Slot.findById(testSlot._id);
+      const updatedSlot = await TimeSlot.findById(testSlot._id);
       expect(updatedSlot.isAvailable).toBe(false);
       expect(updatedSlot.bookingId.toString()).toBe(response.body.data.booking._id);
       
@@ -112,7 +116,7 @@ describe('BookingController', () => {
       });
       
       // Mark the slot as unavailable
-      await Slot.findByIdAndUpdate(testSlot._id, {
+      await TimeSlot.findByIdAndUpdate(testSlot._id, {
         isAvailable: false,
         bookingId: booking._id
       });
@@ -190,6 +194,56 @@ describe('BookingController', () => {
       expect(response.body.data.booking._id).toBe(booking._id.toString());
     });
     
+    test('should only show intake answers to staff', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id,
+        intake: {
+          formId: new mongoose.Types.ObjectId(),
+          formVersion: 1,
+          answers: [{ key: 'lossAmount', label: 'How much was lost?', type: 'number', value: 25000 }],
+          submittedAt: new Date()
+        }
+      });
+      
+      const anonymous = await request(app)
+        .get(`/api/bookings/${booking._id}`);
+      
+      expect(anonymous.status).toBe(200);
+      expect(anonymous.body.data.booking).not.toHaveProperty('intake');
+      
+      const staff = await request(app)
+        .get(`/api/bookings/${booking._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(staff.body.data.booking.intake.answers[0].value).toBe(25000);
+    });
+    
+    test('should only show the meeting host link to staff', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id,
+        meeting: {
+          provider: 'builtin',
+          joinUrl: 'https://meet.example.com/room',
+          hostUrl: 'https://meet.example.com/room?host=secret'
+        }
+      });
+      
+      const anonymous = await request(app)
+        .get(`/api/bookings/${booking._id}`);
+      
+      expect(anonymous.status).toBe(200);
+      expect(anonymous.body.data.booking.meeting.joinUrl).toBe('https://meet.example.com/room');
+      expect(anonymous.body.data.booking.meeting).not.toHaveProperty('hostUrl');
+      
+      const staff = await request(app)
+        .get(`/api/bookings/${booking._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(staff.body.data.booking.meeting.hostUrl).toBe('https://meet.example.com/room?host=secret');
+    });
+    
     test('should return 404 for non-existent booking', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       
@@ -249,6 +303,15 @@ describe('BookingController', () => {
       expect(response.body.data.bookings.length).toBe(1);
       expect(response.body.data.bookings[0].status).toBe('cancelled');
     });
+    
+    test('should reject an invalid case filter', async () => {
+      const response = await request(app)
+        .get('/api/bookings?caseId=not-a-case')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_CASE_ID');
+    });
   });
   
   describe('updateBooking', () => {
@@ -266,7 +329,7 @@ describe('BookingController', () => {
       };
       
       const response = await request(app)
-        .patch(`/api/bookings/${booking._id}`)
+        .put(`/api/bookings/${booking._id}`)
         .set('Authorization', `Bearer ${adminToken}`)
         .send(updateData);
       
@@ -287,7 +350,7 @@ describe('BookingController', () => {
       });
       
       // Mark a slot as taken
-      await Slot.create({
+      await TimeSlot.create({
         serviceId: testService._id,
         date: booking.date,
         timeSlot: booking.timeSlot,
@@ -296,7 +359,7 @@ describe('BookingController', () => {
       });
       
       const response = await request(app)
-        .delete(`/api/bookings/${booking._id}`)
+        .post(`/api/bookings/${booking._id}/cancel`)
         .set('Authorization', `Bearer ${adminToken}`)
         .send({ cancellationReason: 'Test cancellation' });
       
@@ -308,7 +371,7 @@ describe('BookingController', () => {
       expect(updatedBooking.status).toBe('cancelled');
       
       // Verify slot is available again
-      const updatedSlot = await Slot.findOne({
+      const updatedSlot = await TimeSlot.findOne({
         serviceId: testService._id,
         date: booking.date,
         timeSlot: booking.timeSlot
@@ -317,5 +380,264 @@ describe('BookingController', () => {
       expect(updatedSlot.isAvailable).toBe(true);
       expect(updatedSlot.bookingId).toBeUndefined();
     });
+    
+    test('should credit the invoice of a cancelled booking', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id,
+        status: 'confirmed'
+      });
+      await paymentService.postBookingCharge(booking, testService);
+      const invoice = await invoiceService.issueInvoice(booking);
+      
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ cancellationReason: 'Test cancellation' });
+      
+      expect(response.status).toBe(200);
+      
+      const charge = await Payment.findOne({ bookingId: booking._id, category: 'booking' });
+      expect(charge.status).toBe('void');
+      
+      const creditNote = await Invoice.findOne({ kind: 'credit-note', paymentId: charge._id });
+      expect(creditNote.relatesToNumber).toBe(invoice.number);
+      expect(creditNote.totals.gross).toBe(invoice.totals.gross);
+    });
+  });
+  
+  describe('rescheduleBooking', () => {
+    const inDays = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return date.toISOString().split('T')[0];
+    };
+    
+    test('should move a booking to a free slot and record the old time', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id,
+        date: inDays(3),
+        timeSlot: '10:00-11:00'
+      });
+      
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/reschedule`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: inDays(4), timeSlot: '14:00-15:00', reason: 'Client request' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.booking.timeSlot).toBe('14:00-15:00');
+      
+      const updatedBooking = await Booking.findById(booking._id);
+      expect(updatedBooking.rescheduleHistory).toHaveLength(1);
+      expect(updatedBooking.rescheduleHistory[0].fromTimeSlot).toBe('10:00-11:00');
+      expect(updatedBooking.rescheduleHistory[0].byClient).toBe(false);
+    });
+    
+    test('should require a staff login to reschedule by booking ID', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id,
+        date: inDays(3)
+      });
+      
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/reschedule`)
+        .send({ date: inDays(4), timeSlot: '14:00-15:00', email: testClient.email });
+      
+      expect(response.status).toBe(401);
+      
+      const unchanged = await Booking.findById(booking._id);
+      expect(unchanged.rescheduleHistory).toHaveLength(0);
+    });
+    
+    test('should refuse client reschedules inside the notice period', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id,
+        date: testSlot.date,
+        timeSlot: '00:00-01:00'
+      });
+      
+      const response = await request(app)
+        .post(`/api/bookings/manage/${booking.generateManageToken()}/reschedule`)
+        .send({ date: inDays(4), timeSlot: '14:00-15:00' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('NOTICE_PERIOD_PASSED');
+    });
+  });
+  
+  describe('updateSeries', () => {
+    const inDays = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return date.toISOString().split('T')[0];
+    };
+    
+    // Weekly series of three bookings starting in a week
+    const createSeries = async () => {
+      const parent = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id,
+        date: inDays(7),
+        occurrenceDate: inDays(7),
+        isRecurring: true,
+        recurrencePattern: 'weekly',
+        recurrenceRule: 'FREQ=WEEKLY;COUNT=3'
+      });
+      const children = [];
+      for (const days of [14, 21]) {
+        children.push(await testFactory.createBooking({
+          clientId: testClient._id,
+          serviceId: testService._id,
+          date: inDays(days),
+          occurrenceDate: inDays(days),
+          isRecurring: true,
+          parentBookingId: parent._id
+        }));
+      }
+      parent.childBookings = children.map(child => child._id);
+      await parent.save();
+      return { parent, children };
+    };
+    
+    test('should change one occurrence and record the override', async () => {
+      const { parent, children } = await createSeries();
+      
+      const response = await request(app)
+        .patch(`/api/bookings/${children[0]._id}/series`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ scope: 'this', timeSlot: '14:00-15:00' });
+      
+      expect(response.status).toBe(200);
+      
+      const updatedParent = await Booking.findById(parent._id);
+      expect(updatedParent.timeSlot).toBe('10:00-11:00');
+      expect(updatedParent.occurrenceOverrides).toHaveLength(1);
+      expect(updatedParent.occurrenceOverrides[0].timeSlot).toBe('14:00-15:00');
+      expect((await Booking.findById(children[1]._id)).timeSlot).toBe('10:00-11:00');
+    });
+    
+    test('should split the series when editing this and following occurrences', async () => {
+      const { parent, children } = await createSeries();
+      
+      const response = await request(app)
+        .patch(`/api/bookings/${children[0]._id}/series`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ scope: 'following', timeSlot: '14:00-15:00' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.splitFrom).toBe(parent._id.toString());
+      
+      const newHead = await Booking.findById(children[0]._id);
+      const lastChild = await Booking.findById(children[1]._id);
+      const oldHead = await Booking.findById(parent._id);
+      
+      expect(newHead.parentBookingId).toBeUndefined();
+      expect(newHead.recurrenceRule).toBe('FREQ=WEEKLY;COUNT=2');
+      expect(lastChild.parentBookingId.toString()).toBe(newHead._id.toString());
+      expect(lastChild.timeSlot).toBe('14:00-15:00');
+      expect(oldHead.timeSlot).toBe('10:00-11:00');
+      expect(oldHead.recurrenceRule).toMatch(/^FREQ=WEEKLY;UNTIL=/);
+    });
+    
+    test('should keep edited occurrences when the whole series changes', async () => {
+      const { parent, children } = await createSeries();
+      
+      await request(app)
+        .patch(`/api/bookings/${children[1]._id}/series`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ scope: 'this', timeSlot: '16:00-17:00' });
+      
+      const response = await request(app)
+        .patch(`/api/bookings/${parent._id}/series`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ scope: 'all', timeSlot: '14:00-15:00', notes: 'Moved to afternoons' });
+      
+      expect(response.status).toBe(200);
+      expect((await Booking.findById(parent._id)).timeSlot).toBe('14:00-15:00');
+      expect((await Booking.findById(children[0]._id)).timeSlot).toBe('14:00-15:00');
+      
+      const edited = await Booking.findById(children[1]._id);
+      expect(edited.timeSlot).toBe('16:00-17:00');
+      expect(edited.notes).toBe('Moved to afternoons');
+    });
+    
+    test('should only move a single occurrence to another day', async () => {
+      const { parent } = await createSeries();
+      
+      const response = await request(app)
+        .patch(`/api/bookings/${parent._id}/series`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ scope: 'all', date: inDays(8) });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });    
+    test('should keep an occurrence cancelled through a booking update out of the series', async () => {
+      const { parent, children } = await createSeries();
+      
+      const response = await request(app)
+        .put(`/api/bookings/${children[0]._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled', cancellationReason: 'Client away' });
+      
+      expect(response.status).toBe(200);
+      
+      const updatedParent = await Booking.findById(parent._id);
+      expect(updatedParent.occurrenceOverrides).toHaveLength(1);
+      expect(updatedParent.occurrenceOverrides[0].cancelled).toBe(true);
+      
+      await request(app)
+        .patch(`/api/bookings/${parent._id}/series`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ scope: 'all', timeSlot: '14:00-15:00' });
+      
+      expect((await Booking.findById(children[0]._id)).status).toBe('cancelled');
+    });
+  });
+  
+  describe('manage links', () => {
+    test('should show the booking to the holder of its manage link', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id
+      });
+      
+      const response = await request(app)
+        .get(`/api/bookings/manage/${booking.generateManageToken()}`);
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.booking.reference).toBe(booking.reference);
+      expect(response.body.data.booking.client).not.toHaveProperty('email');
+    });
+    
+    test('should reject links revoked by sending a new one', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id
+      });
+      const token = booking.generateManageToken();
+      
+      await Booking.findByIdAndUpdate(booking._id, { $inc: { manageLinkVersion: 1 } });
+      
+      const response = await request(app).get(`/api/bookings/manage/${token}`);
+      
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('MANAGE_LINK_REVOKED');
+    });
+    
+    test('should restrict reference lookups to staff', async () => {
+      const booking = await testFactory.createBooking({
+        clientId: testClient._id,
+        serviceId: testService._id
+      });
+      
+      const response = await request(app).get(`/api/bookings/reference/${booking.reference}`);
+      
+      expect(response.status).toBe(401);
+    });
   });
 }); 
\ No newline at end of file
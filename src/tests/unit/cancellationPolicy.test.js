@@ -0,0 +1,74 @@
+const cancellationPolicyService = require('../../services/cancellationPolicyService');
+
+describe('Cancellation Policy', () => {
+  const now = new Date('2026-11-02T09:00:00Z');
+  const service = {
+    price: 150,
+    cancellationPolicy: { freeCancelHours: 48, lateCancelFeePercent: 50, noShowFeePercent: 100 }
+  };
+  const bookingAt = (hoursAhead) => ({
+    startsAt: new Date(now.getTime() + hoursAhead * 60 * 60 * 1000),
+    paymentStatus: 'unpaid'
+  });
+
+  describe('evaluateCancellation', () => {
+    it('should be free outside the free cancellation window', () => {
+      const outcome = cancellationPolicyService.evaluateCancellation(bookingAt(72), service, now);
+
+      expect(outcome.kind).toBe('free-cancellation');
+      expect(outcome.fee).toBe(0);
+      expect(outcome.hoursNotice).toBe(72);
+    });
+
+    it('should charge the late fee inside the window', () => {
+      const outcome = cancellationPolicyService.evaluateCancellation(bookingAt(5.5), service, now);
+
+      expect(outcome.kind).toBe('late-cancellation');
+      expect(outcome.fee).toBe(75);
+      expect(outcome.feePercent).toBe(50);
+      expect(outcome.hoursNotice).toBe(5.5);
+      expect(outcome.reason).toMatch(/within the 48 hour window/);
+    });
+
+    it('should use the default policy for services without one', () => {
+      const outcome = cancellationPolicyService.evaluateCancellation(bookingAt(5), { price: 150 }, now);
+
+      expect(outcome.kind).toBe('late-cancellation');
+      expect(outcome.fee).toBe(0);
+    });
+  });
+
+  describe('recordOutcome', () => {
+    it('should record the no-show fee', () => {
+      const booking = bookingAt(0);
+      cancellationPolicyService.recordOutcome(booking, cancellationPolicyService.evaluateNoShow(service));
+
+      expect(booking.policyOutcome.kind).toBe('no-show');
+      expect(booking.policyOutcome.fee).toBe(150);
+      expect(booking.policyOutcome.waived).toBe(false);
+    });
+
+    it('should record who waived a fee', () => {
+      const booking = bookingAt(2);
+      const user = { _id: 'staff-1' };
+      cancellationPolicyService.recordOutcome(
+        booking,
+        cancellationPolicyService.evaluateCancellation(booking, service, now),
+        { user, waive: true, waiverReason: 'Illness' }
+      );
+
+      expect(booking.policyOutcome.waived).toBe(true);
+      expect(booking.policyOutcome.waivedBy).toBe('staff-1');
+      expect(booking.policyOutcome.waiverReason).toBe('Illness');
+    });
+  });
+
+  describe('hasStarted', () => {
+    it('should only let bookings that have started be marked as no-shows', () => {
+      expect(cancellationPolicyService.hasStarted(bookingAt(1), now)).toBe(false);
+      expect(cancellationPolicyService.hasStarted(bookingAt(0), now)).toBe(true);
+      expect(cancellationPolicyService.hasStarted(bookingAt(-1), now)).toBe(true);
+      expect(cancellationPolicyService.hasStarted({}, now)).toBe(true);
+    });
+  });
+});
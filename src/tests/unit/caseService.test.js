@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Case = require('../../models/Case');
+const caseService = require('../../services/caseService');
+
+describe('Case Service', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  describe('status pipeline', () => {
+    it('should move open cases one stage at a time', () => {
+      expect(caseService.allowedStatuses('intake')).toEqual(['assessment', 'closed-unrecovered']);
+      caseService.checkTransition('engagement', 'recovery-in-progress');
+      caseService.checkTransition('engagement', 'assessment');
+
+      expect(() => caseService.checkTransition('intake', 'engagement'))
+        .toThrow('A case cannot move from intake to engagement');
+    });
+
+    it('should only close a case recovered from recovery in progress', () => {
+      caseService.checkTransition('recovery-in-progress', 'closed-recovered');
+
+      expect(() => caseService.checkTransition('assessment', 'closed-recovered')).toThrow(/cannot move/);
+    });
+
+    it('should reopen closed cases at any open stage', () => {
+      expect(caseService.allowedStatuses('closed-unrecovered')).toEqual([
+        'intake', 'assessment', 'engagement', 'recovery-in-progress'
+      ]);
+      expect(() => caseService.checkTransition('closed-unrecovered', 'closed-recovered')).toThrow(/cannot move/);
+    });
+
+    it('should list the allowed statuses when a move is refused', () => {
+      try {
+        caseService.checkTransition('intake', 'closed-recovered');
+        throw new Error('Move was allowed');
+      } catch (error) {
+        expect(error.errorCode).toBe('INVALID_STATUS_TRANSITION');
+        expect(error.details).toEqual({
+          from: 'intake',
+          to: 'closed-recovered',
+          allowed: ['assessment', 'closed-unrecovered']
+        });
+      }
+    });
+  });
+
+  describe('formatReference', () => {
+    it('should number cases within the year', () => {
+      expect(caseService.formatReference(2026, 42)).toBe('CASE-2026-00042');
+    });
+  });
+
+  describe('buildCaseFilter', () => {
+    it('should filter by status list or open and closed cases', () => {
+      expect(caseService.buildCaseFilter({ status: 'intake, assessment' }, user))
+        .toEqual({ status: { $in: ['intake', 'assessment'] } });
+      expect(caseService.buildCaseFilter({ open: 'false' }, user))
+        .toEqual({ status: { $in: ['closed-recovered', 'closed-unrecovered'] } });
+      expect(() => caseService.buildCaseFilter({ status: 'archived' }, user)).toThrow('Unknown case status: archived');
+    });
+
+    it('should filter by handler', () => {
+      expect(caseService.buildCaseFilter({ handlerId: 'me' }, user)).toEqual({ handlerId: user._id });
+      expect(caseService.buildCaseFilter({ handlerId: 'unassigned' }, user)).toEqual({ handlerId: null });
+      expect(() => caseService.buildCaseFilter({ handlerId: 'nobody' }, user)).toThrow('Invalid handler ID format');
+    });
+
+    it('should search references and titles as plain text', () => {
+      expect(caseService.buildCaseFilter({ search: ' CASE-2026 (x) ' }, user)).toEqual({
+        $or: [
+          { reference: { $regex: 'CASE-2026 \\(x\\)', $options: 'i' } },
+          { title: { $regex: 'CASE-2026 \\(x\\)', $options: 'i' } }
+        ]
+      });
+    });
+  });
+
+  describe('buildCaseSort', () => {
+    it('should sort by known fields only, newest first by default', () => {
+      expect(caseService.buildCaseSort()).toEqual({ updatedAt: -1 });
+      expect(caseService.buildCaseSort('estimatedLoss', 'asc')).toEqual({ estimatedLoss: 1 });
+      expect(caseService.buildCaseSort('password', 'asc')).toEqual({ updatedAt: 1 });
+    });
+  });
+
+  describe('timeline', () => {
+    it('should record who made each entry', () => {
+      const caseDoc = new Case({ reference: 'CASE-2026-00001', title: 'Exchange withdrawal freeze' });
+      const entry = caseDoc.addTimelineEntry({ type: 'note', message: 'Called the client' }, user);
+
+      expect(caseDoc.timeline).toHaveLength(1);
+      expect(entry.by.equals(user._id)).toBe(true);
+      expect(caseDoc.status).toBe('intake');
+      expect(caseDoc.isClosed).toBe(false);
+    });
+  });
+});
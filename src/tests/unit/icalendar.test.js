@@ -0,0 +1,136 @@
+const moment = require('moment');
+const { parseEvents, getEventDays, buildCalendar } = require('../../utils/icalendar');
+const calendarService = require('../../services/calendarService');
+
+const calendar = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20251225',
+  'DTEND;VALUE=DATE:20251227',
+  'SUMMARY:Christmas closure',
+  'UID:christmas-2025@recovery-office',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20260102T090000',
+  'DTEND:20260102T170000',
+  'SUMMARY:Staff training\\, all day',
+  'DESCRIPTION:Office closed for',
+  '  annual training',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('iCalendar Utils', () => {
+  describe('parseEvents', () => {
+    it('should read every event in the calendar', () => {
+      const events = parseEvents(calendar);
+
+      expect(events).toHaveLength(2);
+      expect(events[0]).toMatchObject({
+        uid: 'christmas-2025@recovery-office',
+        summary: 'Christmas closure',
+        allDay: true
+      });
+      expect(events[1]).toMatchObject({
+        uid: null,
+        summary: 'Staff training, all day',
+        description: 'Office closed for annual training',
+        allDay: false
+      });
+    });
+
+    it('should reject text that is not a calendar', () => {
+      expect(() => parseEvents('not a calendar')).toThrow(/VCALENDAR/);
+    });
+  });
+
+  describe('getEventDays', () => {
+    it('should treat the all-day end date as exclusive', () => {
+      const [christmas] = parseEvents(calendar);
+      const { startDate, endDate } = getEventDays(christmas);
+
+      expect(moment(startDate).format('YYYY-MM-DD')).toBe('2025-12-25');
+      expect(moment(endDate).format('YYYY-MM-DD')).toBe('2025-12-26');
+    });
+
+    it('should close the day of a timed event', () => {
+      const [, training] = parseEvents(calendar);
+      const { startDate, endDate } = getEventDays(training);
+
+      expect(moment(startDate).format('YYYY-MM-DD')).toBe('2026-01-02');
+      expect(moment(endDate).format('YYYY-MM-DD')).toBe('2026-01-02');
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const event = {
+      uid: 'booking-1@recovery-office.com',
+      sequence: 2,
+      start: new Date('2026-03-02T10:00:00Z'),
+      end: new Date('2026-03-02T11:00:00Z'),
+      summary: 'Initial consultation; fraud, recovery',
+      description: `Booking reference: RO-1\nManage: https://example.test/manage/${'x'.repeat(120)}`,
+      status: 'CONFIRMED',
+      organizer: { name: 'Recovery Office', email: 'contact@recovery-office.com' },
+      attendees: [{ name: 'Jane Doe', email: 'jane@example.com' }]
+    };
+
+    it('should write events that read back the same', () => {
+      const [read] = parseEvents(buildCalendar({ method: 'REQUEST', events: [event] }));
+
+      expect(read).toMatchObject({
+        uid: event.uid,
+        summary: event.summary,
+        description: event.description,
+        allDay: false
+      });
+      expect(read.start.toISOString()).toBe('2026-03-02T10:00:00.000Z');
+      expect(read.end.toISOString()).toBe('2026-03-02T11:00:00.000Z');
+    });
+
+    it('should fold long lines and end every line with CRLF', () => {
+      const text = buildCalendar({ method: 'REQUEST', events: [event] });
+
+      expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(text).toMatch(/\r\nMETHOD:REQUEST\r\n/);
+      expect(text).toMatch(/\r\nSEQUENCE:2\r\n/);
+      expect(text).toMatch(/ORGANIZER;CN="Recovery Office":mailto:contact@recovery-office\.com/);
+    });
+  });
+
+  describe('booking invites', () => {
+    const booking = {
+      _id: 'b1',
+      reference: 'RO-1',
+      serviceName: 'Initial consultation',
+      status: 'confirmed',
+      calendarSequence: 3,
+      startsAt: new Date('2026-03-02T10:00:00Z'),
+      endsAt: new Date('2026-03-02T11:00:00Z')
+    };
+    const client = { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' };
+
+    it('should invite the client with a REQUEST', () => {
+      const invite = calendarService.buildInvite(booking, client);
+
+      expect(invite.contentType).toBe('text/calendar; charset=utf-8; method=REQUEST');
+      expect(invite.content).toMatch(/\r\nSTATUS:CONFIRMED\r\n/);
+      expect(invite.content.replace(/\r\n /g, '')).toMatch(/ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;CN="Jane Doe":mailto:jane@example\.com/);
+    });
+
+    it('should send a CANCEL for the same event when the booking is cancelled', () => {
+      const invite = calendarService.buildInvite({ ...booking, status: 'cancelled' }, client);
+
+      expect(invite.filename).toBe('cancel-RO-1.ics');
+      expect(invite.content).toMatch(/\r\nMETHOD:CANCEL\r\n/);
+      expect(invite.content).toMatch(/\r\nSTATUS:CANCELLED\r\n/);
+      expect(parseEvents(invite.content)[0].uid).toBe(calendarService.bookingUid(booking));
+    });
+
+    it('should not invite to bookings without a time', () => {
+      expect(calendarService.buildInvite({ ...booking, startsAt: undefined }, client)).toBeNull();
+    });
+  });
+});
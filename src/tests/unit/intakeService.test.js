@@ -0,0 +1,117 @@
+const intakeService = require('../../services/intakeService');
+
+describe('Intake Service', () => {
+  const form = {
+    _id: 'form-1',
+    version: 3,
+    fields: [
+      { key: 'platforms', label: 'Platforms used', type: 'multiselect', required: true, options: ['Binance', 'Coinbase', 'Other'] },
+      { key: 'walletAddresses', label: 'Wallet addresses', type: 'list', pattern: '^(0x[a-fA-F0-9]{40}|[13][a-km-zA-HJ-NP-Z1-9]{25,34}|bc1[a-z0-9]{25,62})$', maxItems: 3 },
+      { key: 'firstTransaction', label: 'Date of first transaction', type: 'date', required: true },
+      { key: 'amountLost', label: 'Amount lost', type: 'currency', required: true, min: 0 },
+      { key: 'policeContacted', label: 'Police contacted', type: 'boolean', required: true },
+      { key: 'crimeReference', label: 'Crime reference number', type: 'text', maxLength: 20 },
+      { key: 'contactEmail', label: 'Other email', type: 'email' }
+    ]
+  };
+
+  const valid = {
+    platforms: ['Binance', 'Other', 'Binance'],
+    walletAddresses: ['0x52908400098527886E0F7030069857D2E4169EE7', '  '],
+    firstTransaction: '2026-03-14',
+    amountLost: '12,500.505',
+    policeContacted: 'no'
+  };
+
+  const problemsFor = (answers) => {
+    try {
+      intakeService.validateAnswers(form, answers);
+    } catch (error) {
+      expect(error.errorCode).toBe('INVALID_INTAKE_ANSWERS');
+      return error.details.problems;
+    }
+    throw new Error('Answers were accepted');
+  };
+
+  describe('validateAnswers', () => {
+    it('should store answers in form order with their labels', () => {
+      const answers = intakeService.validateAnswers(form, valid);
+
+      expect(answers.map(answer => answer.key)).toEqual([
+        'platforms', 'walletAddresses', 'firstTransaction', 'amountLost', 'policeContacted'
+      ]);
+      expect(answers[0]).toEqual({ key: 'platforms', label: 'Platforms used', type: 'multiselect', value: ['Binance', 'Other'] });
+      expect(answers[1].value).toEqual(['0x52908400098527886E0F7030069857D2E4169EE7']);
+      expect(answers[3].value).toBe(12500.51);
+      expect(answers[4].value).toBe(false);
+    });
+
+    it('should report every missing required answer', () => {
+      expect(problemsFor({}).map(problem => problem.field)).toEqual([
+        'platforms', 'firstTransaction', 'amountLost', 'policeContacted'
+      ]);
+    });
+
+    it('should reject answers that do not fit their field', () => {
+      const problems = problemsFor({
+        ...valid,
+        platforms: ['Kraken'],
+        walletAddresses: ['not-a-wallet'],
+        firstTransaction: '14/03/2026',
+        amountLost: -5,
+        crimeReference: 'X'.repeat(21),
+        contactEmail: 'nobody'
+      });
+
+      expect(problems).toEqual([
+        { field: 'platforms', message: 'Kraken is not a choice for Platforms used' },
+        { field: 'walletAddresses', message: 'Wallet addresses item 1 is not in the expected format' },
+        { field: 'firstTransaction', message: 'Date of first transaction must be a date in YYYY-MM-DD format' },
+        { field: 'amountLost', message: 'Amount lost must be at least 0' },
+        { field: 'crimeReference', message: 'Crime reference number cannot exceed 20 characters' },
+        { field: 'contactEmail', message: 'Other email must be a valid email address' }
+      ]);
+    });
+
+    it('should reject questions the form does not ask', () => {
+      expect(problemsFor({ ...valid, favouriteColour: 'blue' })).toEqual([
+        { field: 'favouriteColour', message: 'favouriteColour is not a question on this form' }
+      ]);
+    });
+
+    it('should limit how many items a list can have', () => {
+      const address = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+      expect(problemsFor({ ...valid, walletAddresses: [address, address, address, address] })).toEqual([
+        { field: 'walletAddresses', message: 'Wallet addresses cannot have more than 3 answers' }
+      ]);
+    });
+  });
+
+  describe('buildIntake', () => {
+    it('should record the form version the answers were given against', () => {
+      const now = new Date('2026-10-01T09:00:00Z');
+      const intake = intakeService.buildIntake(form, valid, now);
+
+      expect(intake.formId).toBe('form-1');
+      expect(intake.formVersion).toBe(3);
+      expect(intake.submittedAt).toBe(now);
+      expect(intake.answers).toHaveLength(5);
+    });
+  });
+
+  describe('summarizeIntake', () => {
+    it('should show answers as text for emails', () => {
+      const booking = { intake: intakeService.buildIntake(form, valid) };
+
+      expect(intakeService.summarizeIntake(booking)).toEqual([
+        { label: 'Platforms used', value: 'Binance, Other' },
+        { label: 'Wallet addresses', value: '0x52908400098527886E0F7030069857D2E4169EE7' },
+        { label: 'Date of first transaction', value: '14 March 2026' },
+        { label: 'Amount lost', value: '£12,500.51' },
+        { label: 'Police contacted', value: 'No' }
+      ]);
+      expect(intakeService.summarizeIntake({})).toEqual([]);
+    });
+  });
+});
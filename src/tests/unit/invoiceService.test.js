@@ -0,0 +1,71 @@
+const config = require('../../config');
+const invoiceService = require('../../services/invoiceService');
+
+describe('Invoice Service', () => {
+  describe('vatRateFor', () => {
+    const vatNumber = config.invoices.seller.vatNumber;
+
+    afterEach(() => {
+      config.invoices.seller.vatNumber = vatNumber;
+    });
+
+    it('should charge no VAT without a VAT number', () => {
+      config.invoices.seller.vatNumber = '';
+
+      expect(invoiceService.vatRateFor({ vatRate: 20 })).toBe(0);
+    });
+
+    it('should prefer the service rate to the configured one', () => {
+      config.invoices.seller.vatNumber = 'GB123456789';
+
+      expect(invoiceService.vatRateFor({ vatRate: 0 })).toBe(0);
+      expect(invoiceService.vatRateFor({})).toBe(config.invoices.vatRate);
+    });
+  });
+
+  describe('splitVat', () => {
+    it('should take VAT out of a price that includes it', () => {
+      expect(invoiceService.splitVat(150, 20)).toEqual({ vatRate: 20, net: 125, vat: 25, gross: 150 });
+      expect(invoiceService.splitVat(99.99, 20)).toEqual({ vatRate: 20, net: 83.33, vat: 16.66, gross: 99.99 });
+      expect(invoiceService.splitVat(80, 0)).toEqual({ vatRate: 0, net: 80, vat: 0, gross: 80 });
+    });
+
+    it('should total lines to the penny', () => {
+      const lines = [invoiceService.splitVat(99.99, 20), invoiceService.splitVat(0.1, 20)];
+
+      expect(invoiceService.totalLines(lines)).toEqual({ net: 83.41, vat: 16.68, gross: 100.09 });
+    });
+  });
+
+  describe('creditLine', () => {
+    it('should credit VAT at the invoice rate', () => {
+      const invoice = {
+        lines: [invoiceService.splitVat(150, 20)],
+        totals: { net: 125, vat: 25, gross: 150 }
+      };
+
+      expect(invoiceService.creditLine(60, invoice, 'Refund')).toEqual({
+        description: 'Refund', vatRate: 20, net: 50, vat: 10, gross: 60
+      });
+    });
+
+    it('should credit VAT in proportion when the invoice has several rates', () => {
+      const invoice = {
+        lines: [invoiceService.splitVat(120, 20), invoiceService.splitVat(80, 0)],
+        totals: { net: 180, vat: 20, gross: 200 }
+      };
+
+      expect(invoiceService.creditLine(100, invoice, 'Refund')).toEqual({
+        description: 'Refund', net: 90, vat: 10, gross: 100
+      });
+    });
+  });
+
+  describe('formatNumber', () => {
+    it('should number each kind in its own sequence', () => {
+      expect(invoiceService.formatNumber('invoice', 2026, 42)).toBe('INV-2026-00042');
+      expect(invoiceService.formatNumber('receipt', 2026, 1)).toBe('RCT-2026-00001');
+      expect(invoiceService.formatNumber('credit-note', 2027, 123456)).toBe('CN-2027-123456');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const meetingService = require('../../services/meetingService');
+const builtinProvider = require('../../services/meetingProviders/builtinProvider');
+const meetingProviders = require('../../services/meetingProviders');
+const config = require('../../config');
+
+describe('Meeting Service', () => {
+  const remoteService = { _id: new mongoose.Types.ObjectId(), name: 'Remote Consultation', isRemote: true };
+  const inPersonService = { _id: new mongoose.Types.ObjectId(), name: 'Office Consultation', isRemote: false };
+
+  const makeBooking = (service, extra = {}) => {
+    const booking = {
+      _id: new mongoose.Types.ObjectId(),
+      reference: 'RO-TEST01',
+      serviceId: service._id,
+      serviceName: service.name,
+      status: 'confirmed',
+      startsAt: new Date('2026-11-02T10:00:00Z'),
+      endsAt: new Date('2026-11-02T11:00:00Z'),
+      saves: 0,
+      ...extra
+    };
+    booking.save = async () => {
+      booking.saves += 1;
+      return booking;
+    };
+    return booking;
+  };
+
+  describe('builtin provider', () => {
+    it('should make a different room under the base URL each time', async () => {
+      const first = await builtinProvider.createMeeting({});
+      const second = await builtinProvider.createMeeting({});
+
+      expect(first.joinUrl.startsWith(`${config.meetings.builtin.baseUrl}/`)).toBe(true);
+      expect(first.joinUrl.endsWith(first.roomId)).toBe(true);
+      expect(first.roomId).not.toBe(second.roomId);
+    });
+
+    it('should be the default provider', () => {
+      expect(meetingProviders.PROVIDER_NAMES.includes('builtin')).toBe(true);
+      expect(meetingProviders.getProvider(config.meetings.provider)).toBe(builtinProvider);
+    });
+  });
+
+  describe('syncMeeting', () => {
+    it('should give bookings of remote services a meeting once', async () => {
+      const booking = makeBooking(remoteService);
+
+      const meeting = await meetingService.syncMeeting(booking, { service: remoteService });
+      expect(meeting.provider).toBe('builtin');
+      expect(booking.saves).toBe(1);
+
+      const again = await meetingService.syncMeeting(booking, { service: remoteService });
+      expect(again.joinUrl).toBe(meeting.joinUrl);
+      expect(booking.saves).toBe(1);
+    });
+
+    it('should replace the meeting when rotated', async () => {
+      const booking = makeBooking(remoteService);
+      const meeting = await meetingService.syncMeeting(booking, { service: remoteService });
+
+      const rotated = await meetingService.syncMeeting(booking, { service: remoteService, rotate: true });
+      expect(rotated.joinUrl).not.toBe(meeting.joinUrl);
+      expect(booking.meeting.joinUrl).toBe(rotated.joinUrl);
+    });
+
+    it('should not make meetings for in-person services or inactive bookings', async () => {
+      expect(await meetingService.syncMeeting(makeBooking(inPersonService), { service: inPersonService })).toBeNull();
+      expect(await meetingService.syncMeeting(
+        makeBooking(remoteService, { status: 'cancelled' }),
+        { service: remoteService }
+      )).toBeNull();
+    });
+
+    it('should remove the meeting when the service is no longer remote', async () => {
+      const booking = makeBooking(inPersonService, {
+        meeting: { provider: 'builtin', roomId: 'room-1', joinUrl: 'https://meet.example.com/room-1' }
+      });
+
+      expect(await meetingService.syncMeeting(booking, { service: inPersonService })).toBeNull();
+      expect(booking.meeting).toBe(undefined);
+      expect(booking.saves).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const Booking = require('../../models/Booking');
+const Payment = require('../../models/Payment');
+const paymentService = require('../../services/paymentService');
+const paymentProviders = require('../../services/paymentProviders');
+const fakeProvider = require('../../services/paymentProviders/fakeProvider');
+const config = require('../../config');
+
+describe('Payment Service', () => {
+  const entry = (type, amount, extra = {}) => ({ type, amount, status: 'succeeded', ...extra });
+
+  describe('summarize', () => {
+    it('should be unpaid until money is received', () => {
+      expect(paymentService.summarize([]).status).toBe('unpaid');
+      expect(paymentService.summarize([entry('charge', 150, { category: 'booking' })]))
+        .toEqual({ charged: 150, received: 0, refunded: 0, balance: 150, status: 'unpaid' });
+    });
+
+    it('should count deposits and payments towards the balance', () => {
+      const charge = entry('charge', 150, { category: 'booking' });
+
+      expect(paymentService.summarize([charge, entry('deposit', 50)]).status).toBe('partial');
+      expect(paymentService.summarize([charge, entry('deposit', 50), entry('payment', 100)]).status).toBe('paid');
+      expect(paymentService.summarize([charge, entry('payment', 100, { status: 'pending' })]).status).toBe('unpaid');
+    });
+
+    it('should report fees still owed and money paid back', () => {
+      const voided = entry('charge', 150, { category: 'booking', status: 'void' });
+      const fee = entry('charge', 75, { category: 'late-cancellation' });
+
+      expect(paymentService.summarize([voided, fee]).status).toBe('fee-due');
+      expect(paymentService.summarize([voided, fee, entry('payment', 75)]).status).toBe('paid');
+      expect(paymentService.summarize([voided, entry('payment', 150), entry('refund', 150)]).status).toBe('refunded');
+      expect(paymentService.summarize([voided, entry('payment', 150), entry('refund', 150)]).balance).toBe(0);
+    });
+  });
+
+  describe('takePayment', () => {
+    const booking = new Booking({ reference: 'RO-TEST-0001' });
+    const originals = { findById: Booking.findById, find: Payment.find, create: Payment.create };
+    let created;
+
+    beforeEach(() => {
+      created = [];
+      Booking.findById = async () => booking;
+      Payment.create = async (fields) => {
+        created.push(fields);
+        return fields;
+      };
+    });
+
+    afterEach(() => {
+      Booking.findById = originals.findById;
+      Payment.find = originals.find;
+      Payment.create = originals.create;
+    });
+
+    const ledger = (entries) => {
+      Payment.find = () => ({ sort: async () => entries });
+    };
+
+    it('should count a payment still in progress against the balance', async () => {
+      ledger([
+        entry('charge', 150, { category: 'booking' }),
+        entry('payment', 100, { status: 'pending' })
+      ]);
+
+      await expect(paymentService.takePayment(booking._id.toString(), { amount: 100 }))
+        .rejects.toMatchObject({ errorCode: 'AMOUNT_EXCEEDS_BALANCE', details: { balance: 150, pending: 100 } });
+      expect(created).toHaveLength(0);
+    });
+
+    it('should have nothing to take while the balance is being paid', async () => {
+      ledger([
+        entry('charge', 150, { category: 'booking' }),
+        entry('deposit', 50, { status: 'pending' }),
+        entry('payment', 100, { status: 'pending' })
+      ]);
+
+      await expect(paymentService.takePayment(booking._id.toString(), {}))
+        .rejects.toMatchObject({ errorCode: 'NOTHING_OWED' });
+      expect(created).toHaveLength(0);
+    });
+  });
+
+  describe('getProvider', () => {
+    const env = config.env;
+
+    afterEach(() => {
+      config.env = env;
+    });
+
+    it('should refuse the fake provider in production', () => {
+      expect(paymentProviders.getProvider('fake')).toBe(fakeProvider);
+
+      config.env = 'production';
+
+      expect(() => paymentProviders.getProvider('fake')).toThrow('cannot be used in production');
+    });
+  });
+
+  describe('fake provider webhooks', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { reference: 'fake_pay_1' } });
+
+    it('should read correctly signed events', () => {
+      const event = fakeProvider.verifyWebhook(Buffer.from(body), {
+        'x-payment-signature': fakeProvider.signPayload(body)
+      });
+
+      expect(event).toEqual({ id: 'evt_1', type: 'payment.succeeded', reference: 'fake_pay_1', failureReason: undefined });
+    });
+
+    it('should reject tampered, unsigned and old events', () => {
+      const signature = fakeProvider.signPayload(body);
+      const oldSignature = fakeProvider.signPayload(body, Math.floor(Date.now() / 1000) - 3600);
+
+      expect(() => fakeProvider.verifyWebhook(body.replace('succeeded', 'failed'), { 'x-payment-signature': signature }))
+        .toThrow('does not match');
+      expect(() => fakeProvider.verifyWebhook(body, {})).toThrow('Missing');
+      expect(() => fakeProvider.verifyWebhook(body, { 'x-payment-signature': oldSignature })).toThrow('expired');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  buildRule,
+  patternForRule,
+  expandRule
+} = require('../../utils/recurrence');
+
+describe('Recurrence Utils', () => {
+  describe('buildRule', () => {
+    it('should turn the original patterns into rules', () => {
+      expect(buildRule({ pattern: 'biweekly', count: 4 })).toBe('FREQ=WEEKLY;INTERVAL=2;COUNT=5');
+      expect(buildRule({ pattern: 'monthly', endDate: '2026-12-31' })).toBe('FREQ=MONTHLY;UNTIL=20261231T235959Z');
+      expect(buildRule({ pattern: 'none' })).toBeNull();
+    });
+
+    it('should accept rules with or without the RRULE prefix', () => {
+      expect(buildRule({ rule: 'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3' })).toBe('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3');
+      expect(patternForRule('FREQ=WEEKLY;INTERVAL=2;COUNT=5')).toBe('biweekly');
+      expect(patternForRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3')).toBe('custom');
+    });
+
+    it('should reject rules that repeat within a day or never end', () => {
+      expect(() => buildRule({ rule: 'FREQ=HOURLY;COUNT=3' })).toThrow('at most once a day');
+      expect(() => buildRule({ rule: 'FREQ=WEEKLY;BYHOUR=9;COUNT=3' })).toThrow('time of day');
+      expect(() => buildRule({ rule: 'FREQ=WEEKLY' })).toThrow('COUNT or UNTIL');
+      expect(() => buildRule({ rule: 'not a rule' })).toThrow();
+    });
+  });
+
+  describe('expandRule', () => {
+    it('should repeat on the second Tuesday of each month', () => {
+      const repeats = expandRule('FREQ=MONTHLY;BYDAY=+2TU;COUNT=3', '2026-11-10');
+
+      expect(repeats.map(repeat => repeat.day)).toEqual(['2026-12-08', '2027-01-12']);
+    });
+
+    it('should mark exceptions as excluded', () => {
+      const repeats = expandRule('FREQ=WEEKLY;COUNT=4', '2026-11-02', { exceptions: ['2026-11-16'] });
+
+      expect(repeats.filter(repeat => repeat.excluded).map(repeat => repeat.day)).toEqual(['2026-11-16']);
+    });
+
+    it('should reject a first booking that is not an occurrence', () => {
+      expect(() => expandRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', '2026-11-02')).toThrow('first booking');
+    });
+
+    it('should reject rules with too many occurrences', () => {
+      expect(() => expandRule('FREQ=DAILY;COUNT=20', '2026-11-02', { maxOccurrences: 10 })).toThrow('limited to 10');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const reminderService = require('../../services/reminderService');
+
+// Reminders are only worked out here; nothing is sent
+jest.mock('../../utils/emailService');
+
+describe('Reminder Service', () => {
+  describe('describeOffset', () => {
+    it('should describe offsets in hours where they divide evenly', () => {
+      expect(reminderService.describeOffset(2880)).toBe('48 hours');
+      expect(reminderService.describeOffset(60)).toBe('1 hour');
+      expect(reminderService.describeOffset(90)).toBe('90 minutes');
+    });
+  });
+
+  describe('getReminderOffsets', () => {
+    it('should use the service offsets, including an empty list', () => {
+      expect(reminderService.getReminderOffsets({ reminderOffsets: [30] })).toEqual([30]);
+      expect(reminderService.getReminderOffsets({ reminderOffsets: [] })).toEqual([]);
+    });
+  });
+
+  describe('getReminderTimes', () => {
+    const booking = {
+      _id: 'b1',
+      startsAt: new Date('2026-11-10T10:00:00Z'),
+      createdAt: new Date('2026-11-01T09:00:00Z'),
+      rescheduleHistory: []
+    };
+
+    it('should schedule each offset before the start, earliest first', () => {
+      const times = reminderService.getReminderTimes(booking, [120, 2880, 120]);
+
+      expect(times.map(time => time.sendAt.toISOString())).toEqual([
+        '2026-11-08T10:00:00.000Z',
+        '2026-11-10T08:00:00.000Z'
+      ]);
+      expect(times[1].key).toBe('b1:120:2026-11-10T10:00:00.000Z');
+    });
+
+    it('should leave out reminders due before the booking was last moved', () => {
+      const moved = {
+        ...booking,
+        rescheduleHistory: [{ rescheduledAt: new Date('2026-11-09T12:00:00Z') }]
+      };
+
+      expect(reminderService.getReminderTimes(moved, [2880, 120]).map(time => time.offsetMinutes)).toEqual([120]);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const reportService = require('../../services/reportService');
+
+// Only the date handling is tested here; nothing is generated or sent
+jest.mock('../../services/emailService');
+
+describe('Report Service', () => {
+  describe('resolveWindow', () => {
+    it('should end the window at the end of yesterday in the given zone', () => {
+      const { startDate, endDate } = reportService.resolveWindow(
+        { amount: 7, unit: 'day' },
+        'Europe/London',
+        new Date('2026-10-19T06:00:00Z')
+      );
+
+      expect(startDate.toISOString()).toBe('2026-10-11T23:00:00.000Z');
+      expect(endDate.toISOString()).toBe('2026-10-18T22:59:59.999Z');
+    });
+
+    it('should cover the previous calendar month when sent on the first', () => {
+      const { startDate, endDate } = reportService.resolveWindow(
+        { amount: 1, unit: 'month' },
+        'UTC',
+        new Date('2026-11-01T07:00:00Z')
+      );
+
+      expect(startDate.toISOString()).toBe('2026-10-01T00:00:00.000Z');
+      expect(endDate.toISOString()).toBe('2026-10-31T23:59:59.999Z');
+    });
+  });
+});
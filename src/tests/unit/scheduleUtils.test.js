@@ -0,0 +1,76 @@
+const {
+  toMinutes,
+  toTime,
+  parseTimeSlot,
+  findIntervalProblem,
+  buildTemplateSlots
+} = require('../../utils/scheduleUtils');
+
+describe('Schedule Utils', () => {
+  describe('time conversion', () => {
+    it('should convert between HH:MM and minutes', () => {
+      expect(toMinutes('09:30')).toBe(570);
+      expect(toTime(570)).toBe('09:30');
+      expect(parseTimeSlot('09:00-10:15')).toEqual({ start: 540, end: 615 });
+    });
+  });
+
+  describe('findIntervalProblem', () => {
+    it('should accept separate intervals', () => {
+      expect(findIntervalProblem([
+        { start: '09:00', end: '12:00' },
+        { start: '13:00', end: '17:00' }
+      ])).toBeNull();
+    });
+
+    it('should reject overlapping intervals', () => {
+      expect(findIntervalProblem([
+        { start: '09:00', end: '12:00' },
+        { start: '11:00', end: '14:00' }
+      ])).toMatch(/overlaps/);
+    });
+
+    it('should reject intervals that end before they start', () => {
+      expect(findIntervalProblem([{ start: '12:00', end: '09:00' }])).toMatch(/must end after/);
+    });
+  });
+
+  describe('buildTemplateSlots', () => {
+    const template = {
+      weeklyHours: [
+        { day: 1, intervals: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '15:00' }] }
+      ],
+      slotDuration: 60,
+      bufferBefore: 0,
+      bufferAfter: 0
+    };
+
+    it('should split each interval into slots', () => {
+      const slots = buildTemplateSlots(template, 1);
+
+      expect(slots.map(slot => slot.timeSlot)).toEqual([
+        '09:00-10:00', '10:00-11:00', '11:00-12:00',
+        '13:00-14:00', '14:00-15:00'
+      ]);
+    });
+
+    it('should return no slots on closed days', () => {
+      expect(buildTemplateSlots(template, 0)).toEqual([]);
+    });
+
+    it('should keep buffers free around each slot', () => {
+      const slots = buildTemplateSlots({ ...template, bufferBefore: 15, bufferAfter: 15 }, 1);
+
+      expect(slots.map(slot => slot.timeSlot)).toEqual([
+        '09:15-10:15', '10:45-11:45', '13:15-14:15'
+      ]);
+      expect(slots[0]).toMatchObject({ blockStart: 540, blockEnd: 630 });
+    });
+
+    it('should fall back to the default duration', () => {
+      const slots = buildTemplateSlots({ ...template, slotDuration: undefined }, 1, 90);
+
+      expect(slots.map(slot => slot.timeSlot)).toEqual(['09:00-10:30', '10:30-12:00', '13:00-14:30']);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const schedulerService = require('../../services/schedulerService');
+
+describe('Scheduler Service', () => {
+  describe('getNextRunAt', () => {
+    it('should read the cron expression in the schedule timezone', () => {
+      const from = new Date('2026-07-01T12:00:00Z');
+
+      expect(schedulerService.getNextRunAt('0 7 * * *', 'Europe/London', from).toISOString())
+        .toBe('2026-07-02T06:00:00.000Z');
+      expect(schedulerService.getNextRunAt('0 7 * * *', 'UTC', from).toISOString())
+        .toBe('2026-07-02T07:00:00.000Z');
+    });
+
+    it('should run every 15 minutes', () => {
+      const from = new Date('2026-07-01T12:07:00Z');
+
+      expect(schedulerService.getNextRunAt('*/15 * * * *', 'UTC', from).toISOString())
+        .toBe('2026-07-01T12:15:00.000Z');
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => schedulerService.getNextRunAt('61 * * * *')).toThrow('Invalid cron expression');
+      expect(() => schedulerService.getNextRunAt('0 0 7 * * *')).toThrow('five fields');
+    });
+  });
+});
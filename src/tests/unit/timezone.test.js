@@ -0,0 +1,58 @@
+const {
+  isValidTimezone,
+  localToUtc,
+  slotToInstants,
+  getZonedDayBounds,
+  describeInZone
+} = require('../../utils/timezone');
+
+describe('Timezone Utils', () => {
+  describe('isValidTimezone', () => {
+    it('should accept IANA zone names only', () => {
+      expect(isValidTimezone('Europe/London')).toBe(true);
+      expect(isValidTimezone('America/New_York')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone(undefined)).toBe(false);
+    });
+  });
+
+  describe('slotToInstants', () => {
+    it('should convert office times to UTC in summer and winter', () => {
+      expect(slotToInstants('2026-07-01', '09:00-10:00', 'Europe/London')).toEqual({
+        startsAt: new Date('2026-07-01T08:00:00Z'),
+        endsAt: new Date('2026-07-01T09:00:00Z')
+      });
+      expect(slotToInstants('2026-01-15', '09:00-10:00', 'Europe/London').startsAt)
+        .toEqual(new Date('2026-01-15T09:00:00Z'));
+    });
+
+    it('should reject slots skipped when the clocks go forward', () => {
+      expect(localToUtc('2026-03-29', 90, 'Europe/London')).toBeNull();
+      expect(slotToInstants('2026-03-29', '01:00-02:00', 'Europe/London')).toBeNull();
+    });
+
+    it('should keep the real length of slots when the clocks go back', () => {
+      const { startsAt, endsAt } = slotToInstants('2026-10-25', '00:30-02:30', 'Europe/London');
+      expect((endsAt - startsAt) / 60000).toBe(180);
+    });
+  });
+
+  describe('getZonedDayBounds', () => {
+    it('should bound days that are 23 hours long', () => {
+      const { dayStart, dayEnd } = getZonedDayBounds('2026-03-08', 'America/New_York');
+      expect(dayStart).toEqual(new Date('2026-03-08T05:00:00Z'));
+      expect(Math.round((dayEnd - dayStart) / 3600000)).toBe(23);
+    });
+  });
+
+  describe('describeInZone', () => {
+    it('should show a booking in the client zone', () => {
+      const { startsAt, endsAt } = slotToInstants('2026-07-01', '09:00-10:00', 'Europe/London');
+      const described = describeInZone(startsAt, endsAt, 'America/New_York');
+
+      expect(described.date).toBe('2026-07-01');
+      expect(described.timeSlot).toBe('04:00-05:00');
+      expect(described.abbreviation).toBe('EDT');
+    });
+  });
+});
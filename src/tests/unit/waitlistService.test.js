@@ -0,0 +1,306 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Client = require('../../models/Client');
+const Service = require('../../models/Service');
+const Waitlist = require('../../models/Waitlist');
+const waitlistService = require('../../services/waitlistService');
+const holdService = require('../../services/holdService');
+const jobService = require('../../services/jobService');
+const emailService = require('../../services/emailService');
+const { ConflictError } = require('../../utils/AppError');
+const config = require('../../config');
+
+describe('Waitlist Service', () => {
+  const serviceId = new mongoose.Types.ObjectId();
+  const slot = { serviceId, date: new Date('2026-11-02'), timeSlot: '10:00-11:00' };
+
+  // Replaced functions are put back after each test
+  const stubs = [];
+  const stub = (object, name, fn) => {
+    stubs.push([object, name, object[name]]);
+    object[name] = fn;
+  };
+
+  afterEach(() => {
+    stubs.splice(0).reverse().forEach(([object, name, original]) => {
+      object[name] = original;
+    });
+  });
+
+  const makeEntry = (firstName, email) => {
+    const entry = new Waitlist({
+      clientId: new Client({ firstName, lastName: 'Client', email }),
+      serviceId,
+      requestedDate: slot.date,
+      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+    });
+    entry.save = async () => entry;
+    return entry;
+  };
+
+  // Records the holds, expiry jobs and emails made for offers
+  const record = (candidates) => {
+    const made = { holds: [], jobs: [], emails: [], released: [] };
+
+    stub(Waitlist, 'find', () => ({
+      sort() { return this; },
+      populate: async () => candidates
+    }));
+    stub(Service, 'findById', () => ({ select: async () => ({ name: 'Recovery Consultation' }) }));
+    stub(holdService, 'createHold', async (slotId, options) => {
+      const hold = {
+        _id: new mongoose.Types.ObjectId(),
+        date: slot.date,
+        timeSlot: slot.timeSlot,
+        startsAt: new Date('2026-11-02T10:00:00Z'),
+        expiresAt: new Date(Date.now() + options.minutes * 60 * 1000)
+      };
+      made.holds.push({ slotId, options, hold });
+      return hold;
+    });
+    stub(holdService, 'releaseHoldById', async (holdId) => {
+      made.released.push(holdId);
+    });
+    stub(jobService, 'enqueue', async (type, payload, options) => {
+      made.jobs.push({ type, payload, options });
+    });
+    stub(emailService, 'sendWaitlistNotification', async (email, firstName, data) => {
+      made.emails.push({ email, data });
+    });
+
+    return made;
+  };
+
+  describe('offerSlot', () => {
+    it('should hold a freed slot for the first entry that can be emailed', async () => {
+      const noEmail = makeEntry('Nobody', undefined);
+      const entry = makeEntry('Ada', 'ada@example.com');
+      const made = record([noEmail, entry]);
+
+      const offeredTo = await waitlistService.offerSlot(slot);
+
+      expect(offeredTo).toBe(entry);
+      expect(noEmail.offers).toHaveLength(0);
+      expect(made.holds).toHaveLength(1);
+      expect(made.holds[0].options.waitlistId).toBe(entry._id);
+      expect(made.holds[0].options.minutes).toBe(config.waitlist.offerMinutes);
+
+      const offer = entry.getOpenOffer();
+      expect(entry.status).toBe('notified');
+      expect(offer.holdId).toEqual(made.holds[0].hold._id);
+      expect(offer.expiresAt).toEqual(made.holds[0].hold.expiresAt);
+
+      expect(made.jobs[0].type).toBe('waitlist-offer-expiry');
+      expect(made.jobs[0].payload).toEqual({ waitlistId: entry._id.toString(), holdId: offer.holdId.toString() });
+      expect(made.jobs[0].options.runAt).toEqual(offer.expiresAt);
+
+      expect(made.emails[0].email).toBe('ada@example.com');
+      expect(made.emails[0].data.bookingUrl).toMatch(/\/waitlist-claim\//);
+    });
+
+    it('should offer nothing when the slot has been taken meanwhile', async () => {
+      const entry = makeEntry('Ada', 'ada@example.com');
+      const made = record([entry]);
+      stub(holdService, 'createHold', async () => {
+        throw new ConflictError('The selected time slot is no longer available', 'SLOT_TAKEN');
+      });
+
+      expect(await waitlistService.offerSlot(slot)).toBeNull();
+      expect(entry.offers).toHaveLength(0);
+      expect(made.jobs).toHaveLength(0);
+      expect(made.emails).toHaveLength(0);
+    });
+
+    it('should offer nothing when no entry matches', async () => {
+      const made = record([]);
+
+      expect(await waitlistService.offerSlot(slot)).toBeNull();
+      expect(made.holds).toHaveLength(0);
+    });
+  });
+
+  describe('expireOffer', () => {
+    const offerTo = (entry) => {
+      const holdId = new mongoose.Types.ObjectId();
+      entry.offers.push({
+        date: slot.date,
+        timeSlot: slot.timeSlot,
+        holdId,
+        offeredAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+        expiresAt: new Date()
+      });
+      entry.status = 'notified';
+      return holdId;
+    };
+
+    it('should expire the offer and pass the slot to the next entry', async () => {
+      const first = makeEntry('Ada', 'ada@example.com');
+      const next = makeEntry('Grace', 'grace@example.com');
+      const holdId = offerTo(first);
+      const made = record([next]);
+      stub(Waitlist, 'findOne', async () => first);
+
+      const result = await waitlistService.expireOffer({ waitlistId: first._id.toString(), holdId: holdId.toString() });
+
+      expect(result).toEqual({ offeredTo: next._id.toString() });
+      expect(made.released).toEqual([holdId]);
+      expect(first.offers[0].outcome).toBe('expired');
+      expect(first.getOpenOffer()).toBeNull();
+      expect(first.status).toBe('pending');
+
+      expect(next.status).toBe('notified');
+      expect(next.getOpenOffer().timeSlot).toBe(slot.timeSlot);
+      expect(made.emails[0].email).toBe('grace@example.com');
+    });
+
+    it('should expire an entry that has run out while its offer was open', async () => {
+      const entry = makeEntry('Ada', 'ada@example.com');
+      entry.expiresAt = new Date(Date.now() - 60 * 1000);
+      const holdId = offerTo(entry);
+      record([]);
+      stub(Waitlist, 'findOne', async () => entry);
+
+      const result = await waitlistService.expireOffer({ waitlistId: entry._id.toString(), holdId: holdId.toString() });
+
+      expect(result).toEqual({ offeredTo: null });
+      expect(entry.status).toBe('expired');
+    });
+
+    it('should leave offers that were already closed', async () => {
+      const made = record([]);
+      stub(Waitlist, 'findOne', async () => null);
+
+      const result = await waitlistService.expireOffer({
+        waitlistId: new mongoose.Types.ObjectId().toString(),
+        holdId: new mongoose.Types.ObjectId().toString()
+      });
+
+      expect(result).toEqual({ skipped: 'OFFER_CLOSED' });
+      expect(made.released).toHaveLength(0);
+    });
+  });
+
+  describe('claim tokens', () => {
+    it('should sign the entry and offer and expire with the offer', () => {
+      const entry = new Waitlist({
+        clientId: new mongoose.Types.ObjectId(),
+        serviceId: new mongoose.Types.ObjectId(),
+        requestedDate: new Date('2026-11-02')
+      });
+      entry.offers.push({
+        date: new Date('2026-11-02'),
+        timeSlot: '10:00-11:00',
+        expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
+      });
+      const offer = entry.offers[0];
+
+      const decoded = jwt.verify(entry.generateClaimToken(offer), config.waitlist.secret);
+
+      expect(decoded.type).toBe('waitlist-claim');
+      expect(decoded.waitlistId).toBe(entry._id.toString());
+      expect(decoded.offerId).toBe(offer._id.toString());
+      expect(Math.abs(decoded.exp - Math.floor(offer.expiresAt.getTime() / 1000)) <= 1).toBe(true);
+      expect(entry.getClaimUrl(offer)).toMatch(/\/waitlist-claim\/[\w-]+\.[\w-]+\.[\w-]+$/);
+    });
+
+    it('should reject tokens that are not claim tokens', async () => {
+      const token = jwt.sign({ waitlistId: 'abc', type: 'manage-booking' }, config.waitlist.secret);
+
+      await expect(waitlistService.claimOffer(token)).rejects.toThrow('Invalid link');
+      await expect(waitlistService.claimOffer('not-a-token')).rejects.toThrow('Invalid link');
+    });
+
+    it('should report expired offers', async () => {
+      const token = jwt.sign({
+        waitlistId: 'abc',
+        offerId: 'def',
+        type: 'waitlist-claim',
+        exp: Math.floor(Date.now() / 1000) - 60
+      }, config.waitlist.secret);
+
+      await expect(waitlistService.getOffer(token)).rejects.toThrow('This offer has expired');
+    });
+  });
+
+  describe('status tokens', () => {
+    it('should stop working a day after the entry expires', () => {
+      const entry = new Waitlist({
+        clientId: new mongoose.Types.ObjectId(),
+        serviceId: new mongoose.Types.ObjectId(),
+        requestedDate: new Date(),
+        expiresAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000)
+      });
+
+      const decoded = jwt.verify(entry.generateStatusToken(), config.waitlist.secret);
+      const expected = Math.floor(entry.expiresAt.getTime() / 1000) + 24 * 60 * 60;
+
+      expect(decoded.type).toBe('waitlist-status');
+      expect(Math.abs(decoded.exp - expected) <= 1).toBe(true);
+    });
+
+    it('should never outlast the longest a status link works for', () => {
+      const entry = new Waitlist({
+        clientId: new mongoose.Types.ObjectId(),
+        serviceId: new mongoose.Types.ObjectId(),
+        requestedDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+      });
+
+      const decoded = jwt.verify(entry.generateStatusToken(), config.waitlist.secret);
+
+      expect(decoded.exp - decoded.iat).toBe(config.waitlist.statusLinkDays * 24 * 60 * 60);
+    });
+  });
+
+  describe('addAlternativeDates', () => {
+    const inDays = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return date.toISOString().split('T')[0];
+    };
+
+    it('should add new days once and wait until the last has passed', () => {
+      const entry = new Waitlist({
+        clientId: new mongoose.Types.ObjectId(),
+        serviceId: new mongoose.Types.ObjectId(),
+        requestedDate: new Date(inDays(1))
+      });
+
+      waitlistService.addAlternativeDates(entry, [inDays(1), inDays(40), inDays(40), inDays(3)]);
+
+      expect(entry.alternativeDates).toHaveLength(2);
+      expect(entry.expiresAt > new Date(inDays(40))).toBe(true);
+    });
+
+    it('should keep the default expiry when the days are sooner', () => {
+      const entry = new Waitlist({
+        clientId: new mongoose.Types.ObjectId(),
+        serviceId: new mongoose.Types.ObjectId(),
+        requestedDate: new Date(inDays(1))
+      });
+      const expiresAt = entry.expiresAt;
+
+      waitlistService.addAlternativeDates(entry, [inDays(2)]);
+
+      expect(entry.expiresAt).toEqual(expiresAt);
+      expect(() => waitlistService.addAlternativeDates(entry, [inDays(-2)]))
+        .toThrow('Alternative dates cannot be in the past');
+    });
+  });
+
+  describe('estimateLikelihood', () => {
+    it('should give the chance of enough cancellations to reach the entry', () => {
+      // 1 - 0.9^10
+      expect(waitlistService.estimateLikelihood(0.1, 10, 0)).toEqual({ probability: 0.65, level: 'high' });
+      // At least 3 of 10 cancelled
+      expect(waitlistService.estimateLikelihood(0.1, 10, 2)).toEqual({ probability: 0.07, level: 'low' });
+      expect(waitlistService.estimateLikelihood(0.2, 10, 1)).toEqual({ probability: 0.62, level: 'high' });
+      expect(waitlistService.estimateLikelihood(0.1, 8, 1).level).toBe('low');
+    });
+
+    it('should be nil when too few bookings could be cancelled', () => {
+      expect(waitlistService.estimateLikelihood(0.2, 2, 2)).toEqual({ probability: 0, level: 'low' });
+      expect(waitlistService.estimateLikelihood(0, 10, 0)).toEqual({ probability: 0, level: 'low' });
+      expect(waitlistService.estimateLikelihood(1, 3, 2)).toEqual({ probability: 1, level: 'high' });
+    });
+  });
+});
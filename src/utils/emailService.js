@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 
+// Answers typed by clients go into HTML emails, so they are escaped first
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -27,7 +35,34 @@ class EmailService {
     }
   }
 
-  async sendNewBookingConfirmation(clientData, bookingData) {
+  async sendMail({ to, subject, html, text, attachments }) {
+    try {
+      const result = await this.transporter.sendMail({
+        from: {
+          name: 'Recovery Office',
+          address: 'contact@recovery-office.com'
+        },
+        to,
+        subject,
+        html,
+        text,
+        attachments
+      });
+      console.log('✅ [Email Service] Email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+      
+    } catch (error) {
+      console.error('❌ [Email Service] Email failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add the booking's calendar invite, if it has one, to an email's attachments
+  withCalendarInvite(bookingData, attachments = []) {
+    return bookingData.calendarInvite ? [...attachments, bookingData.calendarInvite] : attachments;
+  }
+
+  async sendNewBookingConfirmation(clientData, bookingData, attachments = []) {
     try {
       console.log(`[Email Service] Sending confirmation to: ${clientData.email}`);
 
@@ -39,7 +74,8 @@ class EmailService {
         to: clientData.email,
         subject: `Booking Confirmation - Recovery Office (Ref: ${bookingData.reference})`,
         html: this.generateClientEmail(clientData, bookingData),
-        text: this.generateClientTextEmail(clientData, bookingData)
+        text: this.generateClientTextEmail(clientData, bookingData),
+        attachments: this.withCalendarInvite(bookingData, attachments)
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -52,6 +88,84 @@ class EmailService {
     }
   }
 
+  async sendBookingRescheduled(clientData, bookingData) {
+    try {
+      console.log(`[Email Service] Sending reschedule confirmation to: ${clientData.email}`);
+
+      const mailOptions = {
+        from: {
+          name: 'Recovery Office',
+          address: 'contact@recovery-office.com'
+        },
+        to: clientData.email,
+        subject: `Booking Rescheduled - Recovery Office (Ref: ${bookingData.reference})`,
+        html: this.generateClientEmail(clientData, bookingData),
+        text: this.generateClientTextEmail(clientData, bookingData),
+        attachments: this.withCalendarInvite(bookingData)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ [Email Service] Reschedule confirmation sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+      
+    } catch (error) {
+      console.error('❌ [Email Service] Reschedule email failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendBookingReminder(clientData, bookingData) {
+    try {
+      console.log(`[Email Service] Sending reminder to: ${clientData.email}`);
+
+      const mailOptions = {
+        from: {
+          name: 'Recovery Office',
+          address: 'contact@recovery-office.com'
+        },
+        to: clientData.email,
+        subject: `Reminder: Your Consultation in ${bookingData.reminderLabel} - Recovery Office (Ref: ${bookingData.reference})`,
+        html: this.generateClientEmail(clientData, bookingData),
+        text: this.generateClientTextEmail(clientData, bookingData),
+        attachments: this.withCalendarInvite(bookingData)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ [Email Service] Reminder sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+      
+    } catch (error) {
+      console.error('❌ [Email Service] Reminder email failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendBookingCancelled(clientData, bookingData, attachments = []) {
+    try {
+      console.log(`[Email Service] Sending cancellation to: ${clientData.email}`);
+
+      const mailOptions = {
+        from: {
+          name: 'Recovery Office',
+          address: 'contact@recovery-office.com'
+        },
+        to: clientData.email,
+        subject: `Booking Cancelled - Recovery Office (Ref: ${bookingData.reference})`,
+        html: this.generateCancellationEmail(clientData, bookingData),
+        text: this.generateCancellationTextEmail(clientData, bookingData),
+        attachments: this.withCalendarInvite(bookingData, attachments)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ [Email Service] Cancellation sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+      
+    } catch (error) {
+      console.error('❌ [Email Service] Cancellation email failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async sendNewInternalNotification(clientData, bookingData) {
     try {
       console.log('[Email Service] Sending internal notification...');
@@ -77,13 +191,40 @@ class EmailService {
     }
   }
 
+  async sendIntakeNotification(clientData, bookingData) {
+    try {
+      console.log('[Email Service] Sending intake answers...');
+
+      const intakeData = { ...bookingData, intakeReceived: true };
+      const mailOptions = {
+        from: {
+          name: 'Recovery Office System',
+          address: 'contact@recovery-office.com'
+        },
+        to: 'contact@recovery-office.com',
+        subject: `📋 Intake Answers: ${clientData.firstName} ${clientData.lastName} - ${bookingData.reference}`,
+        html: this.generateInternalEmail(clientData, intakeData),
+        text: this.generateInternalTextEmail(clientData, intakeData)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ [Email Service] Intake answers sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+      
+    } catch (error) {
+      console.error('❌ [Email Service] Intake email failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   generateClientEmail(clientData, bookingData) {
     const formatDate = (dateString) => {
       return new Date(dateString).toLocaleDateString('en-GB', {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
-        day: 'numeric'
+        day: 'numeric',
+        timeZone: bookingData.timezone
       });
     };
 
@@ -114,10 +255,16 @@ class EmailService {
         <div class="content">
             <h2 style="color: #1a365d;">Dear ${clientData.firstName} ${clientData.lastName},</h2>
             
+            ${bookingData.reminderLabel ? `
+            <p>This is a reminder that your consultation with Recovery Office is in ${bookingData.reminderLabel}. The details are below.</p>
+            ` : bookingData.previousTime ? `
+            <p>Your consultation with Recovery Office has been moved to a new time. The updated details are below.</p>
+            ` : `
             <p>Thank you for booking a consultation with Recovery Office. Your booking has been confirmed and we look forward to assisting you with your financial recovery needs.</p>
+            `}
             
             <div class="confirmation">
-                <h3 style="color: #38a169; margin-top: 0;">✅ Booking Confirmed</h3>
+                <h3 style="color: #38a169; margin-top: 0;">${bookingData.reminderLabel ? '⏰ Upcoming Consultation' : bookingData.previousTime ? '✅ Booking Rescheduled' : '✅ Booking Confirmed'}</h3>
                 <p>Reference: <strong>${bookingData.reference}</strong></p>
             </div>
             
@@ -136,13 +283,27 @@ class EmailService {
                 
                 <div class="detail-row">
                     <span class="label">Time:</span>
-                    <span>${bookingData.timeSlot === 'Time not available' ? 'To be confirmed' : bookingData.timeSlot}</span>
+                    <span>${bookingData.timeSlot === 'Time not available' ? 'To be confirmed' : [bookingData.timeSlot, bookingData.timezoneLabel].filter(Boolean).join(' ')}</span>
                 </div>
                 
+                ${bookingData.previousTime ? `
+                <div class="detail-row">
+                    <span class="label">Previously:</span>
+                    <span style="text-decoration: line-through;">${bookingData.previousTime}</span>
+                </div>
+                ` : ''}
+                
                 <div class="detail-row">
                     <span class="label">Specialist:</span>
-                    <span>Alex Bianchi - Senior Recovery Specialist</span>
+                    <span>${bookingData.consultantName || 'Alex Bianchi - Senior Recovery Specialist'}</span>
+                </div>
+                
+                ${bookingData.meetingUrl ? `
+                <div class="detail-row">
+                    <span class="label">Join online:</span>
+                    <span><a href="${bookingData.meetingUrl}">${bookingData.meetingUrl}</a></span>
                 </div>
+                ` : ''}
                 
                 <div class="detail-row">
                     <span class="label">Contact:</span>
@@ -162,6 +323,16 @@ class EmailService {
                 <p style="margin: 0; color: #c53030;"><strong>Important:</strong> This consultation is completely confidential with no obligation to proceed.</p>
             </div>
             
+            ${bookingData.manageUrl ? `
+            <div style="text-align: center; margin: 25px 0;">
+                <a href="${bookingData.manageUrl}" 
+                   style="background: #1a365d; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+                    View, Reschedule or Cancel
+                </a>
+                <p style="font-size: 12px; color: #718096;">This link is personal to you. Please do not forward this email.</p>
+            </div>
+            ` : ''}
+            
             <p>For questions or to reschedule, contact us at <a href="mailto:contact@recovery-office.com">contact@recovery-office.com</a> or +44 7451 263472.</p>
             
             <p>Best regards,<br><strong>The Recovery Office Team</strong></p>
@@ -201,16 +372,18 @@ class EmailService {
 <body>
     <div class="container">
         <div class="header">
-            <h1 style="margin: 0;">🔔 New Booking Alert</h1>
+            <h1 style="margin: 0;">${bookingData.intakeReceived ? '📋 Intake Answers Received' : '🔔 New Booking Alert'}</h1>
             <p style="margin: 5px 0 0 0;">Recovery Office Dashboard</p>
         </div>
         
         <div class="content">
-            <h2 style="color: #1a365d;">New Consultation Booking</h2>
+            <h2 style="color: #1a365d;">${bookingData.intakeReceived ? 'Client Answered the Intake Form' : 'New Consultation Booking'}</h2>
             
+            ${bookingData.intakeReceived ? '' : `
             <div class="priority">
                 <strong>Action Required: Contact client within 24 hours</strong>
             </div>
+            `}
             
             <div class="client-info">
                 <h3 style="color: #1a365d; margin-top: 0;">Client Information</h3>
@@ -256,20 +429,51 @@ class EmailService {
                 
                 <div class="detail-row">
                     <span class="label">Date:</span>
-                    <span>${new Date(bookingData.date).toLocaleDateString('en-GB')}</span>
+                    <span>${new Date(bookingData.date).toLocaleDateString('en-GB', { timeZone: bookingData.officeTimezone })}</span>
                 </div>
                 
                 <div class="detail-row">
                     <span class="label">Time:</span>
-                    <span>${bookingData.timeSlot}</span>
+                    <span>${bookingData.officeTimeSlot || bookingData.timeSlot}</span>
                 </div>
                 
+                ${bookingData.timezone && bookingData.timezone !== bookingData.officeTimezone ? `
+                <div class="detail-row">
+                    <span class="label">Client time:</span>
+                    <span>${bookingData.timeSlot} ${bookingData.timezoneLabel} (${bookingData.timezone})</span>
+                </div>
+                ` : ''}
+                
                 <div class="detail-row">
                     <span class="label">Urgency:</span>
                     <span>${bookingData.urgencyLevel || 'Standard'}</span>
                 </div>
+                
+                <div class="detail-row">
+                    <span class="label">Consultant:</span>
+                    <span>${bookingData.consultantName || 'Unassigned'}</span>
+                </div>
+                
+                ${bookingData.meetingUrl ? `
+                <div class="detail-row">
+                    <span class="label">Meeting:</span>
+                    <span><a href="${bookingData.meetingUrl}">${bookingData.meetingUrl}</a></span>
+                </div>
+                ` : ''}
             </div>
             
+            ${bookingData.intakeAnswers && bookingData.intakeAnswers.length ? `
+            <div class="client-info">
+                <h3 style="color: #1a365d; margin-top: 0;">Intake Answers</h3>
+                ${bookingData.intakeAnswers.map(answer => `
+                <div class="detail-row">
+                    <span class="label">${escapeHtml(answer.label)}</span>
+                    <span>${escapeHtml(answer.value)}</span>
+                </div>
+                `).join('')}
+            </div>
+            ` : ''}
+            
             ${clientData.notes ? `
             <div style="background: #f7fafc; border-radius: 8px; padding: 15px; margin: 15px 0;">
                 <h4 style="color: #1a365d; margin-top: 0;">Notes:</h4>
@@ -292,23 +496,105 @@ class EmailService {
 
   generateClientTextEmail(clientData, bookingData) {
     return `
-RECOVERY OFFICE - BOOKING CONFIRMATION
+RECOVERY OFFICE - ${bookingData.reminderLabel ? 'BOOKING REMINDER' : bookingData.previousTime ? 'BOOKING RESCHEDULED' : 'BOOKING CONFIRMATION'}
 
 Dear ${clientData.firstName} ${clientData.lastName},
 
-Your consultation booking has been confirmed.
+${bookingData.reminderLabel ? `This is a reminder that your consultation is in ${bookingData.reminderLabel}.` : bookingData.previousTime ? 'Your consultation has been moved to a new time.' : 'Your consultation booking has been confirmed.'}
 
 BOOKING DETAILS:
 Reference: ${bookingData.reference}
 Service: ${bookingData.serviceName}
-Date: ${new Date(bookingData.date).toLocaleDateString('en-GB')}
-Time: ${bookingData.timeSlot}
-Specialist: Alex Bianchi
-
+Date: ${new Date(bookingData.date).toLocaleDateString('en-GB', { timeZone: bookingData.timezone })}
+Time: ${[bookingData.timeSlot, bookingData.timezoneLabel].filter(Boolean).join(' ')}
+${bookingData.previousTime ? `Previously: ${bookingData.previousTime}
+` : ''}Specialist: ${bookingData.consultantName || 'Alex Bianchi'}
+${bookingData.meetingUrl ? `Join online: ${bookingData.meetingUrl}
+` : ''}
 We will contact you within 24 hours to confirm details.
-
+${bookingData.manageUrl ? `
+View, reschedule or cancel your booking: ${bookingData.manageUrl}
+` : ''}
 Contact: +44 7451 263472 | contact@recovery-office.com
 
+Best regards,
+Recovery Office Team
+FCA Authorised Reference: 836358
+`;
+  }
+
+  generateCancellationEmail(clientData, bookingData) {
+    const when = new Date(bookingData.date).toLocaleDateString('en-GB', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: bookingData.timezone
+    });
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a365d 0%, #2c5282 100%); color: white; padding: 30px 20px; text-align: center; }
+        .logo { font-size: 24px; font-weight: bold; margin-bottom: 8px; }
+        .content { padding: 30px 20px; }
+        .cancelled { background: #fff5f5; border: 2px solid #c53030; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center; }
+        .footer { background: #2d3748; color: #a0aec0; padding: 20px; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">RECOVERY OFFICE</div>
+            <div>Professional Financial Recovery Services</div>
+        </div>
+        
+        <div class="content">
+            <h2 style="color: #1a365d;">Dear ${clientData.firstName} ${clientData.lastName},</h2>
+            
+            <p>Your ${bookingData.serviceName} on ${when} at ${[bookingData.timeSlot, bookingData.timezoneLabel].filter(Boolean).join(' ')} has been cancelled${bookingData.cancelledSessions > 1 ? `, along with the ${bookingData.cancelledSessions - 1} later session${bookingData.cancelledSessions > 2 ? 's' : ''} in the series` : ''}. The attached calendar update${bookingData.cancelledSessions > 1 ? 's remove them' : ' removes it'} from your calendar.</p>
+            
+            <div class="cancelled">
+                <h3 style="color: #c53030; margin-top: 0;">Booking Cancelled</h3>
+                <p>Reference: <strong>${bookingData.reference}</strong></p>
+            </div>
+            
+            <p>To book another consultation, contact us at <a href="mailto:contact@recovery-office.com">contact@recovery-office.com</a> or +44 7451 263472.</p>
+            
+            <p>Best regards,<br><strong>The Recovery Office Team</strong></p>
+        </div>
+        
+        <div class="footer">
+            <p><strong>Recovery Office Limited</strong><br>
+            Professional Financial Recovery Consultancy<br>
+            London, United Kingdom<br>
+            FCA Authorised - Reference: 836358</p>
+        </div>
+    </div>
+</body>
+</html>
+`;
+  }
+
+  generateCancellationTextEmail(clientData, bookingData) {
+    return `
+RECOVERY OFFICE - BOOKING CANCELLED
+
+Dear ${clientData.firstName} ${clientData.lastName},
+
+Your consultation has been cancelled${bookingData.cancelledSessions > 1 ? `, along with the ${bookingData.cancelledSessions - 1} later session${bookingData.cancelledSessions > 2 ? 's' : ''} in the series` : ''}.
+
+Reference: ${bookingData.reference}
+Service: ${bookingData.serviceName}
+Date: ${new Date(bookingData.date).toLocaleDateString('en-GB', { timeZone: bookingData.timezone })}
+Time: ${[bookingData.timeSlot, bookingData.timezoneLabel].filter(Boolean).join(' ')}
+
+To book another consultation, contact us on +44 7451 263472 or contact@recovery-office.com.
+
 Best regards,
 Recovery Office Team
 FCA Authorised Reference: 836358
@@ -317,17 +603,22 @@ FCA Authorised Reference: 836358
 
   generateInternalTextEmail(clientData, bookingData) {
     return `
-NEW BOOKING - RECOVERY OFFICE
+${bookingData.intakeReceived ? 'INTAKE ANSWERS RECEIVED' : 'NEW BOOKING'} - RECOVERY OFFICE
 
 Client: ${clientData.firstName} ${clientData.lastName}
 Email: ${clientData.email}
 Phone: ${clientData.phone}
 Service: ${bookingData.serviceName}
-Date: ${new Date(bookingData.date).toLocaleDateString('en-GB')}
+Date: ${new Date(bookingData.date).toLocaleDateString('en-GB', { timeZone: bookingData.officeTimezone })}
+Time: ${bookingData.officeTimeSlot || bookingData.timeSlot}
 Reference: ${bookingData.reference}
-
+${bookingData.meetingUrl ? `Meeting: ${bookingData.meetingUrl}
+` : ''}${bookingData.intakeAnswers && bookingData.intakeAnswers.length ? `
+INTAKE ANSWERS:
+${bookingData.intakeAnswers.map(answer => `${answer.label}: ${answer.value}`).join('\n')}
+` : ''}${bookingData.intakeReceived ? '' : `
 ACTION REQUIRED: Contact within 24 hours
-`;
+`}`;
   }
 
   // Legacy compatibility methods to match existing booking controller calls
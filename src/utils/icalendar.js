@@ -0,0 +1,353 @@
+/**
+ * iCalendar utilities
+ * Minimal RFC 5545 support for reading VEVENT entries from .ics files and
+ * writing invites and feeds
+ */
+const moment = require('moment');
+
+/**
+ * Unfold continuation lines and split the calendar into content lines
+ *
+ * @param {string} text - Raw iCalendar text
+ * @returns {Array<string>} Unfolded content lines
+ */
+const unfoldLines = (text) => {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+};
+
+/**
+ * Split a content line into its name, parameters and value
+ *
+ * @param {string} line - Content line, e.g. DTSTART;VALUE=DATE:20251225
+ * @returns {Object|null} Object with name, params and value, or null if malformed
+ */
+const parseLine = (line) => {
+  const separator = line.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, separator).split(';');
+  const params = {};
+
+  for (const part of paramParts) {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) {
+      params[key.toUpperCase()] = value;
+    }
+  }
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(separator + 1)
+  };
+};
+
+/**
+ * Unescape an iCalendar TEXT value
+ *
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+const unescapeText = (value) => {
+  return value
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+};
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * Values in UTC end in Z; any other date-time is read as office local time
+ *
+ * @param {string} value - Value such as 20251225 or 20251225T090000Z
+ * @returns {Object|null} Object with date and allDay, or null if invalid
+ */
+const parseDateValue = (value) => {
+  if (/^\d{8}$/.test(value)) {
+    const date = moment(value, 'YYYYMMDD', true);
+    return date.isValid() ? { date: date.toDate(), allDay: true } : null;
+  }
+
+  const match = value.match(/^(\d{8}T\d{6})(Z?)$/);
+  if (!match) {
+    return null;
+  }
+
+  const date = match[2]
+    ? moment.utc(match[1], 'YYYYMMDDTHHmmss', true)
+    : moment(match[1], 'YYYYMMDDTHHmmss', true);
+
+  return date.isValid() ? { date: date.toDate(), allDay: false } : null;
+};
+
+/**
+ * Read the events from an iCalendar file
+ *
+ * @param {string} text - Raw iCalendar text
+ * @returns {Array<Object>} Events with uid, summary, description, start, end and allDay
+ * @throws {Error} If the text is not a VCALENDAR
+ */
+exports.parseEvents = (text) => {
+  const lines = unfoldLines(text || '');
+
+  if (lines.length === 0 || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('File is not an iCalendar (VCALENDAR) document');
+  }
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    const property = parseLine(line.trim());
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = {};
+      continue;
+    }
+
+    if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current && current.start) {
+        events.push({
+          uid: current.uid || null,
+          summary: current.summary || 'Closure',
+          description: current.description || '',
+          start: current.start.date,
+          end: current.end ? current.end.date : null,
+          allDay: current.start.allDay
+        });
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value).trim();
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(property.value).trim();
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property.value.trim());
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property.value.trim());
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Convert an event to the inclusive range of days it covers
+ * DTEND is exclusive, so an all-day event ending on the 26th closes the 25th only
+ *
+ * @param {Object} event - Event returned by parseEvents
+ * @returns {Object} Object with startDate and endDate at the start of each day
+ */
+exports.getEventDays = (event) => {
+  const startDate = moment(event.start).startOf('day');
+
+  if (!event.end) {
+    return { startDate: startDate.toDate(), endDate: startDate.toDate() };
+  }
+
+  const end = moment(event.end);
+  const lastDay = event.allDay || end.isSame(moment(end).startOf('day'))
+    ? moment(end).subtract(1, 'day').startOf('day')
+    : moment(end).startOf('day');
+
+  return {
+    startDate: startDate.toDate(),
+    endDate: moment.max(lastDay, startDate).toDate()
+  };
+};
+
+/**
+ * Escape a TEXT value
+ *
+ * @param {string} value - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/[,;]/g, '\\$&')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line so no line is longer than 75 octets
+ * Continuation lines start with a space, and multi-byte characters are
+ * never split.
+ *
+ * @param {string} line - Content line
+ * @returns {string} Folded line, without the final line break
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ *
+ * @param {Date} date - Date
+ * @returns {string} Value such as 20251225T090000Z
+ */
+exports.formatDateTime = (date) => moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+
+/**
+ * Format a CAL-ADDRESS property such as ORGANIZER or ATTENDEE
+ *
+ * @param {string} name - Property name
+ * @param {Object} person - Person with email and optional name
+ * @param {Object} params - Extra parameters
+ * @returns {string} Content line
+ */
+const calAddress = (name, person, params = {}) => {
+  const allParams = { ...params };
+  if (person.name) {
+    // Quoted parameter values cannot contain quotes
+    allParams.CN = `"${String(person.name).replace(/"/g, "'")}"`;
+  }
+
+  const paramText = Object.entries(allParams).map(([key, value]) => `;${key}=${value}`).join('');
+
+  return `${name}${paramText}:mailto:${person.email}`;
+};
+
+/**
+ * Write the content lines for an event
+ *
+ * @param {Object} event - Event
+ * @param {string} event.uid - Unique, stable ID
+ * @param {number} event.sequence - Revision; raised whenever the event changes
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Title
+ * @param {string} event.description - Description
+ * @param {string} event.location - Location
+ * @param {string} event.url - Link to the event
+ * @param {string} event.status - 'CONFIRMED', 'TENTATIVE' or 'CANCELLED'
+ * @param {Object} event.organizer - Organizer with name and email
+ * @param {Array} event.attendees - Attendees with name and email
+ * @param {Date} event.stamp - When the event was written
+ * @param {Date} event.lastModified - When the event last changed
+ * @returns {Array<string>} Content lines
+ */
+const eventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${exports.formatDateTime(event.stamp || new Date())}`,
+    `DTSTART:${exports.formatDateTime(event.start)}`,
+    `DTEND:${exports.formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary || '')}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${exports.formatDateTime(event.lastModified)}`);
+  }
+  if (event.organizer) {
+    lines.push(calAddress('ORGANIZER', event.organizer));
+  }
+  for (const attendee of event.attendees || []) {
+    lines.push(calAddress('ATTENDEE', attendee, {
+      ROLE: 'REQ-PARTICIPANT',
+      PARTSTAT: event.status === 'CANCELLED' ? 'DECLINED' : 'ACCEPTED'
+    }));
+  }
+
+  lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Write an iCalendar document
+ * Times are written in UTC, so no VTIMEZONE is needed.
+ *
+ * @param {Object} calendar - Calendar
+ * @param {string} calendar.method - iTIP method: 'REQUEST' or 'CANCEL' for
+ *   invites, 'PUBLISH' for feeds
+ * @param {string} calendar.name - Calendar name shown by subscribing apps
+ * @param {number} calendar.refreshMinutes - How often subscribers should
+ *   refresh a feed
+ * @param {Array<Object>} calendar.events - Events, as taken by eventLines
+ * @returns {string} iCalendar text with CRLF line breaks
+ */
+exports.buildCalendar = ({ method, name, refreshMinutes, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Recovery Office//Bookings//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  events.forEach(event => lines.push(...eventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
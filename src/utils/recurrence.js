@@ -0,0 +1,225 @@
+/**
+ * Recurrence utilities
+ * Read RFC 5545 recurrence rules and expand them into the office days a
+ * recurring booking repeats on
+ *
+ * Rules only choose days: every occurrence keeps the first booking's time
+ * slot, so rules repeating more often than daily, or setting a time of
+ * day, are rejected.
+ */
+const moment = require('moment');
+const { RRule } = require('rrule');
+const config = require('../config');
+const { toDayKey } = require('./timezone');
+const { ValidationError } = require('./AppError');
+
+// Rules the original recurrence patterns stand for
+const PATTERN_RULES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY'
+};
+
+// Bookings made from a pattern without an end repeat this many times
+const DEFAULT_PATTERN_OCCURRENCES = 10;
+
+const DAY_FREQUENCIES = [RRule.YEARLY, RRule.MONTHLY, RRule.WEEKLY, RRule.DAILY];
+
+exports.PATTERN_RULES = PATTERN_RULES;
+
+/**
+ * Build the error thrown for a rule that cannot be used
+ *
+ * @param {string} message - What is wrong with the rule
+ * @param {string} rule - Rule as given
+ * @returns {ValidationError} Error to throw
+ */
+const invalidRuleError = (message, rule) => {
+  const error = new ValidationError(message, 'INVALID_RECURRENCE_RULE');
+  error.details = { rule };
+  return error;
+};
+
+/**
+ * Read a recurrence rule
+ *
+ * @param {string} rule - RRULE value, with or without the "RRULE:" prefix,
+ *   e.g. FREQ=MONTHLY;BYDAY=-1FR;COUNT=6
+ * @returns {Object} rrule options for the rule
+ */
+const parseRule = (rule) => {
+  const text = String(rule || '').trim().replace(/^RRULE:/i, '');
+
+  if (!text || /\b(DTSTART|EXDATE|RDATE)\b/i.test(text)) {
+    throw invalidRuleError('Recurrence rule must be a single RRULE value such as FREQ=WEEKLY;COUNT=6', rule);
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(text);
+  } catch (error) {
+    throw invalidRuleError(`Recurrence rule could not be read: ${error.message}`, rule);
+  }
+
+  if (options.freq === undefined) {
+    throw invalidRuleError('Recurrence rule must set FREQ', rule);
+  }
+
+  if (!DAY_FREQUENCIES.includes(options.freq)) {
+    throw invalidRuleError('Bookings can repeat at most once a day', rule);
+  }
+
+  if (options.byhour || options.byminute || options.bysecond) {
+    throw invalidRuleError('Recurrence rules cannot set a time of day; every occurrence uses the booking time slot', rule);
+  }
+
+  if (options.count === undefined && !options.until) {
+    throw invalidRuleError('Recurrence rule must end, with COUNT or UNTIL', rule);
+  }
+
+  return options;
+};
+
+/**
+ * Work out the rule a recurring booking follows
+ * A rule given as text wins; otherwise the original pattern, end date and
+ * count are turned into one. The count of a pattern is the number of
+ * repeats after the first booking, while COUNT in a rule includes it.
+ *
+ * @param {Object} recurrence - Recurrence options
+ * @param {string} recurrence.rule - RRULE value
+ * @param {string} recurrence.pattern - 'daily', 'weekly', 'biweekly' or 'monthly'
+ * @param {Date|string} recurrence.endDate - Last day of a pattern
+ * @param {number} recurrence.count - Repeats of a pattern
+ * @returns {string|null} Rule without the "RRULE:" prefix, or null if the
+ *   booking does not repeat
+ */
+exports.buildRule = (recurrence = {}) => {
+  const { rule, pattern, endDate, count } = recurrence;
+
+  if (rule) {
+    return RRule.optionsToString(parseRule(rule)).replace(/^RRULE:/, '');
+  }
+
+  if (!pattern || !PATTERN_RULES[pattern]) {
+    return null;
+  }
+
+  if (count && count > 0) {
+    return `${PATTERN_RULES[pattern]};COUNT=${count + 1}`;
+  }
+
+  if (endDate) {
+    return `${PATTERN_RULES[pattern]};UNTIL=${moment(toDayKey(endDate)).format('YYYYMMDD')}T235959Z`;
+  }
+
+  return `${PATTERN_RULES[pattern]};COUNT=${DEFAULT_PATTERN_OCCURRENCES + 1}`;
+};
+
+/**
+ * Describe a rule by the pattern it matches, for the booking's
+ * recurrencePattern field
+ *
+ * @param {string} rule - Rule from buildRule
+ * @returns {string} Matching pattern, or 'custom'
+ */
+exports.patternForRule = (rule) => {
+  const base = String(rule || '')
+    .split(';')
+    .filter(part => !/^(COUNT|UNTIL)=/i.test(part))
+    .join(';');
+
+  return Object.keys(PATTERN_RULES).find(pattern => PATTERN_RULES[pattern] === base) || 'custom';
+};
+
+/**
+ * Expand a rule into the days a recurring booking repeats on
+ *
+ * Days are worked out on the office calendar: the rule starts on the first
+ * booking's day, which must itself be an occurrence, and each repeat falls
+ * on the day the rule gives. Days listed as exceptions are returned marked
+ * as excluded, like EXDATE in RFC 5545.
+ *
+ * @param {string} rule - Rule from buildRule
+ * @param {Date|string} firstDate - Day of the first booking
+ * @param {Object} options - Options
+ * @param {Array} options.exceptions - Days to skip
+ * @param {number} options.maxOccurrences - Most repeats allowed
+ * @returns {Array} Repeats after the first booking, as objects with date
+ *   (booking date), day (YYYY-MM-DD) and excluded
+ */
+exports.expandRule = (rule, firstDate, options = {}) => {
+  const { exceptions = [], maxOccurrences = config.scheduling.maxRecurrences } = options;
+  const firstDay = toDayKey(firstDate);
+
+  // rrule works in UTC; midnight UTC stands for the office day so that
+  // neither the server nor the office zone moves occurrences across days
+  const dtstart = new Date(`${firstDay}T00:00:00Z`);
+  const recurrence = new RRule({ ...parseRule(rule), dtstart });
+  const excludedDays = new Set(exceptions.map(toDayKey));
+
+  // Stop one past the limit so rules producing too many repeats are caught
+  const limit = maxOccurrences + excludedDays.size + 1;
+  const days = recurrence
+    .all((date, index) => index <= limit)
+    .map(date => date.toISOString().slice(0, 10));
+
+  if (days[0] !== firstDay) {
+    const error = new ValidationError(
+      'The first booking must fall on a day the recurrence rule repeats on',
+      'RECURRENCE_START_MISMATCH'
+    );
+    error.details = { rule, date: firstDay, firstOccurrence: days[0] || null };
+    throw error;
+  }
+
+  const repeats = days.slice(1).map(day => ({
+    date: moment(day, 'YYYY-MM-DD').toDate(),
+    day,
+    excluded: excludedDays.has(day)
+  }));
+
+  if (repeats.filter(repeat => !repeat.excluded).length > maxOccurrences) {
+    const error = new ValidationError(
+      `Recurring bookings are limited to ${maxOccurrences} occurrences`,
+      'TOO_MANY_OCCURRENCES'
+    );
+    error.details = { rule, maxOccurrences };
+    throw error;
+  }
+
+  return repeats;
+};
+
+/**
+ * Split a rule in two at an occurrence, for editing "this and following"
+ * occurrences of a series
+ *
+ * The first rule ends the day before the split; the second starts on the
+ * split day and keeps what is left of the original COUNT, or its UNTIL.
+ *
+ * @param {string} rule - Rule from buildRule
+ * @param {Date|string} firstDate - Day of the series' first booking
+ * @param {Date|string} splitDate - Day of the first occurrence of the new series
+ * @returns {Object} Object with before and after rules
+ */
+exports.splitRule = (rule, firstDate, splitDate) => {
+  const options = parseRule(rule);
+  const dtstart = new Date(`${toDayKey(firstDate)}T00:00:00Z`);
+  const splitAt = new Date(`${toDayKey(splitDate)}T00:00:00Z`);
+
+  const before = { ...options, until: new Date(splitAt.getTime() - 1000) };
+  delete before.count;
+
+  const after = { ...options };
+  if (options.count !== undefined) {
+    const taken = new RRule({ ...options, dtstart }).all(date => date < splitAt).length;
+    after.count = Math.max(options.count - taken, 1);
+  }
+
+  return {
+    before: RRule.optionsToString(before).replace(/^RRULE:/, ''),
+    after: RRule.optionsToString(after).replace(/^RRULE:/, '')
+  };
+};
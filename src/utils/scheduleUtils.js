@@ -0,0 +1,151 @@
+/**
+ * Schedule utilities
+ * Pure helpers for working with HH:MM times, time slots and weekly
+ * opening-hours templates
+ */
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const TIME_SLOT_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]-([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Convert an HH:MM time to minutes after midnight
+ *
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes after midnight
+ */
+exports.toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes after midnight to an HH:MM time
+ *
+ * @param {number} totalMinutes - Minutes after midnight
+ * @returns {string} Time in HH:MM format
+ */
+exports.toTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Check whether a string is a valid HH:MM time
+ *
+ * @param {string} time - Value to check
+ * @returns {boolean} True if valid
+ */
+exports.isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+/**
+ * Check whether a string is a valid HH:MM-HH:MM time slot
+ *
+ * @param {string} timeSlot - Value to check
+ * @returns {boolean} True if valid
+ */
+exports.isValidTimeSlot = (timeSlot) => typeof timeSlot === 'string' && TIME_SLOT_PATTERN.test(timeSlot);
+
+/**
+ * Split an HH:MM-HH:MM time slot into start and end minutes
+ *
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @returns {Object} Object with start and end minutes
+ */
+exports.parseTimeSlot = (timeSlot) => {
+  const [start, end] = timeSlot.split('-');
+  return {
+    start: exports.toMinutes(start),
+    end: exports.toMinutes(end)
+  };
+};
+
+/**
+ * Check whether two minute ranges overlap
+ *
+ * @param {Object} a - Range with start and end minutes
+ * @param {Object} b - Range with start and end minutes
+ * @returns {boolean} True if the ranges overlap
+ */
+exports.rangesOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Find problems with a list of opening-hours intervals for one day
+ *
+ * @param {Array<Object>} intervals - Intervals with start and end HH:MM times
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+exports.findIntervalProblem = (intervals) => {
+  const ranges = [];
+
+  for (const interval of intervals) {
+    if (!exports.isValidTime(interval.start) || !exports.isValidTime(interval.end)) {
+      return 'Interval times must be in HH:MM format';
+    }
+
+    const range = { start: exports.toMinutes(interval.start), end: exports.toMinutes(interval.end) };
+    if (range.end <= range.start) {
+      return `Interval ${interval.start}-${interval.end} must end after it starts`;
+    }
+
+    if (ranges.some(existing => exports.rangesOverlap(existing, range))) {
+      return `Interval ${interval.start}-${interval.end} overlaps another interval on the same day`;
+    }
+
+    ranges.push(range);
+  }
+
+  return null;
+};
+
+/**
+ * Build the slots a weekly template offers on a given weekday
+ *
+ * Each slot is preceded by the buffer before and followed by the buffer
+ * after, and the whole block has to fit inside one opening interval.
+ *
+ * @param {Object} template - Availability template
+ * @param {Array<Object>} template.weeklyHours - Entries with day (0-6) and intervals
+ * @param {number} template.slotDuration - Slot length in minutes
+ * @param {number} template.bufferBefore - Minutes kept free before each slot
+ * @param {number} template.bufferAfter - Minutes kept free after each slot
+ * @param {number} dayOfWeek - Day of the week (0 = Sunday)
+ * @param {number} defaultDuration - Slot length used when the template has none
+ * @returns {Array<Object>} Slots with start, end, blockStart, blockEnd and timeSlot
+ */
+exports.buildTemplateSlots = (template, dayOfWeek, defaultDuration = 60) => {
+  const duration = template.slotDuration || defaultDuration;
+  const bufferBefore = template.bufferBefore || 0;
+  const bufferAfter = template.bufferAfter || 0;
+  const slots = [];
+
+  const days = (template.weeklyHours || []).filter(entry => entry.day === dayOfWeek);
+
+  for (const day of days) {
+    const intervals = [...(day.intervals || [])].sort(
+      (a, b) => exports.toMinutes(a.start) - exports.toMinutes(b.start)
+    );
+
+    for (const interval of intervals) {
+      const intervalEnd = exports.toMinutes(interval.end);
+      let blockStart = exports.toMinutes(interval.start);
+
+      while (blockStart + bufferBefore + duration + bufferAfter <= intervalEnd) {
+        const start = blockStart + bufferBefore;
+        const end = start + duration;
+
+        slots.push({
+          start,
+          end,
+          blockStart,
+          blockEnd: end + bufferAfter,
+          timeSlot: `${exports.toTime(start)}-${exports.toTime(end)}`
+        });
+
+        blockStart = end + bufferAfter;
+      }
+    }
+  }
+
+  return slots;
+};
@@ -0,0 +1,64 @@
+/**
+ * SMS Service
+ * Sends text messages through Twilio, or skips them when no provider is
+ * set up
+ */
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Send a message through Twilio's REST API
+ *
+ * @param {string} to - Phone number in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Twilio message
+ */
+const sendWithTwilio = async (to, body) => {
+  const { accountSid, authToken } = config.sms.twilio;
+
+  if (!accountSid || !authToken || !config.sms.from) {
+    throw new Error('Twilio is not configured; set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and SMS_FROM');
+  }
+
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: to, From: config.sms.from, Body: body })
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(result.message || `Twilio responded with ${response.status}`);
+  }
+
+  return result;
+};
+
+/**
+ * Send a text message
+ *
+ * @param {string} to - Phone number in E.164 format
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Object with success and messageId, error, or
+ *   skipped when no provider is set up
+ */
+exports.sendSms = async (to, body) => {
+  try {
+    if (config.sms.provider === 'twilio') {
+      const message = await sendWithTwilio(to, body);
+      logger.info(`SMS sent to ${to}: ${message.sid}`);
+      return { success: true, messageId: message.sid };
+    }
+
+    // The body carries the client's manage link, so it is never logged
+    logger.info(`SMS to ${to} not sent, provider is ${config.sms.provider}`);
+    return { success: false, skipped: true };
+  } catch (error) {
+    logger.error(`SMS to ${to} failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
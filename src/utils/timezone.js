@@ -0,0 +1,148 @@
+/**
+ * Timezone utilities
+ * Convert between office wall-clock slots and absolute UTC instants,
+ * including days where the clocks change
+ */
+const moment = require('moment-timezone');
+const config = require('../config');
+const { parseTimeSlot, toTime } = require('./scheduleUtils');
+
+const DEFAULT_TIMEZONE = config.scheduling.defaultTimezone;
+
+exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+/**
+ * Check whether a string is a known IANA timezone name
+ *
+ * @param {string} timezone - Value to check, e.g. Europe/London
+ * @returns {boolean} True if the zone is known
+ */
+exports.isValidTimezone = (timezone) => typeof timezone === 'string' && moment.tz.zone(timezone) !== null;
+
+/**
+ * Get the calendar day key of a booking or slot date
+ * Booking and slot dates hold the office calendar day at midnight, so they
+ * are read on the server clock they were written with; the office zone only
+ * matters once a time of day is attached
+ *
+ * @param {Date|string} date - Date or YYYY-MM-DD day key
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+exports.toDayKey = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  return moment(date).format('YYYY-MM-DD');
+};
+
+/**
+ * Convert a wall-clock time on a day in a zone to a UTC instant
+ *
+ * @param {string} dayKey - Day in YYYY-MM-DD format
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timezone - Zone the wall clock is in
+ * @returns {Date|null} Instant, or null if the time does not exist that day
+ *   because the clocks went forward
+ */
+exports.localToUtc = (dayKey, minutes, timezone = DEFAULT_TIMEZONE) => {
+  const wallClock = `${dayKey} ${toTime(minutes % (24 * 60))}`;
+  const local = moment.tz(wallClock, 'YYYY-MM-DD HH:mm', true, timezone);
+
+  if (minutes >= 24 * 60) {
+    local.add(1, 'day');
+  }
+
+  // Times skipped by a DST change are shifted by moment; reject them instead
+  if (!local.isValid() || local.format('HH:mm') !== toTime(minutes % (24 * 60))) {
+    return null;
+  }
+
+  return local.toDate();
+};
+
+/**
+ * Get the UTC start and end of a slot in a zone
+ *
+ * @param {Date|string} date - Day of the slot
+ * @param {string} timeSlot - Time slot in HH:MM-HH:MM format
+ * @param {string} timezone - Zone the slot is in
+ * @returns {Object|null} Object with startsAt and endsAt, or null if the
+ *   slot falls in a DST gap
+ */
+exports.slotToInstants = (date, timeSlot, timezone = DEFAULT_TIMEZONE) => {
+  const dayKey = exports.toDayKey(date);
+  const { start, end } = parseTimeSlot(timeSlot);
+
+  const startsAt = exports.localToUtc(dayKey, start, timezone);
+  const endsAt = exports.localToUtc(dayKey, end, timezone);
+
+  if (!startsAt || !endsAt || endsAt <= startsAt) {
+    return null;
+  }
+
+  return { startsAt, endsAt };
+};
+
+/**
+ * Get the UTC instants bounding a calendar day in a zone
+ * Days where the clocks change are 23 or 25 hours long
+ *
+ * @param {Date|string} date - Day to bound
+ * @param {string} timezone - Zone of the day
+ * @returns {Object} Object with dayStart and dayEnd
+ */
+exports.getZonedDayBounds = (date, timezone = DEFAULT_TIMEZONE) => {
+  const day = moment.tz(exports.toDayKey(date), 'YYYY-MM-DD', timezone);
+  return {
+    dayStart: day.clone().startOf('day').toDate(),
+    dayEnd: day.clone().endOf('day').toDate()
+  };
+};
+
+/**
+ * Get the current day and wall-clock minutes in a zone
+ *
+ * @param {string} timezone - Zone to read the clock in
+ * @returns {Object} Object with dayKey and minutes
+ */
+exports.nowInZone = (timezone = DEFAULT_TIMEZONE) => {
+  const now = moment().tz(timezone);
+  return {
+    dayKey: now.format('YYYY-MM-DD'),
+    minutes: now.hours() * 60 + now.minutes()
+  };
+};
+
+/**
+ * Format an instant in a zone
+ *
+ * @param {Date} date - Instant to format
+ * @param {string} timezone - Zone to show it in
+ * @param {string} format - moment format string
+ * @returns {string} Formatted date
+ */
+exports.formatInZone = (date, timezone = DEFAULT_TIMEZONE, format = 'YYYY-MM-DDTHH:mm:ssZ') => {
+  return moment(date).tz(timezone).format(format);
+};
+
+/**
+ * Describe a booked slot as a client in another zone sees it
+ *
+ * @param {Date} startsAt - Slot start
+ * @param {Date} endsAt - Slot end
+ * @param {string} timezone - Client zone
+ * @returns {Object} Object with date, timeSlot and zone abbreviation
+ */
+exports.describeInZone = (startsAt, endsAt, timezone = DEFAULT_TIMEZONE) => {
+  const start = moment(startsAt).tz(timezone);
+  const end = moment(endsAt).tz(timezone);
+
+  return {
+    date: start.format('YYYY-MM-DD'),
+    timeSlot: `${start.format('HH:mm')}-${end.format('HH:mm')}`,
+    startTime: start.format(),
+    endTime: end.format(),
+    abbreviation: start.format('z'),
+    timezone
+  };
+};